@@ -0,0 +1,249 @@
+// HTTP proxy that keeps the Gemini key and Scryfall traffic server-side.
+//   POST /api/guide           { messages: [{ role, content }], model?, responseSchema? } -> { text }
+//   POST /api/guide/stream    same body -> text/event-stream of data: { text } ... data: [DONE]
+//   GET  /api/cards/named     -> Scryfall /cards/named (also search, autocomplete)
+//   POST /api/cards/collection -> Scryfall /cards/collection
+const http = require('http');
+const { createRateLimiter } = require('./rateLimiter');
+const { createCache } = require('./cache');
+const { readServerSentEvents } = require('./sse');
+
+const DEFAULTS = {
+  geminiApiKey: '',
+  geminiBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  geminiModel: 'gemini-2.0-flash',
+  scryfallBaseUrl: 'https://api.scryfall.com',
+  userAgent: 'mtg-deck-guide-proxy/0.1',
+  maxBodyBytes: 256 * 1024,
+  guideRateLimit: 10, // requests per window per IP
+  cardsRateLimit: 120,
+  rateLimitWindowMs: 60 * 1000,
+  cacheTtlMs: 24 * 60 * 60 * 1000, // Card data changes rarely, prices daily
+  cacheMaxEntries: 5000,
+  trustProxy: false, // Read the client IP from X-Forwarded-For
+};
+
+const CARD_ENDPOINTS = {
+  GET: ['named', 'search', 'autocomplete'],
+  POST: ['collection'],
+};
+
+const MODEL_NAME = /^[\w.-]+$/;
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Read the request body, rejecting anything larger than maxBytes
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+  const declared = parseInt(req.headers['content-length'], 10);
+  if (declared > maxBytes) {
+    reject(new HttpError(413, 'Request body too large.'));
+    req.resume();
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(new HttpError(413, 'Request body too large.'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const readJson = async (req, maxBytes) => {
+  const body = await readBody(req, maxBytes);
+  try {
+    return JSON.parse(body || '{}');
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be valid JSON.');
+  }
+};
+
+const clientIp = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+function createServer(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const limiters = {
+    guide: createRateLimiter({ limit: config.guideRateLimit, windowMs: config.rateLimitWindowMs }),
+    cards: createRateLimiter({ limit: config.cardsRateLimit, windowMs: config.rateLimitWindowMs }),
+  };
+  const cardCache = createCache({ ttlMs: config.cacheTtlMs, maxEntries: config.cacheMaxEntries });
+
+  const enforceRateLimit = (req, route) => {
+    const { allowed, retryAfterSeconds } = limiters[route].check(clientIp(req, config.trustProxy));
+    if (!allowed) {
+      throw new HttpError(429, 'Too many requests. Please slow down.', { 'Retry-After': String(retryAfterSeconds) });
+    }
+  };
+
+  // Validate a guide request body and return the Gemini model URL and request body for it.
+  // A responseSchema asks Gemini for JSON output of that shape.
+  const readGuideRequest = async (req, method) => {
+    if (req.method !== 'POST') {
+      throw new HttpError(405, 'Method not allowed.');
+    }
+    enforceRateLimit(req, 'guide');
+    const { messages, model = config.geminiModel, responseSchema } = await readJson(req, config.maxBodyBytes);
+    if (!Array.isArray(messages) || messages.length === 0
+        || !messages.every(message => message && typeof message.content === 'string')) {
+      throw new HttpError(400, 'messages must be a non-empty array of { role, content }.');
+    }
+    if (responseSchema !== undefined && (!responseSchema || typeof responseSchema !== 'object' || Array.isArray(responseSchema))) {
+      throw new HttpError(400, 'responseSchema must be an object.');
+    }
+    if (!MODEL_NAME.test(model)) {
+      throw new HttpError(400, 'Invalid model name.');
+    }
+    if (!config.geminiApiKey) {
+      throw new HttpError(503, 'The server has no Gemini API key configured.');
+    }
+
+    const contents = messages.map(message => ({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: message.content }],
+    }));
+    const body = responseSchema
+      ? { contents, generationConfig: { responseMimeType: 'application/json', responseSchema } }
+      : { contents };
+    return { url: `${config.geminiBaseUrl}/models/${model}:${method}`, body };
+  };
+
+  // POST /api/guide: forward the conversation to Gemini with the server-side key
+  const handleGuide = async (req, res) => {
+    const { url, body } = await readGuideRequest(req, 'generateContent');
+    const upstream = await fetch(`${url}?key=${config.geminiApiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const result = await upstream.json().catch(() => ({}));
+    if (!upstream.ok) {
+      console.error('Gemini API error:', upstream.status, result.error?.message);
+      throw new HttpError(502, 'The AI service returned an error.');
+    }
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string') {
+      throw new HttpError(502, 'Gemini API returned an unexpected response.');
+    }
+    sendJson(res, 200, { text });
+  };
+
+  // POST /api/guide/stream: relay Gemini's SSE stream as events of { text }, ending with [DONE].
+  // Closing the client connection aborts the upstream request.
+  const handleGuideStream = async (req, res) => {
+    const { url, body } = await readGuideRequest(req, 'streamGenerateContent');
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const upstream = await fetch(`${url}?alt=sse&key=${config.geminiApiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    if (!upstream.ok) {
+      const result = await upstream.json().catch(() => ({}));
+      console.error('Gemini API error:', upstream.status, result.error?.message);
+      throw new HttpError(502, 'The AI service returned an error.');
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    const send = (data) => res.write(`data: ${data}\n\n`);
+    try {
+      await readServerSentEvents(upstream.body, data => {
+        const chunk = JSON.parse(data);
+        const text = (chunk.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+        if (text) {
+          send(JSON.stringify({ text }));
+        }
+      });
+      send('[DONE]');
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return; // The client went away
+      }
+      console.error('Gemini stream error:', error);
+      send(JSON.stringify({ error: 'The AI service stream was interrupted.' }));
+    }
+    res.end();
+  };
+
+  // /api/cards/*: forward allowed Scryfall endpoints, caching successful responses
+  const handleCards = async (req, res, endpoint, search) => {
+    if (!(CARD_ENDPOINTS[req.method] || []).includes(endpoint)) {
+      throw new HttpError(404, 'Unknown card endpoint.');
+    }
+    enforceRateLimit(req, 'cards');
+    const body = req.method === 'POST' ? await readBody(req, config.maxBodyBytes) : undefined;
+    const cacheKey = `${req.method} ${endpoint}${search} ${body || ''}`;
+
+    const cached = cardCache.get(cacheKey);
+    if (cached) {
+      sendJson(res, cached.status, cached.body, { 'X-Cache': 'HIT' });
+      return;
+    }
+
+    const upstream = await fetch(`${config.scryfallBaseUrl}/cards/${endpoint}${search}`, {
+      method: req.method,
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json', 'User-Agent': config.userAgent },
+      body,
+    });
+    const result = await upstream.json().catch(() => ({}));
+    const headers = { 'X-Cache': 'MISS' };
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) {
+      headers['Retry-After'] = retryAfter;
+    }
+    // Cache hits and definite misses; errors like 429 and 5xx are retried upstream next time
+    if (upstream.ok || upstream.status === 404) {
+      cardCache.set(cacheKey, { status: upstream.status, body: result });
+    }
+    sendJson(res, upstream.status, result, headers);
+  };
+
+  return http.createServer(async (req, res) => {
+    const { pathname, search } = new URL(req.url, 'http://localhost');
+    try {
+      if (pathname === '/api/guide') {
+        await handleGuide(req, res);
+      } else if (pathname === '/api/guide/stream') {
+        await handleGuideStream(req, res);
+      } else if (pathname.startsWith('/api/cards/')) {
+        await handleCards(req, res, pathname.slice('/api/cards/'.length), search);
+      } else if (pathname === '/api/health') {
+        sendJson(res, 200, { ok: true });
+      } else {
+        throw new HttpError(404, 'Not found.');
+      }
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error('Proxy error:', error);
+      }
+      if (!res.headersSent) {
+        sendJson(res, status, { error: status === 500 ? 'Internal server error.' : error.message }, error.headers);
+      }
+    }
+  });
+}
+
+module.exports = { createServer, DEFAULTS };
@@ -0,0 +1,169 @@
+// Run with `npm run test:server` (Node's built-in test runner)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createServer } = require('./app');
+
+// Start a server on a random port and return its base URL
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+// Local stand-ins for Scryfall and Gemini that record the requests they receive
+const upstreamRequests = [];
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    upstreamRequests.push({ method: req.method, url: req.url, body, headers: req.headers });
+    res.setHeader('Content-Type', 'application/json');
+    if (req.url.startsWith('/scryfall/cards/named')) {
+      const name = new URL(req.url, 'http://stub').searchParams.get('exact');
+      if (name === 'Missing') {
+        res.writeHead(404);
+        res.end(JSON.stringify({ object: 'error', details: 'Not found' }));
+        return;
+      }
+      res.end(JSON.stringify({ object: 'card', name }));
+    } else if (req.url === '/scryfall/cards/collection') {
+      res.end(JSON.stringify({ data: JSON.parse(body).identifiers.map(({ name }) => ({ name })), not_found: [] }));
+    } else if (req.url.startsWith('/gemini/models/gemini-test:streamGenerateContent?alt=sse&key=secret')) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      const chunk = (text) => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+      res.end(`${chunk('## Game Plan\n')}${chunk('Attack.')}`);
+    } else if (req.url.startsWith('/gemini/models/gemini-test:generateContent?key=secret')) {
+      res.end(JSON.stringify({ candidates: [{ content: { parts: [{ text: `Guide for: ${JSON.parse(body).contents[0].parts[0].text}` }] } }] }));
+    } else {
+      res.writeHead(500);
+      res.end('{}');
+    }
+  });
+});
+
+let stubUrl;
+let proxy;
+let proxyUrl;
+
+before(async () => {
+  stubUrl = await listen(stub);
+  proxy = createServer({
+    geminiApiKey: 'secret',
+    geminiModel: 'gemini-test',
+    geminiBaseUrl: `${stubUrl}/gemini`,
+    scryfallBaseUrl: `${stubUrl}/scryfall`,
+    guideRateLimit: 2,
+    maxBodyBytes: 1024,
+  });
+  proxyUrl = await listen(proxy);
+});
+
+after(() => {
+  proxy.close();
+  stub.close();
+});
+
+const postJson = (path, body) => fetch(`${proxyUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+test('proxies card lookups and caches the response', async () => {
+  const first = await fetch(`${proxyUrl}/api/cards/named?exact=Sol%20Ring`);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-cache'), 'MISS');
+  assert.deepStrictEqual(await first.json(), { object: 'card', name: 'Sol Ring' });
+
+  const second = await fetch(`${proxyUrl}/api/cards/named?exact=Sol%20Ring`);
+  assert.strictEqual(second.headers.get('x-cache'), 'HIT');
+  assert.strictEqual(upstreamRequests.filter(request => request.url.includes('Sol%20Ring')).length, 1);
+  assert.match(upstreamRequests[0].headers['user-agent'], /mtg-deck-guide-proxy/);
+});
+
+test('passes through Scryfall errors and POST collection requests', async () => {
+  const missing = await fetch(`${proxyUrl}/api/cards/named?exact=Missing`);
+  assert.strictEqual(missing.status, 404);
+
+  const collection = await postJson('/api/cards/collection', { identifiers: [{ name: 'Mountain' }] });
+  assert.deepStrictEqual(await collection.json(), { data: [{ name: 'Mountain' }], not_found: [] });
+});
+
+test('rejects unknown card endpoints', async () => {
+  const response = await fetch(`${proxyUrl}/api/cards/random`);
+  assert.strictEqual(response.status, 404);
+});
+
+test('forwards guide requests with the server-side key and rate limits per IP', async () => {
+  const response = await postJson('/api/guide', { messages: [{ role: 'user', content: 'Burn' }] });
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(await response.json(), { text: 'Guide for: Burn' });
+
+  await postJson('/api/guide', { messages: [{ role: 'user', content: 'Burn' }] });
+  const limited = await postJson('/api/guide', { messages: [{ role: 'user', content: 'Burn' }] });
+  assert.strictEqual(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('validates guide requests', async () => {
+  const tooLarge = await postJson('/api/cards/collection', { identifiers: [{ name: 'x'.repeat(2000) }] });
+  assert.strictEqual(tooLarge.status, 413);
+
+  const server = createServer({ geminiApiKey: 'secret', geminiBaseUrl: `${stubUrl}/gemini` });
+  const url = await listen(server);
+  try {
+    const invalidJson = await fetch(`${url}/api/guide`, { method: 'POST', body: '{' });
+    assert.strictEqual(invalidJson.status, 400);
+    const noMessages = await fetch(`${url}/api/guide`, { method: 'POST', body: JSON.stringify({ messages: [] }) });
+    assert.strictEqual(noMessages.status, 400);
+    const badModel = await fetch(`${url}/api/guide`, {
+      method: 'POST',
+      body: JSON.stringify({ messages: [{ content: 'x' }], model: '../evil' }),
+    });
+    assert.strictEqual(badModel.status, 400);
+    const badSchema = await fetch(`${url}/api/guide`, {
+      method: 'POST',
+      body: JSON.stringify({ messages: [{ content: 'x' }], responseSchema: 'json' }),
+    });
+    assert.strictEqual(badSchema.status, 400);
+  } finally {
+    server.close();
+  }
+});
+
+test('relays streamed guide text as server-sent events', async () => {
+  const server = createServer({ geminiApiKey: 'secret', geminiModel: 'gemini-test', geminiBaseUrl: `${stubUrl}/gemini` });
+  const url = await listen(server);
+  try {
+    const response = await fetch(`${url}/api/guide/stream`, {
+      method: 'POST',
+      body: JSON.stringify({ messages: [{ role: 'user', content: 'Burn' }] }),
+    });
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    assert.strictEqual(await response.text(), [
+      `data: ${JSON.stringify({ text: '## Game Plan\n' })}`,
+      `data: ${JSON.stringify({ text: 'Attack.' })}`,
+      'data: [DONE]',
+      '',
+    ].join('\n\n'));
+  } finally {
+    server.close();
+  }
+});
+
+test('asks Gemini for JSON when the request has a response schema', async () => {
+  const server = createServer({ geminiApiKey: 'secret', geminiModel: 'gemini-test', geminiBaseUrl: `${stubUrl}/gemini` });
+  const url = await listen(server);
+  const responseSchema = { type: 'OBJECT', properties: { strengths: { type: 'ARRAY', items: { type: 'STRING' } } } };
+  try {
+    const response = await fetch(`${url}/api/guide`, {
+      method: 'POST',
+      body: JSON.stringify({ messages: [{ role: 'user', content: 'Burn' }], responseSchema }),
+    });
+    assert.strictEqual(response.status, 200);
+    const { body } = upstreamRequests[upstreamRequests.length - 1];
+    assert.deepStrictEqual(JSON.parse(body).generationConfig, { responseMimeType: 'application/json', responseSchema });
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,28 @@
+// In-memory TTL cache with a size cap (oldest entries are evicted first)
+function createCache({ ttlMs, maxEntries, now = Date.now }) {
+  const entries = new Map(); // key -> { value, expires }
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expires <= now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key); // Re-insert so Map order stays oldest-first
+    entries.set(key, { value, expires: now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return { get, set, get size() { return entries.size; } };
+}
+
+module.exports = { createCache };
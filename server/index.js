@@ -0,0 +1,16 @@
+// Entry point for the API proxy: `npm run server`
+const { createServer } = require('./app');
+
+const PORT = parseInt(process.env.PORT, 10) || 3001;
+
+const server = createServer({
+  geminiApiKey: process.env.GEMINI_API_KEY || '',
+  ...(process.env.GEMINI_MODEL && { geminiModel: process.env.GEMINI_MODEL }),
+  ...(process.env.GEMINI_BASE_URL && { geminiBaseUrl: process.env.GEMINI_BASE_URL }),
+  ...(process.env.SCRYFALL_BASE_URL && { scryfallBaseUrl: process.env.SCRYFALL_BASE_URL }),
+  trustProxy: process.env.TRUST_PROXY === 'true',
+});
+
+server.listen(PORT, () => {
+  console.log(`MTG Deck Guide API proxy listening on http://localhost:${PORT}`);
+});
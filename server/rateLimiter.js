@@ -0,0 +1,38 @@
+// Fixed-window request limiter keyed by client IP
+const MAX_TRACKED_IPS = 10000;
+
+function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const windows = new Map(); // ip -> { start, count }
+
+  // Returns { allowed, retryAfterSeconds } and counts the request if it is allowed
+  const check = (ip) => {
+    if (windows.size > MAX_TRACKED_IPS) {
+      prune();
+    }
+    const time = now();
+    let entry = windows.get(ip);
+    if (!entry || time - entry.start >= windowMs) {
+      entry = { start: time, count: 0 };
+      windows.set(ip, entry);
+    }
+    if (entry.count >= limit) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((entry.start + windowMs - time) / 1000) };
+    }
+    entry.count += 1;
+    return { allowed: true, retryAfterSeconds: 0 };
+  };
+
+  // Drop expired windows so the map does not grow without bound
+  const prune = () => {
+    const time = now();
+    for (const [ip, entry] of windows) {
+      if (time - entry.start >= windowMs) {
+        windows.delete(ip);
+      }
+    }
+  };
+
+  return { check, prune };
+}
+
+module.exports = { createRateLimiter };
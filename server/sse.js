@@ -0,0 +1,34 @@
+// Reads a text/event-stream body (a web ReadableStream, as returned by fetch)
+// and calls onData with the data payload of each event. src/sse.js is the same reader for the
+// browser; src/sse.test.js runs the same cases against both, so change them together.
+
+const eventData = (block) => {
+  const lines = block
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''));
+  return lines.length > 0 ? lines.join('\n') : null;
+};
+
+const readServerSentEvents = async (body, onData) => {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const value of body) {
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop(); // The last block may be incomplete
+    blocks.forEach(block => {
+      const data = eventData(block);
+      if (data !== null) {
+        onData(data);
+      }
+    });
+  }
+  buffer += decoder.decode();
+  const data = eventData(buffer);
+  if (data !== null) {
+    onData(data);
+  }
+};
+
+module.exports = { readServerSentEvents };
@@ -1,5 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import ReactMarkdown from 'react-markdown'; // For rendering Markdown from Gemini API
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
 // Material UI Imports
 import {
@@ -10,10 +9,13 @@ import {
   Typography,
   Box,
   Paper,
-  Grid,
   Alert,
   Snackbar,
   Backdrop, // Import Backdrop for the overlay
+  LinearProgress,
+  MenuItem,
+  IconButton,
+  Tooltip,
 } from '@mui/material';
 import { createTheme, ThemeProvider, useTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline'; // For consistent baseline styles
@@ -23,14 +25,67 @@ import Tabs from '@mui/material/Tabs';
 import Tab from '@mui/material/Tab';
 import MenuBookIcon from '@mui/icons-material/MenuBook';
 import ImportContactsIcon from '@mui/icons-material/ImportContacts';
+import BarChartIcon from '@mui/icons-material/BarChart';
+import SettingsIcon from '@mui/icons-material/Settings';
+import LibraryBooksIcon from '@mui/icons-material/LibraryBooks';
+import SaveIcon from '@mui/icons-material/Save';
+import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import Inventory2Icon from '@mui/icons-material/Inventory2';
+import ShareIcon from '@mui/icons-material/Share';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
 import MTGLogo from './MTGG.svg';
-
-// IMPORTANT: For production, do NOT expose your API key directly in client-side code.
-// Use a backend proxy to secure your API key.
-// Conditional logic for GEMINI_API_KEY to work in both Canvas and local development.
-const GEMINI_API_KEY = typeof __app_id !== 'undefined'
-  ? "" // In Canvas environment, the key is injected automatically when this is an empty string
-  : process.env.REACT_APP_GEMINI_API_KEY; // In local development, read from .env file
+import { fetchCardData } from './scryfall';
+import { parseDecklist } from './decklist';
+import UnresolvedCardsFixer from './components/UnresolvedCardsFixer';
+import DeckFileImport from './components/DeckFileImport';
+import ExportMenu from './components/ExportMenu';
+import PrintMenu from './components/PrintMenu';
+import DeckStatistics from './components/DeckStatistics';
+import ProbabilityPanel from './components/ProbabilityPanel';
+import PricingPanel from './components/PricingPanel';
+import CollectionPanel from './components/CollectionPanel';
+import { shuffleArray } from './random';
+import { MTG_QUOTES } from './quotes';
+import { FORMATS } from './validation';
+import ValidationIssues from './components/ValidationIssues';
+import { streamText, loadLlmSettings, saveLlmSettings } from './llm';
+import SettingsDialog from './components/SettingsDialog';
+import GuideMarkdown from './components/GuideMarkdown';
+import GuideChat from './components/GuideChat';
+import GuideSections from './components/GuideSections';
+import DeckView from './components/DeckView';
+import TemplateDialog from './components/TemplateDialog';
+import SideboardGuide from './components/SideboardGuide';
+import DeckLibrary from './components/DeckLibrary';
+import SaveDeckDialog from './components/SaveDeckDialog';
+import ShareDialog from './components/ShareDialog';
+import DeckComparison from './components/DeckComparison';
+import GuideJobProgress from './components/GuideJobProgress';
+import { saveRevision } from './deckLibrary';
+import {
+  GUIDE_LANGUAGES,
+  loadGuideLanguage,
+  saveGuideLanguage,
+} from './guidePrompt';
+import { buildFollowUpMessages } from './guideChat';
+import { generateStructuredGuide, generateStructuredSection, sectionTemplate, structuredGuideToMarkdown } from './structuredGuide';
+import { parsePartialJson } from './jsonAnswer';
+import { createGuideJob, continueGuideJob, guideStages, runGuideJob, STAGE_LABELS } from './guidePipeline';
+import {
+  BUILT_IN_TEMPLATES,
+  resolveTemplate,
+  findTemplateSection,
+  loadCustomTemplates,
+  saveCustomTemplates,
+} from './guideTemplates';
+import { splitGuideSections, replaceGuideSection } from './guideSections';
+import { generateSideboardPlan, loadMatchups, saveMatchups } from './sideboardGuide';
+import { BUDGET_SCHEMA, suggestBudgetAlternatives } from './budget';
+import { compareDecklists, buildComparisonPrompt } from './deckComparison';
+import { loadOfflineMode, saveOfflineMode } from './cardCache';
+import { sectionFromPath, pathForSection } from './routes';
+import { readShareToken, decodeShareToken } from './shareLink';
+import { I18nContext, LANGUAGES, translate, localize, loadLanguage, saveLanguage } from './i18n';
 
 // Define a custom Material UI theme using the provided palette
 const lightTheme = createTheme({
@@ -171,60 +226,61 @@ const lightTheme = createTheme({
 function App() {
   const theme = useTheme(); // Use the useTheme hook to access the theme object
 
+  const [language, setLanguage] = useState(loadLanguage); // Language of the UI
+  const [guideLanguage, setGuideLanguage] = useState(loadGuideLanguage); // '' = same as the UI
+  const t = useCallback((message, params) => translate(language, message, params), [language]);
+  const i18n = useMemo(() => ({ language, t }), [language, t]);
+  const promptLanguage = guideLanguage || language; // Generated text is written in this language
+  const guideT = useCallback((message, params) => translate(promptLanguage, message, params), [promptLanguage]);
+
   // Neue State-Variable für die Navbar
-  const [activeSection, setActiveSection] = useState(null); // null = show hero
+  const [activeSection, setActiveSection] = useState(() => sectionFromPath(window.location.pathname)); // null = show hero
 
   const [decklistInput, setDecklistInput] = useState('');
   const [cardData, setCardData] = useState([]);
+  const [unresolvedCards, setUnresolvedCards] = useState([]); // Decklist lines Scryfall could not resolve
+  const [deckFormat, setDeckFormat] = useState(''); // '' = no format validation
+  const [validationIssues, setValidationIssues] = useState([]); // Format violations of the resolved deck
+  const [llmSettings, setLlmSettings] = useState(loadLlmSettings); // Provider and model for guide generation
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [offlineMode, setOfflineMode] = useState(loadOfflineMode); // Resolve cards from the local card data only
+  const [libraryDeck, setLibraryDeck] = useState(null); // Library deck the current list was opened from or saved to
+  const [saveDialogOpen, setSaveDialogOpen] = useState(false);
+  const [shareDialogOpen, setShareDialogOpen] = useState(false);
+  const [libraryRefreshKey, setLibraryRefreshKey] = useState(0);
   const [deckGuide, setDeckGuide] = useState('');
+  const [guideSource, setGuideSource] = useState({}); // { template, structured } the guide was generated with
+  const [guideTemplateId, setGuideTemplateId] = useState(''); // '' = pick the template by format
+  const [customTemplates, setCustomTemplates] = useState(loadCustomTemplates);
+  const [templateDialogOpen, setTemplateDialogOpen] = useState(false);
+  const [regeneratingSection, setRegeneratingSection] = useState(null); // Index of the section being rewritten
+  const [matchups, setMatchups] = useState(loadMatchups); // Opposing archetypes for the sideboard guide
+  const [sideboardPlan, setSideboardPlan] = useState(null); // Validated IN/OUT plans per matchup
+  const [budgetSuggestions, setBudgetSuggestions] = useState(null); // { currency, entries } of checked replacements
+  const [compareLists, setCompareLists] = useState({ before: '', after: '' }); // Decklists of the compare view
+  const [comparison, setComparison] = useState(null); // Diff, stats delta and analysis of the compared lists
+  const [guideChat, setGuideChat] = useState([]); // Follow-up questions and answers about the guide
+  const [pendingQuestion, setPendingQuestion] = useState(null); // Follow-up waiting for its answer
+  const [chatReply, setChatReply] = useState(''); // Answer text received so far
+  const chatAbortControllerRef = useRef(null);
+  const sectionAbortControllerRef = useRef(null); // Cancels the rewrite of a guide section
   const [loading, setLoading] = useState(false);
+  const [guideJob, setGuideJob] = useState(null); // Stages and results of the last guide generation
+  const [guideStreaming, setGuideStreaming] = useState(false); // The guide is rendering as it arrives
+  const abortControllerRef = useRef(null); // Cancels card fetching and generation of the running request
   const [error, setError] = useState(null);
   const [snackbarOpen, setSnackbarOpen] = useState(false); // State for Snackbar
   const [currentQuote, setCurrentQuote] = useState(''); // State for current displayed quote
   const [shuffledQuotes, setShuffledQuotes] = useState([]); // State for shuffled quotes
   const quoteIndexRef = useRef(0); // Use ref to persist index across renders without re-triggering effects
 
-  // Array of MTG-related funny/lore quotes (expanded to 20)
-  const allMtgQuotes = [
-    "\"It's not just a game, it's Magic!\" - Probably a planeswalker",
-    "\"The stack is a lie.\" - A frustrated storm player",
-    "\"Dies to removal.\" - Every competitive player's favorite phrase",
-    "\"Just one more land...\" - Everyone, every game",
-    "\"Tapping lands for mana? That's so last millennium.\" - Urza, probably",
-    "\"My deck has no bad matchups, only bad draws.\" - Optimistic player",
-    "\"Friendship is magic, but so is Fireball.\" - Chandra Nalaar, maybe",
-    "\"It's not a bug, it's a feature.\" - Mark Rosewater",
-    "\"The best defense is a good offense... unless you're playing control.\" - Sun Tzu, if he played MTG",
-    "\"What's the worst that could happen?\" - Famous last words before a combo goes off",
-    "\"Always bolt the bird.\" - A timeless piece of advice",
-    "\"No, you don't get priority there.\" - The judge's favorite line",
-    "\"Counterspell? I thought we were friends!\" - A blue player's lament",
-    "\"Infinite combos are just a matter of perspective.\" - A mad scientist",
-    "\"May your draws be ever perfect, and your opponents' mana-screwed.\" - A blessing from a Planeswalker",
-    "\"The graveyard is just a second hand.\" - A reanimator player",
-    "\"Why play fair when you can play Eldrazi?\" - An Annihilator enthusiast",
-    "\"My life total is just a resource.\" - A black mage, probably at 1 life",
-    "\"Yes, I'm tapping all my lands for one spell. What of it?\" - A spell-slinging wizard",
-    "\"The best way to win is to not lose.\" - A control player's motto",
-  ];
-
-  // Function to shuffle an array (Fisher-Yates)
-  const shuffleArray = (array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  };
-
   // Effect to manage quote cycling during loading
   useEffect(() => {
     let intervalId;
     if (loading) {
       // Initialize or re-shuffle quotes if all have been shown
       if (shuffledQuotes.length === 0 || quoteIndexRef.current >= shuffledQuotes.length) {
-        const newShuffledQuotes = shuffleArray(allMtgQuotes);
+        const newShuffledQuotes = shuffleArray(MTG_QUOTES);
         setShuffledQuotes(newShuffledQuotes);
         quoteIndexRef.current = 0; // Reset index
         setCurrentQuote(newShuffledQuotes[0]); // Set initial quote immediately
@@ -245,189 +301,352 @@ function App() {
     return () => clearInterval(intervalId); // Cleanup on component unmount or loading change
   }, [loading, shuffledQuotes]); // Depend on loading and shuffledQuotes
 
-  // Function to parse the decklist string into an array of { quantity, name, uniqueId } objects
-  const parseDecklist = useCallback((decklistString) => {
-    const lines = decklistString.trim().split('\n').filter(line => {
-      // Filter out empty lines and lines that do not start with a digit
-      // This prevents warnings for section headers like "Creatures", "Lands", etc.
-      return line.trim() !== '' && /^\d/.test(line.trim());
-    });
-    const parsed = [];
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const match = line.match(/^(\d+)\s+(.*)$/); // Expects "QUANTITY CARD_NAME"
-      if (match) {
-        const quantity = parseInt(match[1], 10);
-        const name = match[2].trim();
-        parsed.push({ uniqueId: `${name}-${quantity}-${i}-${crypto.randomUUID()}`, quantity, name });
-      }
-      // No 'else' block with console.warn, as these lines are now filtered out
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Keep the URL in sync with the section shown, and follow the browser's back and forward buttons
+  useEffect(() => {
+    const path = pathForSection(activeSection);
+    if (window.location.pathname !== path) {
+      window.history.pushState(null, '', `${path}${window.location.hash}`); // A shared link is read below
     }
-    return parsed;
-  }, []);
+  }, [activeSection]);
 
-  // Function to fetch card data from Scryfall API
-  const fetchCardData = useCallback(async (parsedDeck) => {
-    const SCRYFALL_API_BASE_URL = 'https://api.scryfall.com';
-    const fetchedCards = [];
-    const errors = [];
+  useEffect(() => {
+    const handlePopState = () => setActiveSection(sectionFromPath(window.location.pathname));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
-    for (const item of parsedDeck) {
-      try {
-        let cardResponse;
-        // First, try an exact search for the card name
-        let response = await fetch(`${SCRYFALL_API_BASE_URL}/cards/named?exact=${encodeURIComponent(item.name)}`);
-
-        if (!response.ok) {
-          // If exact search fails (e.g., 404 Not Found), try a more general search
-          // This helps with non-English names or slight variations
-          response = await fetch(`${SCRYFALL_API_BASE_URL}/cards/search?q=${encodeURIComponent(item.name)}`);
-          if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.details || `Scryfall API error for "${item.name}"`);
-          }
-          const searchData = await response.json();
-          if (searchData.data && searchData.data.length > 0) {
-            // Take the first result from the search
-            cardResponse = searchData.data[0];
-          } else {
-            throw new Error(`No cards found matching "${item.name}" after general search.`);
-          }
-        } else {
-          cardResponse = await response.json();
-        }
-        
-        // Attach the original quantity and uniqueId to the fetched card data
-        fetchedCards.push({ ...cardResponse, quantity: item.quantity, uniqueDisplayId: item.uniqueId });
-        // Small delay to prevent hitting rate limits too quickly
-        await new Promise(resolve => setTimeout(resolve, 100)); // 100ms delay
-      } catch (error) {
-        console.error(`Error fetching card "${item.name}":`, error);
-        errors.push(`Could not find card: "${item.name}". Please check the spelling or try an English name.`);
+  // The generate(messages, responseSchema) function for structured guides: streams the JSON answer
+  // from the LLM provider and calls onAnswer with the answer so far
+  const streamGuideJson = useCallback((signal, onAnswer = () => {}) => async (messages, responseSchema) => {
+    let answer = '';
+    try {
+      return await streamText(llmSettings, messages, {
+        signal,
+        responseSchema,
+        onToken: (chunk) => {
+          answer += chunk;
+          onAnswer(answer);
+        },
+      });
+    } catch (apiError) {
+      if (apiError.name === 'AbortError') {
+        throw apiError;
       }
+      console.error("Error calling the LLM provider:", apiError);
+      throw new Error(t("Failed to communicate with the AI. Please try again."));
     }
+  }, [llmSettings, t]);
 
-    if (errors.length > 0) {
-      throw new Error(errors.join('\n'));
-    }
-    return fetchedCards;
-  }, []);
-
-  // Function to generate the deck guide using Gemini API
-  const generateDeckGuide = useCallback(async (cards) => {
+  // Function to generate the deck guide as validated JSON and return it as Markdown.
+  // onPartial receives the Markdown of the guide so far while the answer streams in.
+  const generateDeckGuide = useCallback(async (cards, formatKey, { signal, onPartial = () => {} } = {}) => {
     if (!cards || cards.length === 0) {
-      throw new Error("No card data provided to generate a deck guide.");
+      throw new Error(t("No card data provided to generate a deck guide."));
     }
 
-    // Format the card data into a readable string for the LLM
-    const decklistFormatted = cards.map(card => {
-      // Safely access properties, provide fallbacks
-      const setName = card.set_name ? `(${card.set_name.toUpperCase()})` : '';
-      const manaCost = card.mana_cost || 'N/A';
-      const typeLine = card.type_line || 'N/A';
-      const oracleText = card.oracle_text || 'No Oracle Text';
-      return `${card.quantity} ${card.name} ${setName} - Mana: ${manaCost} - Type: ${typeLine}\nOracle Text: ${oracleText}`;
-    }).join('\n\n'); // Use double newline for better readability in prompt
-
-    const chatHistory = [];
-    const prompt = `
-    You are an expert Magic: The Gathering deckbuilder and strategist.
-    Based on the following decklist, generate a comprehensive deck guide.
-    The guide should be detailed, insightful, and helpful for a player looking to understand and improve their deck.
-
-    The guide must include the following sections, clearly marked with Markdown headings:
-    # Deck Archetype and Core Strategy
-    * Identify the primary archetype (e.g., Aggro, Control, Midrange, Combo, Tempo, Prison, Voltron, etc.).
-    * Explain the deck's main game plan, how it aims to win, and its key phases (early, mid, late game).
-
-    # Key Cards and Synergies
-    * Highlight 3-5 of the most crucial cards in the deck.
-    * Explain why these cards are important and how they contribute to the deck's strategy.
-    * Describe significant card synergies and powerful interactions between cards.
-
-    # Mana Curve Analysis
-    * Provide a brief analysis of the deck's mana curve.
-    * Comment on whether it supports the deck's strategy (e.g., low curve for aggro, higher curve for control).
-    * Suggest any potential improvements or observations regarding mana efficiency.
-
-    # Strengths
-    * List the main advantages of this deck. What does it do well?
-    * Against what types of decks or strategies does it typically perform strongly?
-
-    # Weaknesses
-    * Identify the deck's vulnerabilities and potential pain points.
-    * Against what types of decks or strategies does it typically struggle?
-    * Suggest common answers or disruption that opponents might use against it.
-
-    # Mulligan Guide
-    * Offer general advice on what to look for in an opening hand (e.g., lands, early plays, key pieces).
-    * Provide examples of good vs. bad opening hands.
-
-    # General Matchup Considerations
-    * Briefly discuss how the deck might approach common matchups (e.g., playing against other aggro decks, control decks, or combo decks).
-    * Suggest general sideboarding considerations if applicable (even if no sideboard is provided).
-
-    ---
-    **Decklist:**
-    ${decklistFormatted}
-    ---
-    `;
-
-    chatHistory.push({ role: "user", parts: [{ text: prompt }] });
-    const payload = { contents: chatHistory };
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${GEMINI_API_KEY}`;
+    const template = resolveTemplate(guideTemplateId, formatKey, customTemplates);
+    const generate = streamGuideJson(signal, (answer) => {
+      const partial = parsePartialJson(answer);
+      if (partial) {
+        onPartial(structuredGuideToMarkdown(partial, template, guideT));
+      }
+    });
+    const guide = await generateStructuredGuide(generate, cards, formatKey, template, promptLanguage);
+    setGuideSource({ template, structured: true });
+    return structuredGuideToMarkdown(guide, template, guideT);
+  }, [streamGuideJson, guideTemplateId, customTemplates, promptLanguage, guideT, t]);
 
-    try {
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
+  // Stages of guide generation (see guidePipeline.js), wired to the card lookup and the guide stream
+  const currentGuideStages = () => guideStages({
+    resolveCards: (items, options) => fetchCardData(items, { ...options, offline: offlineMode }),
+    generate: (cards, { signal, format }) => {
+      sectionAbortControllerRef.current?.abort(); // A rewrite would land in the new guide
+      setDeckGuide('');
+      setGuideChat([]); // Earlier follow-ups were about the previous guide
+      return generateDeckGuide(cards, format, {
+        signal,
+        onPartial: (markdown) => {
+          // Show the guide as soon as the first sections arrive instead of waiting behind the overlay
+          setGuideStreaming(true);
+          setActiveSection('guide');
+          setDeckGuide(markdown);
+        },
       });
-      const result = await response.json();
+    },
+  });
 
-      if (result.candidates && result.candidates.length > 0 &&
-          result.candidates[0].content && result.candidates[0].content.parts &&
-          result.candidates[0].content.parts.length > 0) {
-        return result.candidates[0].content.parts[0].text;
-      } else {
-        console.error("Unexpected Gemini API response structure:", result);
-        throw new Error("Gemini API returned an unexpected response.");
-      }
-    } catch (apiError) {
-      console.error("Error calling Gemini API:", apiError);
-      throw new Error("Failed to communicate with the AI. Please try again.");
+  // Show the results of a guide job as its stages finish. Unresolved cards and format
+  // violations stay on screen while the job waits for the user.
+  const handleGuideJobChange = (job) => {
+    setGuideJob(job);
+    const { resolving, validating } = job.results;
+    if (resolving) {
+      setCardData(resolving.cards);
+      setUnresolvedCards(resolving.unresolved);
     }
-  }, []);
+    setValidationIssues(validating || []);
+  };
 
-  // Handler for the "Generate Deck Guide" button click
-  const handleGenerateGuide = async () => {
+  // Cancelled guide generation: drop the partial guide and go back to the decklist
+  const discardGuide = () => {
+    setDeckGuide('');
+    setActiveSection('import');
+  };
+
+  // Run one step of the import/generate flow with loading state, cancellation and error reporting
+  const runRequest = async (task, { onCancel = discardGuide } = {}) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     setLoading(true);
     setError(null);
     setSnackbarOpen(false); // Close any existing snackbar
+
+    try {
+      await task(controller.signal);
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        onCancel();
+      } else {
+        console.error("Error during guide generation:", err);
+        setError(localize(t, err) || t("An unexpected error occurred."));
+        setSnackbarOpen(true); // Show Snackbar for error
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setGuideStreaming(false);
+      setLoading(false);
+    }
+  };
+
+  // Generate the sideboard guide; runs behind the loading overlay and keeps the current tab on cancel
+  const handleGenerateSideboardGuide = () => runRequest(async (signal) => {
+    const plan = await generateSideboardPlan(
+      messages => streamText(llmSettings, messages, { signal }),
+      cardData,
+      deckFormat,
+      matchups.filter(matchup => matchup.archetype.trim()),
+      promptLanguage,
+    );
+    setSideboardPlan(plan);
+  }, { onCancel: () => {} });
+
+  // Ask for cheaper replacements of the cards above the price threshold and check them on Scryfall
+  const handleSuggestBudget = ({ currency, threshold }) => runRequest(async (signal) => {
+    const entries = await suggestBudgetAlternatives(
+      messages => streamText(llmSettings, messages, { signal, responseSchema: BUDGET_SCHEMA }),
+      names => fetchCardData(names.map(name => ({ name, quantity: 1, uniqueId: name })), { signal, offline: offlineMode }),
+      cardData,
+      deckFormat,
+      { currency, threshold, language: promptLanguage },
+    );
+    setBudgetSuggestions({ currency, entries });
+  }, { onCancel: () => {} });
+
+  // Resolve and diff the two lists of the compare view, then stream an analysis of the changes
+  const handleCompareDecks = () => runRequest(async (signal) => {
+    setComparison(null);
+    const result = await compareDecklists(
+      compareLists.before,
+      compareLists.after,
+      parsedDeck => fetchCardData(parsedDeck, { signal, offline: offlineMode }),
+    );
+    setComparison({ ...result, analysis: '' });
+    if (result.changes.length === 0) {
+      return;
+    }
+    const prompt = buildComparisonPrompt(result.before, result.after, deckFormat, result.changes, promptLanguage);
+    const analysis = await streamText(llmSettings, [{ role: 'user', content: prompt }], {
+      signal,
+      onToken: (chunk) => {
+        setGuideStreaming(true); // The diff is already on screen, so show the analysis as it arrives
+        setComparison(prev => ({ ...prev, analysis: prev.analysis + chunk }));
+      },
+    });
+    setComparison(prev => ({ ...prev, analysis }));
+  }, { onCancel: () => {} });
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Run a guide job behind the loading overlay, starting at its first unfinished stage
+  const runGuide = (job) => runRequest(async (signal) => {
+    try {
+      const finished = await runGuideJob(job, currentGuideStages(), { signal, onChange: handleGuideJobChange });
+      if (finished.status === 'done') {
+        setDeckGuide(finished.results.generating);
+        setActiveSection('guide');
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        discardGuide(); // The failed job can be retried from the import panel
+      }
+      throw err;
+    }
+  });
+
+  // Handler for the "Generate Deck Guide" button click
+  const handleGenerateGuide = () => {
     setCardData([]);
+    setSideboardPlan(null);
+    setBudgetSuggestions(null);
+    setUnresolvedCards([]);
+    setValidationIssues([]);
     setDeckGuide('');
+    setGuideChat([]);
     // Start quote cycling immediately when loading begins
     // The useEffect hook will handle setting the initial quote and subsequent cycling
+    runGuide(createGuideJob({ decklist: decklistInput, format: deckFormat }));
+  };
 
-    try {
-      const parsedDeck = parseDecklist(decklistInput);
-      if (parsedDeck.length === 0) {
-        throw new Error("Please enter a valid decklist. Format: 'Quantity Card Name'.");
+  // Drop the last guide job together with the corrections and violations it waits on,
+  // once the decklist or format it ran with has changed
+  const resetGuideJob = () => {
+    setUnresolvedCards([]);
+    setValidationIssues([]);
+    setGuideJob(null);
+  };
+
+  // Answer a waiting guide job, or start a new one if it was reset in the meantime
+  const continueGuide = (answer) => runGuide(continueGuideJob(guideJob, { decklist: decklistInput, format: deckFormat }, answer));
+
+  // Handler for the unresolved cards fixer: only the corrected lines are fetched again,
+  // the cards that already resolved are kept as they are
+  const handleContinueWithCorrections = (corrections) => continueGuide({ corrections });
+
+  // Handler for "Generate Anyway" on the format violations list
+  const handleGenerateAnyway = () => continueGuide({ ignoreViolations: true });
+
+  // Retry a failed or cancelled job without repeating the stages it finished
+  const handleRetryGuide = () => runGuide(guideJob);
+
+  // Show an error message in the Snackbar
+  const showError = useCallback((message) => {
+    setError(message);
+    setSnackbarOpen(true);
+  }, []);
+
+  // Open a shared link: the deck and guide come from the URL fragment, the cards are looked up again
+  useEffect(() => {
+    const token = readShareToken(window.location.hash);
+    if (!token) {
+      return;
+    }
+    window.history.replaceState(null, '', window.location.pathname); // Read the link only once
+    (async () => {
+      try {
+        const { decklist, format, guide } = await decodeShareToken(token);
+        setDecklistInput(decklist);
+        setDeckFormat(FORMATS[format] ? format : '');
+        setDeckGuide(guide);
+        setGuideSource({}); // Unknown for a shared guide
+        setActiveSection(guide ? 'guide' : 'import');
+        if (guide) {
+          // Card previews, the deck view and the statistics need the resolved cards
+          const { cards, unresolved } = await fetchCardData(parseDecklist(decklist), { offline: offlineMode });
+          setCardData(cards);
+          if (unresolved.length > 0) {
+            console.warn("Cards of the shared deck that could not be resolved:", unresolved.map(item => item.name));
+          }
+        }
+      } catch (err) {
+        console.error("Error opening the shared link:", err);
+        showError(localize(t, err) || t("The shared link could not be opened."));
       }
+    })();
+  }, [offlineMode, showError, t]);
 
-      const fetchedCards = await fetchCardData(parsedDeck);
-      setCardData(fetchedCards);
+  // Save the current decklist, cards and guide as a revision in the deck library
+  const handleSaveDeck = async ({ name, asNew }) => {
+    try {
+      const { deck } = await saveRevision({
+        deckId: asNew ? undefined : libraryDeck?.id,
+        name,
+        format: deckFormat,
+        decklist: decklistInput,
+        cards: cardData,
+        guide: deckGuide,
+        chat: guideChat,
+      });
+      setLibraryDeck(deck);
+      setLibraryRefreshKey(prev => prev + 1);
+      setSaveDialogOpen(false);
+    } catch (err) {
+      console.error("Error saving the deck:", err);
+      showError(localize(t, err) || t("The deck could not be saved."));
+    }
+  };
+
+  // Load a saved revision back into the app
+  const handleOpenRevision = (deck, revision) => {
+    setLibraryDeck(deck);
+    setDeckFormat(deck.format);
+    setDecklistInput(revision.decklist);
+    setCardData(revision.cards);
+    setSideboardPlan(null);
+    setBudgetSuggestions(null);
+    setDeckGuide(revision.guide);
+    setGuideSource({}); // Not stored with the revision
+    setGuideChat(revision.chat || []);
+    setUnresolvedCards([]);
+    setValidationIssues([]);
+    setGuideJob(null);
+    setActiveSection(revision.guide ? 'guide' : 'import');
+  };
 
-      const guide = await generateDeckGuide(fetchedCards);
-      setDeckGuide(guide);
-      setActiveSection('guide'); // Switch to Deck Guide section immediately
+  // Ask a follow-up question about the guide; the answer streams into the chat panel
+  const handleAskFollowUp = async (question) => {
+    const controller = new AbortController();
+    chatAbortControllerRef.current = controller;
+    setPendingQuestion(question);
+    setChatReply('');
 
+    try {
+      const messages = buildFollowUpMessages(cardData, deckFormat, deckGuide, guideChat, question, guideSource, promptLanguage);
+      const answer = await streamText(llmSettings, messages, {
+        signal: controller.signal,
+        onToken: (chunk) => setChatReply(prev => prev + chunk),
+      });
+      setGuideChat(prev => [...prev, { role: 'user', content: question }, { role: 'assistant', content: answer }]);
     } catch (err) {
-      console.error("Error during guide generation:", err);
-      setError(err.message || "An unexpected error occurred.");
-      setSnackbarOpen(true); // Show Snackbar for error
+      if (err.name !== 'AbortError') {
+        console.error("Error answering the follow-up question:", err);
+        showError(t("Failed to communicate with the AI. Please try again."));
+      }
     } finally {
-      setLoading(false);
+      chatAbortControllerRef.current = null;
+      setPendingQuestion(null);
+      setChatReply('');
+    }
+  };
+
+  // Rewrite one section of the guide, checked like a new guide, and put it in place of the old one
+  const handleRegenerateSection = async (index) => {
+    const { title } = splitGuideSections(deckGuide)[index];
+    const templates = [resolveTemplate(guideTemplateId, deckFormat, customTemplates), ...customTemplates, ...BUILT_IN_TEMPLATES];
+    const section = findTemplateSection(title, templates);
+    const controller = new AbortController();
+    sectionAbortControllerRef.current = controller;
+    setRegeneratingSection(index);
+
+    try {
+      const rewritten = await generateStructuredSection(
+        streamGuideJson(controller.signal), cardData, deckFormat, section, deckGuide, promptLanguage,
+      );
+      const text = structuredGuideToMarkdown(rewritten, sectionTemplate(section), guideT);
+      setDeckGuide(prev => replaceGuideSection(prev, index, text));
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error(`Error regenerating the section "${title}":`, err);
+        showError(localize(t, err));
+      }
+    } finally {
+      sectionAbortControllerRef.current = null;
+      setRegeneratingSection(null);
     }
   };
 
@@ -443,290 +662,548 @@ function App() {
 
   return (
     <ThemeProvider theme={lightTheme}>
-      <CssBaseline />
-      {/* Klassische Material Design Navbar */}
-      <AppBar position="static" color="primary" elevation={2} sx={{ mb: 4 }}>
-        <Toolbar sx={{ minHeight: 64 }}>
-          <MenuBookIcon sx={{ mr: 2, fontSize: 32, color: 'white' }} />
-          <Typography variant="h6" component="div" sx={{ flexGrow: 1, color: 'white', fontWeight: 700 }}>
-            MTG Deck Guide
-          </Typography>
-          <Tabs
-            value={activeSection === 'import' ? 0 : activeSection === 'guide' ? 1 : false}
-            onChange={(_, newValue) => {
-              if (newValue === 0) {
-                setActiveSection('import');
-              } else if (newValue === 1) {
-                setActiveSection('guide');
-              }
-            }}
-            textColor="inherit"
-            indicatorColor="secondary"
-            sx={{ minHeight: 64 }}
-          >
-            <Tab
-              icon={<ImportContactsIcon />}
-              iconPosition="start"
-              label="Import Deck"
-              sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
-              aria-selected={activeSection === 'import'}
-            />
-            <Tab
-              icon={<MenuBookIcon />}
-              iconPosition="start"
-              label="Deck Guide"
-              sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
-              aria-selected={activeSection === 'guide'}
-            />
-          </Tabs>
-        </Toolbar>
-      </AppBar>
-      <Container maxWidth="md" sx={{ py: 4 }}>
-        {/* Hero Section */}
-        {showHero && (
-          <Box sx={{
-            display: 'flex',
-            flexDirection: 'column',
-            alignItems: 'center',
-            justifyContent: 'center',
-            minHeight: '60vh',
-            textAlign: 'center',
-            mb: 6,
-          }}>
-            <Box
-              component="img"
-              src={MTGLogo}
-              alt="Magic: The Gathering Logo"
-              sx={{
-                width: { xs: 180, sm: 240 },
-                height: 'auto',
-                mb: 4,
-                filter: 'drop-shadow(0 4px 16px rgba(0,0,0,0.18))',
-              }}
-            />
-            <Typography variant="h3" sx={{ fontWeight: 700, color: 'primary.main', mb: 2 }}>
-              Welcome to MTG Deck Guide
-            </Typography>
-            <Typography variant="h5" sx={{ color: 'text.secondary', mb: 3 }}>
-              Analyze and optimize your Magic: The Gathering deck with AI-powered strategies.
-            </Typography>
-            <Typography variant="body1" sx={{ color: 'text.secondary', maxWidth: 500, mx: 'auto' }}>
-              Start by importing your deck or let the app generate a personalized guide for you. Happy brewing!
+      <I18nContext.Provider value={i18n}>
+        <CssBaseline />
+        {/* Klassische Material Design Navbar */}
+        <AppBar position="static" color="primary" elevation={2} sx={{ mb: 4 }}>
+          <Toolbar sx={{ minHeight: 64 }}>
+            <MenuBookIcon sx={{ mr: 2, fontSize: 32, color: 'white' }} />
+            <Typography variant="h6" component="div" sx={{ flexGrow: 1, color: 'white', fontWeight: 700 }}>
+              MTG Deck Guide
             </Typography>
-          </Box>
-        )}
-        {/* Deck Input Section */}
-        {activeSection === 'import' && (
-          <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mb: 4 }}>
-            <Typography variant="h6" gutterBottom color="text.primary">
-              Enter Your Decklist
-            </Typography>
-            <TextField
-              id="decklist"
-              label="Decklist"
-              multiline
-              rows={10}
-              fullWidth
-              variant="outlined"
-              placeholder={`Example:
+            <Tabs
+              value={activeSection || false}
+              onChange={(_, newValue) => setActiveSection(newValue)}
+              textColor="inherit"
+              indicatorColor="secondary"
+              sx={{ minHeight: 64 }}
+            >
+              <Tab
+                value="import"
+                icon={<ImportContactsIcon />}
+                iconPosition="start"
+                label={t('Import Deck')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'import'}
+              />
+              <Tab
+                value="guide"
+                icon={<MenuBookIcon />}
+                iconPosition="start"
+                label={t('Deck Guide')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'guide'}
+              />
+              <Tab
+                value="stats"
+                icon={<BarChartIcon />}
+                iconPosition="start"
+                label={t('Statistics')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'stats'}
+              />
+              <Tab
+                value="sideboard"
+                icon={<SwapHorizIcon />}
+                iconPosition="start"
+                label={t('Sideboard Guide')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'sideboard'}
+              />
+              <Tab
+                value="compare"
+                icon={<CompareArrowsIcon />}
+                iconPosition="start"
+                label={t('Compare')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'compare'}
+              />
+              <Tab
+                value="collection"
+                icon={<Inventory2Icon />}
+                iconPosition="start"
+                label={t('Collection')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'collection'}
+              />
+              <Tab
+                value="library"
+                icon={<LibraryBooksIcon />}
+                iconPosition="start"
+                label={t('Library')}
+                sx={{ color: 'white', fontWeight: 600, minHeight: 64 }}
+                aria-selected={activeSection === 'library'}
+              />
+            </Tabs>
+            <Tooltip title={t('Settings')}>
+              <IconButton onClick={() => setSettingsOpen(true)} sx={{ color: 'white', ml: 1 }} aria-label={t('Settings')}>
+                <SettingsIcon />
+              </IconButton>
+            </Tooltip>
+          </Toolbar>
+        </AppBar>
+        <Container maxWidth="md" sx={{ py: 4 }}>
+          {/* Hero Section */}
+          {showHero && (
+            <Box sx={{
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              minHeight: '60vh',
+              textAlign: 'center',
+              mb: 6,
+            }}>
+              <Box
+                component="img"
+                src={MTGLogo}
+                alt="Magic: The Gathering Logo"
+                sx={{
+                  width: { xs: 180, sm: 240 },
+                  height: 'auto',
+                  mb: 4,
+                  filter: 'drop-shadow(0 4px 16px rgba(0,0,0,0.18))',
+                }}
+              />
+              <Typography variant="h3" sx={{ fontWeight: 700, color: 'primary.main', mb: 2 }}>
+                {t('Welcome to MTG Deck Guide')}
+              </Typography>
+              <Typography variant="h5" sx={{ color: 'text.secondary', mb: 3 }}>
+                {t('Analyze and optimize your Magic: The Gathering deck with AI-powered strategies.')}
+              </Typography>
+              <Typography variant="body1" sx={{ color: 'text.secondary', maxWidth: 500, mx: 'auto' }}>
+                {t('Start by importing your deck or let the app generate a personalized guide for you. Happy brewing!')}
+              </Typography>
+            </Box>
+          )}
+          {/* Deck Input Section */}
+          {activeSection === 'import' && (
+            <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mb: 4 }}>
+              <Typography variant="h6" gutterBottom color="text.primary">
+                {t('Enter Your Decklist')}
+              </Typography>
+              <DeckFileImport
+                onImport={(decklist) => {
+                  setDecklistInput(decklist);
+                  resetGuideJob();
+                }}
+                onError={showError}
+                disabled={loading}
+              />
+              <TextField
+                id="decklist"
+                label={t('Decklist')}
+                multiline
+                rows={10}
+                fullWidth
+                variant="outlined"
+                placeholder={`${t('Example:')}
 4 Lightning Bolt
-4 Goblin Guide
-18 Mountain
-1 Sol Ring (Commander)`}
-              value={decklistInput}
-              onChange={(e) => setDecklistInput(e.target.value)}
-              disabled={loading}
-              sx={{
-                mb: 3,
-                '& .MuiInputBase-input': {
-                  color: theme.palette.text.primary,
-                },
-                '& .MuiInputLabel-root': {
-                  color: theme.palette.text.secondary,
-                },
-                '& .MuiOutlinedInput-root': {
-                  backgroundColor: 'rgba(255, 255, 255, 0.8)',
-                  '&.Mui-focused': {
-                    backgroundColor: 'rgba(255, 255, 255, 0.9)',
-                  },
-                  '& .MuiOutlinedInput-notchedOutline': {
-                    borderColor: `${theme.palette.outline} !important`,
+4x Goblin Guide
+18 Mountain (M21) 272
+
+Sideboard
+2 Smash to Smithereens`}
+                value={decklistInput}
+                onChange={(e) => {
+                  setDecklistInput(e.target.value);
+                  resetGuideJob(); // Corrections and violations no longer apply to an edited list
+                }}
+                disabled={loading}
+                sx={{
+                  mb: 3,
+                  '& .MuiInputBase-input': {
+                    color: theme.palette.text.primary,
                   },
-                  '&:hover .MuiOutlinedInput-notchedOutline': {
-                    borderColor: `${theme.palette.primary.main} !important`,
+                  '& .MuiInputLabel-root': {
+                    color: theme.palette.text.secondary,
                   },
-                  '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
-                    borderColor: `${theme.palette.primary.main} !important`,
+                  '& .MuiOutlinedInput-root': {
+                    backgroundColor: 'rgba(255, 255, 255, 0.8)',
+                    '&.Mui-focused': {
+                      backgroundColor: 'rgba(255, 255, 255, 0.9)',
+                    },
+                    '& .MuiOutlinedInput-notchedOutline': {
+                      borderColor: `${theme.palette.outline} !important`,
+                    },
+                    '&:hover .MuiOutlinedInput-notchedOutline': {
+                      borderColor: `${theme.palette.primary.main} !important`,
+                    },
+                    '&.Mui-focused .MuiOutlinedInput-notchedOutline': {
+                      borderColor: `${theme.palette.primary.main} !important`,
+                    },
                   },
-                },
-              }}
-            />
-            <Button
-              variant="contained"
-              color="primary"
-              fullWidth
-              size="large"
-              onClick={handleGenerateGuide}
-              disabled={loading || !decklistInput.trim()}
-              startIcon={loading ? <CircularProgress size={20} color="inherit" /> : null}
-            >
-              {loading ? 'Generating...' : 'Generate Deck Guide'}
-            </Button>
-          </Paper>
-        )}
-        {/* Deck Guide Display Section */}
-        {activeSection === 'guide' && (
-          deckGuide ? (
-            <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mt: 4 }}>
-              <Typography variant="h5" component="h2" sx={{ mb: 3, textAlign: 'center' }}>
-                Deck Guide Analysis
-              </Typography>
-              <Box sx={{ typography: 'body1', lineHeight: 1.7, color: 'text.primary' }}>
-                <ReactMarkdown
-                  components={{
-                    h1: ({node, ...props}) => <Typography variant="h5" sx={{ mt: 4, mb: 2, borderBottom: '1px solid', borderColor: 'divider', pb: 1, color: theme.palette.text.primary }} {...props} />, 
-                    h2: ({node, ...props}) => <Typography variant="h6" sx={{ mt: 3, mb: 1.5, color: theme.palette.text.primary }} {...props} />, 
-                    h3: ({node, ...props}) => <Typography variant="subtitle1" sx={{ mt: 2, mb: 1, fontWeight: 'bold', color: theme.palette.text.primary }} {...props} />, 
-                    p: ({node, ...props}) => <Typography variant="body1" sx={{ mb: 2, color: theme.palette.text.primary }} {...props} />, 
-                    ul: ({node, ...props}) => <Box component="ul" sx={{ pl: 3, mb: 2, '& li': { mb: 0.5, color: theme.palette.text.primary } }} {...props} />, 
-                    ol: ({node, ...props}) => <Box component="ol" sx={{ pl: 3, mb: 2, '& li': { mb: 0.5, color: theme.palette.text.primary } }} {...props} />, 
-                    li: ({node, ...props}) => <Typography variant="body2" component="li" {...props} />, 
-                    strong: ({node, ...props}) => <Box component="strong" sx={{ color: theme.palette.text.primary }} {...props} />, 
-                    em: ({node, ...props}) => <Box component="em" sx={{ fontStyle: 'italic', color: theme.palette.text.secondary }} {...props} />, 
-                    a: ({node, ...props}) => <a style={{ color: theme.palette.primary.main, textDecoration: 'underline' }} target="_blank" rel="noopener noreferrer" {...props} />, 
-                    code: ({node, inline, className, children, ...props}) => {
-                      return (
-                        <Box component="code" sx={{
-                          backgroundColor: 'rgba(0, 0, 0, 0.05)',
-                          color: theme.palette.primary.main,
-                          px: 0.5,
-                          py: 0.2,
-                          borderRadius: 1,
-                          fontSize: '0.85em',
-                        }} {...props}>
-                          {children}
-                        </Box>
-                      );
-                    }
-                  }}
+                }}
+              />
+              <TextField
+                select
+                id="deck-format"
+                label={t('Format')}
+                fullWidth
+                value={deckFormat}
+                onChange={(e) => {
+                  setDeckFormat(e.target.value);
+                  resetGuideJob();
+                }}
+                disabled={loading}
+                helperText={t("The deck is checked against the format's rules before the guide is generated.")}
+                sx={{ mb: 3 }}
+              >
+                <MenuItem value="">{t('No format check')}</MenuItem>
+                {Object.entries(FORMATS).map(([key, format]) => (
+                  <MenuItem key={key} value={key}>{format.label}</MenuItem>
+                ))}
+              </TextField>
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mb: 3 }}>
+                <TextField
+                  select
+                  id="guide-template"
+                  label={t('Guide Template')}
+                  fullWidth
+                  value={guideTemplateId}
+                  onChange={(e) => setGuideTemplateId(e.target.value)}
+                  disabled={loading}
+                  helperText={t('Sections: {sections}', { sections: resolveTemplate(guideTemplateId, deckFormat, customTemplates).sections.map(section => t(section.title)).join(', ') })}
                 >
-                  {deckGuide}
-                </ReactMarkdown>
+                  <MenuItem value="">{t('Automatic ({name})', { name: t(resolveTemplate('', deckFormat).name) })}</MenuItem>
+                  {BUILT_IN_TEMPLATES.map(template => (
+                    <MenuItem key={template.id} value={template.id}>{t(template.name)}</MenuItem>
+                  ))}
+                  {customTemplates.map(template => (
+                    <MenuItem key={template.id} value={template.id}>{template.name}</MenuItem>
+                  ))}
+                </TextField>
+                <Button variant="outlined" onClick={() => setTemplateDialogOpen(true)} disabled={loading} sx={{ mt: 1, flexShrink: 0 }}>
+                  {t('Edit Templates')}
+                </Button>
               </Box>
-              {/* Cards in Deck Display */}
-              {cardData.length > 0 && (
-                <Box sx={{ mt: 6 }}>
-                  <Typography variant="h5" component="h3" sx={{ mb: 3, textAlign: 'center' }}>
-                    Cards in Deck
-                  </Typography>
-                  <Grid container spacing={2} justifyContent="center">
-                    {cardData.map((card) => (
-                      <Grid item xs={12} sm={6} md={4} key={card.uniqueDisplayId}>
-                        <Paper elevation={3} sx={{ p: 2, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%' }}>
-                          {card.image_uris?.small ? (
-                            <Box
-                              component="img"
-                              src={card.image_uris.small}
-                              alt={card.name}
-                              sx={{
-                                width: '100%',
-                                maxWidth: 120,
-                                height: 'auto',
-                                borderRadius: 1,
-                                mb: 1.5,
-                                objectFit: 'contain',
-                              }}
-                              onError={(e) => {
-                                e.target.onerror = null;
-                                // Safely get hex values for placeholder image using theme palette
-                                const bgColor = theme.palette.background.paper.replace('#', '');
-                                const textColor = theme.palette.text.secondary.replace('#', '');
-                                e.target.src = `https://placehold.co/120x168/${bgColor}/${textColor}?text=No+Image`;
-                              }}
-                            />
-                          ) : (
-                            <Box
-                              sx={{
-                                width: '100%',
-                                maxWidth: 120,
-                                height: 168,
-                                backgroundColor: theme.palette.background.paper,
-                                display: 'flex',
-                                alignItems: 'center',
-                                justifyContent: 'center',
-                                color: theme.palette.text.secondary,
-                                fontSize: '0.75rem',
-                                textAlign: 'center',
-                                borderRadius: 1,
-                                mb: 1.5,
-                              }}
-                            >
-                              No Image Available
-                            </Box>
-                          )}
-                          <Typography variant="subtitle1" sx={{ fontWeight: 'bold', textAlign: 'center' }}>
-                            {card.quantity}x {card.name}
-                          </Typography>
-                          <Typography variant="body2" color="text.secondary">
-                            Mana: {card.mana_cost || 'N/A'}
-                          </Typography>
-                          <Typography variant="body2" color="text.secondary">
-                            Type: {card.type_line || 'N/A'}
-                          </Typography>
-                        </Paper>
-                      </Grid>
-                    ))}
-                  </Grid>
-                </Box>
+              <TextField
+                select
+                id="guide-language"
+                label={t('Guide Language')}
+                fullWidth
+                value={guideLanguage}
+                onChange={(e) => {
+                  setGuideLanguage(e.target.value);
+                  saveGuideLanguage(e.target.value);
+                }}
+                disabled={loading}
+                helperText={t('Card names stay in English, as on the Oracle cards.')}
+                sx={{ mb: 3 }}
+              >
+                <MenuItem value="">{t('Same as the app ({language})', { language: LANGUAGES[language].label })}</MenuItem>
+                {Object.entries(GUIDE_LANGUAGES).map(([key, guideLanguageOption]) => (
+                  <MenuItem key={key} value={key}>{guideLanguageOption.label}</MenuItem>
+                ))}
+              </TextField>
+              <Button
+                variant="contained"
+                color="primary"
+                fullWidth
+                size="large"
+                onClick={handleGenerateGuide}
+                disabled={loading || !decklistInput.trim()}
+                startIcon={loading ? <CircularProgress size={20} color="inherit" /> : null}
+              >
+                {loading ? t('Generating...') : t('Generate Deck Guide')}
+              </Button>
+              {validationIssues.length > 0 && (
+                <ValidationIssues
+                  issues={validationIssues}
+                  formatLabel={FORMATS[deckFormat]?.label}
+                  onGenerateAnyway={handleGenerateAnyway}
+                  disabled={loading}
+                />
+              )}
+              {unresolvedCards.length > 0 && (
+                <UnresolvedCardsFixer
+                  key={unresolvedCards.map(item => item.name).join('|')} // Reset corrections for each new round
+                  unresolved={unresolvedCards}
+                  resolvedCount={cardData.length}
+                  onContinue={handleContinueWithCorrections}
+                  offline={offlineMode}
+                  disabled={loading}
+                />
+              )}
+              {!loading && (guideJob?.status === 'failed' || guideJob?.status === 'cancelled') && (
+                <Alert
+                  severity={guideJob.status === 'failed' ? 'error' : 'info'}
+                  sx={{ mt: 3 }}
+                  action={(
+                    <Button color="inherit" size="small" onClick={handleRetryGuide}>
+                      {guideJob.status === 'failed' ? t('Retry') : t('Resume')}
+                    </Button>
+                  )}
+                >
+                  {guideJob.status === 'failed'
+                    ? t('{stage} failed: {error}', { stage: t(STAGE_LABELS[guideJob.stage]), error: localize(t, guideJob.error) })
+                    : t('Stopped at "{stage}".', { stage: t(STAGE_LABELS[guideJob.stage]) })}
+                  {' '}
+                  {t('Steps that already finished are not repeated.')}
+                </Alert>
               )}
             </Paper>
-          ) : (
-            <Paper elevation={3} sx={{ p: { xs: 3, sm: 4 }, mt: 4, textAlign: 'center' }}>
-              <Typography variant="h6" color="text.secondary">
-                No deck guide generated yet. Please import a deck and generate a guide first.
-              </Typography>
-            </Paper>
-          )
-        )}
-
-        {/* Loading Overlay */}
-        <Backdrop
-          sx={{
-            color: '#fff',
-            zIndex: (theme) => theme.zIndex.drawer + 1,
-            backgroundColor: 'rgba(0, 0, 0, 0.7)',
-            display: 'flex',
-            flexDirection: 'column',
-            alignItems: 'center',
-            justifyContent: 'center',
-            textAlign: 'center',
-            p: 3,
-          }}
-          open={loading}
-        >
-          <CircularProgress color="inherit" size={60} sx={{ mb: 3 }} />
-          <Typography variant="h5" component="p" color="white" sx={{ mb: 2, fontWeight: 'bold' }}>
-            Summoning Insights...
-          </Typography>
-          {currentQuote && (
-            <Typography variant="h6" component="p" color="white" sx={{ maxWidth: '80%', fontStyle: 'italic' }}>
-              {currentQuote}
-            </Typography>
           )}
-        </Backdrop>
-
-        {/* Error Snackbar */}
-        <Snackbar
-          open={snackbarOpen}
-          autoHideDuration={6000}
-          onClose={handleSnackbarClose}
-          anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
-        >
-          <Alert onClose={handleSnackbarClose} severity="error" sx={{ width: '100%' }}>
-            {error}
-          </Alert>
-        </Snackbar>
-      </Container>
+          {/* Deck Guide Display Section */}
+          {activeSection === 'guide' && (
+            deckGuide ? (
+              <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mt: 4 }}>
+                <Typography variant="h5" component="h2" sx={{ mb: 3, textAlign: 'center' }}>
+                  {t('Deck Guide Analysis')}
+                </Typography>
+                {guideStreaming ? (
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                    <Box sx={{ flexGrow: 1 }}>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
+                        {t('Writing your guide...')}
+                      </Typography>
+                      <LinearProgress />
+                    </Box>
+                    <Button variant="outlined" onClick={handleCancel}>{t('Cancel')}</Button>
+                  </Box>
+                ) : (
+                  <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 1, mb: 2 }}>
+                    {libraryDeck && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mr: 'auto' }}>
+                        {t('Library: {name}', { name: libraryDeck.name })}
+                      </Typography>
+                    )}
+                    <Button variant="outlined" size="small" startIcon={<SaveIcon />} onClick={() => setSaveDialogOpen(true)}>
+                      {t('Save to Library')}
+                    </Button>
+                    <Button variant="outlined" size="small" startIcon={<ShareIcon />} onClick={() => setShareDialogOpen(true)}>
+                      {t('Share')}
+                    </Button>
+                    <PrintMenu
+                      cards={cardData}
+                      guide={deckGuide}
+                      formatKey={deckFormat}
+                      deckName={libraryDeck?.name}
+                      onError={showError}
+                    />
+                    <ExportMenu cards={cardData} guide={deckGuide} />
+                  </Box>
+                )}
+                <Box sx={{ typography: 'body1', lineHeight: 1.7, color: 'text.primary' }}>
+                  {guideStreaming ? (
+                    <GuideMarkdown cards={cardData}>{deckGuide}</GuideMarkdown>
+                  ) : (
+                    <GuideSections
+                      guide={deckGuide}
+                      cards={cardData}
+                      regeneratingIndex={regeneratingSection}
+                      onRegenerate={handleRegenerateSection}
+                      onCancel={() => sectionAbortControllerRef.current?.abort()}
+                      disabled={loading || pendingQuestion !== null}
+                    />
+                  )}
+                </Box>
+                {!guideStreaming && (
+                  <GuideChat
+                    messages={guideChat}
+                    cards={cardData}
+                    pendingQuestion={pendingQuestion}
+                    reply={chatReply}
+                    onAsk={handleAskFollowUp}
+                    onCancel={() => chatAbortControllerRef.current?.abort()}
+                    disabled={loading || regeneratingSection !== null}
+                  />
+                )}
+                {/* Cards in Deck Display */}
+                {cardData.length > 0 && (
+                  <Box sx={{ mt: 6 }}>
+                    <Typography variant="h5" component="h3" sx={{ mb: 3, textAlign: 'center' }}>
+                      {t('Cards in Deck')}
+                    </Typography>
+                    <DeckView cards={cardData} />
+                  </Box>
+                )}
+              </Paper>
+            ) : (
+              <Paper elevation={3} sx={{ p: { xs: 3, sm: 4 }, mt: 4, textAlign: 'center' }}>
+                <Typography variant="h6" color="text.secondary">
+                  {t('No deck guide generated yet. Please import a deck and generate a guide first.')}
+                </Typography>
+              </Paper>
+            )
+          )}
+          {/* Deck Statistics Section */}
+          {activeSection === 'stats' && (
+            cardData.length > 0 ? (
+              <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mt: 4 }}>
+                <Typography variant="h5" component="h2" sx={{ mb: 3, textAlign: 'center' }}>
+                  {t('Deck Statistics')}
+                </Typography>
+                <DeckStatistics cards={cardData} />
+                <Typography variant="h5" component="h3" sx={{ mt: 6, mb: 3, textAlign: 'center' }}>
+                  {t('Draw Probabilities')}
+                </Typography>
+                <ProbabilityPanel cards={cardData} />
+                <Typography variant="h5" component="h3" sx={{ mt: 6, mb: 3, textAlign: 'center' }}>
+                  {t('Prices')}
+                </Typography>
+                <PricingPanel
+                  cards={cardData}
+                  offline={offlineMode}
+                  budgetSuggestions={budgetSuggestions}
+                  onSuggestBudget={handleSuggestBudget}
+                  disabled={loading}
+                />
+              </Paper>
+            ) : (
+              <Paper elevation={3} sx={{ p: { xs: 3, sm: 4 }, mt: 4, textAlign: 'center' }}>
+                <Typography variant="h6" color="text.secondary">
+                  {t('No deck loaded yet. Please import a deck first.')}
+                </Typography>
+              </Paper>
+            )
+          )}
+
+          {/* Sideboard Guide Section */}
+          {activeSection === 'sideboard' && (
+            <SideboardGuide
+              cards={cardData}
+              matchups={matchups}
+              onMatchupsChange={(next) => {
+                setMatchups(next);
+                saveMatchups(next);
+              }}
+              plan={sideboardPlan}
+              onGenerate={handleGenerateSideboardGuide}
+              disabled={loading}
+            />
+          )}
+
+          {/* Deck Comparison Section */}
+          {activeSection === 'compare' && (
+            <DeckComparison
+              lists={compareLists}
+              onListsChange={setCompareLists}
+              currentDecklist={decklistInput}
+              comparison={comparison}
+              onCompare={handleCompareDecks}
+              streaming={guideStreaming}
+              onCancel={handleCancel}
+              disabled={loading}
+            />
+          )}
+
+          {/* Collection Section */}
+          {activeSection === 'collection' && (
+            <CollectionPanel
+              decklist={decklistInput}
+              cards={cardData}
+              onError={showError}
+              disabled={loading}
+            />
+          )}
+
+          {/* Deck Library Section */}
+          {activeSection === 'library' && (
+            <DeckLibrary
+              refreshKey={libraryRefreshKey}
+              onOpen={handleOpenRevision}
+              onError={showError}
+              disabled={loading}
+            />
+          )}
+
+          {/* Loading Overlay */}
+          <Backdrop
+            sx={{
+              color: '#fff',
+              zIndex: (theme) => theme.zIndex.drawer + 1,
+              backgroundColor: 'rgba(0, 0, 0, 0.7)',
+              display: 'flex',
+              flexDirection: 'column',
+              alignItems: 'center',
+              justifyContent: 'center',
+              textAlign: 'center',
+              p: 3,
+            }}
+            open={loading && !guideStreaming}
+          >
+            <CircularProgress color="inherit" size={60} sx={{ mb: 3 }} />
+            <Typography variant="h5" component="p" color="white" sx={{ mb: 2, fontWeight: 'bold' }}>
+              {t('Summoning Insights...')}
+            </Typography>
+            {guideJob?.status === 'running' && <GuideJobProgress job={guideJob} />}
+            {currentQuote && (
+              <Typography variant="h6" component="p" color="white" sx={{ maxWidth: '80%', fontStyle: 'italic' }}>
+                {t(currentQuote)}
+              </Typography>
+            )}
+            <Button variant="outlined" color="inherit" onClick={handleCancel} sx={{ mt: 4 }}>
+              {t('Cancel')}
+            </Button>
+          </Backdrop>
+
+          {/* AI Provider and Card Data Settings */}
+          <SettingsDialog
+            open={settingsOpen}
+            settings={llmSettings}
+            offline={offlineMode}
+            onLanguageChange={(nextLanguage) => {
+              setLanguage(nextLanguage);
+              saveLanguage(nextLanguage);
+            }}
+            onOfflineChange={(offline) => {
+              setOfflineMode(offline);
+              saveOfflineMode(offline);
+            }}
+            onError={showError}
+            onClose={() => setSettingsOpen(false)}
+            onSave={(settings) => {
+              setLlmSettings(settings);
+              saveLlmSettings(settings);
+              setSettingsOpen(false);
+            }}
+          />
+
+          <TemplateDialog
+            open={templateDialogOpen}
+            templates={customTemplates}
+            onClose={() => setTemplateDialogOpen(false)}
+            onSave={(templates) => {
+              setCustomTemplates(templates);
+              saveCustomTemplates(templates);
+              // A deleted template falls back to the automatic choice
+              if (![...BUILT_IN_TEMPLATES, ...templates].some(template => template.id === guideTemplateId)) {
+                setGuideTemplateId('');
+              }
+              setTemplateDialogOpen(false);
+            }}
+          />
+
+          <SaveDeckDialog
+            open={saveDialogOpen}
+            libraryDeck={libraryDeck}
+            formatLabel={FORMATS[deckFormat]?.label}
+            onClose={() => setSaveDialogOpen(false)}
+            onSave={handleSaveDeck}
+          />
+
+          <ShareDialog
+            open={shareDialogOpen}
+            decklist={decklistInput}
+            format={deckFormat}
+            guide={deckGuide}
+            onClose={() => setShareDialogOpen(false)}
+          />
+
+          {/* Error Snackbar */}
+          <Snackbar
+            open={snackbarOpen}
+            autoHideDuration={6000}
+            onClose={handleSnackbarClose}
+            anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+          >
+            <Alert onClose={handleSnackbarClose} severity="error" sx={{ width: '100%' }}>
+              {error}
+            </Alert>
+          </Snackbar>
+        </Container>
+      </I18nContext.Provider>
     </ThemeProvider>
   );
 }
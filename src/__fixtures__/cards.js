@@ -0,0 +1,138 @@
+// Trimmed Scryfall card objects for unit tests
+const legal = (formats) => Object.fromEntries(
+  ['standard', 'pioneer', 'modern', 'legacy', 'vintage', 'commander', 'pauper']
+    .map(format => [format, formats.includes(format) ? 'legal' : 'not_legal'])
+);
+
+export const lightningBolt = {
+  id: 'bolt',
+  name: 'Lightning Bolt',
+  set: 'm11',
+  collector_number: '146',
+  mana_cost: '{R}',
+  cmc: 1,
+  type_line: 'Instant',
+  oracle_text: 'Lightning Bolt deals 3 damage to any target.',
+  colors: ['R'],
+  color_identity: ['R'],
+  legalities: legal(['modern', 'legacy', 'vintage', 'commander', 'pauper']),
+  prices: { usd: '1.50', eur: '1.20', tix: '0.05' },
+};
+
+export const goblinGuide = {
+  id: 'guide',
+  name: 'Goblin Guide',
+  set: 'zen',
+  collector_number: '126',
+  mana_cost: '{R}',
+  cmc: 1,
+  type_line: 'Creature — Goblin Scout',
+  colors: ['R'],
+  color_identity: ['R'],
+  legalities: legal(['modern', 'legacy', 'vintage', 'commander']),
+  prices: { usd: '3.00', eur: '2.50', tix: '0.10' },
+};
+
+export const borosCharm = {
+  id: 'charm',
+  name: 'Boros Charm',
+  set: 'gtc',
+  collector_number: '148',
+  mana_cost: '{R}{W}',
+  cmc: 2,
+  type_line: 'Instant',
+  colors: ['R', 'W'],
+  color_identity: ['R', 'W'],
+  legalities: legal(['pioneer', 'modern', 'legacy', 'vintage', 'commander']),
+  prices: { usd: '0.50', eur: '0.40', tix: '0.02' },
+};
+
+export const needlevergePathway = {
+  id: 'pathway',
+  name: 'Needleverge Pathway // Pillarverge Pathway',
+  layout: 'modal_dfc',
+  set: 'znr',
+  collector_number: '263',
+  cmc: 0,
+  type_line: 'Land // Land',
+  color_identity: ['R', 'W'],
+  produced_mana: ['R', 'W'],
+  card_faces: [
+    { name: 'Needleverge Pathway', type_line: 'Land', mana_cost: '', image_uris: { small: 'front-small', normal: 'front-normal' } },
+    { name: 'Pillarverge Pathway', type_line: 'Land', mana_cost: '', image_uris: { small: 'back-small', normal: 'back-normal' } },
+  ],
+  legalities: legal(['standard', 'pioneer', 'modern', 'legacy', 'vintage', 'commander']),
+  prices: { usd: '5.00', eur: '4.00', tix: '1.00' },
+};
+
+export const mountain = {
+  id: 'mountain',
+  name: 'Mountain',
+  set: 'm21',
+  collector_number: '272',
+  mana_cost: '',
+  cmc: 0,
+  type_line: 'Basic Land — Mountain',
+  color_identity: ['R'],
+  produced_mana: ['R'],
+  legalities: legal(['standard', 'pioneer', 'modern', 'legacy', 'vintage', 'commander', 'pauper']),
+  prices: { usd: '0.10', eur: '0.05', tix: '0.01' },
+};
+
+export const emrakul = {
+  id: 'emrakul',
+  name: 'Emrakul, the Aeons Torn',
+  set: 'roe',
+  collector_number: '4',
+  mana_cost: '{15}',
+  cmc: 15,
+  type_line: 'Legendary Creature — Eldrazi',
+  colors: [],
+  color_identity: [],
+  legalities: { ...legal(['legacy', 'vintage']), modern: 'banned', commander: 'banned' },
+  prices: { usd: '20.00', eur: '18.00', tix: '2.00' },
+};
+
+export const kitesailFreebooter = {
+  id: 'freebooter',
+  name: 'Kitesail Freebooter',
+  set: 'xln',
+  collector_number: '110',
+  mana_cost: '{1}{B}',
+  cmc: 2,
+  type_line: 'Artifact Creature — Human Pirate',
+  colors: ['B'],
+  color_identity: ['B'],
+  legalities: legal(['pioneer', 'modern', 'legacy', 'vintage', 'commander']),
+  prices: { usd: '0.25', eur: '0.20', tix: '0.03' },
+};
+
+export const manamorphose = {
+  id: 'manamorphose',
+  name: 'Manamorphose',
+  set: 'shm',
+  collector_number: '211',
+  mana_cost: '{1}{R/G}',
+  cmc: 2,
+  type_line: 'Instant',
+  colors: ['R', 'G'],
+  color_identity: ['R', 'G'],
+  produced_mana: ['W', 'U', 'B', 'R', 'G'],
+  legalities: legal(['modern', 'legacy', 'vintage', 'commander', 'pauper']),
+  prices: { usd: '0.75', eur: '0.60', tix: '0.02' },
+};
+
+// Attach quantity and zone the way fetchCardData does
+export const inDeck = (card, quantity, zone = 'main') => ({ ...card, quantity, zone, uniqueDisplayId: `${card.id}-${zone}` });
+
+// A 60-card red deck with a two-card sideboard
+export const burnDeck = [
+  inDeck(lightningBolt, 4),
+  inDeck(goblinGuide, 4),
+  inDeck(borosCharm, 4),
+  inDeck(manamorphose, 4),
+  inDeck(needlevergePathway, 4),
+  inDeck(mountain, 39),
+  inDeck(emrakul, 1),
+  inDeck(kitesailFreebooter, 2, 'side'),
+];
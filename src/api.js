@@ -0,0 +1,3 @@
+// Base URL of our API proxy (server/). Defaults to the same origin; in development
+// the "proxy" field in package.json forwards /api to the server on port 3001.
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || '/api';
@@ -0,0 +1,162 @@
+// Budget mode: cheaper functional replacements for expensive cards, suggested by the model and
+// checked against Scryfall, the deck's color identity and the format before they are shown
+import { cardKeys, normalizeName } from './cardKeys';
+import { EXPERT_INTRO, formatLineFor, languageLineFor, deckContext } from './guidePrompt';
+import { extractJsonObject } from './jsonAnswer';
+import { cardPrice, formatPrice } from './pricing';
+import { COLORS } from './deckStats';
+import { FORMATS } from './validation';
+import { translatable, userError } from './i18n';
+
+export const MAX_SUGGESTIONS_PER_CARD = 3;
+
+export const BUDGET_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    replacements: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          card: { type: 'STRING', description: 'The expensive card, as named in the list' },
+          suggestions: {
+            type: 'ARRAY',
+            items: {
+              type: 'OBJECT',
+              properties: {
+                name: { type: 'STRING', description: 'Exact English name of the cheaper card' },
+                reason: { type: 'STRING', description: 'What the card does in place of the expensive one' },
+              },
+              required: ['name', 'reason'],
+            },
+          },
+        },
+        required: ['card', 'suggestions'],
+      },
+    },
+  },
+  required: ['replacements'],
+};
+
+// Distinct cards priced above the threshold, most expensive first
+export const expensiveCards = (cards, currency, threshold) => {
+  const byName = new Map();
+  cards.forEach(card => {
+    const price = cardPrice(card, currency);
+    if (price !== null && price > threshold && !byName.has(card.name)) {
+      byName.set(card.name, { card, price });
+    }
+  });
+  return [...byName.values()].sort((a, b) => b.price - a.price);
+};
+
+// Color identity replacements must stay within: the commanders' for Commander decks, otherwise the deck's
+export const deckColorIdentity = (cards) => {
+  const commanders = cards.filter(card => card.zone === 'commander');
+  const identity = new Set((commanders.length > 0 ? commanders : cards).flatMap(card => card.color_identity || []));
+  return COLORS.filter(color => identity.has(color));
+};
+
+export const buildBudgetPrompt = (cards, formatKey, expensive, currency, language = 'en') => `
+  ${EXPERT_INTRO}
+  ${formatLineFor(formatKey)}
+  ${languageLineFor(language)}
+  The owner of the deck below wants to build it on a budget. For each of these expensive cards,
+  suggest up to ${MAX_SUGGESTIONS_PER_CARD} cheaper cards that fill the same role in this deck:
+${expensive.map(({ card, price }) => `  - ${card.name} (${formatPrice(price, currency)})`).join('\n')}
+
+  Rules:
+  - Only suggest real cards that are legal in the format and fit the deck's color identity (${deckColorIdentity(cards).join('') || 'colorless'}).
+  - Prefer cards that are much cheaper and explain briefly what the replacement gives up.
+  - Do not suggest cards that are already in the deck.
+
+  Respond with JSON only, without any other text, in exactly this shape:
+  {"replacements": [{"card": "<expensive card>", "suggestions": [{"name": "<card name>", "reason": "<1-2 sentences>"}]}]}
+${deckContext(cards)}`;
+
+export const parseBudgetAnswer = (text) => {
+  let data;
+  try {
+    data = extractJsonObject(text);
+  } catch (error) {
+    throw userError('The AI returned budget suggestions that are not valid JSON.');
+  }
+  if (!Array.isArray(data?.replacements)) {
+    throw userError('The AI did not return budget suggestions.');
+  }
+  return data.replacements;
+};
+
+// Why a resolved suggestion cannot replace the original card (see translatable), or null if it can
+const rejectionReason = (card, original, { identity, formatKey, currency, deckNames }) => {
+  const outside = (card.color_identity || []).filter(color => !identity.includes(color));
+  if (outside.length > 0) {
+    return translatable("outside the deck's color identity ({colors})", { colors: outside.join('') });
+  }
+  if (deckNames.has(normalizeName(card.name))) {
+    return translatable('already in the deck');
+  }
+  if (formatKey && !FORMATS[formatKey].skipLegality && card.legalities?.[formatKey] !== 'legal') {
+    return translatable('not legal in {format}', { format: FORMATS[formatKey].label });
+  }
+  const price = cardPrice(card, currency);
+  if (price !== null && price >= original.price) {
+    return translatable('not cheaper');
+  }
+  return null;
+};
+
+// Check the model's replacements. resolve(names) looks the names up on Scryfall and returns
+// { cards, unresolved } like fetchCardData, with each card's uniqueDisplayId set to the name asked for.
+// A suggestion whose name only loosely matches the card found is rejected as not found.
+// Returns one entry per expensive card: { card, price, suggestions: [{ card, reason, price }],
+// rejected: [{ name, reason }] }.
+export const checkBudgetSuggestions = async (replacements, resolve, { cards, expensive, formatKey, currency }) => {
+  const wanted = new Map(expensive.map(entry => [normalizeName(entry.card.name), { ...entry, proposals: [] }]));
+  replacements.forEach(replacement => {
+    const entry = wanted.get(normalizeName(String(replacement?.card || '')));
+    (Array.isArray(replacement?.suggestions) ? replacement.suggestions : [])
+      .filter(suggestion => typeof suggestion?.name === 'string' && suggestion.name.trim())
+      .slice(0, MAX_SUGGESTIONS_PER_CARD)
+      .forEach(suggestion => entry?.proposals.push({ name: suggestion.name.trim(), reason: String(suggestion.reason || '') }));
+  });
+
+  const names = [...new Set([...wanted.values()].flatMap(entry => entry.proposals.map(proposal => proposal.name)))];
+  const { cards: found } = names.length > 0 ? await resolve(names) : { cards: [] };
+  const resolved = new Map(found.map(card => [card.uniqueDisplayId, card]));
+
+  const context = {
+    identity: deckColorIdentity(cards),
+    formatKey,
+    currency,
+    deckNames: new Set(cards.map(card => normalizeName(card.name))),
+  };
+  return [...wanted.values()].map(({ card, price, proposals }) => {
+    const suggestions = [];
+    const rejected = [];
+    proposals.forEach(({ name, reason }) => {
+      // The lookup falls back to Scryfall's fuzzy search, which turns an invented name into some
+      // real card; only the card itself or one of its faces counts as the suggested card
+      const match = resolved.get(name);
+      const suggested = match && cardKeys(match).includes(normalizeName(name)) ? match : null;
+      const rejection = suggested ? rejectionReason(suggested, { price }, context) : translatable('not found on Scryfall');
+      if (rejection) {
+        rejected.push({ name, reason: rejection });
+      } else {
+        suggestions.push({ card: suggested, reason, price: cardPrice(suggested, currency) });
+      }
+    });
+    return { card, price, suggestions, rejected };
+  });
+};
+
+// Ask for and check replacements for the cards above the threshold. generate(messages) returns
+// the model's answer text, resolve(names) looks names up as for checkBudgetSuggestions.
+export const suggestBudgetAlternatives = async (generate, resolve, cards, formatKey, { currency, threshold, language }) => {
+  const expensive = expensiveCards(cards, currency, threshold);
+  if (expensive.length === 0) {
+    return [];
+  }
+  const answer = await generate([{ role: 'user', content: buildBudgetPrompt(cards, formatKey, expensive, currency, language) }]);
+  return checkBudgetSuggestions(parseBudgetAnswer(answer), resolve, { cards, expensive, formatKey, currency });
+};
@@ -0,0 +1,119 @@
+import {
+  expensiveCards,
+  deckColorIdentity,
+  buildBudgetPrompt,
+  checkBudgetSuggestions,
+  suggestBudgetAlternatives,
+} from './budget';
+import { burnDeck, emrakul, lightningBolt } from './__fixtures__/cards';
+
+const rejections = (rejected) => rejected.map(({ name, reason }) => ({ name, reason: reason.message }));
+
+const legalIn = (formats) => Object.fromEntries(formats.map(format => [format, 'legal']));
+
+// Scryfall stand-in: resolves the names it knows, like fetchCardData does, including a fuzzy match
+const scryfallCards = {
+  Shock: { name: 'Shock', color_identity: ['R'], legalities: legalIn(['modern']), prices: { usd: '0.10' } },
+  Counterspell: { name: 'Counterspell', color_identity: ['U'], legalities: legalIn(['modern']), prices: { usd: '1.00' } },
+  'Lightning Bolt': lightningBolt,
+  'Sacred Foundry': { name: 'Sacred Foundry', color_identity: ['R', 'W'], legalities: legalIn(['modern']), prices: { usd: '15.00' } },
+  'Black Lotus': { name: 'Black Lotus', color_identity: [], legalities: {}, prices: { usd: '0.50' } },
+  Rugged: { name: 'Rugged Prairie', color_identity: ['R', 'W'], legalities: legalIn(['modern']), prices: { usd: '2.00' } },
+  'rugged  prairie': { name: 'Rugged Prairie', color_identity: ['R', 'W'], legalities: legalIn(['modern']), prices: { usd: '2.00' } },
+};
+const resolve = async (names) => ({
+  cards: names.filter(name => scryfallCards[name]).map(name => ({ ...scryfallCards[name], quantity: 1, uniqueDisplayId: name })),
+  unresolved: names.filter(name => !scryfallCards[name]).map(name => ({ name })),
+});
+
+const answer = {
+  replacements: [
+    {
+      card: 'Emrakul, the Aeons Torn',
+      suggestions: [
+        { name: 'Shock', reason: 'Cheap reach.' },
+        { name: 'Counterspell', reason: 'Blue.' },
+        { name: 'Not A Card', reason: 'Invented.' },
+        { name: 'Lightning Bolt', reason: 'Already played.' },
+      ],
+    },
+    {
+      card: 'needleverge pathway // pillarverge pathway',
+      suggestions: [
+        { name: 'Sacred Foundry', reason: 'Shock land.' },
+        { name: 'Black Lotus', reason: 'Mana.' },
+        { name: 'Rugged', reason: 'Filter land.' },
+      ],
+    },
+    { card: 'Some Other Card', suggestions: [{ name: 'Shock', reason: 'Not asked for.' }] },
+  ],
+};
+
+test('finds the distinct cards above the threshold, most expensive first', () => {
+  expect(expensiveCards(burnDeck, 'usd', 4).map(({ card, price }) => [card.name, price])).toEqual([
+    ['Emrakul, the Aeons Torn', 20],
+    ['Needleverge Pathway // Pillarverge Pathway', 5],
+  ]);
+  expect(expensiveCards(burnDeck, 'usd', 100)).toEqual([]);
+});
+
+test('replacements stay within the commander identity, or the whole deck for other formats', () => {
+  expect(deckColorIdentity(burnDeck)).toEqual(['W', 'B', 'R', 'G']);
+  expect(deckColorIdentity([...burnDeck, { ...emrakul, zone: 'commander' }])).toEqual([]);
+  expect(buildBudgetPrompt(burnDeck, 'modern', expensiveCards(burnDeck, 'usd', 4), 'usd'))
+    .toContain('  - Emrakul, the Aeons Torn ($20.00)\n  - Needleverge Pathway // Pillarverge Pathway ($5.00)');
+});
+
+test('keeps only suggestions that exist, fit the deck and are cheaper', async () => {
+  const lookup = jest.fn(resolve);
+  const entries = await checkBudgetSuggestions(answer.replacements, lookup, {
+    cards: burnDeck,
+    expensive: expensiveCards(burnDeck, 'usd', 4),
+    formatKey: 'modern',
+    currency: 'usd',
+  });
+
+  expect(entries.map(entry => [entry.card.name, entry.suggestions.map(suggestion => [suggestion.card.name, suggestion.price])])).toEqual([
+    ['Emrakul, the Aeons Torn', [['Shock', 0.1]]],
+    ['Needleverge Pathway // Pillarverge Pathway', []],
+  ]);
+  // Lightning Bolt is over the limit of suggestions per card
+  expect(rejections(entries[0].rejected)).toEqual([
+    { name: 'Counterspell', reason: "outside the deck's color identity (U)" },
+    { name: 'Not A Card', reason: 'not found on Scryfall' },
+  ]);
+  expect(rejections(entries[1].rejected)).toEqual([
+    { name: 'Sacred Foundry', reason: 'not cheaper' },
+    { name: 'Black Lotus', reason: 'not legal in Modern' },
+    { name: 'Rugged', reason: 'not found on Scryfall' },
+  ]);
+  expect(lookup).toHaveBeenCalledTimes(1);
+
+  const [inDeck] = await checkBudgetSuggestions([{ card: 'Emrakul, the Aeons Torn', suggestions: [{ name: 'Lightning Bolt' }] }], resolve, {
+    cards: burnDeck,
+    expensive: expensiveCards(burnDeck, 'usd', 10),
+    formatKey: 'modern',
+    currency: 'usd',
+  });
+  expect(rejections(inDeck.rejected)).toEqual([{ name: 'Lightning Bolt', reason: 'already in the deck' }]);
+
+  // Names differing only in case and spacing are the card itself
+  const [exact] = await checkBudgetSuggestions([{ card: 'Emrakul, the Aeons Torn', suggestions: [{ name: 'rugged  prairie' }] }], resolve, {
+    cards: burnDeck,
+    expensive: expensiveCards(burnDeck, 'usd', 10),
+    formatKey: 'modern',
+    currency: 'usd',
+  });
+  expect(exact.suggestions.map(suggestion => suggestion.card.name)).toEqual(['Rugged Prairie']);
+});
+
+test('only asks the model when cards are above the threshold', async () => {
+  const generate = jest.fn(async () => JSON.stringify(answer));
+  expect(await suggestBudgetAlternatives(generate, resolve, burnDeck, 'modern', { currency: 'usd', threshold: 50 })).toEqual([]);
+  expect(generate).not.toHaveBeenCalled();
+
+  const entries = await suggestBudgetAlternatives(generate, resolve, burnDeck, 'modern', { currency: 'usd', threshold: 10 });
+  expect(entries.map(entry => entry.card.name)).toEqual(['Emrakul, the Aeons Torn']);
+  await expect(suggestBudgetAlternatives(async () => 'Sorry.', resolve, burnDeck, 'modern', { currency: 'usd', threshold: 10 }))
+    .rejects.toThrow('did not return budget suggestions');
+});
@@ -0,0 +1,134 @@
+// IndexedDB cache of Scryfall card objects under fetchCardData, and the offline bulk-data mode.
+// Records: { id, keys, card, fetchedAt, source } where keys are the card's lookup keys (see cardKeys)
+// and source is 'api' for cards fetched from Scryfall or 'bulk' for an imported bulk-data file.
+import { withStores, promisifyRequest, isDatabaseAvailable } from './db';
+import { cardKeys, normalizeName } from './cardKeys';
+import { userError } from './i18n';
+
+// Cards fetched from Scryfall are looked up again after a week; bulk-data cards never expire
+export const CARD_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const BULK_IMPORT_BATCH_SIZE = 1000;
+const OFFLINE_MODE_STORAGE_KEY = 'mtg-deck-guide.offlineMode';
+
+// Bulk-data entries that are not deck cards and would shadow real card names
+const NON_DECK_LAYOUTS = ['art_series', 'token', 'double_faced_token', 'emblem', 'vanguard', 'planar', 'scheme'];
+
+// Scryfall fields the app never reads; dropping them keeps bulk imports manageable. Check before
+// adding a field here: the .dek export reads mtgo_id and the printings lookup prints_search_uri.
+const UNUSED_FIELDS = [
+  'all_parts', 'related_uris', 'multiverse_ids', 'mtgo_foil_id', 'tcgplayer_id', 'tcgplayer_etched_id',
+  'cardmarket_id', 'arena_id', 'preview', 'artist_ids', 'illustration_id', 'card_back_id',
+  'rulings_uri', 'scryfall_set_uri', 'set_search_uri', 'set_uri', 'uri',
+];
+
+export const isFresh = (record, now = Date.now()) => record.source === 'bulk' || now - record.fetchedAt < CARD_CACHE_TTL_MS;
+
+export const slimCard = (card) => {
+  const slim = { ...card };
+  UNUSED_FIELDS.forEach(field => delete slim[field]);
+  return slim;
+};
+
+const toRecord = (card, source, now) => ({ id: card.id, keys: cardKeys(card), card: slimCard(card), fetchedAt: now, source });
+
+// Look up cards by key. Returns a Map of key -> card for cards that are still fresh,
+// or for every cached card with includeStale (offline mode).
+export const getCachedCards = async (keys, { includeStale = false } = {}) => {
+  const found = new Map();
+  if (!isDatabaseAvailable() || keys.length === 0) {
+    return found;
+  }
+  const now = Date.now();
+  const records = await withStores(['cards'], 'readonly',
+    store => Promise.all(keys.map(key => promisifyRequest(store.index('keys').get(key)))));
+  records.forEach((record, i) => {
+    if (record && (includeStale || isFresh(record, now))) {
+      found.set(keys[i], record.card);
+    }
+  });
+  return found;
+};
+
+// Store cards fetched from Scryfall. Cards without an id (test doubles) are skipped.
+export const putCards = async (cards, source = 'api') => {
+  const records = cards.filter(card => card.id).map(card => toRecord(card, source, Date.now()));
+  if (!isDatabaseAvailable() || records.length === 0) {
+    return;
+  }
+  await withStores(['cards'], 'readwrite', store => {
+    records.forEach(record => store.put(record));
+  });
+};
+
+// Card names starting with the given text, for suggestions while offline
+export const searchCachedNames = async (query, limit = 20) => {
+  const prefix = normalizeName(query);
+  if (!isDatabaseAvailable() || !prefix) {
+    return [];
+  }
+  const records = await withStores(['cards'], 'readonly',
+    store => promisifyRequest(store.index('keys').getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`), limit * 5)));
+  return [...new Set(records.map(record => record.card.name))].slice(0, limit);
+};
+
+// Parse a Scryfall bulk-data file (Oracle Cards or Default Cards) into the cards worth caching
+export const parseBulkData = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw userError('The bulk-data file is not valid JSON.');
+  }
+  if (!Array.isArray(data) || !data.some(card => card?.object === 'card')) {
+    throw userError('This is not a Scryfall bulk-data file (expected a JSON array of cards).');
+  }
+  return data.filter(card => card?.object === 'card' && card.name && !NON_DECK_LAYOUTS.includes(card.layout));
+};
+
+// Replace the imported bulk data with the given cards, in batches so progress can be shown
+export const importBulkData = async (cards, { onProgress = () => {} } = {}) => {
+  await clearCardCache('bulk');
+  const now = Date.now();
+  for (let i = 0; i < cards.length; i += BULK_IMPORT_BATCH_SIZE) {
+    const batch = cards.slice(i, i + BULK_IMPORT_BATCH_SIZE).map(card => toRecord(card, 'bulk', now));
+    await withStores(['cards'], 'readwrite', store => {
+      batch.forEach(record => store.put(record));
+    });
+    onProgress(Math.min(i + BULK_IMPORT_BATCH_SIZE, cards.length), cards.length);
+  }
+  return cards.length;
+};
+
+// Number of cached cards per source: { api, bulk }
+export const countCachedCards = async () => {
+  if (!isDatabaseAvailable()) {
+    return { api: 0, bulk: 0 };
+  }
+  const [api, bulk] = await withStores(['cards'], 'readonly', store => Promise.all([
+    promisifyRequest(store.index('source').count('api')),
+    promisifyRequest(store.index('source').count('bulk')),
+  ]));
+  return { api, bulk };
+};
+
+// Remove cached cards, either from one source or all of them
+export const clearCardCache = async (source) => {
+  if (!isDatabaseAvailable()) {
+    return;
+  }
+  await withStores(['cards'], 'readwrite', async store => {
+    if (!source) {
+      store.clear();
+      return;
+    }
+    const ids = await promisifyRequest(store.index('source').getAllKeys(source));
+    ids.forEach(id => store.delete(id));
+  });
+};
+
+export const loadOfflineMode = () => localStorage.getItem(OFFLINE_MODE_STORAGE_KEY) === 'true';
+
+export const saveOfflineMode = (offline) => {
+  localStorage.setItem(OFFLINE_MODE_STORAGE_KEY, String(offline));
+};
@@ -0,0 +1,26 @@
+import { parseBulkData, isFresh, CARD_CACHE_TTL_MS } from './cardCache';
+
+test('parseBulkData keeps deck cards and drops tokens and art cards', () => {
+  const text = JSON.stringify([
+    { object: 'card', name: 'Lightning Bolt', layout: 'normal' },
+    { object: 'card', name: 'Goblin', layout: 'token' },
+    { object: 'card', name: 'Lightning Bolt // Lightning Bolt', layout: 'art_series' },
+    { object: 'card', name: 'Delver of Secrets // Insectile Aberration', layout: 'transform' },
+  ]);
+  expect(parseBulkData(text).map(card => card.name)).toEqual([
+    'Lightning Bolt',
+    'Delver of Secrets // Insectile Aberration',
+  ]);
+});
+
+test('parseBulkData rejects files that are not Scryfall bulk data', () => {
+  expect(() => parseBulkData('{')).toThrow('not valid JSON');
+  expect(() => parseBulkData(JSON.stringify({ object: 'list', data: [] }))).toThrow('not a Scryfall bulk-data file');
+});
+
+test('API cards expire after the TTL, bulk-data cards never do', () => {
+  const now = Date.now();
+  expect(isFresh({ source: 'api', fetchedAt: now - 1000 }, now)).toBe(true);
+  expect(isFresh({ source: 'api', fetchedAt: now - CARD_CACHE_TTL_MS - 1 }, now)).toBe(false);
+  expect(isFresh({ source: 'bulk', fetchedAt: 0 }, now)).toBe(true);
+});
@@ -0,0 +1,37 @@
+// Lookup keys shared by the in-memory index in fetchCardData and the IndexedDB card cache
+
+// Normalize a card name for lookups: case-insensitive, collapsed whitespace,
+// accents stripped ("Séance" matches "Seance") and typographic apostrophes straightened
+export const normalizeName = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // Combining accent marks
+  .replace(/[\u2018\u2019]/g, "'")
+  .trim()
+  .replace(/\s+/g, ' ')
+  .toLowerCase();
+
+// Key for a /cards/collection identifier; cardKeys produces the same keys for the matching card
+export const identifierKey = (identifier) => {
+  if (identifier.collector_number) {
+    return `${identifier.set}/${identifier.collector_number}`.toLowerCase();
+  }
+  if (identifier.set) {
+    return `${normalizeName(identifier.name)}|${identifier.set.toLowerCase()}`;
+  }
+  return normalizeName(identifier.name);
+};
+
+// Every key a card can be found under: its full name and each face name ("Fire // Ice", "Fire", "Ice"),
+// plus its printing (name + set, and set + collector number)
+export const cardKeys = (card) => {
+  const names = new Set([card.name, ...card.name.split('//'), ...(card.card_faces || []).map(face => face.name)]
+    .map(normalizeName));
+  const keys = [...names];
+  if (card.set) {
+    keys.push(...[...names].map(name => `${name}|${card.set.toLowerCase()}`));
+    if (card.collector_number) {
+      keys.push(`${card.set}/${card.collector_number}`.toLowerCase());
+    }
+  }
+  return keys;
+};
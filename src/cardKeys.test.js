@@ -0,0 +1,21 @@
+import { normalizeName, identifierKey, cardKeys } from './cardKeys';
+
+test('normalizes case, whitespace, accents and apostrophes', () => {
+  expect(normalizeName('  Lim-Dûl’s   Vault ')).toBe("lim-dul's vault");
+  expect(normalizeName('SÉANCE')).toBe(normalizeName('seance'));
+});
+
+test('cards are indexed under the keys their identifiers produce', () => {
+  const card = {
+    name: 'Fire // Ice',
+    set: 'mh2',
+    collector_number: '290',
+    card_faces: [{ name: 'Fire' }, { name: 'Ice' }],
+  };
+  const keys = cardKeys(card);
+
+  expect(keys).toEqual(expect.arrayContaining(['fire // ice', 'fire', 'ice', 'ice|mh2', 'mh2/290']));
+  expect(keys).toContain(identifierKey({ name: 'Fire // Ice' }));
+  expect(keys).toContain(identifierKey({ name: 'Fire', set: 'MH2' }));
+  expect(keys).toContain(identifierKey({ set: 'MH2', collector_number: '290' }));
+});
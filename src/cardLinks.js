@@ -0,0 +1,69 @@
+// Rehype plugin that turns every mention of a deck card in the guide into a link to a card preview.
+// Links get a data-card attribute with the card's full name, so the link component can find the card.
+
+// Mentions inside these elements stay text
+const SKIPPED_ELEMENTS = new Set(['a', 'code', 'pre']);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Names each card can be mentioned by: its full name and, for double-faced and split cards, each face
+export const cardMentionIndex = (cards) => {
+  const index = new Map(); // mention -> card
+  cards.forEach(card => {
+    [card.name, ...(card.card_faces || []).map(face => face.name)].forEach(name => {
+      if (name && !index.has(name)) {
+        index.set(name, card);
+      }
+    });
+  });
+  return index;
+};
+
+export const rehypeCardLinks = ({ cards = [] } = {}) => {
+  const mentions = cardMentionIndex(cards);
+  if (mentions.size === 0) {
+    return () => {};
+  }
+  // Longest names first, so "Fire // Ice" wins over "Fire"; card names are matched case-sensitively
+  // to keep names like "Opt" or "Shock" from matching ordinary words
+  const names = [...mentions.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(?<!\\w)(?:${names.join('|')})(?!\\w)`, 'g');
+
+  const linkMentions = (value) => {
+    const nodes = [];
+    let last = 0;
+    for (const match of value.matchAll(pattern)) {
+      if (match.index > last) {
+        nodes.push({ type: 'text', value: value.slice(last, match.index) });
+      }
+      const card = mentions.get(match[0]);
+      nodes.push({
+        type: 'element',
+        tagName: 'a',
+        properties: { href: card.scryfall_uri || '#', dataCard: card.name },
+        children: [{ type: 'text', value: match[0] }],
+      });
+      last = match.index + match[0].length;
+    }
+    if (last === 0) {
+      return [{ type: 'text', value }];
+    }
+    if (last < value.length) {
+      nodes.push({ type: 'text', value: value.slice(last) });
+    }
+    return nodes;
+  };
+
+  const visit = (node) => {
+    node.children = node.children.flatMap(child => {
+      if (child.type === 'text') {
+        return linkMentions(child.value);
+      }
+      if (child.children && !(child.type === 'element' && SKIPPED_ELEMENTS.has(child.tagName))) {
+        visit(child);
+      }
+      return [child];
+    });
+  };
+  return (tree) => visit(tree);
+};
@@ -0,0 +1,59 @@
+import { cardMentionIndex, rehypeCardLinks } from './cardLinks';
+import { lightningBolt, needlevergePathway, burnDeck } from './__fixtures__/cards';
+
+const text = (value) => ({ type: 'text', value });
+const element = (tagName, children) => ({ type: 'element', tagName, properties: {}, children });
+
+// Card names linked in the tree, in document order
+const linkedCards = (node) => (node.children || []).flatMap(child => (
+  child.tagName === 'a' && child.properties.dataCard ? [child.properties.dataCard] : linkedCards(child)
+));
+
+const transform = (tree, cards = burnDeck) => {
+  rehypeCardLinks({ cards })(tree);
+  return tree;
+};
+
+test('double-faced cards can be mentioned by either face', () => {
+  const index = cardMentionIndex([lightningBolt, needlevergePathway]);
+  expect([...index.keys()]).toEqual([
+    'Lightning Bolt',
+    'Needleverge Pathway // Pillarverge Pathway',
+    'Needleverge Pathway',
+    'Pillarverge Pathway',
+  ]);
+  expect(index.get('Pillarverge Pathway')).toBe(needlevergePathway);
+});
+
+test('links every mention of a deck card and keeps the text around it', () => {
+  const tree = transform(element('root', [
+    element('p', [text('Lightning Bolt and Goblin Guide; more Lightning Bolt.')]),
+    element('ul', [element('li', [element('strong', [text('Pillarverge Pathway')])])]),
+  ]));
+
+  expect(linkedCards(tree)).toEqual([
+    'Lightning Bolt',
+    'Goblin Guide',
+    'Lightning Bolt',
+    'Needleverge Pathway // Pillarverge Pathway',
+  ]);
+  const paragraph = tree.children[0].children;
+  expect(paragraph.map(node => node.value || node.children[0].value)).toEqual([
+    'Lightning Bolt', ' and ', 'Goblin Guide', '; more ', 'Lightning Bolt', '.',
+  ]);
+});
+
+test('skips code, existing links, lowercase words and partial words', () => {
+  const tree = transform(element('root', [
+    element('p', [text('lightning bolt, Lightning Bolts')]),
+    element('code', [text('Lightning Bolt')]),
+    element('a', [text('Goblin Guide')]),
+  ]));
+  expect(linkedCards(tree)).toEqual([]);
+  expect(tree.children[0].children).toEqual([text('lightning bolt, Lightning Bolts')]);
+});
+
+test('does nothing without cards', () => {
+  const tree = element('root', [element('p', [text('Lightning Bolt')])]);
+  expect(linkedCards(transform(tree, []))).toEqual([]);
+});
@@ -0,0 +1,236 @@
+// Personal card collection: CSV exports of collection managers (Moxfield, ManaBox, Deckbox, Archidekt,
+// Dragon Shield, TCGplayer, ...) normalized into one record per card name and kept in IndexedDB,
+// and the ownership check of a decklist against it.
+//   Record: { key, name, quantity, printings: [{ set, collectorNumber, foil, quantity }] }
+// key is the normalized card name.
+import { withStores, promisifyRequest, isDatabaseAvailable } from './db';
+import { normalizeName } from './cardKeys';
+import { formatDecklist } from './decklist';
+import { isBasicLand } from './validation';
+import { translatable, userError } from './i18n';
+
+export const COLLECTION_FILE_ACCEPT = '.csv,.txt';
+
+// Column headers used by the common exports, most specific first (ManaBox has "Set code" and "Set name")
+const COLUMN_ALIASES = {
+  name: ['name', 'card name', 'card', 'cardname'],
+  quantity: ['quantity', 'count', 'qty', 'amount', 'copies'],
+  set: ['set code', 'edition code', 'setcode', 'set', 'edition'],
+  collectorNumber: ['collector number', 'card number', 'collector #', 'collector no', 'number', 'cn'],
+  foil: ['foil', 'printing', 'finish', 'is foil'],
+};
+
+// Set columns sometimes hold the set's name ("Magic 2011") instead of its code
+const SET_CODE = /^[A-Za-z0-9]{2,6}$/;
+const FOIL_VALUES = /^(foil|etched|foil etched|true|yes|y|1)$/i;
+
+const BASIC_LAND_NAMES = new Set(['plains', 'island', 'swamp', 'mountain', 'forest', 'wastes']
+  .flatMap(name => [name, `snow-covered ${name}`]));
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+// The delimiter that occurs most often outside quotes in the header line
+const detectDelimiter = (line) => {
+  const unquoted = line.replace(/"[^"]*"/g, '');
+  return [',', ';', '\t']
+    .map(delimiter => [delimiter, unquoted.split(delimiter).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Split CSV text into rows of fields; quoted fields may contain delimiters, quotes ("") and line breaks
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse a collection CSV into { entries: [{ name, quantity, set, collectorNumber, foil }], skipped }
+// where skipped lists the rows that could not be read ({ row, reason }, row numbers as in the file and the
+// reason a translatable message).
+// Throws if the file has no card name column.
+export const parseCollectionCsv = (text) => {
+  let lines = text.replace(/^\uFEFF/, '');
+  // Dragon Shield starts with an Excel "sep=," hint line
+  const sepHint = lines.match(/^"?sep=(.)"?\r?\n/i);
+  const rowOffset = sepHint ? 2 : 1;
+  if (sepHint) {
+    lines = lines.slice(sepHint[0].length);
+  }
+  const delimiter = sepHint ? sepHint[1] : detectDelimiter(lines.split(/\r?\n/)[0]);
+  const [header = [], ...rows] = parseCsvRows(lines, delimiter);
+
+  const headers = header.map(normalizeHeader);
+  const columns = Object.fromEntries(Object.entries(COLUMN_ALIASES).map(([column, aliases]) => {
+    const alias = aliases.find(name => headers.includes(name));
+    return [column, alias === undefined ? -1 : headers.indexOf(alias)];
+  }));
+  if (columns.name === -1) {
+    throw userError('The collection file has no card name column. Export it as CSV with a "Name" column.');
+  }
+
+  const entries = [];
+  const skipped = [];
+  rows.forEach((fields, i) => {
+    const value = (column) => (columns[column] === -1 ? '' : (fields[columns[column]] || '').trim());
+    const row = i + rowOffset + 1;
+    const name = value('name');
+    const quantity = columns.quantity === -1 ? 1 : Number(value('quantity'));
+    if (!name) {
+      skipped.push({ row, reason: translatable('no card name') });
+      return;
+    }
+    // Number('') is 0, which would pass an empty cell off as a wishlist row
+    if (columns.quantity !== -1 && !value('quantity')) {
+      skipped.push({ row, reason: translatable('no quantity') });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      skipped.push({ row, reason: translatable('invalid quantity "{quantity}"', { quantity: value('quantity') }) });
+      return;
+    }
+    if (quantity === 0) {
+      return; // Wishlist rows
+    }
+    const set = value('set');
+    entries.push({
+      name: name.replace(/\s+/g, ' '),
+      quantity,
+      set: SET_CODE.test(set) ? set.toLowerCase() : '',
+      collectorNumber: value('collectorNumber'),
+      foil: FOIL_VALUES.test(value('foil')),
+    });
+  });
+  return { entries, skipped };
+};
+
+// Merge entries into one record per card name, with the copies per printing and finish
+export const aggregateCollection = (entries) => {
+  const records = new Map();
+  entries.forEach(({ name, quantity, set, collectorNumber, foil }) => {
+    const key = normalizeName(name);
+    const record = records.get(key) || { key, name, quantity: 0, printings: [] };
+    record.quantity += quantity;
+    const printing = record.printings.find(p => p.set === set && p.collectorNumber === collectorNumber && p.foil === foil);
+    if (printing) {
+      printing.quantity += quantity;
+    } else {
+      record.printings.push({ set, collectorNumber, foil, quantity });
+    }
+    records.set(key, record);
+  });
+  return [...records.values()];
+};
+
+// Replace the stored collection with the given entries. Returns the stored records.
+export const saveCollection = async (entries) => {
+  const records = aggregateCollection(entries);
+  await withStores(['collection'], 'readwrite', store => {
+    store.clear();
+    records.forEach(record => store.put(record));
+  });
+  return records;
+};
+
+export const loadCollection = async () => {
+  if (!isDatabaseAvailable()) {
+    return [];
+  }
+  return withStores(['collection'], 'readonly', store => promisifyRequest(store.getAll()));
+};
+
+export const clearCollection = () => withStores(['collection'], 'readwrite', store => {
+  store.clear();
+});
+
+// Name keys of a card: the full name and each face ("Fire // Ice", "Fire", "Ice")
+const nameKeys = (name, faces = []) => [...new Set([name, ...name.split('//'), ...faces.map(face => face.name)].map(normalizeName))];
+
+// Records under every name key, so collections listing only the front face of a card still match
+const collectionIndex = (records) => {
+  const index = new Map();
+  records.forEach(record => nameKeys(record.name).forEach(key => {
+    index.set(key, [...(index.get(key) || []), record]);
+  }));
+  return index;
+};
+
+const STATUS_ORDER = ['missing', 'partial', 'owned'];
+
+// Compare a parsed decklist (parseDecklist) against the collection records. Resolved cards (fetchCardData)
+// give the canonical names, so "Fire" in the list matches "Fire // Ice" in the collection.
+// Copies are counted over all zones. Returns { rows, counts } with one row per card:
+// { name, card, needed, owned, missing, status: 'owned' | 'partial' | 'missing', printings, set, collectorNumber },
+// missing cards first, and counts of cards per status plus missingCopies.
+export const compareWithCollection = (parsedDeck, cards, records, { ignoreBasics = false } = {}) => {
+  const resolved = new Map();
+  cards.forEach(card => nameKeys(card.name, card.card_faces).forEach(key => resolved.set(key, card)));
+  const index = collectionIndex(records);
+
+  const rows = new Map();
+  parsedDeck.forEach(entry => {
+    const card = resolved.get(normalizeName(entry.name));
+    const name = card?.name || entry.name;
+    if (ignoreBasics && (card ? isBasicLand(card) : BASIC_LAND_NAMES.has(normalizeName(name)))) {
+      return;
+    }
+    const key = normalizeName(name);
+    const row = rows.get(key) || { name, card, needed: 0, set: entry.set, collectorNumber: entry.collectorNumber };
+    row.needed += entry.quantity;
+    rows.set(key, row);
+  });
+
+  const result = [...rows.values()].map(row => {
+    const owners = [...new Set(nameKeys(row.name, row.card?.card_faces).flatMap(key => index.get(key) || []))];
+    const owned = owners.reduce((sum, record) => sum + record.quantity, 0);
+    const missing = Math.max(0, row.needed - owned);
+    const status = missing === 0 ? 'owned' : owned > 0 ? 'partial' : 'missing';
+    return { ...row, owned, missing, status, printings: owners.flatMap(record => record.printings) };
+  });
+  result.sort((a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.name.localeCompare(b.name));
+
+  const counts = { owned: 0, partial: 0, missing: 0, missingCopies: 0 };
+  result.forEach(row => {
+    counts[row.status] += 1;
+    counts.missingCopies += row.missing;
+  });
+  return { rows: result, counts };
+};
+
+// Decklist text of the missing copies, in the format the Import Deck field accepts
+export const formatNeedsList = (rows) => formatDecklist(rows
+  .filter(row => row.missing > 0)
+  .map(row => ({ quantity: row.missing, name: row.name, zone: 'main', set: row.set, collectorNumber: row.collectorNumber })));
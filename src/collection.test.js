@@ -0,0 +1,104 @@
+import { parseCollectionCsv, aggregateCollection, compareWithCollection, formatNeedsList } from './collection';
+import { parseDecklist } from './decklist';
+import { lightningBolt, needlevergePathway, mountain, inDeck } from './__fixtures__/cards';
+
+test('reads Moxfield exports with quoted names', () => {
+  const csv = [
+    '"Count","Tradelist Count","Name","Edition","Condition","Language","Foil","Tags","Last Modified","Collector Number"',
+    '"4","0","Lightning Bolt","m11","Near Mint","English","","","2024-01-01","146"',
+    '"1","0","Fire // Ice","mh2","Near Mint","English","foil","","2024-01-01","290"',
+  ].join('\n');
+  expect(parseCollectionCsv(csv)).toEqual({
+    entries: [
+      { name: 'Lightning Bolt', quantity: 4, set: 'm11', collectorNumber: '146', foil: false },
+      { name: 'Fire // Ice', quantity: 1, set: 'mh2', collectorNumber: '290', foil: true },
+    ],
+    skipped: [],
+  });
+});
+
+test('reads ManaBox exports and prefers the set code over the set name', () => {
+  const csv = [
+    'Name,Set code,Set name,Collector number,Foil,Rarity,Quantity,ManaBox ID',
+    '"Goblin Guide",ZEN,Zendikar,126,normal,rare,2,1234',
+    '"Boros Charm, Again",RTR,Return to Ravnica,148,foil,uncommon,1,1235',
+  ].join('\r\n');
+  const { entries } = parseCollectionCsv(csv);
+  expect(entries).toEqual([
+    { name: 'Goblin Guide', quantity: 2, set: 'zen', collectorNumber: '126', foil: false },
+    { name: 'Boros Charm, Again', quantity: 1, set: 'rtr', collectorNumber: '148', foil: true },
+  ]);
+});
+
+test('reads Dragon Shield exports with a separator hint and drops set names', () => {
+  const csv = [
+    '"sep=;"',
+    'Folder Name;Quantity;Trade Quantity;Card Name;Set Code;Set Name;Card Number;Condition;Printing',
+    'Binder;3;0;Mountain;;Magic 2011;;NearMint;Normal',
+  ].join('\n');
+  expect(parseCollectionCsv(csv).entries).toEqual([
+    { name: 'Mountain', quantity: 3, set: '', collectorNumber: '', foil: false },
+  ]);
+});
+
+test('skips unreadable rows and wishlist rows, and rejects files without names', () => {
+  const csv = ['Name,Quantity', 'Lightning Bolt,x', ',2', 'Goblin Guide,0', 'Manamorphose,1', 'Mountain,'].join('\n');
+  const { entries, skipped } = parseCollectionCsv(csv);
+  expect(entries).toEqual([{ name: 'Manamorphose', quantity: 1, set: '', collectorNumber: '', foil: false }]);
+  expect(skipped.map(({ row, reason }) => [row, reason.message])).toEqual([[2, 'invalid quantity "x"'], [3, 'no card name'], [6, 'no quantity']]);
+  expect(parseCollectionCsv('Card\nLightning Bolt\n').entries[0].quantity).toBe(1);
+  expect(() => parseCollectionCsv('Foo,Bar\n1,2')).toThrow('no card name column');
+});
+
+test('aggregates copies per card and printing', () => {
+  const records = aggregateCollection([
+    { name: 'Lightning Bolt', quantity: 2, set: 'm11', collectorNumber: '146', foil: false },
+    { name: 'lightning  bolt', quantity: 1, set: 'm11', collectorNumber: '146', foil: false },
+    { name: 'Lightning Bolt', quantity: 1, set: '2x2', collectorNumber: '117', foil: true },
+  ]);
+  expect(records).toEqual([{
+    key: 'lightning bolt',
+    name: 'Lightning Bolt',
+    quantity: 4,
+    printings: [
+      { set: 'm11', collectorNumber: '146', foil: false, quantity: 3 },
+      { set: '2x2', collectorNumber: '117', foil: true, quantity: 1 },
+    ],
+  }]);
+});
+
+const collection = aggregateCollection([
+  { name: 'Lightning Bolt', quantity: 2, set: 'm11', collectorNumber: '146', foil: false },
+  { name: 'Needleverge Pathway', quantity: 1, set: 'znr', collectorNumber: '263', foil: false },
+]);
+
+test('compares the deck against the collection over all zones', () => {
+  const deck = parseDecklist('4 Lightning Bolt (M11) 146\n2 Needleverge Pathway // Pillarverge Pathway\n2 Goblin Guide\n10 Mountain\n\nSideboard\n1 Goblin Guide');
+  const cards = [inDeck(lightningBolt, 4), inDeck(needlevergePathway, 2), inDeck(mountain, 10)];
+  const { rows, counts } = compareWithCollection(deck, cards, collection);
+  expect(rows.map(({ name, needed, owned, missing, status }) => [name, needed, owned, missing, status])).toEqual([
+    ['Goblin Guide', 3, 0, 3, 'missing'],
+    ['Mountain', 10, 0, 10, 'missing'],
+    ['Lightning Bolt', 4, 2, 2, 'partial'],
+    ['Needleverge Pathway // Pillarverge Pathway', 2, 1, 1, 'partial'],
+  ]);
+  expect(counts).toEqual({ owned: 0, partial: 2, missing: 2, missingCopies: 16 });
+  expect(rows[2].printings).toEqual([{ set: 'm11', collectorNumber: '146', foil: false, quantity: 2 }]);
+});
+
+test('can leave out basic lands and marks fully owned cards', () => {
+  const deck = parseDecklist('2 Lightning Bolt\n20 Mountain\n4 Snow-Covered Mountain');
+  const { rows, counts } = compareWithCollection(deck, [], collection, { ignoreBasics: true });
+  expect(rows.map(row => [row.name, row.status])).toEqual([['Lightning Bolt', 'owned']]);
+  expect(counts).toEqual({ owned: 1, partial: 0, missing: 0, missingCopies: 0 });
+});
+
+test('the needs list round-trips through the decklist parser', () => {
+  const deck = parseDecklist('4 Lightning Bolt (M11) 146\n2 Goblin Guide');
+  const needs = formatNeedsList(compareWithCollection(deck, [], collection).rows);
+  expect(needs).toBe('2 Goblin Guide\n2 Lightning Bolt (M11) 146');
+  expect(parseDecklist(needs).map(({ quantity, name, zone }) => [quantity, name, zone])).toEqual([
+    [2, 'Goblin Guide', 'main'],
+    [2, 'Lightning Bolt', 'main'],
+  ]);
+});
@@ -0,0 +1,111 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControlLabel,
+  LinearProgress,
+  Link,
+  Switch,
+  Typography,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { clearCardCache, countCachedCards, importBulkData, parseBulkData } from '../cardCache';
+import { localize, useTranslation } from '../i18n';
+
+// Card cache status, Scryfall bulk-data import and the offline mode switch
+function CardDataSettings({ offline, onOfflineChange, onError }) {
+  const { t } = useTranslation();
+  const inputRef = useRef(null);
+  const [counts, setCounts] = useState({ api: 0, bulk: 0 });
+  const [progress, setProgress] = useState(null); // { done, total } while importing
+
+  const refreshCounts = useCallback(() => {
+    countCachedCards()
+      .then(setCounts)
+      .catch(err => console.error("Error counting cached cards:", err));
+  }, []);
+
+  useEffect(refreshCounts, [refreshCounts]);
+
+  const handleBulkFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    setProgress({ done: 0, total: 0 });
+    try {
+      const cards = parseBulkData(await file.text());
+      await importBulkData(cards, { onProgress: (done, total) => setProgress({ done, total }) });
+    } catch (err) {
+      console.error(`Error importing bulk data "${file.name}":`, err);
+      onError(localize(t, err) || t('The bulk-data file could not be imported.'));
+    } finally {
+      setProgress(null);
+      refreshCounts();
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearCardCache();
+    } catch (err) {
+      console.error("Error clearing the card cache:", err);
+      onError(localize(t, err) || t('The card cache could not be cleared.'));
+    }
+    refreshCounts();
+  };
+
+  return (
+    <Box>
+      <FormControlLabel
+        control={<Switch checked={offline} onChange={(e) => onOfflineChange(e.target.checked)} />}
+        label={t('Offline mode')}
+      />
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {t('Resolve cards only from the cache and imported bulk data, without contacting Scryfall.')}
+      </Typography>
+      <Typography variant="body2" sx={{ mb: 2 }}>
+        {t('{count} card cached from Scryfall, {bulk} from bulk data.|{count} cards cached from Scryfall, {bulk} from bulk data.', { count: counts.api, bulk: counts.bulk })}
+      </Typography>
+      {progress && (
+        <LinearProgress
+          variant={progress.total > 0 ? 'determinate' : 'indeterminate'}
+          value={progress.total > 0 ? (progress.done / progress.total) * 100 : 0}
+          sx={{ mb: 2 }}
+        />
+      )}
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 1 }}>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<UploadFileIcon />}
+          onClick={() => inputRef.current?.click()}
+          disabled={Boolean(progress)}
+        >
+          {t('Import Bulk Data')}
+        </Button>
+        <Button size="small" onClick={handleClear} disabled={Boolean(progress)}>
+          {t('Clear Cache')}
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary">
+        {t('Download "Oracle Cards" or "Default Cards" from')}{' '}
+        <Link href="https://scryfall.com/docs/api/bulk-data" target="_blank" rel="noopener noreferrer">
+          {t('Scryfall bulk data')}
+        </Link>
+        .
+      </Typography>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".json,application/json"
+        hidden
+        onChange={(event) => {
+          handleBulkFile(event.target.files[0]);
+          event.target.value = '';
+        }}
+      />
+    </Box>
+  );
+}
+
+export default CardDataSettings;
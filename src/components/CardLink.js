@@ -0,0 +1,83 @@
+import React from 'react';
+import { Box, Link, Tooltip, Typography } from '@mui/material';
+import { getCardImages } from '../scryfall';
+import { useTranslation } from '../i18n';
+
+const formatPrices = (prices = {}, t) => [
+  prices.usd && `$${prices.usd}`,
+  prices.usd_foil && t('{price} foil', { price: `$${prices.usd_foil}` }),
+  prices.eur && `€${prices.eur}`,
+  prices.tix && `${prices.tix} tix`,
+].filter(Boolean).join(' · ');
+
+// Full card image (every face of double-faced cards), oracle text and prices
+function CardPreview({ card }) {
+  const { t } = useTranslation();
+  const faces = card.card_faces?.length ? card.card_faces : [card];
+  const prices = formatPrices(card.prices, t);
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        {getCardImages(card).map((image, index) => (
+          <Box
+            key={image}
+            component="img"
+            src={image}
+            alt={faces[index]?.name || card.name}
+            sx={{ width: 200, maxWidth: '40vw', height: 'auto', borderRadius: 2 }}
+          />
+        ))}
+      </Box>
+      {faces.map(face => (
+        <Box key={face.name}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 'bold' }}>
+            {face.name} {face.mana_cost}
+          </Typography>
+          <Typography variant="caption" color="text.secondary" component="div">
+            {face.type_line}
+          </Typography>
+          {face.oracle_text && (
+            <Typography variant="body2" sx={{ whiteSpace: 'pre-line' }}>
+              {face.oracle_text}
+            </Typography>
+          )}
+        </Box>
+      ))}
+      <Typography variant="caption" color="text.secondary">
+        {prices || t('No price data')}
+        {card.scryfall_uri && (
+          <>
+            {' · '}
+            <Link href={card.scryfall_uri} target="_blank" rel="noopener noreferrer">{t('View on Scryfall')}</Link>
+          </>
+        )}
+      </Typography>
+    </Box>
+  );
+}
+
+// Card name in the guide; hovering, focusing or tapping it shows the card preview
+function CardLink({ card, children }) {
+  return (
+    <Tooltip
+      title={<CardPreview card={card} />}
+      enterTouchDelay={0}
+      leaveTouchDelay={6000}
+      slotProps={{
+        tooltip: { sx: { bgcolor: 'background.paper', color: 'text.primary', boxShadow: 6, maxWidth: 460, p: 1.5 } },
+      }}
+    >
+      <Link
+        component="button"
+        type="button"
+        underline="hover"
+        sx={{ font: 'inherit', verticalAlign: 'baseline', textAlign: 'inherit' }}
+      >
+        {children}
+      </Link>
+    </Tooltip>
+  );
+}
+
+export default CardLink;
@@ -0,0 +1,242 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  FormControlLabel,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DownloadIcon from '@mui/icons-material/Download';
+import CardLink from './CardLink';
+import { parseDecklist } from '../decklist';
+import { downloadFile } from '../deckFiles';
+import {
+  COLLECTION_FILE_ACCEPT,
+  parseCollectionCsv,
+  saveCollection,
+  loadCollection,
+  clearCollection,
+  compareWithCollection,
+  formatNeedsList,
+} from '../collection';
+import { localize, useTranslation } from '../i18n';
+
+const STATUSES = {
+  owned: { label: 'Owned', color: 'success' },
+  partial: { label: 'Partially owned', color: 'warning' },
+  missing: { label: 'Missing', color: 'error' },
+};
+
+const printingLabel = ({ set, collectorNumber, foil, quantity }, t) =>
+  `${quantity}× ${[set.toUpperCase(), collectorNumber].filter(Boolean).join(' ') || t('any printing')}${foil ? ` (${t('foil')})` : ''}`;
+
+// Collection CSV import and the owned / missing check of the current decklist against it
+function CollectionPanel({ decklist, cards, onError, disabled }) {
+  const { t } = useTranslation();
+  const inputRef = useRef(null);
+  const [records, setRecords] = useState(null); // null while loading
+  const [skipped, setSkipped] = useState([]);
+  const [ignoreBasics, setIgnoreBasics] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('all');
+
+  useEffect(() => {
+    loadCollection()
+      .then(setRecords)
+      .catch(err => {
+        console.error("Error loading the collection:", err);
+        onError(t('The collection could not be loaded.'));
+        setRecords([]);
+      });
+  }, [onError, t]);
+
+  const parsedDeck = useMemo(() => (decklist.trim() ? parseDecklist(decklist) : []), [decklist]);
+  const comparison = useMemo(
+    () => compareWithCollection(parsedDeck, cards, records || [], { ignoreBasics }),
+    [parsedDeck, cards, records, ignoreBasics],
+  );
+  const shownRows = comparison.rows.filter(row => statusFilter === 'all' || row.status === statusFilter);
+  const needsList = formatNeedsList(comparison.rows);
+  const totalCopies = (records || []).reduce((sum, record) => sum + record.quantity, 0);
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      const { entries, skipped: skippedRows } = parseCollectionCsv(await file.text());
+      if (entries.length === 0) {
+        throw new Error(t('"{file}" does not contain any cards.', { file: file.name }));
+      }
+      setRecords(await saveCollection(entries));
+      setSkipped(skippedRows);
+    } catch (err) {
+      console.error(`Error importing collection file "${file.name}":`, err);
+      onError(localize(t, err) || t('The collection file could not be imported.'));
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await clearCollection();
+      setRecords([]);
+      setSkipped([]);
+    } catch (err) {
+      console.error("Error clearing the collection:", err);
+      onError(t('The collection could not be cleared.'));
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(needsList);
+    } catch (err) {
+      console.error("Error copying the needs list:", err);
+      onError(t('The needs list could not be copied to the clipboard.'));
+    }
+  };
+
+  return (
+    <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mt: 4 }}>
+      <Typography variant="h5" component="h2" sx={{ mb: 3, textAlign: 'center' }}>
+        {t('Collection')}
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 2 }}>
+        <Typography variant="body2" color="text.secondary" sx={{ flexGrow: 1 }}>
+          {records === null && t('Loading collection...')}
+          {records?.length === 0 && t('No collection imported. Import a CSV export from Moxfield, ManaBox, Deckbox, Archidekt, Dragon Shield or a similar collection manager.')}
+          {records?.length > 0 && t('{count} card ({different} different) in your collection.|{count} cards ({different} different) in your collection.', { count: totalCopies, different: records.length })}
+        </Typography>
+        <Button
+          variant="contained"
+          size="small"
+          startIcon={<UploadFileIcon />}
+          onClick={() => inputRef.current?.click()}
+          disabled={disabled}
+        >
+          {t('Import CSV')}
+        </Button>
+        <Button size="small" onClick={handleClear} disabled={disabled || !records?.length}>
+          {t('Clear')}
+        </Button>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={COLLECTION_FILE_ACCEPT}
+          hidden
+          onChange={(event) => {
+            handleFile(event.target.files[0]);
+            event.target.value = ''; // Allow re-importing the same file
+          }}
+        />
+      </Box>
+      {skipped.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setSkipped([])}>
+          {t('Skipped {count} row: {rows}|Skipped {count} rows: {rows}', {
+            count: skipped.length,
+            rows: `${skipped.slice(0, 5).map(({ row, reason }) => t('row {row} ({reason})', { row, reason: localize(t, reason) })).join(', ')}${skipped.length > 5 ? ', ...' : ''}`,
+          })}
+        </Alert>
+      )}
+
+      {parsedDeck.length === 0 ? (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+          {t('Enter a decklist under Import Deck to check which cards you own.')}
+        </Typography>
+      ) : (
+        <>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 2 }}>
+            <ToggleButtonGroup
+              size="small"
+              exclusive
+              value={statusFilter}
+              onChange={(e, value) => value && setStatusFilter(value)}
+              aria-label={t('Filter by ownership')}
+            >
+              <ToggleButton value="all">{`${t('All')} (${comparison.rows.length})`}</ToggleButton>
+              {Object.entries(STATUSES).map(([status, { label }]) => (
+                <ToggleButton key={status} value={status}>{`${t(label)} (${comparison.counts[status]})`}</ToggleButton>
+              ))}
+            </ToggleButtonGroup>
+            <FormControlLabel
+              control={<Switch checked={ignoreBasics} onChange={(e) => setIgnoreBasics(e.target.checked)} />}
+              label={t('Ignore basic lands')}
+            />
+          </Box>
+
+          <TableContainer sx={{ mb: 3 }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{t('Card')}</TableCell>
+                  <TableCell align="right">{t('Needed')}</TableCell>
+                  <TableCell align="right">{t('Owned')}</TableCell>
+                  <TableCell align="right">{t('Missing')}</TableCell>
+                  <TableCell>{t('Status')}</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {shownRows.map(row => (
+                  <TableRow key={row.name}>
+                    <TableCell>
+                      {row.card ? <CardLink card={row.card}>{row.name}</CardLink> : row.name}
+                      {row.printings.length > 0 && (
+                        <Typography variant="caption" color="text.secondary" component="div">
+                          {row.printings.map(printing => printingLabel(printing, t)).join(', ')}
+                        </Typography>
+                      )}
+                    </TableCell>
+                    <TableCell align="right">{row.needed}</TableCell>
+                    <TableCell align="right">{row.owned}</TableCell>
+                    <TableCell align="right">{row.missing}</TableCell>
+                    <TableCell>
+                      <Chip size="small" label={t(STATUSES[row.status].label)} color={STATUSES[row.status].color} />
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="h6" sx={{ mb: 1 }}>
+            {t('Needs List ({count} card)|Needs List ({count} cards)', { count: comparison.counts.missingCopies })}
+          </Typography>
+          {needsList ? (
+            <>
+              <Box
+                component="pre"
+                sx={{ bgcolor: 'action.hover', p: 2, borderRadius: 1, maxHeight: 240, overflow: 'auto', fontSize: 14, mt: 0 }}
+              >
+                {needsList}
+              </Box>
+              <Box sx={{ display: 'flex', gap: 2 }}>
+                <Button size="small" startIcon={<ContentCopyIcon />} onClick={handleCopy}>
+                  {t('Copy')}
+                </Button>
+                <Button size="small" startIcon={<DownloadIcon />} onClick={() => downloadFile(needsList, 'needs.txt', 'text/plain')}>
+                  {t('Download')}
+                </Button>
+              </Box>
+            </>
+          ) : (
+            <Typography variant="body2" color="text.secondary">{t('You own every card of this deck.')}</Typography>
+          )}
+        </>
+      )}
+    </Paper>
+  );
+}
+
+export default CollectionPanel;
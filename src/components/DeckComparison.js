@@ -0,0 +1,166 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  Grid,
+  LinearProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import DeckDiff from './DeckDiff';
+import GuideMarkdown from './GuideMarkdown';
+import { summarizeDiff } from '../deckDiff';
+import { formatDelta } from '../deckComparison';
+import { ZONE_LABELS } from '../decklist';
+import { useTranslation } from '../i18n';
+
+// Before / after / change table of one group of statistics; unchanged rows are left out
+function DeltaTable({ title, rows }) {
+  const { t } = useTranslation();
+  const changed = rows.filter(stat => stat.delta !== 0);
+  return (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="subtitle2" sx={{ fontWeight: 'bold', mb: 0.5 }}>{title}</Typography>
+      {changed.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">{t('No change.')}</Typography>
+      ) : (
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell />
+                <TableCell align="right">{t('Before')}</TableCell>
+                <TableCell align="right">{t('After')}</TableCell>
+                <TableCell align="right">{t('Change')}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {changed.map(stat => (
+                <TableRow key={stat.label}>
+                  <TableCell>{t(stat.label)}</TableCell>
+                  <TableCell align="right">{stat.before}</TableCell>
+                  <TableCell align="right">{stat.after}</TableCell>
+                  <TableCell align="right" sx={{ color: stat.delta > 0 ? 'success.main' : 'error.main', fontWeight: 'bold' }}>
+                    {formatDelta(stat.delta)}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+}
+
+function DecklistField({ label, value, onChange, onUseCurrent, canUseCurrent, disabled }) {
+  const { t } = useTranslation();
+  return (
+    <Box>
+      <TextField
+        label={label}
+        multiline
+        rows={12}
+        fullWidth
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      />
+      <Button size="small" onClick={onUseCurrent} disabled={disabled || !canUseCurrent} sx={{ mt: 1 }}>
+        {t('Use Current Deck')}
+      </Button>
+    </Box>
+  );
+}
+
+// Two decklists compared card by card and by their statistics, with an AI analysis of the changes
+function DeckComparison({ lists, onListsChange, currentDecklist, comparison, onCompare, streaming, onCancel, disabled }) {
+  const { t } = useTranslation();
+  const setList = (key) => (value) => onListsChange({ ...lists, [key]: value });
+  const zoneLabels = Object.fromEntries(Object.entries(ZONE_LABELS).map(([zone, label]) => [zone, t(label)]));
+
+  return (
+    <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mt: 4 }}>
+      <Typography variant="h5" component="h2" sx={{ mb: 3, textAlign: 'center' }}>
+        {t('Compare Decks')}
+      </Typography>
+      <Grid container spacing={2} sx={{ mb: 2 }}>
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <DecklistField
+            label={t('Before')}
+            value={lists.before}
+            onChange={setList('before')}
+            onUseCurrent={() => setList('before')(currentDecklist)}
+            canUseCurrent={Boolean(currentDecklist.trim())}
+            disabled={disabled}
+          />
+        </Grid>
+        <Grid size={{ xs: 12, sm: 6 }}>
+          <DecklistField
+            label={t('After')}
+            value={lists.after}
+            onChange={setList('after')}
+            onUseCurrent={() => setList('after')(currentDecklist)}
+            canUseCurrent={Boolean(currentDecklist.trim())}
+            disabled={disabled}
+          />
+        </Grid>
+      </Grid>
+      <Button
+        variant="contained"
+        fullWidth
+        size="large"
+        onClick={onCompare}
+        disabled={disabled || !lists.before.trim() || !lists.after.trim()}
+      >
+        {t('Compare')}
+      </Button>
+
+      {comparison && (
+        <Box sx={{ mt: 4 }}>
+          <Typography variant="h6" sx={{ mb: 1 }}>{t('Card Changes')}</Typography>
+          {comparison.changes.length > 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              {summarizeDiff(comparison.changes, zoneLabels)}
+            </Typography>
+          )}
+          <DeckDiff changes={comparison.changes} />
+
+          <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>{t('Statistics')}</Typography>
+          <DeltaTable title={t('Overview')} rows={comparison.delta.overview} />
+          <DeltaTable title={t('Mana Curve')} rows={comparison.delta.curve} />
+          <DeltaTable title={t('Colors')} rows={comparison.delta.colors} />
+
+          {(comparison.analysis || streaming) && (
+            <>
+              <Typography variant="h6" sx={{ mt: 3, mb: 1 }}>{t('What Changed')}</Typography>
+              {streaming && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                  <Box sx={{ flexGrow: 1 }}>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 0.5 }}>
+                      {t('Analyzing the changes...')}
+                    </Typography>
+                    <LinearProgress />
+                  </Box>
+                  <Button variant="outlined" onClick={onCancel}>{t('Cancel')}</Button>
+                </Box>
+              )}
+              <Box sx={{ typography: 'body1', lineHeight: 1.7, color: 'text.primary' }}>
+                <GuideMarkdown cards={comparison.cards}>{comparison.analysis}</GuideMarkdown>
+              </Box>
+            </>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+export default DeckComparison;
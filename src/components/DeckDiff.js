@@ -0,0 +1,52 @@
+import React from 'react';
+import { Box, Typography } from '@mui/material';
+import { ZONES, ZONE_LABELS } from '../decklist';
+import { useTranslation } from '../i18n';
+
+const CHANGE_COLORS = {
+  added: 'success.main',
+  removed: 'error.main',
+  changed: 'text.primary',
+};
+
+const formatChange = ({ name, before, after, change }) => {
+  if (change === 'added') {
+    return `+${after} ${name}`;
+  }
+  if (change === 'removed') {
+    return `-${before} ${name}`;
+  }
+  return `${name}: ${before} → ${after}`;
+};
+
+// Card changes between two versions of a deck (see diffDecks), grouped by zone
+function DeckDiff({ changes }) {
+  const { t } = useTranslation();
+
+  if (changes.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {t('No card changes between these versions.')}
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      {ZONES.filter(zone => changes.some(change => change.zone === zone)).map(zone => (
+        <Box key={zone} sx={{ mb: 2 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 'bold', mb: 0.5 }}>
+            {t(ZONE_LABELS[zone])}
+          </Typography>
+          {changes.filter(change => change.zone === zone).map(change => (
+            <Typography key={`${change.zone}-${change.name}`} variant="body2" sx={{ color: CHANGE_COLORS[change.change] }}>
+              {formatChange(change)}
+            </Typography>
+          ))}
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+export default DeckDiff;
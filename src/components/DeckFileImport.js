@@ -0,0 +1,86 @@
+import React, { useRef, useState } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { DECK_FILE_ACCEPT, readDeckFile } from '../deckFiles';
+import { localize, useTranslation } from '../i18n';
+
+// Drag-and-drop area and file picker for .txt, .dek and .json deck files.
+// Calls onImport with the decklist text, or onError if the file cannot be read.
+function DeckFileImport({ onImport, onError, disabled }) {
+  const { t } = useTranslation();
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const handleFile = async (file) => {
+    if (!file) {
+      return;
+    }
+    try {
+      const decklist = await readDeckFile(file);
+      if (!decklist) {
+        throw new Error(t('"{file}" does not contain any cards.', { file: file.name }));
+      }
+      onImport(decklist, file);
+    } catch (err) {
+      console.error(`Error importing deck file "${file.name}":`, err);
+      onError(localize(t, err) || t('The deck file could not be imported.'));
+    }
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setDragging(false);
+    if (!disabled) {
+      handleFile(event.dataTransfer.files[0]);
+    }
+  };
+
+  return (
+    <Box
+      onDragOver={(event) => {
+        event.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      sx={{
+        border: '2px dashed',
+        borderColor: dragging ? 'primary.main' : 'secondary.main',
+        borderRadius: 2,
+        backgroundColor: dragging ? 'rgba(255, 255, 255, 0.6)' : 'transparent',
+        p: 2,
+        mb: 3,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: 2,
+        flexWrap: 'wrap',
+      }}
+    >
+      <Typography variant="body2" color="text.secondary">
+        {t('Drop a deck file here (.txt, .dek or .json)')}
+      </Typography>
+      <Button
+        variant="contained"
+        size="small"
+        startIcon={<UploadFileIcon />}
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+      >
+        {t('Choose File')}
+      </Button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={DECK_FILE_ACCEPT}
+        hidden
+        onChange={(event) => {
+          handleFile(event.target.files[0]);
+          event.target.value = ''; // Allow re-importing the same file
+        }}
+      />
+    </Box>
+  );
+}
+
+export default DeckFileImport;
@@ -0,0 +1,185 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Paper,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { listDecks, listRevisions, deleteDeck } from '../deckLibrary';
+import { diffDecks, summarizeDiff } from '../deckDiff';
+import { FORMATS } from '../validation';
+import DeckDiff from './DeckDiff';
+import { ZONE_LABELS } from '../decklist';
+import { localize, useTranslation } from '../i18n';
+
+const formatDate = (timestamp, language) => new Date(timestamp).toLocaleString(language);
+
+// Saved decks with their revision history. Opening a revision loads its decklist, cards and guide.
+// refreshKey reloads the list after the app saved a deck.
+function DeckLibrary({ refreshKey, onOpen, onError, disabled }) {
+  const { t, language } = useTranslation();
+  const [decks, setDecks] = useState([]);
+  const [selectedDeckId, setSelectedDeckId] = useState(null);
+  const [revisions, setRevisions] = useState([]); // Newest first
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+
+  useEffect(() => {
+    listDecks()
+      .then(setDecks)
+      .catch(err => {
+        console.error("Error loading the deck library:", err);
+        onError(localize(t, err) || t('The deck library could not be loaded.'));
+      });
+  }, [refreshKey, onError, t]);
+
+  useEffect(() => {
+    if (!selectedDeckId) {
+      setRevisions([]);
+      return;
+    }
+    listRevisions(selectedDeckId)
+      .then(loaded => {
+        setRevisions(loaded);
+        // Compare the latest revision with the one before it by default
+        setCompareTo(loaded[0]?.id ?? '');
+        setCompareFrom(loaded[1]?.id ?? loaded[0]?.id ?? '');
+      })
+      .catch(err => {
+        console.error("Error loading deck revisions:", err);
+        onError(localize(t, err) || t('The revisions of this deck could not be loaded.'));
+      });
+  }, [selectedDeckId, refreshKey, onError, t]);
+
+  const selectedDeck = decks.find(deck => deck.id === selectedDeckId);
+  const revisionNumber = (revision) => revisions.length - revisions.indexOf(revision);
+  const zoneLabels = Object.fromEntries(Object.entries(ZONE_LABELS).map(([zone, label]) => [zone, t(label)]));
+
+  const changes = useMemo(() => {
+    const from = revisions.find(revision => revision.id === compareFrom);
+    const to = revisions.find(revision => revision.id === compareTo);
+    return from && to ? diffDecks(from.cards, to.cards) : null;
+  }, [revisions, compareFrom, compareTo]);
+
+  const handleDelete = async (deck) => {
+    if (!window.confirm(t('Delete "{name}" and all of its revisions?', { name: deck.name }))) {
+      return;
+    }
+    try {
+      await deleteDeck(deck.id);
+      setDecks(prev => prev.filter(item => item.id !== deck.id));
+      if (selectedDeckId === deck.id) {
+        setSelectedDeckId(null);
+      }
+    } catch (err) {
+      console.error(`Error deleting deck "${deck.name}":`, err);
+      onError(localize(t, err) || t('The deck could not be deleted.'));
+    }
+  };
+
+  const revisionSelect = (label, value, onChange) => (
+    <TextField select label={label} size="small" value={value} onChange={(e) => onChange(e.target.value)} sx={{ minWidth: 200 }}>
+      {revisions.map(revision => (
+        <MenuItem key={revision.id} value={revision.id}>
+          {`#${revisionNumber(revision)} – ${formatDate(revision.createdAt, language)}`}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mb: 4 }}>
+      <Typography variant="h6" gutterBottom color="text.primary">
+        {t('Deck Library')}
+      </Typography>
+      {decks.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          {t('No saved decks yet. Generate a guide and use "Save to Library" to keep the deck in this browser.')}
+        </Typography>
+      ) : (
+        <List dense>
+          {decks.map(deck => (
+            <ListItem
+              key={deck.id}
+              disablePadding
+              secondaryAction={
+                <Tooltip title={t('Delete deck')}>
+                  <IconButton edge="end" aria-label={t('Delete {name}', { name: deck.name })} onClick={() => handleDelete(deck)} disabled={disabled}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Tooltip>
+              }
+            >
+              <ListItemButton selected={deck.id === selectedDeckId} onClick={() => setSelectedDeckId(deck.id)}>
+                <ListItemText
+                  primary={deck.name}
+                  secondary={[
+                    FORMATS[deck.format]?.label,
+                    t('{count} revision|{count} revisions', { count: deck.revisionCount }),
+                    t('updated {date}', { date: formatDate(deck.updatedAt, language) }),
+                  ].filter(Boolean).join(' · ')}
+                  slotProps={{ primary: { color: 'text.primary' } }}
+                />
+              </ListItemButton>
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      {selectedDeck && revisions.length > 0 && (
+        <Box sx={{ mt: 3 }}>
+          <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+            {t('Revisions of {name}', { name: selectedDeck.name })}
+          </Typography>
+          <List dense>
+            {revisions.map((revision, index) => {
+              const previous = revisions[index + 1];
+              const summary = previous ? summarizeDiff(diffDecks(previous.cards, revision.cards), zoneLabels) : t('First version');
+              return (
+                <ListItem
+                  key={revision.id}
+                  disableGutters
+                  secondaryAction={
+                    <Button size="small" onClick={() => onOpen(selectedDeck, revision)} disabled={disabled}>
+                      {t('Open')}
+                    </Button>
+                  }
+                >
+                  <ListItemText
+                    primary={`#${revisionNumber(revision)} – ${formatDate(revision.createdAt, language)}`}
+                    secondary={`${summary || t('No card changes')}${revision.guide ? '' : ` · ${t('no guide')}`}`}
+                    slotProps={{ primary: { color: 'text.primary' } }}
+                  />
+                </ListItem>
+              );
+            })}
+          </List>
+
+          {revisions.length > 1 && (
+            <Box sx={{ mt: 2 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 2 }}>
+                {t('Compare Revisions')}
+              </Typography>
+              <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+                {revisionSelect(t('From'), compareFrom, setCompareFrom)}
+                {revisionSelect(t('To'), compareTo, setCompareTo)}
+              </Box>
+              {changes && <DeckDiff changes={changes} />}
+            </Box>
+          )}
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+export default DeckLibrary;
@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { Box, Grid, Paper, Typography } from '@mui/material';
+import { computeDeckStats, COLORS, COLOR_NAMES } from '../deckStats';
+import { useTranslation } from '../i18n';
+
+// Colors used for the pip/source bars
+const MANA_COLORS = {
+  W: '#F8F6D8',
+  U: '#C1D7E9',
+  B: '#BAB1AB',
+  R: '#E49977',
+  G: '#A3C095',
+  C: '#CBC2BF',
+};
+
+// Vertical bar chart for the mana curve
+function CurveChart({ curve }) {
+  const { t } = useTranslation();
+  const max = Math.max(1, ...curve.map(bucket => bucket.count));
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 1, height: 180, pt: 3 }} role="img" aria-label={t('Mana curve')}>
+      {curve.map(bucket => (
+        <Box key={bucket.label} sx={{ flex: 1, display: 'flex', flexDirection: 'column', alignItems: 'center', height: '100%', justifyContent: 'flex-end' }}>
+          <Typography variant="body2" sx={{ fontWeight: 'bold', color: 'text.primary' }}>
+            {bucket.count}
+          </Typography>
+          <Box sx={{
+            width: '100%',
+            height: `${(bucket.count / max) * 100}%`,
+            minHeight: bucket.count > 0 ? 4 : 0,
+            backgroundColor: 'primary.main',
+            borderRadius: '4px 4px 0 0',
+          }} />
+          <Typography variant="body2" sx={{ mt: 0.5 }}>
+            {bucket.label}
+          </Typography>
+        </Box>
+      ))}
+    </Box>
+  );
+}
+
+// Horizontal bar with a label and value
+function HorizontalBar({ label, value, max, color }) {
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+      <Typography variant="body2" sx={{ width: 90, flexShrink: 0 }}>
+        {label}
+      </Typography>
+      <Box sx={{ flex: 1, height: 14, backgroundColor: 'rgba(0, 0, 0, 0.05)', borderRadius: 1 }}>
+        <Box sx={{
+          width: `${max > 0 ? (value / max) * 100 : 0}%`,
+          height: '100%',
+          backgroundColor: color,
+          border: value > 0 ? '1px solid' : 'none',
+          borderColor: 'primary.light',
+          borderRadius: 1,
+        }} />
+      </Box>
+      <Typography variant="body2" sx={{ width: 32, textAlign: 'right', color: 'text.primary' }}>
+        {value}
+      </Typography>
+    </Box>
+  );
+}
+
+function StatTile({ label, value }) {
+  return (
+    <Paper elevation={3} sx={{ p: 2, textAlign: 'center', height: '100%' }}>
+      <Typography variant="h5" component="p">
+        {value}
+      </Typography>
+      <Typography variant="body2">
+        {label}
+      </Typography>
+    </Paper>
+  );
+}
+
+// Deck statistics computed locally from the resolved card data
+function DeckStatistics({ cards }) {
+  const { t } = useTranslation();
+  const stats = useMemo(() => computeDeckStats(cards), [cards]);
+  const usedColors = COLORS.filter(color => stats.pips[color] > 0 || stats.sources[color] > 0);
+  const colorMax = Math.max(0, ...usedColors.flatMap(color => [stats.pips[color], stats.sources[color]]));
+  const types = Object.entries(stats.types).filter(([, count]) => count > 0);
+  const typeMax = Math.max(0, ...types.map(([, count]) => count));
+
+  return (
+    <Box>
+      <Grid container spacing={2} sx={{ mb: 4 }}>
+        <Grid size={{ xs: 6, sm: 3 }}>
+          <StatTile label={t('Cards')} value={stats.total} />
+        </Grid>
+        <Grid size={{ xs: 6, sm: 3 }}>
+          <StatTile label={t('Lands')} value={`${stats.lands} (${Math.round(stats.landRatio * 100)}%)`} />
+        </Grid>
+        <Grid size={{ xs: 6, sm: 3 }}>
+          <StatTile label={t('Nonlands')} value={stats.nonlands} />
+        </Grid>
+        <Grid size={{ xs: 6, sm: 3 }}>
+          <StatTile label={t('Average CMC')} value={stats.averageCmc.toFixed(2)} />
+        </Grid>
+      </Grid>
+
+      <Typography variant="h6" gutterBottom>
+        {t('Mana Curve')}
+      </Typography>
+      <CurveChart curve={stats.curve} />
+
+      <Typography variant="h6" sx={{ mt: 4 }} gutterBottom>
+        {t('Color Pips vs. Mana Sources')}
+      </Typography>
+      {usedColors.length === 0 ? (
+        <Typography variant="body2">{t('No colored mana in this deck.')}</Typography>
+      ) : usedColors.map(color => (
+        <Box key={color} sx={{ mb: 1.5 }}>
+          <HorizontalBar label={t('{color} pips', { color: t(COLOR_NAMES[color]) })} value={stats.pips[color]} max={colorMax} color={MANA_COLORS[color]} />
+          <HorizontalBar label={t('Sources')} value={stats.sources[color]} max={colorMax} color={MANA_COLORS[color]} />
+        </Box>
+      ))}
+
+      <Typography variant="h6" sx={{ mt: 4 }} gutterBottom>
+        {t('Card Types')}
+      </Typography>
+      {types.map(([type, count]) => (
+        <HorizontalBar key={type} label={t(type)} value={count} max={typeMax} color="#A2A7A5" />
+      ))}
+    </Box>
+  );
+}
+
+export default DeckStatistics;
@@ -0,0 +1,194 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Chip,
+  IconButton,
+  MenuItem,
+  Paper,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import FlipIcon from '@mui/icons-material/Flip';
+import ViewListIcon from '@mui/icons-material/ViewList';
+import ViewWeekIcon from '@mui/icons-material/ViewWeek';
+import CardLink from './CardLink';
+import { CARD_TYPES, COLORS, COLOR_NAMES } from '../deckStats';
+import { GROUPINGS, SORTINGS, filterCards, groupCards } from '../deckView';
+import { getCardImages } from '../scryfall';
+import { useTranslation } from '../i18n';
+
+const STACK_WIDTH = 160;
+const STACK_CARD_HEIGHT = Math.round(STACK_WIDTH * 680 / 488); // Scryfall's card image ratio
+const STACK_OFFSET = 36; // Visible strip of each card under the next one in a stack
+
+// One card in a visual stack; double-faced cards get a button to show the other face
+function StackedCard({ card, face, onFlip, first }) {
+  const { t } = useTranslation();
+  const images = getCardImages(card);
+  const image = images[face % Math.max(images.length, 1)];
+
+  return (
+    <Box
+      sx={{
+        position: 'relative',
+        width: STACK_WIDTH,
+        height: STACK_CARD_HEIGHT,
+        mt: first ? 0 : `${STACK_OFFSET - STACK_CARD_HEIGHT}px`,
+        transition: 'transform 0.15s',
+        '&:hover': { zIndex: 1, transform: 'translateY(-8px)' },
+      }}
+    >
+      {image ? (
+        <Box
+          component="img"
+          src={image}
+          alt={card.name}
+          loading="lazy"
+          sx={{ width: '100%', height: '100%', borderRadius: 2, boxShadow: 2, display: 'block' }}
+        />
+      ) : (
+        <Paper
+          variant="outlined"
+          sx={{ width: '100%', height: '100%', borderRadius: 2, p: 1, boxSizing: 'border-box' }}
+        >
+          <Typography variant="caption" sx={{ fontWeight: 'bold', display: 'block' }}>{card.name}</Typography>
+          <Typography variant="caption" color="text.secondary">{card.type_line}</Typography>
+        </Paper>
+      )}
+      <Chip
+        label={`${card.quantity}x`}
+        size="small"
+        color="secondary"
+        sx={{ position: 'absolute', top: 6, left: 6, fontWeight: 'bold' }}
+      />
+      {images.length > 1 && (
+        <Tooltip title={t('Flip card')}>
+          <IconButton
+            size="small"
+            aria-label={t('Flip {name}', { name: card.name })}
+            onClick={onFlip}
+            sx={{ position: 'absolute', top: 4, right: 4, bgcolor: 'background.paper', '&:hover': { bgcolor: 'background.paper' } }}
+          >
+            <FlipIcon fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      )}
+    </Box>
+  );
+}
+
+function ListRow({ card }) {
+  return (
+    <Box sx={{ display: 'flex', gap: 1.5, py: 0.5, borderBottom: '1px solid', borderColor: 'divider', alignItems: 'baseline' }}>
+      <Typography variant="body2" sx={{ minWidth: 28, textAlign: 'right', fontWeight: 'bold' }}>{card.quantity}</Typography>
+      <Typography variant="body2" sx={{ flexGrow: 1 }}>
+        <CardLink card={card}>{card.name}</CardLink>
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ display: { xs: 'none', sm: 'block' } }}>
+        {card.mana_cost || card.card_faces?.map(face => face.mana_cost).filter(Boolean).join(' // ')}
+      </Typography>
+    </Box>
+  );
+}
+
+// "Cards in Deck": the resolved cards grouped, sorted and filtered, as a list or as visual stacks
+function DeckView({ cards }) {
+  const { t } = useTranslation();
+  const [groupBy, setGroupBy] = useState('type');
+  const [sortBy, setSortBy] = useState('cmc');
+  const [layout, setLayout] = useState('stacks');
+  const [filter, setFilter] = useState({ text: '', colors: [], type: '' });
+  const [flipped, setFlipped] = useState({}); // uniqueDisplayId -> face shown
+
+  const filtered = useMemo(() => filterCards(cards, filter), [cards, filter]);
+  const groups = useMemo(() => groupCards(filtered, groupBy, sortBy), [filtered, groupBy, sortBy]);
+  const total = cards.reduce((sum, card) => sum + card.quantity, 0);
+  const shown = filtered.reduce((sum, card) => sum + card.quantity, 0);
+
+  const flip = (card) => setFlipped(prev => ({ ...prev, [card.uniqueDisplayId]: (prev[card.uniqueDisplayId] || 0) + 1 }));
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2, alignItems: 'center' }}>
+        <TextField select size="small" label={t('Group by')} value={groupBy} onChange={(e) => setGroupBy(e.target.value)} sx={{ minWidth: 130 }}>
+          {Object.entries(GROUPINGS).map(([key, grouping]) => <MenuItem key={key} value={key}>{t(grouping.label)}</MenuItem>)}
+        </TextField>
+        <TextField select size="small" label={t('Sort by')} value={sortBy} onChange={(e) => setSortBy(e.target.value)} sx={{ minWidth: 130 }}>
+          {Object.entries(SORTINGS).map(([key, sorting]) => <MenuItem key={key} value={key}>{t(sorting.label)}</MenuItem>)}
+        </TextField>
+        <TextField select size="small" label={t('Card type')} value={filter.type} onChange={(e) => setFilter(prev => ({ ...prev, type: e.target.value }))} sx={{ minWidth: 130 }}>
+          <MenuItem value="">{t('All types')}</MenuItem>
+          {CARD_TYPES.map(type => <MenuItem key={type} value={type}>{t(type)}</MenuItem>)}
+        </TextField>
+        <TextField
+          size="small"
+          label={t('Search cards')}
+          placeholder={t('Name, type or rules text')}
+          value={filter.text}
+          onChange={(e) => setFilter(prev => ({ ...prev, text: e.target.value }))}
+          sx={{ flexGrow: 1, minWidth: 180 }}
+        />
+        <ToggleButtonGroup
+          size="small"
+          value={filter.colors}
+          onChange={(e, colors) => setFilter(prev => ({ ...prev, colors }))}
+          aria-label={t('Filter by color')}
+        >
+          {COLORS.map(color => (
+            <ToggleButton key={color} value={color} aria-label={t(COLOR_NAMES[color])} sx={{ px: 1.25, fontWeight: 'bold' }}>
+              {color}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={layout}
+          onChange={(e, value) => value && setLayout(value)}
+          aria-label={t('Layout')}
+        >
+          <ToggleButton value="stacks" aria-label={t('Visual stacks')}><ViewWeekIcon fontSize="small" /></ToggleButton>
+          <ToggleButton value="list" aria-label={t('List')}><ViewListIcon fontSize="small" /></ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {shown === total ? t('{count} card|{count} cards', { count: total }) : t('Showing {shown} of {count} cards', { shown, count: total })}
+      </Typography>
+
+      {groups.length === 0 && (
+        <Typography color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+          {t('No cards match the filter.')}
+        </Typography>
+      )}
+      <Box
+        sx={layout === 'stacks'
+          ? { display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'flex-start' }
+          : { columnWidth: 300, columnGap: 4 }}
+      >
+        {groups.map(group => (
+          <Box key={group.label} sx={layout === 'stacks' ? { width: STACK_WIDTH } : { breakInside: 'avoid', mb: 3 }}>
+            <Typography variant="subtitle2" sx={{ fontWeight: 'bold', mb: 1 }}>
+              {`${t(group.label)} (${group.count})`}
+            </Typography>
+            {group.cards.map((card, index) => (layout === 'stacks' ? (
+              <StackedCard
+                key={card.uniqueDisplayId}
+                card={card}
+                face={flipped[card.uniqueDisplayId] || 0}
+                onFlip={() => flip(card)}
+                first={index === 0}
+              />
+            ) : (
+              <ListRow key={card.uniqueDisplayId} card={card} />
+            )))}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
+
+export default DeckView;
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { Button, Menu, MenuItem } from '@mui/material';
+import DownloadIcon from '@mui/icons-material/Download';
+import { EXPORT_FORMATS, exportDeck } from '../deckFiles';
+import { useTranslation } from '../i18n';
+
+// Export menu for the resolved deck (and its guide, for the JSON bundle)
+function ExportMenu({ cards, guide, baseName, disabled }) {
+  const { t } = useTranslation();
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const handleExport = (formatKey) => {
+    setAnchorEl(null);
+    exportDeck(formatKey, cards, guide, baseName);
+  };
+
+  return (
+    <>
+      <Button
+        variant="contained"
+        size="small"
+        startIcon={<DownloadIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={disabled || cards.length === 0}
+        aria-controls={anchorEl ? 'export-menu' : undefined}
+        aria-haspopup="true"
+      >
+        {t('Export')}
+      </Button>
+      <Menu id="export-menu" anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {Object.entries(EXPORT_FORMATS).map(([key, format]) => (
+          <MenuItem key={key} onClick={() => handleExport(key)}>
+            {format.label}
+          </MenuItem>
+        ))}
+      </Menu>
+    </>
+  );
+}
+
+export default ExportMenu;
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Box, Button, LinearProgress, Paper, TextField, Typography } from '@mui/material';
+import SendIcon from '@mui/icons-material/Send';
+import GuideMarkdown from './GuideMarkdown';
+import { useTranslation } from '../i18n';
+
+// One question or answer of the conversation
+function ChatMessage({ role, content, cards }) {
+  const fromUser = role === 'user';
+  return (
+    <Box sx={{ display: 'flex', justifyContent: fromUser ? 'flex-end' : 'flex-start', mb: 2 }}>
+      <Paper
+        elevation={fromUser ? 0 : 2}
+        sx={{
+          p: 2,
+          maxWidth: fromUser ? '80%' : '100%',
+          backgroundColor: fromUser ? 'secondary.light' : 'background.paper',
+        }}
+      >
+        {fromUser ? (
+          <Typography variant="body1" sx={{ whiteSpace: 'pre-wrap' }}>{content}</Typography>
+        ) : (
+          <GuideMarkdown cards={cards}>{content}</GuideMarkdown>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+// Follow-up questions about the deck guide. While an answer is on its way,
+// pendingQuestion holds the question and reply the text received so far.
+function GuideChat({ messages, cards, pendingQuestion, reply, onAsk, onCancel, disabled }) {
+  const { t } = useTranslation();
+  const [question, setQuestion] = useState('');
+  const endRef = useRef(null);
+  const pending = pendingQuestion !== null;
+
+  // Keep the newest message in view
+  useEffect(() => {
+    endRef.current?.scrollIntoView?.({ block: 'nearest' });
+  }, [messages.length, pendingQuestion, reply]);
+
+  const handleAsk = () => {
+    const text = question.trim();
+    if (text && !pending) {
+      onAsk(text);
+      setQuestion('');
+    }
+  };
+
+  return (
+    <Box sx={{ mt: 6 }}>
+      <Typography variant="h5" component="h3" sx={{ mb: 1, textAlign: 'center' }}>
+        {t('Ask About This Deck')}
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3, textAlign: 'center' }}>
+        {t('Follow-up questions use the decklist and the guide above as context.')}
+      </Typography>
+      {messages.map((message, index) => (
+        <ChatMessage key={index} role={message.role} content={message.content} cards={cards} />
+      ))}
+      {pending && (
+        <>
+          <ChatMessage role="user" content={pendingQuestion} />
+          {reply ? <ChatMessage role="assistant" content={reply} cards={cards} /> : <LinearProgress sx={{ mb: 2 }} />}
+        </>
+      )}
+      <Box ref={endRef} sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+        <TextField
+          fullWidth
+          multiline
+          maxRows={6}
+          size="small"
+          placeholder={t('e.g. How do I play against Mono-Red?')}
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          onKeyDown={(e) => {
+            // Enter sends, Shift+Enter adds a line break
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              handleAsk();
+            }
+          }}
+          disabled={disabled}
+        />
+        {pending ? (
+          <Button variant="outlined" onClick={onCancel}>{t('Cancel')}</Button>
+        ) : (
+          <Button variant="contained" endIcon={<SendIcon />} onClick={handleAsk} disabled={disabled || !question.trim()}>
+            {t('Ask')}
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+}
+
+export default GuideChat;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Box, CircularProgress, LinearProgress, Typography } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import RadioButtonUncheckedIcon from '@mui/icons-material/RadioButtonUnchecked';
+import { PIPELINE_STAGES, STAGE_LABELS } from '../guidePipeline';
+import { useTranslation } from '../i18n';
+
+// The stages of a running guide job for the loading overlay: finished, running and still to come
+function GuideJobProgress({ job }) {
+  const { t } = useTranslation();
+  const current = PIPELINE_STAGES.indexOf(job.stage);
+
+  return (
+    <Box sx={{ minWidth: 280, textAlign: 'left', mb: 2 }}>
+      {PIPELINE_STAGES.map((stage, i) => {
+        const running = i === current;
+        return (
+          <Box key={stage} sx={{ mb: 1, opacity: i > current ? 0.6 : 1 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
+              {i < current && <CheckCircleIcon fontSize="small" />}
+              {running && <CircularProgress color="inherit" size={18} sx={{ mx: 0.125 }} />}
+              {i > current && <RadioButtonUncheckedIcon fontSize="small" />}
+              <Typography variant="body1" color="white" sx={{ fontWeight: running ? 'bold' : 'normal' }}>
+                {t(STAGE_LABELS[stage])}
+                {running && job.progress && ` (${t('{done} of {total} cards', job.progress)})`}
+              </Typography>
+            </Box>
+            {running && job.progress && (
+              <LinearProgress
+                variant="determinate"
+                color="inherit"
+                value={job.progress.total > 0 ? (100 * job.progress.done) / job.progress.total : 100}
+                sx={{ mt: 0.5, ml: 4 }}
+              />
+            )}
+          </Box>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default GuideJobProgress;
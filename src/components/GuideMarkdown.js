@@ -0,0 +1,56 @@
+import React, { useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { Box, Typography } from '@mui/material';
+import { useTheme } from '@mui/material/styles';
+import CardLink from './CardLink';
+import { rehypeCardLinks } from '../cardLinks';
+
+// Markdown from the LLM rendered with MUI typography (deck guide and chat answers).
+// Names of the given cards become links that show a preview of the card.
+function GuideMarkdown({ children, cards = [] }) {
+  const theme = useTheme();
+  const rehypePlugins = useMemo(() => [[rehypeCardLinks, { cards }]], [cards]);
+  const cardsByName = useMemo(() => new Map(cards.map(card => [card.name, card])), [cards]);
+
+  return (
+    <ReactMarkdown
+      rehypePlugins={rehypePlugins}
+      components={{
+        h1: ({node, ...props}) => <Typography variant="h5" sx={{ mt: 4, mb: 2, borderBottom: '1px solid', borderColor: 'divider', pb: 1, color: theme.palette.text.primary }} {...props} />, 
+        h2: ({node, ...props}) => <Typography variant="h6" sx={{ mt: 3, mb: 1.5, color: theme.palette.text.primary }} {...props} />, 
+        h3: ({node, ...props}) => <Typography variant="subtitle1" sx={{ mt: 2, mb: 1, fontWeight: 'bold', color: theme.palette.text.primary }} {...props} />, 
+        p: ({node, ...props}) => <Typography variant="body1" sx={{ mb: 2, color: theme.palette.text.primary }} {...props} />, 
+        ul: ({node, ...props}) => <Box component="ul" sx={{ pl: 3, mb: 2, '& li': { mb: 0.5, color: theme.palette.text.primary } }} {...props} />, 
+        ol: ({node, ...props}) => <Box component="ol" sx={{ pl: 3, mb: 2, '& li': { mb: 0.5, color: theme.palette.text.primary } }} {...props} />, 
+        li: ({node, ...props}) => <Typography variant="body2" component="li" {...props} />, 
+        strong: ({node, ...props}) => <Box component="strong" sx={{ color: theme.palette.text.primary }} {...props} />, 
+        em: ({node, ...props}) => <Box component="em" sx={{ fontStyle: 'italic', color: theme.palette.text.secondary }} {...props} />, 
+        a: ({node, ...props}) => {
+          const card = cardsByName.get(props['data-card']);
+          if (card) {
+            return <CardLink card={card}>{props.children}</CardLink>;
+          }
+          return <a style={{ color: theme.palette.primary.main, textDecoration: 'underline' }} target="_blank" rel="noopener noreferrer" {...props} />;
+        },
+        code: ({node, inline, className, children, ...props}) => {
+          return (
+            <Box component="code" sx={{
+              backgroundColor: 'rgba(0, 0, 0, 0.05)',
+              color: theme.palette.primary.main,
+              px: 0.5,
+              py: 0.2,
+              borderRadius: 1,
+              fontSize: '0.85em',
+            }} {...props}>
+              {children}
+            </Box>
+          );
+        }
+      }}
+    >
+      {children}
+    </ReactMarkdown>
+  );
+}
+
+export default GuideMarkdown;
@@ -0,0 +1,49 @@
+import React from 'react';
+import { Box, IconButton, LinearProgress, Tooltip } from '@mui/material';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import StopIcon from '@mui/icons-material/Stop';
+import GuideMarkdown from './GuideMarkdown';
+import { splitGuideSections } from '../guideSections';
+import { useTranslation } from '../i18n';
+
+// The finished guide, one block per top-level section, each with its own Regenerate button,
+// which cancels the rewrite while the section is regenerated
+function GuideSections({ guide, cards, regeneratingIndex, onRegenerate, onCancel, disabled }) {
+  const { t } = useTranslation();
+
+  return (
+    <>
+      {splitGuideSections(guide).map((section, index) => (
+        <Box key={`${index}-${section.title}`} sx={{ position: 'relative', pr: section.title ? 5 : 0 }}>
+          {section.title && regeneratingIndex === index && (
+            <Tooltip title={t('Cancel')}>
+              <IconButton size="small" aria-label={t('Cancel')} onClick={onCancel} sx={{ position: 'absolute', top: 24, right: 0 }}>
+                <StopIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {section.title && regeneratingIndex !== index && (
+            <Tooltip title={t('Regenerate "{title}"', { title: section.title })}>
+              <span style={{ position: 'absolute', top: 24, right: 0 }}>
+                <IconButton
+                  size="small"
+                  aria-label={t('Regenerate {title}', { title: section.title })}
+                  onClick={() => onRegenerate(index)}
+                  disabled={disabled || regeneratingIndex !== null}
+                >
+                  <RefreshIcon fontSize="small" />
+                </IconButton>
+              </span>
+            </Tooltip>
+          )}
+          {regeneratingIndex === index && <LinearProgress sx={{ mt: 3 }} />}
+          <Box sx={{ opacity: regeneratingIndex === index ? 0.5 : 1 }}>
+            <GuideMarkdown cards={cards}>{section.markdown}</GuideMarkdown>
+          </Box>
+        </Box>
+      ))}
+    </>
+  );
+}
+
+export default GuideSections;
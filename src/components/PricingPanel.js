@@ -0,0 +1,191 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  FormControlLabel,
+  MenuItem,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from '@mui/material';
+import CardLink from './CardLink';
+import { CURRENCIES, PAPER_CURRENCIES, formatPrice, priceDeck, findCheapestPrinting } from '../pricing';
+import { localize, useTranslation } from '../i18n';
+
+// Result of a cheapest-printing lookup, or the button that starts it
+function CheapestPrinting({ lookup, onFind, disabled }) {
+  const { t } = useTranslation();
+  if (!lookup) {
+    return <Button size="small" onClick={onFind} disabled={disabled}>{t('Find')}</Button>;
+  }
+  if (lookup.loading) {
+    return <Typography variant="body2" color="text.secondary">{t('Searching...')}</Typography>;
+  }
+  if (lookup.error || !lookup.result) {
+    return <Typography variant="body2" color="text.secondary">{lookup.error || t('No prices')}</Typography>;
+  }
+  const { printing, price } = lookup.result;
+  return (
+    <Typography variant="body2">
+      {formatPrice(price, lookup.currency)} ({printing.set?.toUpperCase()} {printing.collector_number})
+    </Typography>
+  );
+}
+
+// Cheaper replacements for one expensive card
+function BudgetEntry({ entry, currency }) {
+  const { t } = useTranslation();
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+        <CardLink card={entry.card}>{entry.card.name}</CardLink> ({formatPrice(entry.price, currency)})
+      </Typography>
+      {entry.suggestions.length === 0 && (
+        <Typography variant="body2" color="text.secondary">{t('No suitable replacement found.')}</Typography>
+      )}
+      <Box component="ul" sx={{ pl: 3, my: 0.5 }}>
+        {entry.suggestions.map(suggestion => (
+          <Typography key={suggestion.card.name} component="li" variant="body2" sx={{ mb: 0.5 }}>
+            <CardLink card={suggestion.card}>{suggestion.card.name}</CardLink>
+            {` (${formatPrice(suggestion.price, currency)})`}
+            {suggestion.reason && `: ${suggestion.reason}`}
+          </Typography>
+        ))}
+      </Box>
+      {entry.rejected.length > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {t('Skipped: {cards}', { cards: entry.rejected.map(({ name, reason }) => `${name} (${localize(t, reason)})`).join(', ') })}
+        </Typography>
+      )}
+    </Box>
+  );
+}
+
+// Per-card prices and deck totals, cheapest printings and the budget mode
+function PricingPanel({ cards, offline, budgetSuggestions, onSuggestBudget, disabled }) {
+  const { t } = useTranslation();
+  const [currency, setCurrency] = useState('usd');
+  const [budgetMode, setBudgetMode] = useState(false);
+  const [threshold, setThreshold] = useState(5);
+  const [cheapest, setCheapest] = useState({}); // `${currency}|${card name}` -> lookup state
+
+  const pricing = useMemo(() => priceDeck(cards, currency), [cards, currency]);
+  const aboveThreshold = (line) => budgetMode && line.unit !== null && line.unit > threshold;
+  const expensiveCount = new Set(pricing.lines.filter(aboveThreshold).map(line => line.card.name)).size;
+
+  const handleFindCheapest = async (card) => {
+    const key = `${currency}|${card.name}`;
+    setCheapest(prev => ({ ...prev, [key]: { loading: true } }));
+    try {
+      const result = await findCheapestPrinting(card, currency);
+      setCheapest(prev => ({ ...prev, [key]: { result, currency } }));
+    } catch (error) {
+      console.error(`Error looking up the printings of "${card.name}":`, error);
+      setCheapest(prev => ({ ...prev, [key]: { error: t('Lookup failed') } }));
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 3, alignItems: 'center', mb: 2 }}>
+        <TextField select size="small" label={t('Currency')} value={currency} onChange={(e) => setCurrency(e.target.value)} sx={{ minWidth: 140 }}>
+          {PAPER_CURRENCIES.map(key => <MenuItem key={key} value={key}>{CURRENCIES[key].label}</MenuItem>)}
+        </TextField>
+        <Box>
+          <Typography variant="caption" color="text.secondary" component="div">{t('Paper')}</Typography>
+          <Typography variant="h6">{formatPrice(pricing.total, currency)}</Typography>
+        </Box>
+        <Box>
+          <Typography variant="caption" color="text.secondary" component="div">MTGO</Typography>
+          <Typography variant="h6">{formatPrice(pricing.tixTotal, 'tix')}</Typography>
+        </Box>
+      </Box>
+      {pricing.unpriced.length > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {t('No {currency} price for: {cards}. The totals leave these cards out.', { currency: CURRENCIES[currency].label, cards: pricing.unpriced.join(', ') })}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 2 }}>
+        <FormControlLabel
+          control={<Switch checked={budgetMode} onChange={(e) => setBudgetMode(e.target.checked)} />}
+          label={t('Budget mode')}
+        />
+        {budgetMode && (
+          <>
+            <TextField
+              size="small"
+              type="number"
+              label={t('Price threshold')}
+              value={threshold}
+              onChange={(e) => setThreshold(Math.max(0, Number(e.target.value) || 0))}
+              slotProps={{ htmlInput: { min: 0, step: 0.5 } }}
+              sx={{ width: 140 }}
+            />
+            <Button
+              variant="contained"
+              onClick={() => onSuggestBudget({ currency, threshold })}
+              disabled={disabled || expensiveCount === 0}
+            >
+              {t('Suggest Replacements for {count} Card|Suggest Replacements for {count} Cards', { count: expensiveCount })}
+            </Button>
+          </>
+        )}
+      </Box>
+
+      {budgetMode && budgetSuggestions && (
+        <Box sx={{ mb: 4 }}>
+          <Typography variant="h6" sx={{ mb: 1 }}>{t('Budget Replacements')}</Typography>
+          {budgetSuggestions.entries.length === 0 && (
+            <Typography variant="body2" color="text.secondary">{t('No cards above the threshold.')}</Typography>
+          )}
+          {budgetSuggestions.entries.map(entry => (
+            <BudgetEntry key={entry.card.name} entry={entry} currency={budgetSuggestions.currency} />
+          ))}
+        </Box>
+      )}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell align="right">{t('Qty')}</TableCell>
+              <TableCell>{t('Card')}</TableCell>
+              <TableCell align="right">{t('Each')}</TableCell>
+              <TableCell align="right">{t('Total')}</TableCell>
+              <TableCell align="right">MTGO</TableCell>
+              <TableCell>{t('Cheapest printing')}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {pricing.lines.map(line => (
+              <TableRow key={line.card.uniqueDisplayId} sx={aboveThreshold(line) ? { bgcolor: 'warning.light' } : undefined}>
+                <TableCell align="right">{line.card.quantity}</TableCell>
+                <TableCell><CardLink card={line.card}>{line.card.name}</CardLink></TableCell>
+                <TableCell align="right">{formatPrice(line.unit, currency)}</TableCell>
+                <TableCell align="right">{formatPrice(line.total, currency)}</TableCell>
+                <TableCell align="right">{formatPrice(line.tixTotal, 'tix')}</TableCell>
+                <TableCell>
+                  <CheapestPrinting
+                    lookup={cheapest[`${currency}|${line.card.name}`]}
+                    onFind={() => handleFindCheapest(line.card)}
+                    disabled={offline}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default PricingPanel;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import { Button, Divider, ListSubheader, Menu, MenuItem } from '@mui/material';
+import PrintIcon from '@mui/icons-material/Print';
+import { downloadFile } from '../deckFiles';
+import { FORMATS } from '../validation';
+import { printHtml } from '../printHtml';
+import { buildRegistrationSheet, registrationSheetHtml, registrationSheetPdf } from '../registrationSheet';
+import { guideBookletHtml, guideBookletPdf, loadThumbnails } from '../guideBooklet';
+import { localize, useTranslation } from '../i18n';
+
+// Print and download menu for the registration sheet and the guide booklet
+function PrintMenu({ cards, guide, formatKey, deckName = '', onError, disabled }) {
+  const { t, language } = useTranslation();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const bookletOptions = () => ({
+    title: deckName || t('Deck Guide'),
+    formatLabel: FORMATS[formatKey]?.label || '',
+    cards,
+    t,
+  });
+  const sheet = () => buildRegistrationSheet(cards, formatKey, { deckName, t });
+
+  const printables = {
+    sheet: {
+      label: t('Registration Sheet'),
+      baseName: 'registration-sheet',
+      failed: t('The registration sheet could not be created.'),
+      html: () => registrationSheetHtml(sheet(), { t, language }),
+      pdf: async () => registrationSheetPdf(sheet(), { t }),
+    },
+    booklet: {
+      label: t('Guide Booklet'),
+      baseName: 'deck-guide',
+      failed: t('The guide booklet could not be created.'),
+      html: () => guideBookletHtml({ ...bookletOptions(), language, guideHtml: renderToStaticMarkup(<ReactMarkdown>{guide}</ReactMarkdown>) }),
+      pdf: async () => guideBookletPdf({ ...bookletOptions(), guide, thumbnails: await loadThumbnails(cards) }),
+    },
+  };
+
+  const handleAction = async (printableKey, action) => {
+    setAnchorEl(null);
+    const printable = printables[printableKey];
+    setBusy(true);
+    try {
+      if (action === 'print') {
+        printHtml(printable.html());
+      } else if (action === 'html') {
+        downloadFile(printable.html(), `${printable.baseName}.html`, 'text/html');
+      } else {
+        downloadFile(await printable.pdf(), `${printable.baseName}.pdf`, 'application/pdf');
+      }
+    } catch (error) {
+      console.error(`Error creating the ${printable.baseName}:`, error);
+      onError(localize(t, error) || printable.failed);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outlined"
+        size="small"
+        startIcon={<PrintIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        disabled={disabled || busy || cards.length === 0}
+        aria-controls={anchorEl ? 'print-menu' : undefined}
+        aria-haspopup="true"
+      >
+        {busy ? t('Preparing...') : t('Print')}
+      </Button>
+      <Menu id="print-menu" anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {Object.entries(printables).flatMap(([key, printable], i) => [
+          i > 0 && <Divider key={`${key}-divider`} />,
+          <ListSubheader key={`${key}-header`}>{printable.label}</ListSubheader>,
+          <MenuItem key={`${key}-print`} onClick={() => handleAction(key, 'print')}>{t('Print')}</MenuItem>,
+          <MenuItem key={`${key}-html`} onClick={() => handleAction(key, 'html')}>{t('Download HTML')}</MenuItem>,
+          <MenuItem key={`${key}-pdf`} onClick={() => handleAction(key, 'pdf')}>{t('Download PDF')}</MenuItem>,
+        ].filter(Boolean))}
+      </Menu>
+    </>
+  );
+}
+
+export default PrintMenu;
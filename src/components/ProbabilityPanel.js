@@ -0,0 +1,166 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Box,
+  Button,
+  FormControl,
+  InputLabel,
+  MenuItem,
+  Select,
+  TextField,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from '@mui/material';
+import {
+  buildLibrary,
+  cardByTurnProbability,
+  castableOnCurveProbability,
+  drawOpeningHand,
+  landsByTurnProbability,
+  HAND_SIZE,
+} from '../simulator';
+import { isLand } from '../deckStats';
+import { createRng } from '../random';
+import { getCardImage } from '../scryfall';
+import { useTranslation } from '../i18n';
+
+const MAX_TURN = 10;
+
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)}%`;
+
+function ProbabilityRow({ label, value }) {
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'space-between', py: 0.5, borderBottom: '1px solid', borderColor: 'divider' }}>
+      <Typography variant="body1">{label}</Typography>
+      <Typography variant="body1" sx={{ fontWeight: 'bold' }}>{formatPercent(value)}</Typography>
+    </Box>
+  );
+}
+
+function HandCard({ card, dimmed }) {
+  const image = getCardImage(card, 'small');
+  return image ? (
+    <Box component="img" src={image} alt={card.name} title={card.name} sx={{ width: 90, borderRadius: 1, opacity: dimmed ? 0.4 : 1 }} />
+  ) : (
+    <Box sx={{ width: 90, height: 126, borderRadius: 1, p: 0.5, fontSize: '0.7rem', backgroundColor: 'background.paper', opacity: dimmed ? 0.4 : 1 }}>
+      {card.name}
+    </Box>
+  );
+}
+
+// Exact draw odds plus sample opening hands with London mulligans
+function ProbabilityPanel({ cards }) {
+  const { t } = useTranslation();
+  const [turn, setTurn] = useState(1);
+  const [onPlay, setOnPlay] = useState(true);
+  const [minLands, setMinLands] = useState(2);
+  const [selectedCard, setSelectedCard] = useState('');
+  const [sample, setSample] = useState(null);
+  const [mulligans, setMulligans] = useState(0);
+  const [seed, setSeed] = useState(() => Date.now());
+
+  const library = useMemo(() => buildLibrary(cards), [cards]);
+  const spellNames = useMemo(
+    () => [...new Set(cards.filter(card => (card.zone || 'main') === 'main' && !isLand(card)).map(card => card.name))],
+    [cards]
+  );
+
+  const drawSample = (mulliganCount, handSeed) => {
+    setMulligans(mulliganCount);
+    setSample(drawOpeningHand(library, { mulligans: mulliganCount, rng: createRng(handSeed) }));
+  };
+
+  if (library.length < HAND_SIZE) {
+    return (
+      <Typography variant="body2">
+        {t('The main deck needs at least {count} cards to simulate draws.', { count: HAND_SIZE })}
+      </Typography>
+    );
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 100 }}>
+          <InputLabel id="turn-label">{t('Turn')}</InputLabel>
+          <Select labelId="turn-label" label={t('Turn')} value={turn} onChange={(e) => setTurn(e.target.value)}>
+            {Array.from({ length: MAX_TURN }, (_, i) => i + 1).map(value => (
+              <MenuItem key={value} value={value}>{value}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField
+          size="small"
+          type="number"
+          label={t('Min. lands')}
+          value={minLands}
+          onChange={(e) => setMinLands(Math.max(0, parseInt(e.target.value, 10) || 0))}
+          sx={{ width: 110 }}
+        />
+        <ToggleButtonGroup size="small" exclusive value={onPlay ? 'play' : 'draw'} onChange={(_, value) => value && setOnPlay(value === 'play')}>
+          <ToggleButton value="play">{t('On the play')}</ToggleButton>
+          <ToggleButton value="draw">{t('On the draw')}</ToggleButton>
+        </ToggleButtonGroup>
+        <FormControl size="small" sx={{ minWidth: 200, flexGrow: 1 }}>
+          <InputLabel id="card-label">{t('Card')}</InputLabel>
+          <Select labelId="card-label" label={t('Card')} value={selectedCard} onChange={(e) => setSelectedCard(e.target.value)}>
+            {spellNames.map(name => (
+              <MenuItem key={name} value={name}>{name}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      <ProbabilityRow label={t('At least {count} land by turn {turn}|At least {count} lands by turn {turn}', { count: minLands, turn })} value={landsByTurnProbability(cards, minLands, turn, onPlay)} />
+      {selectedCard && (
+        <>
+          <ProbabilityRow label={t('{card} by turn {turn}', { card: selectedCard, turn })} value={cardByTurnProbability(cards, selectedCard, turn, onPlay)} />
+          <ProbabilityRow label={t('{card} castable on curve (lands only, colors not checked)', { card: selectedCard })} value={castableOnCurveProbability(cards, selectedCard, onPlay)} />
+        </>
+      )}
+
+      <Typography variant="h6" sx={{ mt: 4 }} gutterBottom>
+        {t('Sample Opening Hand')}
+      </Typography>
+      <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+        <Button
+          variant="contained"
+          size="small"
+          onClick={() => {
+            const newSeed = seed + 1;
+            setSeed(newSeed);
+            drawSample(0, newSeed);
+          }}
+        >
+          {t('Draw Sample Hand')}
+        </Button>
+        <Button
+          variant="contained"
+          size="small"
+          disabled={!sample || mulligans >= HAND_SIZE - 1}
+          onClick={() => {
+            const newSeed = seed + 1;
+            setSeed(newSeed);
+            drawSample(mulligans + 1, newSeed);
+          }}
+        >
+          {t('Mulligan to {count}', { count: HAND_SIZE - mulligans - 1 })}
+        </Button>
+      </Box>
+      {sample && (
+        <>
+          <Typography variant="body2" sx={{ mb: 1 }}>
+            {t('{count} land in {cards} cards|{count} lands in {cards} cards', { count: sample.hand.filter(isLand).length, cards: sample.hand.length })}
+            {mulligans > 0 && ` ${t('after {count} mulligan|after {count} mulligans', { count: mulligans })}`}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {sample.hand.map((card, index) => <HandCard key={`hand-${index}`} card={card} />)}
+            {sample.bottomed.map((card, index) => <HandCard key={`bottom-${index}`} card={card} dimmed />)}
+          </Box>
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default ProbabilityPanel;
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { useTranslation } from '../i18n';
+
+// Save the current deck to the library, either as a new revision of the deck
+// it was opened from (libraryDeck) or as a new deck
+function SaveDeckDialog({ open, libraryDeck, formatLabel, onClose, onSave }) {
+  const { t } = useTranslation();
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    if (open) {
+      setName(libraryDeck?.name || '');
+    }
+  }, [open, libraryDeck]);
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('Save to Library')}</DialogTitle>
+      <DialogContent>
+        <TextField
+          label={t('Deck Name')}
+          fullWidth
+          margin="normal"
+          autoFocus
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {formatLabel ? `${t('Format: {format}.', { format: formatLabel })} ` : ''}
+          {t('The decklist, the resolved cards, the current guide and its follow-up chat are saved in this browser.')}
+        </Typography>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('Cancel')}</Button>
+        <Button onClick={() => onSave({ name, asNew: true })} disabled={!name.trim()}>
+          {t('Save as New Deck')}
+        </Button>
+        {libraryDeck && (
+          <Button variant="contained" onClick={() => onSave({ name, asNew: false })} disabled={!name.trim()}>
+            {t('Save Revision')}
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SaveDeckDialog;
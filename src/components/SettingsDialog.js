@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  Divider,
+  MenuItem,
+  TextField,
+  Typography,
+} from '@mui/material';
+import { PROVIDERS } from '../llm';
+import CardDataSettings from './CardDataSettings';
+import { LANGUAGES, useTranslation } from '../i18n';
+
+// Runtime choice of LLM provider, model, endpoint and key, plus the card data options and the
+// app language. AI settings apply on Save; the language and card data changes (offline mode,
+// bulk import) apply immediately.
+function SettingsDialog({ open, settings, onClose, onSave, offline, onOfflineChange, onLanguageChange, onError }) {
+  const { t, language } = useTranslation();
+  const [draft, setDraft] = useState(settings);
+
+  // Start from the saved settings every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setDraft(settings);
+    }
+  }, [open, settings]);
+
+  const provider = PROVIDERS[draft.provider];
+
+  const handleProviderChange = (providerId) => {
+    const next = PROVIDERS[providerId];
+    setDraft(prev => ({
+      ...prev,
+      provider: providerId,
+      model: next.defaultModel,
+      baseUrl: next.defaultBaseUrl || '',
+    }));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('Settings')}</DialogTitle>
+      <DialogContent>
+        <TextField
+          select
+          label={t('Language')}
+          fullWidth
+          margin="normal"
+          value={language}
+          onChange={(e) => onLanguageChange(e.target.value)}
+        >
+          {Object.entries(LANGUAGES).map(([key, option]) => (
+            <MenuItem key={key} value={key}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+        <Divider sx={{ my: 3 }} />
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold' }}>
+          {t('AI Provider')}
+        </Typography>
+        <TextField
+          select
+          label={t('Provider')}
+          fullWidth
+          margin="normal"
+          value={draft.provider}
+          onChange={(e) => handleProviderChange(e.target.value)}
+        >
+          {Object.values(PROVIDERS).map(option => (
+            <MenuItem key={option.id} value={option.id}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+        {draft.provider !== 'mock' && (
+          <TextField
+            label={t('Model')}
+            fullWidth
+            margin="normal"
+            value={draft.model}
+            onChange={(e) => setDraft(prev => ({ ...prev, model: e.target.value }))}
+          />
+        )}
+        {provider?.defaultBaseUrl !== undefined && (
+          <TextField
+            label={t('Base URL')}
+            fullWidth
+            margin="normal"
+            value={draft.baseUrl}
+            placeholder={provider.defaultBaseUrl}
+            onChange={(e) => setDraft(prev => ({ ...prev, baseUrl: e.target.value }))}
+            helperText={t('Ollama, llama.cpp and LM Studio expose an OpenAI-compatible /v1 endpoint.')}
+          />
+        )}
+        {['gemini', 'openai'].includes(draft.provider) && (
+          <TextField
+            label={t('API Key')}
+            type="password"
+            fullWidth
+            margin="normal"
+            value={draft.apiKey}
+            onChange={(e) => setDraft(prev => ({ ...prev, apiKey: e.target.value }))}
+            helperText={draft.provider === 'gemini'
+              ? t('Required for direct calls; the server provider needs no key in the browser.')
+              : t('Leave empty for local servers that do not need a key.')}
+          />
+        )}
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          {draft.provider === 'proxy'
+            ? `${t('The server keeps the API key; nothing secret is stored in the browser.')} `
+            : ''}
+          {t('Settings are stored in this browser only.')}
+        </Typography>
+        <Divider sx={{ my: 3 }} />
+        <Typography variant="subtitle1" sx={{ fontWeight: 'bold', mb: 1 }}>
+          {t('Card Data')}
+        </Typography>
+        <CardDataSettings offline={offline} onOfflineChange={onOfflineChange} onError={onError} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('Cancel')}</Button>
+        <Button onClick={() => onSave(draft)} disabled={draft.provider !== 'mock' && !draft.model.trim()}>
+          {t('Save')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default SettingsDialog;
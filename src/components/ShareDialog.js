@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Alert,
+  Button,
+  Checkbox,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  FormControlLabel,
+  TextField,
+  Typography,
+} from '@mui/material';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import { LONG_SHARE_URL_LENGTH, buildShareUrl } from '../shareLink';
+import { localize, useTranslation } from '../i18n';
+
+// Link to the current deck, and optionally its guide, encoded in the URL itself
+function ShareDialog({ open, decklist, format, guide, onClose }) {
+  const { t } = useTranslation();
+  const [includeGuide, setIncludeGuide] = useState(true);
+  const [url, setUrl] = useState('');
+  const [linkError, setLinkError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    let cancelled = false;
+    setUrl('');
+    setLinkError(null);
+    setCopied(false);
+    buildShareUrl({ decklist, format, guide: includeGuide ? guide : '' })
+      .then(link => !cancelled && setUrl(link))
+      .catch(err => {
+        console.error("Error creating the share link:", err);
+        if (!cancelled) {
+          setLinkError(localize(t, err) || t('The share link could not be created.'));
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, decklist, format, guide, includeGuide, t]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      console.error("Error copying the share link:", err);
+      setLinkError(t('The link could not be copied. Select it and copy it by hand.'));
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{t('Share Deck')}</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" sx={{ mb: 1 }}>
+          {guide && includeGuide
+            ? t('Anyone who opens this link sees the same deck and guide. Everything is stored in the link itself, nothing is uploaded.')
+            : t('Anyone who opens this link sees the same deck. Everything is stored in the link itself, nothing is uploaded.')}
+        </Typography>
+        {guide && (
+          <FormControlLabel
+            control={<Checkbox checked={includeGuide} onChange={(e) => setIncludeGuide(e.target.checked)} />}
+            label={t('Include the guide')}
+          />
+        )}
+        <TextField
+          label={t('Link')}
+          fullWidth
+          margin="normal"
+          value={url || (linkError ? '' : t('Creating link...'))}
+          slotProps={{ htmlInput: { readOnly: true, onFocus: (e) => e.target.select() } }}
+        />
+        {linkError && <Alert severity="error">{linkError}</Alert>}
+        {url.length > LONG_SHARE_URL_LENGTH && (
+          <Alert severity="warning">
+            {t('This link is {length} characters long and may be cut off by some chat apps.', { length: url.length })}
+            {includeGuide ? ` ${t('Share the deck without the guide for a shorter link.')}` : ''}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('Close')}</Button>
+        <Button variant="contained" startIcon={<ContentCopyIcon />} onClick={handleCopy} disabled={!url}>
+          {copied ? t('Copied') : t('Copy Link')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ShareDialog;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import {
+  Alert,
+  Box,
+  Button,
+  IconButton,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ListAltIcon from '@mui/icons-material/ListAlt';
+import { matchupMatrix } from '../sideboardGuide';
+import { useTranslation } from '../i18n';
+
+const formatChange = (change) => {
+  if (change > 0) {
+    return `+${change}`;
+  }
+  return change < 0 ? `${change}` : '';
+};
+
+// Editable list of opposing archetypes, each optionally with its decklist
+function MatchupEditor({ matchups, onChange, disabled }) {
+  const { t } = useTranslation();
+  const [openDecklists, setOpenDecklists] = useState({});
+
+  const update = (id, changes) => {
+    onChange(matchups.map(matchup => (matchup.id === id ? { ...matchup, ...changes } : matchup)));
+  };
+
+  return (
+    <Box sx={{ mb: 3 }}>
+      {matchups.map(matchup => (
+        <Box key={matchup.id} sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <TextField
+              size="small"
+              fullWidth
+              label={t('Opponent')}
+              value={matchup.archetype}
+              onChange={(e) => update(matchup.id, { archetype: e.target.value })}
+              disabled={disabled}
+            />
+            <Tooltip title={openDecklists[matchup.id] ? t('Hide decklist') : t('Add the opposing decklist')}>
+              <IconButton
+                aria-label={t('Decklist for {archetype}', { archetype: matchup.archetype })}
+                color={matchup.decklist.trim() ? 'primary' : 'default'}
+                onClick={() => setOpenDecklists(prev => ({ ...prev, [matchup.id]: !prev[matchup.id] }))}
+              >
+                <ListAltIcon />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title={t('Remove matchup')}>
+              <IconButton
+                aria-label={t('Remove {archetype}', { archetype: matchup.archetype })}
+                onClick={() => onChange(matchups.filter(item => item.id !== matchup.id))}
+                disabled={disabled}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </Tooltip>
+          </Box>
+          {openDecklists[matchup.id] && (
+            <TextField
+              multiline
+              rows={5}
+              fullWidth
+              size="small"
+              label={t('{archetype} decklist (optional)', { archetype: matchup.archetype || t('Opponent') })}
+              value={matchup.decklist}
+              onChange={(e) => update(matchup.id, { decklist: e.target.value })}
+              disabled={disabled}
+              sx={{ mt: 1 }}
+            />
+          )}
+        </Box>
+      ))}
+      <Button
+        size="small"
+        startIcon={<AddIcon />}
+        onClick={() => onChange([...matchups, { id: crypto.randomUUID(), archetype: '', decklist: '' }])}
+        disabled={disabled}
+      >
+        {t('Add Matchup')}
+      </Button>
+    </Box>
+  );
+}
+
+// IN/OUT changes per card and matchup
+function MatchupMatrix({ plan }) {
+  const { t } = useTranslation();
+  const rows = matchupMatrix(plan);
+  if (rows.length === 0) {
+    return null;
+  }
+  return (
+    <TableContainer component={Paper} variant="outlined" sx={{ mb: 4 }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>{t('Card')}</TableCell>
+            {plan.matchups.map(matchup => (
+              <TableCell key={matchup.archetype} align="center">{matchup.archetype}</TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {rows.map(row => (
+            <TableRow key={`${row.zone}-${row.name}`}>
+              <TableCell>{row.zone === 'side' ? row.name : t('{name} (main)', { name: row.name })}</TableCell>
+              {row.changes.map((change, column) => (
+                <TableCell
+                  key={plan.matchups[column].archetype}
+                  align="center"
+                  sx={{ fontWeight: 'bold', color: change > 0 ? 'success.main' : 'error.main' }}
+                >
+                  {formatChange(change)}
+                </TableCell>
+              ))}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+const planLine = (lines, t) => lines.map(line => `${line.count} ${line.card}`).join(', ') || t('Nothing');
+
+// Sideboard guide tab: matchups to plan for, the matchup matrix and the plan per matchup
+function SideboardGuide({ cards, matchups, onMatchupsChange, plan, onGenerate, disabled }) {
+  const { t } = useTranslation();
+  if (cards.length === 0) {
+    return (
+      <Paper elevation={3} sx={{ p: { xs: 3, sm: 4 }, mt: 4, textAlign: 'center' }}>
+        <Typography variant="h6" color="text.secondary">
+          {t('No deck loaded yet. Please import a deck first.')}
+        </Typography>
+      </Paper>
+    );
+  }
+
+  const hasSideboard = cards.some(card => card.zone === 'side');
+
+  return (
+    <Paper elevation={6} sx={{ p: { xs: 3, sm: 4 }, mb: 4 }}>
+      <Typography variant="h5" component="h2" sx={{ mb: 3, textAlign: 'center' }}>
+        {t('Sideboard Guide')}
+      </Typography>
+      {!hasSideboard && (
+        <Alert severity="info" sx={{ mb: 3 }}>
+          {t('This deck has no sideboard. Add a "Sideboard" section to the decklist to get IN/OUT plans.')}
+        </Alert>
+      )}
+      <Typography variant="h6" gutterBottom>
+        {t('Matchups')}
+      </Typography>
+      <MatchupEditor matchups={matchups} onChange={onMatchupsChange} disabled={disabled} />
+      <Button
+        variant="contained"
+        fullWidth
+        size="large"
+        onClick={onGenerate}
+        disabled={disabled || !hasSideboard || !matchups.some(matchup => matchup.archetype.trim())}
+        sx={{ mb: 4 }}
+      >
+        {t('Generate Sideboard Guide')}
+      </Button>
+
+      {plan && (
+        <>
+          <MatchupMatrix plan={plan} />
+          {plan.matchups.map(matchup => (
+            <Box key={matchup.archetype} sx={{ mb: 3 }}>
+              <Typography variant="h6" sx={{ borderBottom: '1px solid', borderColor: 'divider', pb: 0.5, mb: 1 }}>
+                {t('vs. {archetype}', { archetype: matchup.archetype })}
+              </Typography>
+              {matchup.issues.length > 0 && (
+                <Alert severity="warning" sx={{ mb: 1 }}>
+                  {t('This plan does not fit the deck: {issues}', { issues: matchup.issues.join(' ') })}
+                </Alert>
+              )}
+              <Typography variant="body2"><strong>IN:</strong> {planLine(matchup.in, t)}</Typography>
+              <Typography variant="body2" sx={{ mb: 1 }}><strong>OUT:</strong> {planLine(matchup.out, t)}</Typography>
+              {matchup.notes && <Typography variant="body1">{matchup.notes}</Typography>}
+            </Box>
+          ))}
+        </>
+      )}
+    </Paper>
+  );
+}
+
+export default SideboardGuide;
@@ -0,0 +1,134 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogContent,
+  DialogTitle,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  TextField,
+  Tooltip,
+  Typography,
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import AddIcon from '@mui/icons-material/Add';
+import { BUILT_IN_TEMPLATES, formatTemplateSections, parseTemplateSections } from '../guideTemplates';
+import { useTranslation } from '../i18n';
+
+const toDraft = (template) => ({ id: template.id, name: template.name, text: formatTemplateSections(template.sections) });
+
+// Create, edit and delete user-defined guide templates. Sections are edited as text.
+function TemplateDialog({ open, templates, onClose, onSave }) {
+  const { t } = useTranslation();
+  const [drafts, setDrafts] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setDrafts(templates.map(toDraft));
+      setSelectedId(templates[0]?.id || null);
+    }
+  }, [open, templates]);
+
+  const selected = drafts.find(draft => draft.id === selectedId);
+  const isValid = (draft) => draft.name.trim() && parseTemplateSections(draft.text).length > 0;
+
+  const updateSelected = (changes) => {
+    setDrafts(prev => prev.map(draft => (draft.id === selectedId ? { ...draft, ...changes } : draft)));
+  };
+
+  const handleAdd = () => {
+    // Start from the constructed template so the expected syntax is visible
+    const draft = toDraft({ ...BUILT_IN_TEMPLATES[0], id: crypto.randomUUID(), name: t('My Template') });
+    setDrafts(prev => [...prev, draft]);
+    setSelectedId(draft.id);
+  };
+
+  const handleDelete = (id) => {
+    setDrafts(prev => prev.filter(draft => draft.id !== id));
+    if (selectedId === id) {
+      setSelectedId(null);
+    }
+  };
+
+  const handleSave = () => {
+    onSave(drafts.map(draft => ({ id: draft.id, name: draft.name.trim(), sections: parseTemplateSections(draft.text) })));
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="md">
+      <DialogTitle>{t('Guide Templates')}</DialogTitle>
+      <DialogContent>
+        <Box sx={{ display: 'flex', gap: 3, flexDirection: { xs: 'column', sm: 'row' } }}>
+          <Box sx={{ minWidth: 220 }}>
+            <List dense>
+              {drafts.map(draft => (
+                <ListItem
+                  key={draft.id}
+                  disablePadding
+                  secondaryAction={
+                    <Tooltip title={t('Delete template')}>
+                      <IconButton edge="end" aria-label={t('Delete {name}', { name: draft.name })} onClick={() => handleDelete(draft.id)}>
+                        <DeleteIcon />
+                      </IconButton>
+                    </Tooltip>
+                  }
+                >
+                  <ListItemButton selected={draft.id === selectedId} onClick={() => setSelectedId(draft.id)}>
+                    <ListItemText
+                      primary={draft.name || t('Untitled')}
+                      secondary={isValid(draft) ? null : t('Needs a name and at least one section')}
+                    />
+                  </ListItemButton>
+                </ListItem>
+              ))}
+            </List>
+            <Button size="small" startIcon={<AddIcon />} onClick={handleAdd}>
+              {t('New Template')}
+            </Button>
+          </Box>
+          <Box sx={{ flex: 1 }}>
+            {selected ? (
+              <>
+                <TextField
+                  label={t('Name')}
+                  fullWidth
+                  margin="normal"
+                  value={selected.name}
+                  onChange={(e) => updateSelected({ name: e.target.value })}
+                />
+                <TextField
+                  label={t('Sections')}
+                  fullWidth
+                  multiline
+                  minRows={12}
+                  margin="normal"
+                  value={selected.text}
+                  onChange={(e) => updateSelected({ text: e.target.value })}
+                  helperText={t('One "# Section Title" line per section, followed by "* instruction" lines for the AI.')}
+                />
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                {t('Create a template to choose your own guide sections. The built-in Constructed, Commander and Limited / Cube templates are always available.')}
+              </Typography>
+            )}
+          </Box>
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>{t('Cancel')}</Button>
+        <Button onClick={handleSave} disabled={!drafts.every(isValid)}>
+          {t('Save')}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TemplateDialog;
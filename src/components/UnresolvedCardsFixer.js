@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  Autocomplete,
+  TextField,
+  IconButton,
+  Tooltip,
+} from '@mui/material';
+import DeleteOutlineIcon from '@mui/icons-material/DeleteOutline';
+import UndoIcon from '@mui/icons-material/Undo';
+import { fetchSuggestions } from '../scryfall';
+import { localize, useTranslation } from '../i18n';
+
+// A single unresolved decklist line with Scryfall suggestions
+function UnresolvedCardRow({ item, correction, onChange, offline, disabled }) {
+  const { t } = useTranslation();
+  const [inputValue, setInputValue] = useState(item.name);
+  const [options, setOptions] = useState([]);
+  const dropped = correction === null;
+
+  // Debounced suggestion lookup whenever the user types
+  useEffect(() => {
+    let active = true;
+    const timeoutId = setTimeout(async () => {
+      try {
+        const suggestions = await fetchSuggestions(inputValue, { offline });
+        if (active) {
+          setOptions(suggestions);
+        }
+      } catch (error) {
+        console.error(`Error fetching suggestions for "${inputValue}":`, error);
+      }
+    }, 300);
+    return () => {
+      active = false;
+      clearTimeout(timeoutId);
+    };
+  }, [inputValue, offline]);
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+      <Typography variant="body1" sx={{ minWidth: 40, fontWeight: 'bold' }}>
+        {item.quantity}x
+      </Typography>
+      <Autocomplete
+        freeSolo
+        fullWidth
+        size="small"
+        options={options}
+        filterOptions={(x) => x} // Scryfall already filtered the suggestions
+        value={dropped ? null : correction || null}
+        inputValue={inputValue}
+        onInputChange={(_, value) => setInputValue(value)}
+        onChange={(_, value) => onChange(item.uniqueId, value || undefined)}
+        disabled={disabled || dropped}
+        renderInput={(params) => (
+          <TextField
+            {...params}
+            label={t('Replace "{name}"', { name: item.name })}
+            helperText={dropped ? t('This line will be dropped') : localize(t, item.reason)}
+          />
+        )}
+      />
+      <Tooltip title={dropped ? t('Keep line') : t('Drop line')}>
+        <span>
+          <IconButton
+            onClick={() => onChange(item.uniqueId, dropped ? undefined : null)}
+            disabled={disabled}
+            aria-label={dropped ? t('Keep {name}', { name: item.name }) : t('Drop {name}', { name: item.name })}
+          >
+            {dropped ? <UndoIcon /> : <DeleteOutlineIcon />}
+          </IconButton>
+        </span>
+      </Tooltip>
+    </Box>
+  );
+}
+
+// Lists the decklist lines Scryfall could not resolve and lets the user correct or drop them.
+// corrections maps uniqueId -> replacement name (string), or null to drop the line.
+function UnresolvedCardsFixer({ unresolved, resolvedCount, onContinue, offline, disabled }) {
+  const { t } = useTranslation();
+  const [corrections, setCorrections] = useState({});
+
+  const handleChange = (uniqueId, value) => {
+    setCorrections(prev => ({ ...prev, [uniqueId]: value }));
+  };
+
+  // Every line needs either a replacement or to be dropped before continuing
+  const allHandled = unresolved.every(item => corrections[item.uniqueId] !== undefined);
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Alert severity="warning" sx={{ mb: 2 }}>
+        {t('{cards}, but {lines} could not be resolved.', {
+          cards: t('{count} card found|{count} cards found', { count: resolvedCount }),
+          lines: t('{count} line|{count} lines', { count: unresolved.length }),
+        })}
+        {' '}
+        {t('Pick a correction or drop each line to continue.')}
+      </Alert>
+      {unresolved.map(item => (
+        <UnresolvedCardRow
+          key={item.uniqueId}
+          item={item}
+          correction={corrections[item.uniqueId]}
+          onChange={handleChange}
+          offline={offline}
+          disabled={disabled}
+        />
+      ))}
+      <Button
+        variant="contained"
+        color="primary"
+        fullWidth
+        onClick={() => onContinue(corrections)}
+        disabled={disabled || !allHandled}
+      >
+        {t('Continue with Corrections')}
+      </Button>
+    </Box>
+  );
+}
+
+export default UnresolvedCardsFixer;
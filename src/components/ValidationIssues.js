@@ -0,0 +1,39 @@
+import React from 'react';
+import { Alert, Box, Button, List, ListItem, ListItemText, Typography } from '@mui/material';
+import { localize, useTranslation } from '../i18n';
+
+// Lists format violations of the resolved deck before the guide is generated
+function ValidationIssues({ issues, formatLabel, onGenerateAnyway, disabled }) {
+  const { t } = useTranslation();
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const warnings = issues.filter(issue => issue.severity !== 'error');
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Alert severity={errors.length > 0 ? 'error' : 'warning'} sx={{ mb: 1 }}>
+        {errors.length > 0
+          ? t('This deck is not legal in {format}: {count} problem found.|This deck is not legal in {format}: {count} problems found.', { format: formatLabel, count: errors.length })
+          : t('This deck may not be legal in {format}.', { format: formatLabel })}
+      </Alert>
+      <List dense>
+        {[...errors, ...warnings].map((issue, index) => (
+          <ListItem key={`${issue.message}-${index}`} disableGutters>
+            <ListItemText
+              primary={localize(t, issue)}
+              secondary={issue.severity === 'error' ? null : t('Warning')}
+              slotProps={{ primary: { color: 'text.primary' } }}
+            />
+          </ListItem>
+        ))}
+      </List>
+      <Typography variant="body2" sx={{ mb: 2 }}>
+        {t('Fix the decklist and generate again, or continue with the deck as it is.')}
+      </Typography>
+      <Button variant="contained" color="primary" fullWidth onClick={onGenerateAnyway} disabled={disabled}>
+        {t('Generate Guide Anyway')}
+      </Button>
+    </Box>
+  );
+}
+
+export default ValidationIssues;
@@ -0,0 +1,73 @@
+// Shared IndexedDB database for data that should survive a reload
+import { userError } from './i18n';
+
+const DB_NAME = 'mtg-deck-guide';
+const DB_VERSION = 3;
+
+// Object stores with their key and indexes; bump DB_VERSION when adding one
+const STORES = {
+  decks: { keyPath: 'id' },
+  revisions: { keyPath: 'id', autoIncrement: true, indexes: { deckId: 'deckId' } },
+  cards: { keyPath: 'id', indexes: { keys: ['keys', { multiEntry: true }], source: 'source' } },
+  collection: { keyPath: 'key' },
+};
+
+let databasePromise = null;
+
+// Wrap an IDBRequest in a promise
+export const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const isDatabaseAvailable = () => typeof indexedDB !== 'undefined';
+
+// Open the database once per page, creating missing stores on upgrade
+export const openDatabase = () => {
+  if (!isDatabaseAvailable()) {
+    return Promise.reject(userError('This browser does not support local storage of decks (IndexedDB).'));
+  }
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, { indexes = {}, ...options }]) => {
+          if (db.objectStoreNames.contains(name)) {
+            return;
+          }
+          const store = db.createObjectStore(name, options);
+          Object.entries(indexes).forEach(([indexName, index]) => {
+            const [keyPath, indexOptions] = Array.isArray(index) ? index : [index];
+            store.createIndex(indexName, keyPath, indexOptions);
+          });
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+};
+
+// Run fn with the named object stores in one transaction.
+// Resolves with fn's result once the transaction has committed.
+export const withStores = async (storeNames, mode, fn) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(fn(...storeNames.map(name => transaction.objectStore(name))))
+      .then(value => { result = value; })
+      .catch(error => {
+        reject(error);
+        transaction.abort();
+      });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
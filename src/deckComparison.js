@@ -0,0 +1,109 @@
+// Deck comparison: two decklists resolved and compared card by card and by their statistics,
+// and the prompt for an analysis of what the changes mean for the deck
+import { parseDecklist, ZONE_LABELS } from './decklist';
+import { diffDecks } from './deckDiff';
+import { computeDeckStats, COLORS, COLOR_NAMES } from './deckStats';
+import { EXPERT_INTRO, formatLineFor, languageLineFor, deckContext } from './guidePrompt';
+import { userError } from './i18n';
+
+// Sections of the "what changed" analysis
+export const COMPARISON_SECTIONS = [
+  ['Summary of Changes', 'What was changed and what the changes are likely meant to achieve.'],
+  ['Strategy', 'How the game plan, speed and role of the deck shift.'],
+  ['Matchups', 'Which matchups get better or worse, and why.'],
+  ['Mulligans', 'How keep and mulligan decisions change with the new list.'],
+];
+
+const row = (label, before, after) => ({ label, before, after, delta: after - before });
+
+// Statistics of both versions side by side: { overview, curve, colors } as rows of
+// { label, before, after, delta }. Colors are the colored pips of the mana costs.
+export const statsDelta = (beforeCards, afterCards) => {
+  const before = computeDeckStats(beforeCards);
+  const after = computeDeckStats(afterCards);
+  return {
+    overview: [
+      row('Cards', before.total, after.total),
+      row('Lands', before.lands, after.lands),
+      row('Nonland cards', before.nonlands, after.nonlands),
+      row('Average mana value', Number(before.averageCmc.toFixed(2)), Number(after.averageCmc.toFixed(2))),
+    ],
+    curve: before.curve.map((bucket, i) => row(`Mana value ${bucket.label}`, bucket.count, after.curve[i].count)),
+    colors: COLORS.map(color => row(`${COLOR_NAMES[color]} pips`, before.pips[color], after.pips[color])),
+  };
+};
+
+// "+1.5", "-2", "±0"
+export const formatDelta = (delta) => {
+  const rounded = Number(delta.toFixed(2));
+  if (rounded === 0) {
+    return '±0';
+  }
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+const changeLine = ({ name, zone, before, after }) => `  - ${ZONE_LABELS[zone]}: ${name} ${before} → ${after}`;
+
+// Oracle text of the cards that left the deck; the new version's cards are in the deck context
+const removedCardsContext = (beforeCards, changes) => {
+  const removed = new Set(changes.filter(change => change.change === 'removed').map(change => change.name));
+  return beforeCards
+    .filter(card => removed.has(card.name))
+    .map(card => `  ${card.name} - Mana: ${card.mana_cost || 'N/A'} - Type: ${card.type_line || 'N/A'}\n  Oracle Text: ${card.oracle_text || 'No Oracle Text'}`)
+    .join('\n\n');
+};
+
+export const buildComparisonPrompt = (beforeCards, afterCards, formatKey, changes, language = 'en') => {
+  const delta = statsDelta(beforeCards, afterCards);
+  const changedStats = [...delta.overview, ...delta.curve, ...delta.colors].filter(stat => stat.delta !== 0);
+  return `
+  ${EXPERT_INTRO}
+  ${formatLineFor(formatKey)}
+  ${languageLineFor(language)}
+  A player changed their deck. Explain how the changes affect the deck.
+
+  Card changes (old count → new count):
+${changes.map(changeLine).join('\n')}
+
+  Statistics that changed (old → new):
+${changedStats.map(stat => `  - ${stat.label}: ${stat.before} → ${stat.after}`).join('\n') || '  - None'}
+
+  Write the analysis in Markdown with these sections, each as a level-1 heading:
+${COMPARISON_SECTIONS.map(([title, instructions]) => `  # ${title}\n  ${instructions}`).join('\n')}
+
+  Be specific about the cards involved and only name cards from the two versions of the deck.
+
+  ---
+  **Cards removed from the deck:**
+${removedCardsContext(beforeCards, changes) || '  None'}
+  ---
+  **New version of the deck:**
+${deckContext(afterCards)}`;
+};
+
+// Parse and resolve both decklists and compare them. resolve(parsedDeck) returns
+// { cards, unresolved } like fetchCardData. Returns { before, after, changes, delta } and, for card
+// links in the analysis, cards: every card of both versions once.
+export const compareDecklists = async (beforeText, afterText, resolve) => {
+  const lists = [beforeText, afterText].map(text => parseDecklist(text));
+  if (lists.some(list => list.length === 0)) {
+    throw userError('Please enter both decklists to compare.');
+  }
+  const resolved = [];
+  for (const list of lists) {
+    resolved.push(await resolve(list)); // One after the other to stay within Scryfall's rate limit
+  }
+  const unresolved = resolved.flatMap(result => result.unresolved.map(item => item.name));
+  if (unresolved.length > 0) {
+    throw userError('These cards could not be found: {cards}. Please correct them and compare again.', { cards: [...new Set(unresolved)].join(', ') });
+  }
+  const [before, after] = resolved.map(result => result.cards);
+  const afterNames = new Set(after.map(card => card.name));
+  return {
+    before,
+    after,
+    changes: diffDecks(before, after),
+    delta: statsDelta(before, after),
+    cards: [...after, ...before.filter(card => !afterNames.has(card.name))],
+  };
+};
@@ -0,0 +1,78 @@
+import { statsDelta, formatDelta, buildComparisonPrompt, compareDecklists } from './deckComparison';
+import {
+  burnDeck, lightningBolt, goblinGuide, borosCharm, manamorphose, needlevergePathway, mountain, emrakul, kitesailFreebooter, inDeck,
+} from './__fixtures__/cards';
+
+// burnDeck without Emrakul and a Mountain, with two more Goblin Guides
+const tunedDeck = [
+  inDeck(lightningBolt, 4),
+  inDeck(goblinGuide, 6),
+  inDeck(borosCharm, 4),
+  inDeck(manamorphose, 4),
+  inDeck(needlevergePathway, 4),
+  inDeck(mountain, 38),
+  inDeck(kitesailFreebooter, 2, 'side'),
+];
+
+const changedRows = (rows) => rows.filter(stat => stat.delta !== 0).map(({ label, before, after }) => [label, before, after]);
+
+test('statsDelta compares land count, curve and colors', () => {
+  const delta = statsDelta(burnDeck, tunedDeck);
+  expect(changedRows(delta.overview)).toEqual([
+    ['Lands', 43, 42],
+    ['Nonland cards', 17, 18],
+    ['Average mana value', 2.29, 1.44],
+  ]);
+  expect(changedRows(delta.curve)).toEqual([['Mana value 1', 8, 10], ['Mana value 7+', 1, 0]]);
+  expect(changedRows(delta.colors)).toEqual([['Red pips', 16, 18]]);
+});
+
+test('formatDelta shows the sign', () => {
+  expect(formatDelta(2)).toBe('+2');
+  expect(formatDelta(-0.85)).toBe('-0.85');
+  expect(formatDelta(0.001)).toBe('±0');
+});
+
+test('the comparison prompt lists the changes, the removed cards and the sections', () => {
+  const changes = [
+    { name: 'Emrakul, the Aeons Torn', zone: 'main', before: 1, after: 0, change: 'removed' },
+    { name: 'Goblin Guide', zone: 'main', before: 4, after: 6, change: 'changed' },
+  ];
+  const prompt = buildComparisonPrompt(burnDeck, tunedDeck, 'modern', changes);
+  expect(prompt).toContain('Modern format');
+  expect(prompt).toContain('- Main Deck: Emrakul, the Aeons Torn 1 → 0');
+  expect(prompt).toContain('- Lands: 43 → 42');
+  expect(prompt).toMatch(/Cards removed from the deck:\*\*\n {2}Emrakul, the Aeons Torn/);
+  ['# Summary of Changes', '# Strategy', '# Matchups', '# Mulligans'].forEach(heading => expect(prompt).toContain(heading));
+});
+
+const fixtures = [lightningBolt, goblinGuide, emrakul, mountain];
+
+// Resolves names from the fixtures like fetchCardData
+const resolve = async (parsedDeck) => {
+  const found = parsedDeck.map(item => [item, fixtures.find(card => card.name === item.name)]);
+  return {
+    cards: found.filter(([, card]) => card).map(([item, card]) => ({ ...card, quantity: item.quantity, zone: item.zone, uniqueDisplayId: item.uniqueId })),
+    unresolved: found.filter(([, card]) => !card).map(([item]) => item),
+  };
+};
+
+test('compareDecklists resolves both lists and diffs them', async () => {
+  const result = await compareDecklists(
+    '4 Lightning Bolt\n1 Emrakul, the Aeons Torn\n20 Mountain',
+    '4 Lightning Bolt\n2 Goblin Guide\n19 Mountain',
+    resolve,
+  );
+  expect(result.changes.map(({ name, change }) => [name, change])).toEqual([
+    ['Goblin Guide', 'added'],
+    ['Emrakul, the Aeons Torn', 'removed'],
+    ['Mountain', 'changed'],
+  ]);
+  expect(result.cards.map(card => card.name)).toEqual(['Lightning Bolt', 'Goblin Guide', 'Mountain', 'Emrakul, the Aeons Torn']);
+  expect(result.delta.overview[0]).toEqual({ label: 'Cards', before: 25, after: 25, delta: 0 });
+});
+
+test('compareDecklists needs two lists of known cards', async () => {
+  await expect(compareDecklists('4 Lightning Bolt', '', resolve)).rejects.toThrow('enter both decklists');
+  await expect(compareDecklists('4 Lightning Bolt', '4 Lightning Blot', resolve)).rejects.toThrow('could not be found: Lightning Blot');
+});
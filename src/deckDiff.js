@@ -0,0 +1,61 @@
+// Differences between two versions of a deck, per zone and card name
+import { ZONES, ZONE_LABELS } from './decklist';
+
+const CHANGE_ORDER = { added: 0, removed: 1, changed: 2 };
+
+const entryKey = (entry) => `${entry.zone || 'main'}|${entry.name.trim().toLowerCase()}`;
+
+// Total quantity per zone + name, so several printings of a card count as one line
+const countEntries = (entries) => {
+  const counts = new Map();
+  entries.forEach(entry => {
+    const key = entryKey(entry);
+    const current = counts.get(key) || { name: entry.name, zone: entry.zone || 'main', quantity: 0 };
+    counts.set(key, { ...current, quantity: current.quantity + entry.quantity });
+  });
+  return counts;
+};
+
+// Compare two lists of { name, quantity, zone } (parsed entries or resolved cards).
+// Returns [{ name, zone, before, after, change }] with change 'added', 'removed' or 'changed',
+// ordered by zone, kind of change and name. Unchanged cards are left out.
+export const diffDecks = (before, after) => {
+  const beforeCounts = countEntries(before);
+  const afterCounts = countEntries(after);
+  const keys = new Set([...beforeCounts.keys(), ...afterCounts.keys()]);
+
+  const changes = [];
+  keys.forEach(key => {
+    const previous = beforeCounts.get(key);
+    const next = afterCounts.get(key);
+    const beforeQuantity = previous?.quantity || 0;
+    const afterQuantity = next?.quantity || 0;
+    if (beforeQuantity === afterQuantity) {
+      return;
+    }
+    const { name, zone } = next || previous;
+    let change = 'changed';
+    if (beforeQuantity === 0) {
+      change = 'added';
+    } else if (afterQuantity === 0) {
+      change = 'removed';
+    }
+    changes.push({ name, zone, before: beforeQuantity, after: afterQuantity, change });
+  });
+
+  return changes.sort((a, b) => ZONES.indexOf(a.zone) - ZONES.indexOf(b.zone)
+    || CHANGE_ORDER[a.change] - CHANGE_ORDER[b.change]
+    || a.name.localeCompare(b.name));
+};
+
+// One-line summary of a diff, e.g. "Main Deck: +2 / -3; Sideboard: +1"; zoneLabels names the zones
+export const summarizeDiff = (changes, zoneLabels = ZONE_LABELS) => ZONES
+  .map(zone => {
+    const inZone = changes.filter(change => change.zone === zone);
+    const added = inZone.reduce((sum, change) => sum + Math.max(change.after - change.before, 0), 0);
+    const removed = inZone.reduce((sum, change) => sum + Math.max(change.before - change.after, 0), 0);
+    const parts = [added && `+${added}`, removed && `-${removed}`].filter(Boolean);
+    return parts.length > 0 ? `${zoneLabels[zone]}: ${parts.join(' / ')}` : null;
+  })
+  .filter(Boolean)
+  .join('; ');
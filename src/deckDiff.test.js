@@ -0,0 +1,25 @@
+import { diffDecks, summarizeDiff } from './deckDiff';
+import { parseDecklist } from './decklist';
+
+test('reports added, removed and changed cards per zone', () => {
+  const before = parseDecklist('4 Lightning Bolt\n4 Goblin Guide\n20 Mountain\n\nSideboard\n2 Smash to Smithereens');
+  const after = parseDecklist('4 Lightning Bolt\n2 Goblin Guide\n2 Monastery Swiftspear\n20 Mountain\n\nSideboard\n3 Smash to Smithereens');
+
+  expect(diffDecks(before, after)).toEqual([
+    { name: 'Monastery Swiftspear', zone: 'main', before: 0, after: 2, change: 'added' },
+    { name: 'Goblin Guide', zone: 'main', before: 4, after: 2, change: 'changed' },
+    { name: 'Smash to Smithereens', zone: 'side', before: 2, after: 3, change: 'changed' },
+  ]);
+});
+
+test('merges printings of the same card and ignores case', () => {
+  const before = parseDecklist('2 Lightning Bolt (M11) 146\n2 Lightning Bolt (2X2) 117');
+  const after = parseDecklist('4 lightning bolt');
+  expect(diffDecks(before, after)).toEqual([]);
+});
+
+test('moving a card to the sideboard is a removal and an addition', () => {
+  const changes = diffDecks(parseDecklist('4 Duress'), parseDecklist('Sideboard\n4 Duress'));
+  expect(changes.map(change => [change.zone, change.change])).toEqual([['main', 'removed'], ['side', 'added']]);
+  expect(summarizeDiff(changes)).toBe('Main Deck: -4; Sideboard: +4');
+});
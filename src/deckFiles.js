@@ -0,0 +1,153 @@
+// Deck file import and export (Arena text, MTGO .dek, CSV and JSON bundles)
+import { formatDecklist, isDekXml, parseDekXml } from './decklist';
+import { userError } from './i18n';
+
+export const DECK_FILE_ACCEPT = '.txt,.dec,.dek,.json';
+export const BUNDLE_FORMAT = 'mtg-deck-guide';
+export const BUNDLE_VERSION = 1;
+
+// Convert resolved Scryfall cards back into decklist entries
+export const cardsToEntries = (cards) => cards.map(card => ({
+  quantity: card.quantity,
+  name: card.name,
+  zone: card.zone || 'main',
+  set: card.set,
+  collectorNumber: card.collector_number,
+}));
+
+// MTG Arena text, with printings
+export const toArenaText = (cards) => formatDecklist(cardsToEntries(cards));
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// MTGO only knows the front face of double-faced cards
+const mtgoName = (card) => (['transform', 'modal_dfc', 'flip', 'adventure'].includes(card.layout)
+  ? card.name.split(' // ')[0]
+  : card.name);
+
+// MTGO .dek XML; MTGO keeps commanders and companions in the sideboard
+export const toDekXml = (cards) => {
+  const cardLines = cards.map(card => {
+    const sideboard = (card.zone || 'main') !== 'main';
+    return `  <Cards CatID="${card.mtgo_id || 0}" Quantity="${card.quantity}" Sideboard="${sideboard}" Name="${escapeXml(mtgoName(card))}" Annotation="0" />`;
+  });
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <NetDeckID>0</NetDeckID>',
+    '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+    ...cardLines,
+    '</Deck>',
+  ].join('\n');
+};
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const CSV_COLUMNS = ['Name', 'Quantity', 'Set', 'Collector Number', 'Mana Cost', 'Type', 'Zone'];
+
+// CSV with one row per decklist line
+export const toCsv = (cards) => {
+  const rows = cards.map(card => [
+    card.name,
+    card.quantity,
+    card.set ? card.set.toUpperCase() : '',
+    card.collector_number,
+    card.mana_cost || card.card_faces?.map(face => face.mana_cost).filter(Boolean).join(' // '),
+    card.type_line,
+    card.zone || 'main',
+  ]);
+  return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+// Full JSON bundle including the guide Markdown
+export const toJsonBundle = (cards, guide) => JSON.stringify({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  exportedAt: new Date().toISOString(),
+  cards: cards.map(card => ({
+    ...cardsToEntries([card])[0],
+    scryfallId: card.id,
+    manaCost: card.mana_cost,
+    typeLine: card.type_line,
+  })),
+  guide: guide || '',
+}, null, 2);
+
+export const EXPORT_FORMATS = {
+  arena: { label: 'MTG Arena (.txt)', extension: 'txt', mimeType: 'text/plain', build: (cards) => toArenaText(cards) },
+  dek: { label: 'MTGO (.dek)', extension: 'dek', mimeType: 'application/xml', build: (cards) => toDekXml(cards) },
+  csv: { label: 'CSV (.csv)', extension: 'csv', mimeType: 'text/csv', build: (cards) => toCsv(cards) },
+  json: { label: 'Deck + Guide (.json)', extension: 'json', mimeType: 'application/json', build: (cards, guide) => toJsonBundle(cards, guide) },
+};
+
+// Trigger a browser download for the given text or binary (Uint8Array) content
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: typeof content === 'string' ? `${mimeType};charset=utf-8` : mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Export cards in one of the EXPORT_FORMATS
+export const exportDeck = (formatKey, cards, guide, baseName = 'deck') => {
+  const format = EXPORT_FORMATS[formatKey];
+  if (!format) {
+    throw new Error(`Unknown export format "${formatKey}".`);
+  }
+  downloadFile(format.build(cards, guide), `${baseName}.${format.extension}`, format.mimeType);
+};
+
+// Turn a JSON deck file into decklist text. Accepts our own bundle or a plain array of { name, quantity }.
+export const jsonToDecklist = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw userError('The JSON deck file could not be read.');
+  }
+  const cards = Array.isArray(data) ? data : data.cards;
+  if (!Array.isArray(cards)) {
+    throw userError('The JSON deck file does not contain a card list.');
+  }
+  const entries = cards
+    .filter(card => card && card.name)
+    .map(card => ({
+      quantity: Number(card.quantity ?? card.count ?? 1), // A number or a numeric string
+      name: card.name,
+      zone: card.zone || 'main',
+      set: card.set,
+      collectorNumber: card.collectorNumber || card.collector_number,
+    }));
+  const invalid = entries.filter(entry => !Number.isInteger(entry.quantity) || entry.quantity <= 0);
+  if (invalid.length > 0) {
+    throw userError('The JSON deck file has no valid quantity for: {cards}.', { cards: invalid.map(entry => entry.name).join(', ') });
+  }
+  return formatDecklist(entries);
+};
+
+// Read a dropped or picked deck file and return decklist text for the Import Deck field
+export const readDeckFile = async (file) => {
+  const text = await file.text();
+  const extension = file.name.split('.').pop().toLowerCase();
+
+  if (extension === 'json') {
+    return jsonToDecklist(text);
+  }
+  if (extension === 'dek' || isDekXml(text)) {
+    return formatDecklist(parseDekXml(text));
+  }
+  return text.trim();
+};
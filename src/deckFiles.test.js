@@ -0,0 +1,60 @@
+import { toArenaText, toDekXml, toCsv, toJsonBundle, jsonToDecklist } from './deckFiles';
+import { parseDecklist } from './decklist';
+import { slimCard } from './cardCache';
+
+const cards = [
+  { id: 'krenko', name: 'Krenko, Mob Boss', quantity: 1, zone: 'commander', set: 'ddt', collector_number: '52', mana_cost: '{2}{R}{R}', type_line: 'Legendary Creature — Goblin Warrior', mtgo_id: 1 },
+  { id: 'bolt', name: 'Lightning Bolt', quantity: 4, zone: 'main', set: 'm11', collector_number: '146', mana_cost: '{R}', type_line: 'Instant', mtgo_id: 2 },
+  { id: 'delver', name: 'Delver of Secrets // Insectile Aberration', layout: 'transform', quantity: 2, zone: 'side', set: 'isd', collector_number: '51', type_line: 'Creature — Human Wizard // Creature — Human Insect', card_faces: [{ mana_cost: '{U}' }, { mana_cost: '' }] },
+];
+
+const withoutIds = (entries) => entries.map(({ uniqueId, ...entry }) => entry);
+
+test('Arena text export round-trips through parseDecklist', () => {
+  const text = toArenaText(cards);
+  expect(text).toBe('Commander\n1 Krenko, Mob Boss (DDT) 52\n\nDeck\n4 Lightning Bolt (M11) 146\n\nSideboard\n2 Delver of Secrets // Insectile Aberration (ISD) 51');
+  expect(withoutIds(parseDecklist(text)).map(entry => [entry.name, entry.zone, entry.set])).toEqual([
+    ['Krenko, Mob Boss', 'commander', 'ddt'],
+    ['Lightning Bolt', 'main', 'm11'],
+    ['Delver of Secrets // Insectile Aberration', 'side', 'isd'],
+  ]);
+});
+
+test('MTGO .dek export uses front face names and round-trips', () => {
+  const xml = toDekXml(cards);
+  expect(xml).toContain('<Cards CatID="2" Quantity="4" Sideboard="false" Name="Lightning Bolt" Annotation="0" />');
+  expect(withoutIds(parseDecklist(xml))).toEqual([
+    { quantity: 1, name: 'Krenko, Mob Boss', zone: 'side' },
+    { quantity: 4, name: 'Lightning Bolt', zone: 'main' },
+    { quantity: 2, name: 'Delver of Secrets', zone: 'side' },
+  ]);
+});
+
+test('MTGO .dek export keeps the MTGO id of cached cards', () => {
+  const cached = slimCard({ id: 'bolt', name: 'Lightning Bolt', mtgo_id: 48562, tcgplayer_id: 1 });
+  const xml = toDekXml([{ ...cached, quantity: 4, zone: 'main' }]);
+  expect(xml).toContain('<Cards CatID="48562" Quantity="4" Sideboard="false" Name="Lightning Bolt" Annotation="0" />');
+  expect(withoutIds(parseDecklist(xml))).toEqual([{ quantity: 4, name: 'Lightning Bolt', zone: 'main' }]);
+});
+
+test('CSV export quotes fields and includes face mana costs', () => {
+  const lines = toCsv(cards).split('\n');
+  expect(lines[0]).toBe('Name,Quantity,Set,Collector Number,Mana Cost,Type,Zone');
+  expect(lines[1]).toBe('"Krenko, Mob Boss",1,DDT,52,{2}{R}{R},Legendary Creature — Goblin Warrior,commander');
+  expect(lines[3]).toContain(',{U},');
+});
+
+test('JSON bundle includes the guide and imports back as decklist text', () => {
+  const bundle = toJsonBundle(cards, '# Guide');
+  expect(JSON.parse(bundle)).toMatchObject({ format: 'mtg-deck-guide', version: 1, guide: '# Guide' });
+  expect(jsonToDecklist(bundle)).toBe(toArenaText(cards));
+});
+
+test('JSON import accepts a plain card array and rejects invalid files', () => {
+  expect(jsonToDecklist('[{"name": "Mountain", "quantity": 20}]')).toBe('20 Mountain');
+  expect(jsonToDecklist('[{"name": "Mountain", "count": "20"}]')).toBe('20 Mountain');
+  expect(() => jsonToDecklist('[{"name": "Mountain", "quantity": "x"}, {"name": "Island", "quantity": 1.5}, {"name": "Swamp", "quantity": 0}]'))
+    .toThrow('The JSON deck file has no valid quantity for: Mountain, Island, Swamp.');
+  expect(() => jsonToDecklist('not json')).toThrow('could not be read');
+  expect(() => jsonToDecklist('{"foo": 1}')).toThrow('does not contain a card list');
+});
@@ -0,0 +1,50 @@
+// Local deck library: named decks, each with the history of saved revisions and their guides.
+//   Deck:     { id, name, format, createdAt, updatedAt, revisionCount }
+//   Revision: { id, deckId, createdAt, decklist, cards, guide, chat }
+// chat holds the follow-up questions and answers about the guide.
+import { withStores, promisifyRequest } from './db';
+import { userError } from './i18n';
+
+// All saved decks, most recently updated first
+export const listDecks = async () => {
+  const decks = await withStores(['decks'], 'readonly', store => promisifyRequest(store.getAll()));
+  return decks.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+// Revisions of a deck, newest first
+export const listRevisions = async (deckId) => {
+  const revisions = await withStores(['revisions'], 'readonly',
+    store => promisifyRequest(store.index('deckId').getAll(deckId)));
+  return revisions.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Save the current deck as a new revision. Without a deckId a new deck is created.
+// Returns the saved deck and revision.
+export const saveRevision = ({ deckId, name, format, decklist, cards, guide, chat }) =>
+  withStores(['decks', 'revisions'], 'readwrite', async (decks, revisions) => {
+    const now = Date.now();
+    const existing = deckId ? await promisifyRequest(decks.get(deckId)) : null;
+    if (deckId && !existing) {
+      throw userError('This deck is no longer in the library.');
+    }
+    const deck = {
+      id: existing?.id || crypto.randomUUID(),
+      createdAt: existing?.createdAt || now,
+      name: name.trim(),
+      format: format || '',
+      updatedAt: now,
+      revisionCount: (existing?.revisionCount || 0) + 1,
+    };
+    const revision = { deckId: deck.id, createdAt: now, decklist, cards, guide: guide || '', chat: chat || [] };
+    decks.put(deck);
+    revision.id = await promisifyRequest(revisions.add(revision));
+    return { deck, revision };
+  });
+
+// Delete a deck together with all of its revisions
+export const deleteDeck = (deckId) =>
+  withStores(['decks', 'revisions'], 'readwrite', async (decks, revisions) => {
+    decks.delete(deckId);
+    const keys = await promisifyRequest(revisions.index('deckId').getAllKeys(deckId));
+    keys.forEach(key => revisions.delete(key));
+  });
@@ -0,0 +1,62 @@
+import 'fake-indexeddb/auto';
+import { listDecks, listRevisions, saveRevision, deleteDeck } from './deckLibrary';
+import { withStores } from './db';
+import { burnDeck } from './__fixtures__/cards';
+
+const save = (fields) => saveRevision({ name: 'Burn', format: 'modern', decklist: '4 Lightning Bolt', cards: burnDeck, ...fields });
+
+beforeEach(async () => {
+  await withStores(['decks', 'revisions'], 'readwrite', (decks, revisions) => {
+    decks.clear();
+    revisions.clear();
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('saves a new deck with its first revision', async () => {
+  const { deck, revision } = await save({ name: '  Burn ', guide: '# Guide' });
+
+  expect(await listDecks()).toEqual([deck]);
+  expect(deck).toMatchObject({ name: 'Burn', format: 'modern', revisionCount: 1 });
+  expect(await listRevisions(deck.id)).toEqual([
+    { id: revision.id, deckId: deck.id, createdAt: deck.createdAt, decklist: '4 Lightning Bolt', cards: burnDeck, guide: '# Guide', chat: [] },
+  ]);
+});
+
+test('saving to a deck adds a revision and lists the newest first', async () => {
+  let now = 1000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  const first = await save({});
+  now = 2000;
+  const other = await save({ name: 'Affinity' });
+  now = 3000;
+  const second = await save({ deckId: first.deck.id, decklist: '4 Lava Spike', chat: [{ role: 'user', content: 'Why?' }] });
+
+  expect(second.deck).toMatchObject({ id: first.deck.id, createdAt: 1000, updatedAt: 3000, revisionCount: 2 });
+  expect((await listDecks()).map(deck => deck.name)).toEqual(['Burn', 'Affinity']);
+  expect((await listRevisions(first.deck.id)).map(revision => revision.decklist)).toEqual(['4 Lava Spike', '4 Lightning Bolt']);
+  expect(await listRevisions(other.deck.id)).toHaveLength(1);
+});
+
+test('does not save to a deck that is no longer in the library', async () => {
+  await expect(save({ deckId: 'gone' })).rejects.toMatchObject({
+    message: 'This deck is no longer in the library.',
+    translation: { message: 'This deck is no longer in the library.' },
+  });
+  expect(await listDecks()).toEqual([]);
+});
+
+test('deleting a deck deletes its revisions and keeps the other decks', async () => {
+  const { deck } = await save({});
+  await save({ deckId: deck.id });
+  const other = await save({ name: 'Affinity' });
+
+  await deleteDeck(deck.id);
+
+  expect(await listDecks()).toEqual([other.deck]);
+  expect(await listRevisions(deck.id)).toEqual([]);
+  expect(await listRevisions(other.deck.id)).toHaveLength(1);
+});
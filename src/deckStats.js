@@ -0,0 +1,125 @@
+// Deterministic deck statistics computed from resolved Scryfall card objects
+
+export const COLORS = ['W', 'U', 'B', 'R', 'G', 'C'];
+
+export const COLOR_NAMES = {
+  W: 'White',
+  U: 'Blue',
+  B: 'Black',
+  R: 'Red',
+  G: 'Green',
+  C: 'Colorless',
+};
+
+// Card types in classification order: a card counts once, under the first type it has
+export const CARD_TYPES = ['Land', 'Creature', 'Planeswalker', 'Battle', 'Instant', 'Sorcery', 'Artifact', 'Enchantment'];
+
+// Mana curve buckets; everything at or above the last bucket is grouped as "7+"
+export const CURVE_MAX = 7;
+
+// Zones that count towards the deck's statistics (the sideboard does not)
+export const STATS_ZONES = ['main', 'commander'];
+
+// Type line of the front face for double-faced cards ("Instant // Land" counts as an Instant)
+export const frontTypeLine = (card) => (card.card_faces?.[0]?.type_line || card.type_line || '').split(' // ')[0];
+
+export const isLand = (card) => /\bLand\b/.test(frontTypeLine(card));
+
+export const primaryType = (card) => {
+  const typeLine = frontTypeLine(card);
+  return CARD_TYPES.find(type => new RegExp(`\\b${type}\\b`).test(typeLine)) || 'Other';
+};
+
+// Mana cost of the card, or of its front face for double-faced cards
+export const manaCostOf = (card) => card.mana_cost || card.card_faces?.[0]?.mana_cost || '';
+
+// Count colored pips in a mana cost. Hybrid symbols count for each of their colors,
+// Phyrexian symbols for their color; generic and X costs are ignored.
+export const countPips = (manaCost) => {
+  const pips = Object.fromEntries(COLORS.map(color => [color, 0]));
+  for (const [, symbol] of (manaCost || '').matchAll(/\{([^}]+)\}/g)) {
+    symbol.split('/').forEach(part => {
+      if (pips[part] !== undefined) {
+        pips[part] += 1;
+      }
+    });
+  }
+  return pips;
+};
+
+const emptyColorCounts = () => Object.fromEntries(COLORS.map(color => [color, 0]));
+
+// Quantity-weighted mana curve of nonland cards: [{ cmc: 0, label: '0', count }, ..., { label: '7+' }]
+export const manaCurve = (cards) => {
+  const curve = Array.from({ length: CURVE_MAX + 1 }, (_, cmc) => ({
+    cmc,
+    label: cmc === CURVE_MAX ? `${CURVE_MAX}+` : `${cmc}`,
+    count: 0,
+  }));
+  cards.filter(card => !isLand(card)).forEach(card => {
+    const bucket = Math.min(Math.floor(card.cmc || 0), CURVE_MAX);
+    curve[bucket].count += card.quantity;
+  });
+  return curve;
+};
+
+// Quantity-weighted colored pips across all mana costs
+export const colorPips = (cards) => {
+  const totals = emptyColorCounts();
+  cards.forEach(card => {
+    const pips = countPips(manaCostOf(card));
+    COLORS.forEach(color => {
+      totals[color] += pips[color] * card.quantity;
+    });
+  });
+  return totals;
+};
+
+// Number of cards that can produce each color (lands, rocks and dorks alike)
+export const manaSources = (cards) => {
+  const totals = emptyColorCounts();
+  cards.forEach(card => {
+    (card.produced_mana || []).forEach(color => {
+      if (totals[color] !== undefined) {
+        totals[color] += card.quantity;
+      }
+    });
+  });
+  return totals;
+};
+
+// Quantity-weighted count per primary card type
+export const typeBreakdown = (cards) => {
+  const totals = Object.fromEntries([...CARD_TYPES, 'Other'].map(type => [type, 0]));
+  cards.forEach(card => {
+    totals[primaryType(card)] += card.quantity;
+  });
+  return totals;
+};
+
+// Compute all statistics for the cards in the given zones
+export const computeDeckStats = (cards, zones = STATS_ZONES) => {
+  const deckCards = cards.filter(card => zones.includes(card.zone || 'main'));
+  const total = deckCards.reduce((sum, card) => sum + card.quantity, 0);
+  const lands = deckCards.filter(isLand).reduce((sum, card) => sum + card.quantity, 0);
+  const nonlands = total - lands;
+  const nonlandCmc = deckCards
+    .filter(card => !isLand(card))
+    .reduce((sum, card) => sum + (card.cmc || 0) * card.quantity, 0);
+
+  // Color identity of the whole deck, in WUBRG order
+  const identity = new Set(deckCards.flatMap(card => card.color_identity || []));
+
+  return {
+    total,
+    lands,
+    nonlands,
+    landRatio: total > 0 ? lands / total : 0,
+    averageCmc: nonlands > 0 ? nonlandCmc / nonlands : 0,
+    curve: manaCurve(deckCards),
+    pips: colorPips(deckCards),
+    sources: manaSources(deckCards),
+    types: typeBreakdown(deckCards),
+    colorIdentity: COLORS.filter(color => identity.has(color)),
+  };
+};
@@ -0,0 +1,38 @@
+import { computeDeckStats, countPips, primaryType, isLand } from './deckStats';
+import { burnDeck, needlevergePathway, kitesailFreebooter, manamorphose } from './__fixtures__/cards';
+
+test('countPips handles hybrid, phyrexian and generic symbols', () => {
+  expect(countPips('{2}{R}{R}')).toMatchObject({ R: 2, W: 0 });
+  expect(countPips('{1}{R/G}')).toMatchObject({ R: 1, G: 1 });
+  expect(countPips('{W/P}{C}{X}')).toMatchObject({ W: 1, C: 1 });
+  expect(countPips(undefined)).toMatchObject({ W: 0, U: 0, B: 0, R: 0, G: 0, C: 0 });
+});
+
+test('classifies cards by their primary type', () => {
+  expect(primaryType(kitesailFreebooter)).toBe('Creature');
+  expect(primaryType(manamorphose)).toBe('Instant');
+  expect(isLand(needlevergePathway)).toBe(true);
+  expect(isLand({ type_line: 'Instant // Land', card_faces: [{ type_line: 'Instant' }, { type_line: 'Land' }] })).toBe(false);
+});
+
+test('computes quantity-weighted stats for the main deck only', () => {
+  const stats = computeDeckStats(burnDeck);
+
+  expect(stats.total).toBe(60);
+  expect(stats.lands).toBe(43);
+  expect(stats.nonlands).toBe(17);
+  expect(stats.landRatio).toBeCloseTo(43 / 60);
+  // (4*1 + 4*1 + 4*2 + 4*2 + 1*15) / 17
+  expect(stats.averageCmc).toBeCloseTo(39 / 17);
+  expect(stats.curve.map(bucket => bucket.count)).toEqual([0, 8, 8, 0, 0, 0, 0, 1]);
+  expect(stats.curve[7].label).toBe('7+');
+  expect(stats.pips).toEqual({ W: 4, U: 0, B: 0, R: 16, G: 4, C: 0 });
+  expect(stats.sources).toEqual({ W: 8, U: 4, B: 4, R: 47, G: 4, C: 0 });
+  expect(stats.types).toMatchObject({ Land: 43, Creature: 5, Instant: 12, Artifact: 0 });
+  expect(stats.colorIdentity).toEqual(['W', 'R', 'G']);
+});
+
+test('returns zeroed stats for an empty deck', () => {
+  const stats = computeDeckStats([]);
+  expect(stats).toMatchObject({ total: 0, lands: 0, landRatio: 0, averageCmc: 0 });
+});
@@ -0,0 +1,116 @@
+// Grouping, sorting and filtering of the resolved cards for the visual deck view
+import { ZONE_LABELS } from './decklist';
+import { CARD_TYPES, COLORS, COLOR_NAMES, CURVE_MAX, isLand, primaryType } from './deckStats';
+
+// Colors of the card; double-faced cards only have colors on their faces
+export const cardColors = (card) => {
+  if (card.colors) {
+    return card.colors;
+  }
+  const faceColors = new Set((card.card_faces || []).flatMap(face => face.colors || []));
+  return COLORS.filter(color => faceColors.has(color));
+};
+
+const colorGroup = (card) => {
+  if (isLand(card)) {
+    return 'Lands';
+  }
+  const colors = cardColors(card);
+  if (colors.length > 1) {
+    return 'Multicolor';
+  }
+  return colors.length === 1 ? COLOR_NAMES[colors[0]] : 'Colorless';
+};
+
+const cmcGroup = (card) => {
+  if (isLand(card)) {
+    return 'Lands';
+  }
+  const cmc = Math.min(Math.floor(card.cmc || 0), CURVE_MAX);
+  return cmc === CURVE_MAX ? `${CURVE_MAX}+` : `${cmc}`;
+};
+
+// Group-by options: the group label of a card and the order the groups are shown in
+export const GROUPINGS = {
+  type: {
+    label: 'Type',
+    groupOf: primaryType,
+    order: [...CARD_TYPES, 'Other'],
+  },
+  cmc: {
+    label: 'Mana Value',
+    groupOf: cmcGroup,
+    order: [...Array.from({ length: CURVE_MAX }, (_, cmc) => `${cmc}`), `${CURVE_MAX}+`, 'Lands'],
+  },
+  color: {
+    label: 'Color',
+    groupOf: colorGroup,
+    order: [...COLORS.filter(color => color !== 'C').map(color => COLOR_NAMES[color]), 'Multicolor', 'Colorless', 'Lands'],
+  },
+  zone: {
+    label: 'Zone',
+    groupOf: card => ZONE_LABELS[card.zone || 'main'],
+    order: ['commander', 'companion', 'main', 'side'].map(zone => ZONE_LABELS[zone]),
+  },
+  none: {
+    label: 'None',
+    groupOf: () => 'All Cards',
+    order: ['All Cards'],
+  },
+};
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+export const SORTINGS = {
+  name: { label: 'Name', compare: byName },
+  cmc: { label: 'Mana Value', compare: (a, b) => (a.cmc || 0) - (b.cmc || 0) || byName(a, b) },
+  quantity: { label: 'Quantity', compare: (a, b) => b.quantity - a.quantity || byName(a, b) },
+};
+
+// Text searched by the filter: names, type lines and oracle text of every face
+const searchableText = (card) => [card, ...(card.card_faces || [])]
+  .map(face => [face.name, face.type_line, face.oracle_text].filter(Boolean).join('\n'))
+  .join('\n')
+  .toLowerCase();
+
+// Cards matching the filter: text in the name, type line or rules text, any of the selected
+// colors ('C' = colorless) and the selected card type ('' = any)
+export const filterCards = (cards, { text = '', colors = [], type = '' } = {}) => {
+  const query = text.trim().toLowerCase();
+  return cards.filter(card => {
+    if (query && !searchableText(card).includes(query)) {
+      return false;
+    }
+    if (colors.length > 0) {
+      const cardColorList = cardColors(card);
+      const matches = cardColorList.length === 0
+        ? colors.includes('C')
+        : cardColorList.some(color => colors.includes(color));
+      if (!matches) {
+        return false;
+      }
+    }
+    return !type || new RegExp(`\\b${type}\\b`).test(card.type_line || '');
+  });
+};
+
+// Cards in groups: [{ label, count, cards }], in the grouping's order, each group sorted.
+// count is the number of cards including copies; empty groups are left out.
+export const groupCards = (cards, groupBy = 'type', sortBy = 'name') => {
+  const grouping = GROUPINGS[groupBy];
+  const groups = new Map(grouping.order.map(label => [label, []]));
+  cards.forEach(card => {
+    const label = grouping.groupOf(card);
+    if (!groups.has(label)) {
+      groups.set(label, []);
+    }
+    groups.get(label).push(card);
+  });
+  return [...groups.entries()]
+    .filter(([, groupCardList]) => groupCardList.length > 0)
+    .map(([label, groupCardList]) => ({
+      label,
+      count: groupCardList.reduce((sum, card) => sum + card.quantity, 0),
+      cards: [...groupCardList].sort(SORTINGS[sortBy].compare),
+    }));
+};
@@ -0,0 +1,41 @@
+import { cardColors, filterCards, groupCards } from './deckView';
+import { burnDeck, needlevergePathway, kitesailFreebooter } from './__fixtures__/cards';
+
+const summary = (groups) => groups.map(group => [group.label, group.count, group.cards.map(card => card.name)]);
+
+test('groups by type in type order with card counts', () => {
+  expect(summary(groupCards(burnDeck, 'type'))).toEqual([
+    ['Land', 43, ['Mountain', 'Needleverge Pathway // Pillarverge Pathway']],
+    ['Creature', 7, ['Emrakul, the Aeons Torn', 'Goblin Guide', 'Kitesail Freebooter']],
+    ['Instant', 12, ['Boros Charm', 'Lightning Bolt', 'Manamorphose']],
+  ]);
+});
+
+test('groups by mana value, color and zone', () => {
+  expect(groupCards(burnDeck, 'cmc').map(group => group.label)).toEqual(['1', '2', '7+', 'Lands']);
+  expect(groupCards(burnDeck, 'color').map(group => group.label)).toEqual(['Black', 'Red', 'Multicolor', 'Colorless', 'Lands']);
+  expect(summary(groupCards(burnDeck, 'zone')).map(([label, count]) => [label, count])).toEqual([['Main Deck', 60], ['Sideboard', 2]]);
+  expect(groupCards(burnDeck, 'none')[0].count).toBe(62);
+});
+
+test('sorts within groups', () => {
+  const [all] = groupCards(burnDeck, 'none', 'quantity');
+  expect(all.cards.slice(0, 2).map(card => card.name)).toEqual(['Mountain', 'Boros Charm']);
+  const [instants] = groupCards(burnDeck.filter(card => card.type_line === 'Instant'), 'none', 'cmc');
+  expect(instants.cards.map(card => card.name)).toEqual(['Lightning Bolt', 'Boros Charm', 'Manamorphose']);
+});
+
+test('double-faced cards take their colors from the faces', () => {
+  const dfc = { ...needlevergePathway, card_faces: [{ colors: ['R'] }, { colors: ['W'] }] };
+  expect(cardColors(dfc)).toEqual(['W', 'R']);
+  expect(cardColors(kitesailFreebooter)).toEqual(['B']);
+});
+
+test('filters by text in names, types and rules text, by color and by type', () => {
+  const names = (cards) => cards.map(card => card.name);
+  expect(names(filterCards(burnDeck, { text: 'pillarverge' }))).toEqual(['Needleverge Pathway // Pillarverge Pathway']);
+  expect(names(filterCards(burnDeck, { text: '3 DAMAGE' }))).toEqual(['Lightning Bolt']);
+  expect(names(filterCards(burnDeck, { colors: ['B'] }))).toEqual(['Kitesail Freebooter']);
+  expect(names(filterCards(burnDeck, { colors: ['C'], type: 'Creature' }))).toEqual(['Emrakul, the Aeons Torn']);
+  expect(filterCards(burnDeck, {})).toHaveLength(burnDeck.length);
+});
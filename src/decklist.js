@@ -0,0 +1,229 @@
+// Decklist parsing for plain text, MTG Arena, MTGO (.txt and .dek XML), Moxfield and Archidekt exports
+
+export const ZONES = ['main', 'side', 'commander', 'companion'];
+
+export const ZONE_LABELS = {
+  main: 'Main Deck',
+  side: 'Sideboard',
+  commander: 'Commander',
+  companion: 'Companion',
+};
+
+// Section headers that switch the zone for the following lines.
+// "Deck"/"Sideboard"/"Commander"/"Companion" are used by Arena, "SIDEBOARD:" by Moxfield/MTGO.
+// Maybeboard/considering sections are not part of the deck and are skipped entirely.
+const ZONE_HEADERS = [
+  [/^(deck|main\s*deck|mainboard|main)$/i, 'main'],
+  [/^(sideboard|side\s*board|side)$/i, 'side'],
+  [/^(commanders?|cmdr)$/i, 'commander'],
+  [/^companions?$/i, 'companion'],
+  [/^(maybeboard|maybe|considering)$/i, null],
+];
+
+// Line prefixes that put a single line into a zone ("SB: 2 Duress")
+const ZONE_PREFIXES = [
+  [/^SB:\s*/i, 'side'],
+  [/^(CMDR|COMMANDER):\s*/i, 'commander'],
+  [/^COMPANION:\s*/i, 'companion'],
+];
+
+// "4 Card", "4x Card", "4 x Card"
+const CARD_LINE = /^(\d+)\s*x?\s+(.+)$/i;
+// Trailing printing info: "(M11) 146", "(2X2) 117a", "(PLST) LRW-256", or just "(M11)"
+const PRINTING = /\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([A-Za-z0-9★-]+))?$/;
+// Archidekt category tags: "[Commander{top}]", "[Sideboard]", "[Maybeboard{noDeck}{noPrice}]"
+const CATEGORY_TAG = /\s*\[([^\]]*)\]/g;
+// Foil/etched markers: "*F*", "*E*"
+const FOIL_MARKER = /\s*\*[FE]\*/gi;
+
+const createUniqueId = (name, quantity, index) => `${name}-${quantity}-${index}-${crypto.randomUUID()}`;
+
+const zoneFromHeader = (line) => {
+  const header = line.replace(/[:]+$/, '').replace(/\s*\(\d+\)$/, '').trim();
+  for (const [pattern, zone] of ZONE_HEADERS) {
+    if (pattern.test(header)) {
+      return { zone };
+    }
+  }
+  return undefined;
+};
+
+// Map Archidekt category tags onto zones (undefined = keep current zone, null = skip line)
+const zoneFromCategories = (categories) => {
+  const lowered = categories.map(category => category.toLowerCase());
+  if (lowered.some(category => category.startsWith('maybeboard') || category.includes('{nodeck}'))) {
+    return null;
+  }
+  if (lowered.some(category => category.startsWith('commander'))) {
+    return 'commander';
+  }
+  if (lowered.some(category => category.startsWith('companion'))) {
+    return 'companion';
+  }
+  if (lowered.some(category => category.startsWith('sideboard'))) {
+    return 'side';
+  }
+  return undefined;
+};
+
+// Parse a single "QUANTITY NAME [printing] [tags]" line, or return null if it is not a card line
+export const parseCardLine = (rawLine) => {
+  let line = rawLine.trim();
+  let zone;
+
+  for (const [pattern, prefixZone] of ZONE_PREFIXES) {
+    if (pattern.test(line)) {
+      zone = prefixZone;
+      line = line.replace(pattern, '');
+      break;
+    }
+  }
+
+  const match = line.match(CARD_LINE);
+  if (!match) {
+    return null;
+  }
+  const quantity = parseInt(match[1], 10);
+  let name = match[2];
+
+  const categories = [...name.matchAll(CATEGORY_TAG)].map(tag => tag[1]);
+  if (categories.length > 0) {
+    const categoryZone = zoneFromCategories(categories);
+    if (categoryZone === null) {
+      return { skip: true };
+    }
+    zone = zone || categoryZone;
+    name = name.replace(CATEGORY_TAG, '');
+  }
+  name = name.replace(FOIL_MARKER, '').trim();
+
+  let set;
+  let collectorNumber;
+  const printing = name.match(PRINTING);
+  if (printing) {
+    set = printing[1].toLowerCase();
+    collectorNumber = printing[2];
+    name = name.slice(0, printing.index).trim();
+  }
+
+  if (!name || quantity <= 0) {
+    return null;
+  }
+  return { quantity, name, zone, set, collectorNumber };
+};
+
+const decodeXmlEntities = (value) => value
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+export const isDekXml = (text) => /<Deck[\s>]/i.test(text) && /<Cards\s/i.test(text);
+
+// Parse an MTGO .dek XML file: <Cards CatID="..." Quantity="4" Sideboard="false" Name="Lightning Bolt" />
+export const parseDekXml = (text) => {
+  const parsed = [];
+  const cardTags = text.match(/<Cards\s[^>]*>/gi) || [];
+  cardTags.forEach((tag, index) => {
+    const attributes = {};
+    for (const [, key, value] of tag.matchAll(/(\w+)="([^"]*)"/g)) {
+      attributes[key.toLowerCase()] = decodeXmlEntities(value);
+    }
+    const quantity = parseInt(attributes.quantity, 10);
+    const name = (attributes.name || '').trim();
+    if (!name || !(quantity > 0)) {
+      return;
+    }
+    const zone = attributes.sideboard === 'true' ? 'side' : 'main';
+    parsed.push({ uniqueId: createUniqueId(name, quantity, index), quantity, name, zone });
+  });
+  return parsed;
+};
+
+// Parse a decklist string into an array of { uniqueId, quantity, name, zone, set, collectorNumber } objects.
+// set and collectorNumber are only present when the list names a specific printing.
+export const parseDecklist = (decklistString) => {
+  if (isDekXml(decklistString)) {
+    return parseDekXml(decklistString);
+  }
+
+  const lines = decklistString.trim().split(/\r?\n/);
+  const hasZoneMarkers = lines.some(line => zoneFromHeader(line.trim()) || ZONE_PREFIXES.some(([pattern]) => pattern.test(line.trim())));
+
+  // MTGO and plain text exports separate the sideboard with a single blank line.
+  // Only apply that rule when the list has exactly two blocks and no explicit zone markers,
+  // so lists with blank lines between categories are not misread.
+  const blocks = decklistString.trim().split(/\r?\n\s*\r?\n/).filter(block => block.trim() !== '');
+  const blankLineSideboard = !hasZoneMarkers && blocks.length === 2;
+
+  const parsed = [];
+  let currentZone = 'main';
+  let seenCard = false;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '') {
+      if (blankLineSideboard && seenCard) {
+        currentZone = 'side';
+      }
+      continue;
+    }
+
+    // Section headers switch zones; other headers like "Creatures (12)" are ignored
+    if (!/^\d/.test(line) && !ZONE_PREFIXES.some(([pattern]) => pattern.test(line))) {
+      const header = zoneFromHeader(line);
+      if (header) {
+        currentZone = header.zone;
+      }
+      continue;
+    }
+    if (currentZone === null) {
+      continue; // Inside a maybeboard section
+    }
+
+    const card = parseCardLine(line);
+    if (!card || card.skip) {
+      continue;
+    }
+    seenCard = true;
+    const { quantity, name, zone, set, collectorNumber } = card;
+    const entry = { uniqueId: createUniqueId(name, quantity, i), quantity, name, zone: zone || currentZone };
+    if (set) {
+      entry.set = set;
+    }
+    if (collectorNumber) {
+      entry.collectorNumber = collectorNumber;
+    }
+    parsed.push(entry);
+  }
+  return parsed;
+};
+
+// Format entries ({ quantity, name, zone, set, collectorNumber }) as MTG Arena style text.
+// The output round-trips through parseDecklist.
+export const formatDecklist = (entries) => {
+  const sections = [
+    ['commander', 'Commander'],
+    ['companion', 'Companion'],
+    ['main', 'Deck'],
+    ['side', 'Sideboard'],
+  ];
+  const hasOtherZones = entries.some(entry => (entry.zone || 'main') !== 'main');
+
+  return sections
+    .map(([zone, header]) => {
+      const lines = entries
+        .filter(entry => (entry.zone || 'main') === zone)
+        .map(entry => {
+          const printing = entry.set ? ` (${entry.set.toUpperCase()})${entry.collectorNumber ? ` ${entry.collectorNumber}` : ''}` : '';
+          return `${entry.quantity} ${entry.name}${printing}`;
+        });
+      if (lines.length === 0) {
+        return null;
+      }
+      // A plain main deck needs no header
+      return hasOtherZones ? [header, ...lines].join('\n') : lines.join('\n');
+    })
+    .filter(Boolean)
+    .join('\n\n');
+};
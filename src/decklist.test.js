@@ -0,0 +1,79 @@
+import { parseDecklist, parseCardLine } from './decklist';
+
+// Drop the random uniqueId so entries can be compared directly
+const parse = (text) => parseDecklist(text).map(({ uniqueId, ...entry }) => entry);
+
+test('parses plain "QUANTITY NAME" and "4x NAME" lines', () => {
+  expect(parse('4 Lightning Bolt\n4x Goblin Guide\n2 x Skullcrack')).toEqual([
+    { quantity: 4, name: 'Lightning Bolt', zone: 'main' },
+    { quantity: 4, name: 'Goblin Guide', zone: 'main' },
+    { quantity: 2, name: 'Skullcrack', zone: 'main' },
+  ]);
+});
+
+test('parses MTG Arena exports with printings and zone headers', () => {
+  const arena = `Commander
+1 Krenko, Mob Boss (DDT) 52
+
+Deck
+4 Lightning Bolt (M11) 146
+1 Fire // Ice (MH2) 290
+
+Sideboard
+2 Smash to Smithereens (ALA) 119a`;
+
+  expect(parse(arena)).toEqual([
+    { quantity: 1, name: 'Krenko, Mob Boss', zone: 'commander', set: 'ddt', collectorNumber: '52' },
+    { quantity: 4, name: 'Lightning Bolt', zone: 'main', set: 'm11', collectorNumber: '146' },
+    { quantity: 1, name: 'Fire // Ice', zone: 'main', set: 'mh2', collectorNumber: '290' },
+    { quantity: 2, name: 'Smash to Smithereens', zone: 'side', set: 'ala', collectorNumber: '119a' },
+  ]);
+});
+
+test('treats the second block of a two-block MTGO text export as sideboard', () => {
+  expect(parse('4 Lightning Bolt\n20 Mountain\n\n3 Pyroblast')).toEqual([
+    { quantity: 4, name: 'Lightning Bolt', zone: 'main' },
+    { quantity: 20, name: 'Mountain', zone: 'main' },
+    { quantity: 3, name: 'Pyroblast', zone: 'side' },
+  ]);
+});
+
+test('ignores category headers and keeps blank-separated categories in the main deck', () => {
+  const text = 'Creatures (4)\n4 Goblin Guide\n\nSpells (4)\n4 Lightning Bolt\n\nLands (20)\n20 Mountain';
+  expect(parse(text).map(entry => entry.zone)).toEqual(['main', 'main', 'main']);
+});
+
+test('supports the SB: prefix and Moxfield SIDEBOARD: header', () => {
+  expect(parse('4 Lightning Bolt\nSB: 2 Duress').map(entry => entry.zone)).toEqual(['main', 'side']);
+  expect(parse('4 Lightning Bolt (M11) 146\n\nSIDEBOARD:\n2 Duress (M20) 96').map(entry => entry.zone)).toEqual(['main', 'side']);
+});
+
+test('parses Archidekt exports with foil markers and category tags', () => {
+  const archidekt = `1x Krenko, Mob Boss (ddt) 52 [Commander{top}]
+1x Sol Ring (c21) 263 *F* [Ramp]
+1x Goblin Bombardment (tpr) 134 [Maybeboard{noDeck}{noPrice}]`;
+
+  expect(parse(archidekt)).toEqual([
+    { quantity: 1, name: 'Krenko, Mob Boss', zone: 'commander', set: 'ddt', collectorNumber: '52' },
+    { quantity: 1, name: 'Sol Ring', zone: 'main', set: 'c21', collectorNumber: '263' },
+  ]);
+});
+
+test('parses MTGO .dek XML', () => {
+  const dek = `<?xml version="1.0" encoding="utf-8"?>
+<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema">
+  <NetDeckID>0</NetDeckID>
+  <Cards CatID="49469" Quantity="4" Sideboard="false" Name="Lightning Bolt" Annotation="0" />
+  <Cards CatID="12345" Quantity="2" Sideboard="true" Name="Kozilek&apos;s Return" Annotation="0" />
+</Deck>`;
+
+  expect(parse(dek)).toEqual([
+    { quantity: 4, name: 'Lightning Bolt', zone: 'main' },
+    { quantity: 2, name: "Kozilek's Return", zone: 'side' },
+  ]);
+});
+
+test('parseCardLine rejects lines without a quantity', () => {
+  expect(parseCardLine('Lightning Bolt')).toBeNull();
+  expect(parseCardLine('0 Lightning Bolt')).toBeNull();
+});
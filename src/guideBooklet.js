@@ -0,0 +1,353 @@
+// Guide booklet: the deck guide with the statistics charts and card thumbnails,
+// as print-optimized HTML and as PDF
+import { computeDeckStats, COLORS, COLOR_NAMES, STATS_ZONES } from './deckStats';
+import { groupCards } from './deckView';
+import { getCardImages } from './scryfall';
+import { createPdf, textWidth, wrapText } from './pdf';
+import { escapeHtml, printDocument } from './printHtml';
+import { defaultT } from './i18n';
+
+// Same colors as the statistics charts in the app
+const MANA_COLORS = { W: '#F8F6D8', U: '#C1D7E9', B: '#BAB1AB', R: '#E49977', G: '#A3C095', C: '#CBC2BF' };
+const PRIMARY = '#5D4037';
+const CARD_RATIO = 680 / 488; // Scryfall's card image ratio
+
+// The deck grouped by card type, followed by the companion and the sideboard
+const bookletGroups = (cards) => {
+  const outside = cards.filter(card => !STATS_ZONES.includes(card.zone || 'main'));
+  const groups = groupCards(cards.filter(card => STATS_ZONES.includes(card.zone || 'main')), 'type', 'cmc');
+  return [...groups, ...groupCards(outside, 'zone', 'cmc')];
+};
+
+// Key numbers, curve and color pips of the deck, labelled in the language of t
+const bookletStats = (cards, t) => {
+  const stats = computeDeckStats(cards);
+  return {
+    total: stats.total,
+    tiles: [
+      [t('Cards'), stats.total],
+      [t('Lands'), stats.lands],
+      [t('Avg. mana value'), stats.averageCmc.toFixed(2)],
+      [t('Colors'), stats.colorIdentity.join('') || 'C'],
+    ],
+    curve: stats.curve,
+    pips: COLORS.filter(color => stats.pips[color] > 0).map(color => ({ color, label: t(COLOR_NAMES[color]), count: stats.pips[color] })),
+  };
+};
+
+// "Modern · 60 cards"
+const bookletSubtitle = (formatLabel, stats, t) => [formatLabel, t('{count} card|{count} cards', { count: stats.total })]
+  .filter(Boolean)
+  .join(' · ');
+
+const BOOKLET_CSS = `
+  .subtitle { color: #555; margin: -2mm 0 6mm; }
+  .tiles { display: flex; gap: 4mm; margin-bottom: 6mm; }
+  .tile { flex: 1; border: 1px solid #ccc; border-radius: 2mm; padding: 3mm; text-align: center; }
+  .tile strong { display: block; font-size: 15pt; }
+  .charts { display: flex; gap: 10mm; margin-bottom: 6mm; break-inside: avoid; }
+  .charts > div { flex: 1; }
+  .curve { display: flex; align-items: flex-end; gap: 2mm; height: 35mm; }
+  .curve div { flex: 1; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; height: 100%; font-size: 8pt; }
+  .curve .bar { width: 100%; background: ${PRIMARY}; border-radius: 1mm 1mm 0 0; }
+  .pip { display: flex; align-items: center; gap: 2mm; margin-bottom: 1.5mm; font-size: 9pt; }
+  .pip span:first-child { width: 18mm; }
+  .pip .bar { height: 4mm; border: 1px solid #aaa; border-radius: 1mm; }
+  .cards { display: grid; grid-template-columns: repeat(6, 1fr); gap: 2mm; margin-bottom: 4mm; }
+  figure { margin: 0; break-inside: avoid; font-size: 7pt; text-align: center; }
+  figure img { width: 100%; border-radius: 1.5mm; display: block; }
+  .guide { break-before: page; }
+  .guide h1 { font-size: 15pt; border-bottom: 1px solid #ccc; padding-bottom: 1mm; margin-top: 6mm; break-after: avoid; }
+  .guide p, .guide li { line-height: 1.45; }
+  @media print { .charts .bar, .pip .bar { print-color-adjust: exact; -webkit-print-color-adjust: exact; } }
+`;
+
+// guideHtml is the guide Markdown already rendered to HTML. t and language are those of the labels.
+export const guideBookletHtml = ({ title, formatLabel, cards, guideHtml, t = defaultT, language = 'en' }) => {
+  const stats = bookletStats(cards, t);
+  const maxCurve = Math.max(1, ...stats.curve.map(bucket => bucket.count));
+  const maxPips = Math.max(1, ...stats.pips.map(pip => pip.count));
+  const groups = bookletGroups(cards);
+
+  return printDocument(title, BOOKLET_CSS, `
+<h1>${escapeHtml(title)}</h1>
+<p class="subtitle">${escapeHtml(bookletSubtitle(formatLabel, stats, t))}</p>
+<div class="tiles">${stats.tiles.map(([label, value]) => `<div class="tile"><strong>${escapeHtml(value)}</strong>${escapeHtml(label)}</div>`).join('')}</div>
+<div class="charts">
+  <div>
+    <h3>${escapeHtml(t('Mana Curve'))}</h3>
+    <div class="curve">${stats.curve.map(bucket => `<div>${bucket.count}<span class="bar" style="height: ${(bucket.count / maxCurve) * 80}%"></span>${escapeHtml(bucket.label)}</div>`).join('')}</div>
+  </div>
+  <div>
+    <h3>${escapeHtml(t('Color Pips'))}</h3>
+    ${stats.pips.map(pip => `<div class="pip"><span>${escapeHtml(pip.label)}</span><span class="bar" style="width: ${(pip.count / maxPips) * 60}%; background: ${MANA_COLORS[pip.color]}"></span><span>${pip.count}</span></div>`).join('')}
+  </div>
+</div>
+<h2>${escapeHtml(t('Decklist'))}</h2>
+${groups.map(group => `
+<h3>${escapeHtml(t(group.label))} (${group.count})</h3>
+<div class="cards">${group.cards.map(card => {
+    const image = getCardImages(card, 'small')[0];
+    return `<figure>${image ? `<img src="${escapeHtml(image)}" alt="${escapeHtml(card.name)}">` : ''}<figcaption>${card.quantity}× ${escapeHtml(card.name)}</figcaption></figure>`;
+  }).join('')}</div>`).join('')}
+<div class="guide">${guideHtml}</div>
+`, language);
+};
+
+// Inline Markdown as text runs: **bold** and __bold__ switch the font, other markup is dropped
+export const inlineRuns = (text) => {
+  const plain = text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // Images
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1') // Links
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(^|[^\w*])\*([^*\s][^*]*?)\*(?![\w*])/g, '$1$2') // *emphasis*
+    .replace(/(^|\W)_([^_\s][^_]*?)_(?!\w)/g, '$1$2'); // _emphasis_
+  return plain.split(/\*\*|__/)
+    .map((part, i) => ({ text: part, bold: i % 2 === 1 }))
+    .filter(run => run.text);
+};
+
+// Markdown as blocks for the PDF: { type: 'heading', level, runs }, { type: 'item', marker, depth, runs },
+// { type: 'paragraph', runs } and { type: 'rule' }. Covers what the guides use; tables come out as text.
+export const markdownBlocks = (markdown) => {
+  const blocks = [];
+  let paragraph = [];
+  let inCode = false;
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', runs: inlineRuns(paragraph.join(' ')) });
+      paragraph = [];
+    }
+  };
+  markdown.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line.startsWith('```')) {
+      flush();
+      inCode = !inCode;
+      return;
+    }
+    if (inCode) {
+      blocks.push({ type: 'paragraph', runs: [{ text: rawLine, bold: false }] });
+      return;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const item = rawLine.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+    if (!line) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, runs: inlineRuns(heading[2].replace(/\s#+$/, '')) });
+    } else if (/^([-*_])(\s*\1){2,}$/.test(line)) {
+      flush();
+      blocks.push({ type: 'rule' });
+    } else if (item) {
+      flush();
+      blocks.push({
+        type: 'item',
+        marker: /\d/.test(item[2]) ? item[2] : '•',
+        depth: item[1].replace(/\t/g, '  ').length >= 2 ? 1 : 0,
+        runs: inlineRuns(item[3]),
+      });
+    } else {
+      paragraph.push(line.replace(/^>\s?/, ''));
+    }
+  });
+  flush();
+  return blocks;
+};
+
+// Lay out runs of mixed fonts in lines no wider than maxWidth: [[{ text, bold, x }]]
+export const layoutRuns = (runs, maxWidth, size) => {
+  const lines = [[]];
+  let x = 0;
+  runs.forEach(({ text, bold }) => {
+    text.split(/(\s+)/).filter(Boolean).forEach(token => {
+      const space = /^\s+$/.test(token);
+      const width = textWidth(space ? ' ' : token, size, bold);
+      if (space) {
+        if (x > 0) {
+          x += width;
+        }
+        return;
+      }
+      if (x + width > maxWidth && x > 0) {
+        lines.push([]);
+        x = 0;
+      }
+      // Words longer than a line are broken up
+      wrapText(token, maxWidth, size, bold).forEach((piece, i) => {
+        if (i > 0) {
+          lines.push([]);
+          x = 0;
+        }
+        lines[lines.length - 1].push({ text: piece, bold, x });
+        x += textWidth(piece, size, bold);
+      });
+    });
+  });
+  return lines.filter(line => line.length > 0);
+};
+
+// Thumbnails for the PDF: Map of card name -> JPEG bytes; images that fail to load are left out
+export const loadThumbnails = async (cards, { signal } = {}) => {
+  const thumbnails = new Map();
+  await Promise.all(cards.map(async card => {
+    const url = getCardImages(card, 'small')[0];
+    if (!url || thumbnails.has(card.name)) {
+      return;
+    }
+    thumbnails.set(card.name, null);
+    try {
+      const response = await fetch(url, { signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      thumbnails.set(card.name, new Uint8Array(await response.arrayBuffer()));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      console.warn(`Could not load the image of "${card.name}":`, error);
+    }
+  }));
+  return thumbnails;
+};
+
+const MARGIN = 48;
+const HEADING_SIZES = { 1: 15, 2: 12.5, 3: 11 };
+const BODY_SIZE = 10;
+
+// thumbnails from loadThumbnails; cards without one get a placeholder frame
+export const guideBookletPdf = ({ title, formatLabel, cards, guide, thumbnails = new Map(), t = defaultT }) => {
+  const pdf = createPdf({ title });
+  const contentWidth = pdf.width - 2 * MARGIN;
+  const bottom = pdf.height - MARGIN;
+  let y = MARGIN;
+  const newPage = () => {
+    pdf.addPage();
+    y = MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y + height > bottom) {
+      newPage();
+    }
+  };
+
+  // Title and statistics
+  newPage();
+  const stats = bookletStats(cards, t);
+  pdf.text(MARGIN, y + 20, title, { size: 22, bold: true, color: PRIMARY });
+  pdf.text(MARGIN, y + 38, bookletSubtitle(formatLabel, stats, t), { size: 11, color: '#555555' });
+  y += 56;
+  const tileWidth = (contentWidth - 3 * 10) / 4;
+  stats.tiles.forEach(([label, value], i) => {
+    const x = MARGIN + i * (tileWidth + 10);
+    pdf.rect(x, y, tileWidth, 46, { stroke: '#CCCCCC' })
+      .text(x + (tileWidth - textWidth(String(value), 16, true)) / 2, y + 22, String(value), { size: 16, bold: true })
+      .text(x + (tileWidth - textWidth(label, 8.5)) / 2, y + 37, label, { size: 8.5, color: '#555555' });
+  });
+  y += 66;
+
+  const chartWidth = (contentWidth - 30) / 2;
+  const chartHeight = 100;
+  pdf.text(MARGIN, y + 10, t('Mana Curve'), { size: 11, bold: true })
+    .text(MARGIN + chartWidth + 30, y + 10, t('Color Pips'), { size: 11, bold: true });
+  y += 20;
+  const maxCurve = Math.max(1, ...stats.curve.map(bucket => bucket.count));
+  const barWidth = chartWidth / stats.curve.length;
+  stats.curve.forEach((bucket, i) => {
+    const barHeight = (bucket.count / maxCurve) * (chartHeight - 24);
+    const x = MARGIN + i * barWidth;
+    const barTop = y + chartHeight - 12 - barHeight;
+    pdf.rect(x + 3, barTop, barWidth - 6, barHeight, { fill: PRIMARY })
+      .text(x + (barWidth - textWidth(String(bucket.count), 8)) / 2, barTop - 3, String(bucket.count), { size: 8 })
+      .text(x + (barWidth - textWidth(bucket.label, 8)) / 2, y + chartHeight, bucket.label, { size: 8 });
+  });
+  const maxPips = Math.max(1, ...stats.pips.map(pip => pip.count));
+  stats.pips.forEach((pip, i) => {
+    const x = MARGIN + chartWidth + 30;
+    const rowY = y + i * 16;
+    pdf.text(x, rowY + 9, pip.label, { size: 9 })
+      .rect(x + 50, rowY, (pip.count / maxPips) * (chartWidth - 80), 10, { fill: MANA_COLORS[pip.color], stroke: '#AAAAAA' })
+      .text(x + chartWidth - 22, rowY + 9, String(pip.count), { size: 9 });
+  });
+  y += chartHeight + 24;
+
+  // Card thumbnails by type
+  const perRow = 6;
+  const gap = 8;
+  const thumbWidth = (contentWidth - (perRow - 1) * gap) / perRow;
+  const thumbHeight = thumbWidth * CARD_RATIO;
+  ensureSpace(30);
+  pdf.text(MARGIN, y + 14, t('Decklist'), { size: 14, bold: true });
+  y += 24;
+  bookletGroups(cards).forEach(group => {
+    ensureSpace(16 + thumbHeight + 14);
+    pdf.text(MARGIN, y + 10, `${t(group.label)} (${group.count})`, { size: 10.5, bold: true });
+    y += 16;
+    group.cards.forEach((card, i) => {
+      const column = i % perRow;
+      if (column === 0 && i > 0) {
+        y += thumbHeight + 16;
+      }
+      if (column === 0) {
+        ensureSpace(thumbHeight + 14);
+      }
+      const x = MARGIN + column * (thumbWidth + gap);
+      const bytes = thumbnails.get(card.name);
+      let drawn = false;
+      if (bytes) {
+        try {
+          pdf.image(bytes, x, y, thumbWidth, thumbHeight);
+          drawn = true;
+        } catch (error) {
+          console.warn(`Could not use the image of "${card.name}":`, error);
+        }
+      }
+      if (!drawn) {
+        pdf.rect(x, y, thumbWidth, thumbHeight, { stroke: '#999999' });
+        wrapText(card.name, thumbWidth - 8, 7.5, true).slice(0, 4)
+          .forEach((line, row) => pdf.text(x + 4, y + 12 + row * 9, line, { size: 7.5, bold: true }));
+      }
+      const caption = `${card.quantity}× ${card.name}`;
+      const [captionLine] = wrapText(caption, thumbWidth, 7);
+      pdf.text(x, y + thumbHeight + 9, captionLine === caption ? caption : `${captionLine}...`, { size: 7 });
+    });
+    y += thumbHeight + 22;
+  });
+
+  // The guide, starting on a new page
+  newPage();
+  markdownBlocks(guide).forEach(block => {
+    if (block.type === 'rule') {
+      ensureSpace(12);
+      pdf.line(MARGIN, y + 6, MARGIN + contentWidth, y + 6, { color: '#CCCCCC' });
+      y += 12;
+      return;
+    }
+    const heading = block.type === 'heading';
+    const size = heading ? HEADING_SIZES[Math.min(block.level, 3)] : BODY_SIZE;
+    const indent = block.type === 'item' ? 14 + block.depth * 14 : 0;
+    const runs = heading ? block.runs.map(run => ({ ...run, bold: true })) : block.runs;
+    const lines = layoutRuns(runs, contentWidth - indent, size);
+    const lineHeight = size * 1.4;
+    // Keep headings together with the first lines of what follows
+    ensureSpace(lines.length * lineHeight + (heading ? 10 + 3 * BODY_SIZE * 1.4 : 0));
+    if (heading) {
+      y += block.level === 1 ? 10 : 6;
+    }
+    if (block.type === 'item') {
+      pdf.text(MARGIN + indent - 10 - (block.marker === '•' ? 0 : textWidth(block.marker, size) - 5), y + size, block.marker, { size });
+    }
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      line.forEach(run => pdf.text(MARGIN + indent + run.x, y + size, run.text, { size, bold: run.bold }));
+      y += lineHeight;
+    });
+    if (heading && block.level === 1) {
+      pdf.line(MARGIN, y + 1, MARGIN + contentWidth, y + 1, { color: '#CCCCCC' });
+    }
+    y += heading ? 6 : 4;
+  });
+  return pdf.toBytes();
+};
@@ -0,0 +1,64 @@
+import { guideBookletHtml, guideBookletPdf, inlineRuns, layoutRuns, markdownBlocks } from './guideBooklet';
+import { textWidth } from './pdf';
+import { burnDeck } from './__fixtures__/cards';
+import { translate } from './i18n';
+
+test('turns inline Markdown into text runs', () => {
+  expect(inlineRuns('Cast **[Lightning Bolt](https://scryfall.com)** on `their` _creature_'))
+    .toEqual([
+      { text: 'Cast ', bold: false },
+      { text: 'Lightning Bolt', bold: true },
+      { text: ' on their creature', bold: false },
+    ]);
+});
+
+test('splits Markdown into blocks', () => {
+  const markdown = '# Overview\n\nAggressive **red** deck\nthat burns.\n\n- Bolt\n  - face\n1. Mulligan\n\n---\n## Matchups #';
+  expect(markdownBlocks(markdown).map(({ runs, ...block }) => ({ ...block, text: runs?.map(run => run.text).join('') })))
+    .toEqual([
+      { type: 'heading', level: 1, text: 'Overview' },
+      { type: 'paragraph', text: 'Aggressive red deck that burns.' },
+      { type: 'item', marker: '•', depth: 0, text: 'Bolt' },
+      { type: 'item', marker: '•', depth: 1, text: 'face' },
+      { type: 'item', marker: '1.', depth: 0, text: 'Mulligan' },
+      { type: 'rule', text: undefined },
+      { type: 'heading', level: 2, text: 'Matchups' },
+    ]);
+});
+
+test('lays out runs within the width', () => {
+  const lines = layoutRuns([{ text: 'Play ', bold: false }, { text: 'Goblin Guide', bold: true }, { text: ' on turn one every game', bold: false }], 90, 10);
+  expect(lines.length).toBeGreaterThan(1);
+  lines.forEach(line => {
+    const last = line[line.length - 1];
+    expect(last.x + textWidth(last.text, 10, last.bold)).toBeLessThanOrEqual(90);
+  });
+  expect(lines.flat().filter(run => run.bold).map(run => run.text)).toEqual(['Goblin', 'Guide']);
+});
+
+test('renders the booklet as HTML and PDF', () => {
+  const html = guideBookletHtml({ title: 'Burn', formatLabel: 'Modern', cards: burnDeck, guideHtml: '<h1>Overview</h1>' });
+  expect(html).toContain('Modern · 60 cards');
+  expect(html).toContain('<img src="front-small" alt="Needleverge Pathway // Pillarverge Pathway">');
+  expect(html).toContain('<h3>Sideboard (2)</h3>');
+  expect(html).toContain('<div class="guide"><h1>Overview</h1></div>');
+
+  const file = String.fromCharCode(...guideBookletPdf({ title: 'Burn', formatLabel: 'Modern', cards: burnDeck, guide: '# Overview\n\nGo **fast**.' }));
+  expect(file.startsWith('%PDF-')).toBe(true);
+  expect(file).toContain('(Overview) Tj');
+  expect(file).toContain('/F2 10 Tf 64.12 746.89 Td (fast) Tj');
+});
+
+test('labels the booklet in the given language', () => {
+  const t = (message, params) => translate('de', message, params);
+  const html = guideBookletHtml({ title: 'Burn', formatLabel: 'Modern', cards: burnDeck, guideHtml: '', t, language: 'de' });
+  expect(html).toContain('<html lang="de">');
+  expect(html).toContain('Modern · 60 Karten');
+  expect(html).toContain('<h3>Manakurve</h3>');
+  expect(html).toContain('<h2>Deckliste</h2>');
+  expect(html).not.toContain('Mana Curve');
+
+  const file = String.fromCharCode(...guideBookletPdf({ title: 'Burn', formatLabel: 'Modern', cards: burnDeck, guide: '', t }));
+  expect(file).toContain('(Manakurve) Tj');
+  expect(file).toContain('(Deckliste) Tj');
+});
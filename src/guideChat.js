@@ -0,0 +1,24 @@
+// Follow-up questions about a generated guide, asked in the conversation that produced it
+import { buildGuidePrompt } from './guidePrompt';
+import { buildStructuredGuidePrompt } from './structuredGuide';
+
+// The guide is quoted back as the Markdown it was shown as, so a structured request needs
+// a reminder that the answer is text again
+const MARKDOWN_ANSWER_LINE = 'Answer in Markdown text, not as JSON.';
+
+// Conversation for follow-up questions: the guide request and the guide itself give the
+// model the decklist and its own analysis as context, followed by the earlier follow-ups.
+// source is the { template, structured } the guide was generated with; without a template the
+// format's default template is used.
+export const buildFollowUpMessages = (cards, formatKey, guide, chat, question, source = {}, language = 'en') => {
+  const { template, structured = false } = source;
+  const guideRequest = structured
+    ? buildStructuredGuidePrompt(cards, formatKey, template, language)
+    : buildGuidePrompt(cards, formatKey, template, language);
+  return [
+    { role: 'user', content: guideRequest },
+    { role: 'assistant', content: guide },
+    ...chat,
+    { role: 'user', content: structured ? `${question}\n\n${MARKDOWN_ANSWER_LINE}` : question },
+  ];
+};
@@ -0,0 +1,30 @@
+import { buildFollowUpMessages } from './guideChat';
+import { buildGuidePrompt } from './guidePrompt';
+import { buildStructuredGuidePrompt } from './structuredGuide';
+import { BUILT_IN_TEMPLATES } from './guideTemplates';
+import { burnDeck } from './__fixtures__/cards';
+
+test('follow-up questions carry the guide and earlier answers as context', () => {
+  const chat = [
+    { role: 'user', content: 'How do I play against Mono-Red?' },
+    { role: 'assistant', content: 'Race them.' },
+  ];
+  const messages = buildFollowUpMessages(burnDeck, 'modern', '# Guide', chat, 'Why Goblin Guide?');
+
+  expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+  expect(messages[0].content).toBe(buildGuidePrompt(burnDeck, 'modern'));
+  expect(messages[1].content).toBe('# Guide');
+  expect(messages[4].content).toBe('Why Goblin Guide?');
+});
+
+test('follow-up questions repeat the request that produced the guide', () => {
+  const commander = BUILT_IN_TEMPLATES.find(template => template.id === 'commander');
+  const messages = buildFollowUpMessages(burnDeck, 'commander', '# Guide', [], 'Why?', { template: commander, structured: true }, 'de');
+
+  expect(messages[0].content).toBe(buildStructuredGuidePrompt(burnDeck, 'commander', commander, 'de'));
+  expect(messages[2].content).toMatch(/^Why\?\n\n.*not as JSON/);
+});
+
+test('follow-up questions ask for the guide language', () => {
+  expect(buildFollowUpMessages(burnDeck, 'modern', '# Guide', [], 'Why?', {}, 'fr')[0].content).toContain('Write in French');
+});
@@ -0,0 +1,135 @@
+// Guide generation as a job that runs through explicit stages: read the decklist, look up the
+// cards, check the format and write the guide. The job keeps the result of every finished stage,
+// so a failed or cancelled job resumes at the stage that did not finish.
+import { parseDecklist } from './decklist';
+import { validateDeck } from './validation';
+import { userError } from './i18n';
+
+export const PIPELINE_STAGES = ['parsing', 'resolving', 'validating', 'generating'];
+
+export const STAGE_LABELS = {
+  parsing: 'Reading the decklist',
+  resolving: 'Looking up cards',
+  validating: 'Checking the format',
+  generating: 'Writing the guide',
+};
+
+// input: { decklist, format, corrections, ignoreViolations }. status is 'pending', 'running',
+// 'waiting' (the user has to correct cards or accept format violations), 'done', 'failed' or 'cancelled'.
+// error is the message of a failed job, as from translatable.
+export const createGuideJob = (input) => ({
+  input,
+  status: 'pending',
+  stage: null,
+  progress: null, // { done, total } of the running stage, if it reports any
+  results: {},
+  error: null,
+});
+
+// State machine of a job: the next state for an event of the stage runner
+export const jobReducer = (job, event) => {
+  switch (event.type) {
+    case 'start':
+      return { ...job, status: 'running', stage: event.stage, progress: null, error: null };
+    case 'progress':
+      return { ...job, progress: event.progress };
+    case 'finish':
+      return { ...job, results: { ...job.results, [event.stage]: event.result }, progress: null };
+    case 'wait':
+      return { ...job, status: 'waiting' };
+    case 'done':
+      return { ...job, status: 'done', stage: null, progress: null };
+    case 'fail':
+      return { ...job, status: 'failed', error: event.error };
+    case 'cancel':
+      return { ...job, status: 'cancelled' };
+    default:
+      throw new Error(`Unknown guide job event "${event.type}".`);
+  }
+};
+
+// Stages are { run(job, { signal, onProgress }), waitsFor(result) }. A stage runs again when it has
+// no result yet or its result still waits for the user. Resolves with the job once it is done or
+// waiting; on an error the job is marked failed (or cancelled for an AbortError) and the error is rethrown.
+// onChange receives every new state of the job.
+export const runGuideJob = async (job, stages, { signal, onChange = () => {} } = {}) => {
+  let current = job;
+  const update = (event) => {
+    current = jobReducer(current, event);
+    onChange(current);
+  };
+
+  try {
+    for (const stage of PIPELINE_STAGES) {
+      const { run, waitsFor = () => false } = stages[stage];
+      const previous = current.results[stage];
+      if (previous !== undefined && !waitsFor(previous)) {
+        continue;
+      }
+      update({ type: 'start', stage });
+      const result = await run(current, { signal, onProgress: progress => update({ type: 'progress', progress }) });
+      update({ type: 'finish', stage, result });
+      if (waitsFor(result)) {
+        update({ type: 'wait' });
+        return current;
+      }
+    }
+    update({ type: 'done' });
+    return current;
+  } catch (error) {
+    update(error.name === 'AbortError'
+      ? { type: 'cancel' }
+      : { type: 'fail', error: { message: error.message, translation: error.translation } });
+    throw error;
+  }
+};
+
+// The same job with changed input, e.g. the corrections for the unresolved cards
+export const updateGuideJob = (job, input) => ({ ...job, input: { ...job.input, ...input } });
+
+// Continue a waiting job with the user's answer (corrections or ignoreViolations). Without a job,
+// e.g. after the decklist was edited, a new one starts from input with the answer applied.
+export const continueGuideJob = (job, input, answer) => updateGuideJob(job || createGuideJob(input), answer);
+
+// The guide stages. resolveCards(items, { signal, onProgress }) looks up parsed decklist entries
+// like fetchCardData and generate(cards, { signal, format }) returns the guide.
+export const guideStages = ({ resolveCards, generate }) => ({
+  parsing: {
+    run: ({ input }) => {
+      const parsedDeck = parseDecklist(input.decklist);
+      if (parsedDeck.length === 0) {
+        throw userError("Please enter a valid decklist. Format: 'Quantity Card Name', optionally followed by '(SET) Number'.");
+      }
+      return parsedDeck;
+    },
+  },
+  resolving: {
+    run: async ({ input, results }, options) => {
+      const previous = results.resolving;
+      if (!previous) {
+        return resolveCards(results.parsing, options);
+      }
+      // After corrections only the corrected lines are looked up again; the cards that already
+      // resolved are kept and the lines without a correction are dropped
+      const correctedItems = previous.unresolved
+        .filter(item => input.corrections?.[item.uniqueId])
+        // A corrected name no longer refers to the printing from the original line
+        .map(item => ({ ...item, name: input.corrections[item.uniqueId], set: undefined, collectorNumber: undefined }));
+      const corrected = correctedItems.length > 0 ? await resolveCards(correctedItems, options) : { cards: [], unresolved: [] };
+      const cards = [...previous.cards, ...corrected.cards];
+      if (cards.length === 0 && corrected.unresolved.length === 0) {
+        throw userError('No cards left to generate a deck guide for.');
+      }
+      return { cards, unresolved: corrected.unresolved };
+    },
+    waitsFor: ({ unresolved }) => unresolved.length > 0,
+  },
+  // Violations stop the job until the user chooses to ignore them
+  validating: {
+    run: ({ input, results }) => (input.format && !input.ignoreViolations ? validateDeck(results.resolving.cards, input.format) : []),
+    waitsFor: violations => violations.length > 0,
+  },
+  generating: {
+    run: ({ input, results }, { signal }) => generate(results.resolving.cards, { signal, format: input.format }),
+  },
+});
@@ -0,0 +1,145 @@
+import { createGuideJob, continueGuideJob, guideStages, runGuideJob, updateGuideJob, jobReducer } from './guidePipeline';
+import { fetchCardData } from './scryfall';
+
+// In-memory stand-in for the IndexedDB card cache (jsdom has no IndexedDB)
+jest.mock('./cardCache', () => ({
+  getCachedCards: async () => new Map(),
+  putCards: async () => {},
+  searchCachedNames: async () => [],
+}));
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => undefined },
+  json: async () => body,
+});
+
+const card = (name, extra = {}) => ({ object: 'card', name, type_line: 'Instant', ...extra });
+
+const stagesWith = (generate) => guideStages({ resolveCards: fetchCardData, generate });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+});
+
+test('runs the stages in order and reports the card lookup progress', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ data: [card('Lightning Bolt'), card('Mountain')], not_found: [] }));
+  const generate = jest.fn(async () => '# Guide');
+  const states = [];
+
+  const job = await runGuideJob(
+    createGuideJob({ decklist: '4 Lightning Bolt\n20 Mountain', format: '' }),
+    stagesWith(generate),
+    { onChange: state => states.push(state) },
+  );
+
+  expect(job.status).toBe('done');
+  expect(job.results.generating).toBe('# Guide');
+  expect(generate).toHaveBeenCalledWith(job.results.resolving.cards, expect.objectContaining({ format: '' }));
+  expect(states.filter(state => state.progress).map(state => [state.stage, state.progress]))
+    .toEqual([['resolving', { done: 0, total: 2 }], ['resolving', { done: 2, total: 2 }]]);
+  expect([...new Set(states.map(state => state.stage))]).toEqual(['parsing', 'resolving', 'validating', 'generating', null]);
+});
+
+test('fails at the parsing stage for an empty decklist', async () => {
+  const states = [];
+  await expect(runGuideJob(createGuideJob({ decklist: '  ', format: '' }), stagesWith(jest.fn()), {
+    onChange: state => states.push(state),
+  })).rejects.toThrow('Please enter a valid decklist.');
+
+  expect(states[states.length - 1]).toMatchObject({ status: 'failed', stage: 'parsing' });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('a failed stage is retried without redoing the finished ones', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ data: [card('Lightning Bolt')], not_found: [] }));
+  const generate = jest.fn()
+    .mockRejectedValueOnce(new Error('The AI is busy.'))
+    .mockResolvedValueOnce('# Guide');
+  let failed;
+
+  await expect(runGuideJob(createGuideJob({ decklist: '4 Lightning Bolt', format: '' }), stagesWith(generate), {
+    onChange: state => { failed = state; },
+  })).rejects.toThrow('The AI is busy.');
+  expect(failed).toMatchObject({ status: 'failed', stage: 'generating', error: { message: 'The AI is busy.' } });
+
+  const job = await runGuideJob(failed, stagesWith(generate));
+
+  expect(job.status).toBe('done');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(generate).toHaveBeenCalledTimes(2);
+});
+
+test('waits for corrections and looks up only the corrected lines', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Mountain')], not_found: [{ name: 'Lightnig Blot' }] }))
+    .mockResolvedValueOnce(jsonResponse({ details: 'not found' }, 404))
+    .mockResolvedValueOnce(jsonResponse({ details: 'no results' }, 404));
+  const generate = jest.fn(async () => '# Guide');
+  const stages = stagesWith(generate);
+
+  const waiting = await runGuideJob(createGuideJob({ decklist: '4 Lightnig Blot\n20 Mountain', format: '' }), stages);
+
+  expect(waiting).toMatchObject({ status: 'waiting', stage: 'resolving' });
+  expect(waiting.results.resolving.unresolved.map(item => item.name)).toEqual(['Lightnig Blot']);
+  expect(generate).not.toHaveBeenCalled();
+
+  global.fetch.mockResolvedValueOnce(jsonResponse({ data: [card('Lightning Bolt')], not_found: [] }));
+  const { uniqueId } = waiting.results.resolving.unresolved[0];
+  const job = await runGuideJob(updateGuideJob(waiting, { corrections: { [uniqueId]: 'Lightning Bolt' } }), stages);
+
+  expect(job.status).toBe('done');
+  expect(JSON.parse(global.fetch.mock.calls[3][1].body).identifiers).toEqual([{ name: 'Lightning Bolt' }]);
+  expect(job.results.resolving.cards.map(item => item.name)).toEqual(['Mountain', 'Lightning Bolt']);
+});
+
+test('waits on format violations until they are ignored', async () => {
+  global.fetch.mockResolvedValue(jsonResponse({ data: [card('Lightning Bolt', { legalities: { modern: 'legal' } })], not_found: [] }));
+  const generate = jest.fn(async () => '# Guide');
+
+  const waiting = await runGuideJob(createGuideJob({ decklist: '4 Lightning Bolt', format: 'modern' }), stagesWith(generate));
+
+  expect(waiting).toMatchObject({ status: 'waiting', stage: 'validating' });
+  expect(waiting.results.validating.length).toBeGreaterThan(0);
+
+  const job = await runGuideJob(updateGuideJob(waiting, { ignoreViolations: true }), stagesWith(generate));
+  expect(job.status).toBe('done');
+  expect(job.results.validating).toEqual([]);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('continuing a reset job starts a new one with the answer applied', async () => {
+  global.fetch.mockResolvedValue(jsonResponse({ data: [card('Lightning Bolt', { legalities: { modern: 'not_legal' } })], not_found: [] }));
+  const generate = jest.fn(async () => '# Guide');
+  const input = { decklist: '4 Lightning Bolt', format: 'modern' };
+
+  const job = await runGuideJob(continueGuideJob(null, input, { ignoreViolations: true }), stagesWith(generate));
+  expect(job.status).toBe('done');
+  expect(job.input).toEqual({ ...input, ignoreViolations: true });
+
+  // Corrections for lines of an earlier job are ignored by the new lookup
+  const corrected = await runGuideJob(continueGuideJob(null, input, { corrections: { gone: 'Shock' } }), stagesWith(generate));
+  expect(corrected).toMatchObject({ status: 'waiting', stage: 'validating' });
+  expect(JSON.parse(global.fetch.mock.calls[1][1].body).identifiers).toEqual([{ name: 'Lightning Bolt' }]);
+});
+
+test('an aborted stage leaves the job cancelled', async () => {
+  const controller = new AbortController();
+  global.fetch.mockImplementation(async () => {
+    controller.abort();
+    throw new DOMException('The operation was aborted.', 'AbortError');
+  });
+  let cancelled;
+
+  await expect(runGuideJob(createGuideJob({ decklist: '4 Lightning Bolt', format: '' }), stagesWith(jest.fn()), {
+    signal: controller.signal,
+    onChange: state => { cancelled = state; },
+  })).rejects.toThrow('aborted');
+
+  expect(cancelled).toMatchObject({ status: 'cancelled', stage: 'resolving' });
+});
+
+test('rejects unknown events', () => {
+  expect(() => jobReducer(createGuideJob({}), { type: 'explode' })).toThrow('Unknown guide job event "explode".');
+});
@@ -0,0 +1,82 @@
+// Prompts for the deck guide, built from the resolved cards and a guide template
+import { ZONE_LABELS } from './decklist';
+import { computeDeckStats } from './deckStats';
+import { FORMATS } from './validation';
+import { defaultTemplateFor, formatTemplateSections } from './guideTemplates';
+
+const GUIDE_LANGUAGE_STORAGE_KEY = 'mtg-deck-guide.guide-language';
+
+export const EXPERT_INTRO = 'You are an expert Magic: The Gathering deckbuilder and strategist.';
+
+export const formatLineFor = (formatKey) => (formatKey ? `The deck is built for the ${FORMATS[formatKey].label} format.` : '');
+
+// Languages the guide can be written in: the label for the menu, the name for the prompt
+export const GUIDE_LANGUAGES = {
+  en: { label: 'English', name: 'English' },
+  de: { label: 'Deutsch', name: 'German' },
+  fr: { label: 'Français', name: 'French' },
+  es: { label: 'Español', name: 'Spanish' },
+  it: { label: 'Italiano', name: 'Italian' },
+  pt: { label: 'Português', name: 'Portuguese' },
+  ja: { label: '日本語', name: 'Japanese' },
+};
+
+// '' = write the guide in the language of the app
+export const loadGuideLanguage = () => {
+  const stored = localStorage.getItem(GUIDE_LANGUAGE_STORAGE_KEY);
+  return GUIDE_LANGUAGES[stored] ? stored : '';
+};
+
+export const saveGuideLanguage = (language) => {
+  localStorage.setItem(GUIDE_LANGUAGE_STORAGE_KEY, language);
+};
+
+// Card names stay in English so they still match the decklist, the card links and the checks
+export const languageLineFor = (language) => (GUIDE_LANGUAGES[language] && language !== 'en'
+  ? `Write in ${GUIDE_LANGUAGES[language].name}, but keep every card name exactly in English as in the decklist.`
+  : '');
+
+// Decklist with oracle text and the locally computed statistics, shared by all guide prompts
+export const deckContext = (cards) => {
+  // Format the card data into a readable string for the LLM
+  const decklistFormatted = cards.map(card => {
+    // Safely access properties, provide fallbacks
+    const setName = card.set_name ? `(${card.set_name.toUpperCase()})` : '';
+    const manaCost = card.mana_cost || 'N/A';
+    const typeLine = card.type_line || 'N/A';
+    const oracleText = card.oracle_text || 'No Oracle Text';
+    const zone = card.zone && card.zone !== 'main' ? ` [${ZONE_LABELS[card.zone]}]` : '';
+    return `${card.quantity} ${card.name} ${setName}${zone} - Mana: ${manaCost} - Type: ${typeLine}\nOracle Text: ${oracleText}`;
+  }).join('\n\n'); // Use double newline for better readability in prompt
+
+  // Give the model the locally computed numbers instead of letting it count
+  const stats = computeDeckStats(cards);
+  const statsFormatted = [
+    `Mana curve (nonland cards by mana value): ${stats.curve.map(bucket => `${bucket.label}: ${bucket.count}`).join(', ')}`,
+    `Lands: ${stats.lands} of ${stats.total} cards`,
+    `Average mana value of nonland cards: ${stats.averageCmc.toFixed(2)}`,
+  ].join('\n');
+
+  return `
+  ---
+  **Decklist:**
+  ${decklistFormatted}
+  ---
+  **Deck Statistics (computed):**
+  ${statsFormatted}
+  ---
+  `;
+};
+
+// Prompt for a complete Markdown guide with the sections of the given template; follow-up
+// questions continue from it, with the rendered guide as the answer
+export const buildGuidePrompt = (cards, formatKey, template = defaultTemplateFor(formatKey), language = 'en') => `
+  ${EXPERT_INTRO}
+  Based on the following decklist, generate a comprehensive deck guide.
+  ${formatLineFor(formatKey)}
+  ${languageLineFor(language)}
+  The guide should be detailed, insightful, and helpful for a player looking to understand and improve their deck.
+
+  The guide must include the following sections, clearly marked with Markdown headings:
+${formatTemplateSections(template.sections)}
+${deckContext(cards)}`;
@@ -0,0 +1,28 @@
+import { buildGuidePrompt, languageLineFor } from './guidePrompt';
+import { BUILT_IN_TEMPLATES } from './guideTemplates';
+import { burnDeck } from './__fixtures__/cards';
+
+test('the guide prompt lists cards, zones, format and computed statistics', () => {
+  const prompt = buildGuidePrompt(burnDeck, 'modern');
+
+  expect(prompt).toContain('The deck is built for the Modern format.');
+  expect(prompt).toMatch(/4 Lightning Bolt .*- Mana: \{R\}/);
+  expect(prompt).toContain('[Sideboard]');
+  expect(prompt).toMatch(/Lands: \d+ of 60 cards/);
+  expect(buildGuidePrompt(burnDeck, '')).not.toContain('format.');
+});
+
+test('guide prompts follow the template', () => {
+  const commander = BUILT_IN_TEMPLATES.find(template => template.id === 'commander');
+  const prompt = buildGuidePrompt(burnDeck, 'commander', commander);
+  expect(prompt).toContain('# Politics and Threat Assessment');
+  expect(prompt).not.toContain('# General Matchup Considerations');
+});
+
+test('prompts ask for the guide language but keep the card names in English', () => {
+  expect(languageLineFor('en')).toBe('');
+  expect(languageLineFor('')).toBe('');
+  expect(buildGuidePrompt(burnDeck, 'modern', undefined, 'de'))
+    .toContain('Write in German, but keep every card name exactly in English as in the decklist.');
+  expect(buildGuidePrompt(burnDeck, 'modern')).not.toContain('Write in');
+});
@@ -0,0 +1,66 @@
+// Splitting a generated guide into its top-level sections so each can be regenerated on its own
+
+// Level of the top-level headings: the smallest level used ("#" = 1), ignoring code blocks
+const headingLevel = (lines) => {
+  let inCode = false;
+  let level = null;
+  lines.forEach(line => {
+    if (line.trim().startsWith('```')) {
+      inCode = !inCode;
+    }
+    const match = !inCode && line.match(/^(#{1,6})\s+\S/);
+    if (match && (level === null || match[1].length < level)) {
+      level = match[1].length;
+    }
+  });
+  return level;
+};
+
+// Split Markdown into [{ title, markdown }]. Text before the first heading becomes a section
+// with an empty title; joining the markdown of all sections gives back the original guide.
+export const splitGuideSections = (guide) => {
+  const lines = guide.split('\n');
+  const level = headingLevel(lines);
+  if (level === null) {
+    return guide.trim() ? [{ title: '', markdown: guide }] : [];
+  }
+  const heading = new RegExp(`^#{${level}}\\s+(.+?)\\s*#*\\s*$`);
+
+  const sections = [];
+  let current = { title: '', lines: [] };
+  let inCode = false;
+  lines.forEach(line => {
+    if (line.trim().startsWith('```')) {
+      inCode = !inCode;
+    }
+    const match = !inCode && line.match(heading);
+    if (match) {
+      sections.push(current);
+      current = { title: match[1], lines: [] };
+    }
+    current.lines.push(line);
+  });
+  sections.push(current);
+
+  return sections
+    .map(section => ({ title: section.title, markdown: section.lines.join('\n') }))
+    .filter(section => section.title || section.markdown.trim());
+};
+
+export const joinGuideSections = (sections) => sections.map(section => section.markdown).join('\n');
+
+// Replace one section with newly generated Markdown, keeping the section's own heading
+// so the regenerated text slots in under the same title
+export const replaceGuideSection = (guide, index, generated) => {
+  const sections = splitGuideSections(guide);
+  const target = sections[index];
+  if (!target) {
+    return guide;
+  }
+  const [headingLine] = target.markdown.split('\n');
+  // Drop the heading the model repeated at the top of its answer
+  const body = generated.trim().replace(/^#{1,6}\s+.*(\n|$)/, '').trim();
+  const trailing = target.markdown.match(/\n*$/)[0];
+  sections[index] = { ...target, markdown: `${headingLine}\n${body}${trailing || '\n'}` };
+  return joinGuideSections(sections);
+};
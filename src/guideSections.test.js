@@ -0,0 +1,24 @@
+import { splitGuideSections, joinGuideSections, replaceGuideSection } from './guideSections';
+
+const guide = 'Intro line\n\n# Strengths\nFast.\n\n# Mulligan Guide\nKeep two landers.\n```\n# not a heading\n```\n';
+
+test('splits a guide at its top-level headings and joins it back unchanged', () => {
+  const sections = splitGuideSections(guide);
+  expect(sections.map(section => section.title)).toEqual(['', 'Strengths', 'Mulligan Guide']);
+  expect(sections[2].markdown).toContain('# not a heading');
+  expect(joinGuideSections(sections)).toBe(guide);
+});
+
+test('uses the highest heading level present', () => {
+  const sections = splitGuideSections('## One\n### Detail\ntext\n## Two\nmore');
+  expect(sections.map(section => section.title)).toEqual(['One', 'Two']);
+});
+
+test('replaces one section and keeps its heading', () => {
+  const updated = replaceGuideSection(guide, 2, '# Mulligan Guide\nMulligan hands without a one-drop.');
+  const sections = splitGuideSections(updated);
+
+  expect(sections[1].markdown).toBe('# Strengths\nFast.\n');
+  expect(sections[2].markdown).toBe('# Mulligan Guide\nMulligan hands without a one-drop.\n');
+  expect(replaceGuideSection(guide, 7, 'ignored')).toBe(guide);
+});
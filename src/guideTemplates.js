@@ -0,0 +1,246 @@
+// Guide templates: named sets of sections, each with a Markdown heading and instructions for the model.
+// Built-in sections name the structured guide field they are generated as (see structuredGuide.js).
+// Custom templates are edited as text: "# Section Title" lines followed by "* instruction" lines.
+// Names and section titles are translated where they are shown; the prompts keep the English ones.
+import { LANGUAGES, translate } from './i18n';
+
+const CUSTOM_TEMPLATES_STORAGE_KEY = 'mtg-deck-guide.guideTemplates';
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'constructed',
+    name: 'Constructed',
+    sections: [
+      {
+        title: 'Deck Archetype and Core Strategy',
+        field: 'archetype',
+        instructions: [
+          'Identify the primary archetype (e.g., Aggro, Control, Midrange, Combo, Tempo, Prison, Voltron, etc.).',
+          "Explain the deck's main game plan, how it aims to win, and its key phases (early, mid, late game).",
+        ],
+      },
+      {
+        title: 'Key Cards and Synergies',
+        field: 'keyCards',
+        instructions: [
+          'Highlight 3-5 of the most crucial cards in the deck.',
+          "Explain why these cards are important and how they contribute to the deck's strategy.",
+          'Describe significant card synergies and powerful interactions between cards.',
+        ],
+      },
+      {
+        title: 'Mana Curve Analysis',
+        instructions: [
+          "Provide a brief analysis of the deck's mana curve, using the computed deck statistics below.",
+          "Comment on whether it supports the deck's strategy (e.g., low curve for aggro, higher curve for control).",
+          'Suggest any potential improvements or observations regarding mana efficiency.',
+        ],
+      },
+      {
+        title: 'Strengths',
+        field: 'strengths',
+        instructions: [
+          'List the main advantages of this deck. What does it do well?',
+          'Against what types of decks or strategies does it typically perform strongly?',
+        ],
+      },
+      {
+        title: 'Weaknesses',
+        field: 'weaknesses',
+        instructions: [
+          "Identify the deck's vulnerabilities and potential pain points.",
+          'Against what types of decks or strategies does it typically struggle?',
+          'Suggest common answers or disruption that opponents might use against it.',
+        ],
+      },
+      {
+        title: 'Mulligan Guide',
+        field: 'mulligan',
+        instructions: [
+          'Offer general advice on what to look for in an opening hand (e.g., lands, early plays, key pieces).',
+          'Provide examples of good vs. bad opening hands.',
+        ],
+      },
+      {
+        title: 'General Matchup Considerations',
+        field: 'matchups',
+        instructions: [
+          'Briefly discuss how the deck might approach common matchups (e.g., playing against other aggro decks, control decks, or combo decks).',
+          'If the deck has a sideboard, name the sideboard cards that matter in which matchups (the Sideboard Guide tab has exact plans).',
+        ],
+      },
+    ],
+  },
+  {
+    id: 'commander',
+    name: 'Commander',
+    sections: [
+      {
+        title: 'Commander and Core Strategy',
+        field: 'archetype',
+        instructions: [
+          'Explain what the commander does and how the deck is built around it.',
+          'Describe the game plan for the early, mid and late game of a multiplayer game.',
+        ],
+      },
+      {
+        title: 'Commander Synergies',
+        field: 'keyCards',
+        instructions: [
+          'Highlight the cards that work best with the commander and explain the interactions.',
+          'Point out how the deck keeps working if the commander is removed repeatedly.',
+        ],
+      },
+      {
+        title: 'Win Conditions',
+        instructions: [
+          'List the ways the deck wins, including combos, and the pieces each one needs.',
+          'Explain how to assemble and protect them.',
+        ],
+      },
+      {
+        title: 'Politics and Threat Assessment',
+        instructions: [
+          'Advise when to attack, when to hold back and which players to target.',
+          'Explain how threatening the deck looks at the table and how to avoid being the archenemy too early.',
+        ],
+      },
+      {
+        title: 'Mana Base and Ramp',
+        instructions: [
+          'Assess ramp, color fixing and the mana curve, using the computed deck statistics below.',
+          'Suggest adjustments if the deck is likely to stumble on mana.',
+        ],
+      },
+      {
+        title: 'Mulligan Guide',
+        field: 'mulligan',
+        instructions: [
+          'Describe what a keepable seven-card hand looks like for this deck, taking the free first mulligan into account.',
+        ],
+      },
+      {
+        title: 'Weaknesses and Common Answers',
+        field: 'weaknesses',
+        instructions: [
+          'Identify the hate pieces and strategies that hurt this deck most.',
+          'Suggest how to play around them or which cards could shore up the weaknesses.',
+        ],
+      },
+    ],
+  },
+  {
+    id: 'limited',
+    name: 'Limited / Cube',
+    sections: [
+      {
+        title: 'Archetype and Colors',
+        field: 'archetype',
+        instructions: [
+          "Identify the deck's colors and draft archetype and how it wants to win.",
+        ],
+      },
+      {
+        title: 'Key Cards',
+        field: 'keyCards',
+        instructions: [
+          'Highlight the bombs, the best removal and the cards the deck depends on.',
+        ],
+      },
+      {
+        title: 'Curve and Creature Count',
+        instructions: [
+          'Assess the creature count, mana curve and land count, using the computed deck statistics below.',
+          'Suggest cuts or swaps from the sideboard if the curve is off.',
+        ],
+      },
+      {
+        title: 'Combat and Tricks',
+        instructions: [
+          'Explain how the deck wants to attack and block, and how to get the most out of its combat tricks and removal.',
+        ],
+      },
+      {
+        title: 'Mulligan Guide',
+        field: 'mulligan',
+        instructions: [
+          'Describe which opening hands to keep with a 40-card deck and which to send back.',
+        ],
+      },
+      {
+        title: 'Sideboarding Between Games',
+        field: 'matchups',
+        instructions: [
+          'Suggest which sideboard cards to bring in against faster, slower or flying-heavy opponents.',
+        ],
+      },
+    ],
+  },
+];
+
+// Built-in template used when the user keeps "Automatic"
+export const defaultTemplateFor = (formatKey) => {
+  if (formatKey === 'commander') {
+    return BUILT_IN_TEMPLATES.find(template => template.id === 'commander');
+  }
+  if (formatKey === 'limited') {
+    return BUILT_IN_TEMPLATES.find(template => template.id === 'limited');
+  }
+  return BUILT_IN_TEMPLATES[0];
+};
+
+// Template for the chosen id ('' = automatic by format), falling back to the format default
+export const resolveTemplate = (templateId, formatKey, customTemplates = []) => (
+  [...BUILT_IN_TEMPLATES, ...customTemplates].find(template => template.id === templateId)
+  || defaultTemplateFor(formatKey)
+);
+
+// Parse "# Title" / "* instruction" text into sections
+export const parseTemplateSections = (text) => {
+  const sections = [];
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const heading = line.match(/^#{1,3}\s+(.+)$/);
+    if (heading) {
+      sections.push({ title: heading[1].trim(), instructions: [] });
+    } else if (line && sections.length > 0) {
+      sections[sections.length - 1].instructions.push(line.replace(/^[*-]\s*/, ''));
+    }
+  });
+  return sections;
+};
+
+// Inverse of parseTemplateSections, also used to put the sections into the prompt
+export const formatTemplateSections = (sections) => sections
+  .map(section => [`# ${section.title}`, ...section.instructions.map(instruction => `* ${instruction}`)].join('\n'))
+  .join('\n\n');
+
+export const loadCustomTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_TEMPLATES_STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error("Error reading guide templates:", error);
+    return [];
+  }
+};
+
+export const saveCustomTemplates = (templates) => {
+  localStorage.setItem(CUSTOM_TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+};
+
+// Instructions for a section of an existing guide, looked up by title: first in the template
+// the guide was generated with, then in every other template; unknown titles get none.
+// The guide's headings may be the titles translated into any of the UI languages.
+export const findTemplateSection = (title, templates) => {
+  const normalized = title.trim().toLowerCase();
+  const matches = (section) => Object.keys(LANGUAGES)
+    .some(language => translate(language, section.title).trim().toLowerCase() === normalized);
+  for (const template of templates) {
+    const section = template.sections.find(matches);
+    if (section) {
+      return section;
+    }
+  }
+  return { title, instructions: [] };
+};
@@ -0,0 +1,43 @@
+import {
+  BUILT_IN_TEMPLATES,
+  resolveTemplate,
+  parseTemplateSections,
+  formatTemplateSections,
+  loadCustomTemplates,
+  saveCustomTemplates,
+  findTemplateSection,
+} from './guideTemplates';
+
+test('picks the built-in template by format unless one is chosen', () => {
+  expect(resolveTemplate('', 'commander').id).toBe('commander');
+  expect(resolveTemplate('', 'limited').id).toBe('limited');
+  expect(resolveTemplate('', 'modern').id).toBe('constructed');
+  const custom = { id: 'mine', name: 'Mine', sections: [{ title: 'Plan', instructions: [] }] };
+  expect(resolveTemplate('mine', 'commander', [custom])).toBe(custom);
+  expect(resolveTemplate('deleted', 'commander', [custom]).id).toBe('commander');
+});
+
+test('template sections round-trip through their text form', () => {
+  const text = '# Game Plan\n* How the deck wins\n- Key turns\n\n## Sideboard\n';
+  expect(parseTemplateSections(text)).toEqual([
+    { title: 'Game Plan', instructions: ['How the deck wins', 'Key turns'] },
+    { title: 'Sideboard', instructions: [] },
+  ]);
+  const { sections } = BUILT_IN_TEMPLATES[0];
+  // The structured guide field is not part of the text form; it is looked up by title
+  expect(parseTemplateSections(formatTemplateSections(sections)))
+    .toEqual(sections.map(({ title, instructions }) => ({ title, instructions })));
+});
+
+test('finds the section of a heading, also in a translated guide', () => {
+  expect(findTemplateSection('key cards and synergies', BUILT_IN_TEMPLATES).field).toBe('keyCards');
+  expect(findTemplateSection('Schlüsselkarten und Synergien ', BUILT_IN_TEMPLATES).field).toBe('keyCards');
+  expect(findTemplateSection('Fazit', BUILT_IN_TEMPLATES)).toEqual({ title: 'Fazit', instructions: [] });
+});
+
+test('custom templates are stored in localStorage', () => {
+  localStorage.clear();
+  expect(loadCustomTemplates()).toEqual([]);
+  saveCustomTemplates([{ id: 'mine', name: 'Mine', sections: [] }]);
+  expect(loadCustomTemplates()).toEqual([{ id: 'mine', name: 'Mine', sections: [] }]);
+});
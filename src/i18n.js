@@ -0,0 +1,63 @@
+// UI translations. Messages are looked up by their English text, so English needs no table and
+// anything not translated yet shows in English. "{name}" placeholders are filled in from params;
+// messages that depend on a count hold their singular and plural form separated by "|".
+import { createContext, useContext } from 'react';
+import de from './locales/de';
+
+export const LANGUAGES = {
+  en: { label: 'English', messages: {} },
+  de: { label: 'Deutsch', messages: de },
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_STORAGE_KEY = 'mtg-deck-guide.language';
+
+// German and English plurals: the singular form for exactly one
+const pluralForm = (message, count) => {
+  const [one, other = one] = message.split('|');
+  return count === 1 ? one : other;
+};
+
+export const translate = (language, message, params = {}) => {
+  const translated = LANGUAGES[language]?.messages[message] || message;
+  const text = params.count === undefined ? translated : pluralForm(translated, params.count);
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : String(params[name])));
+};
+
+// t() in the default language, for code outside of components that is not given one
+export const defaultT = (message, params) => translate(DEFAULT_LANGUAGE, message, params);
+
+// Messages for the user from outside of components (errors, validation issues) are in English
+// and keep their untranslated message and params, so the UI can show them in its own language
+export const translatable = (message, params = {}) => ({
+  message: defaultT(message, params),
+  translation: { message, params },
+});
+
+export const userError = (message, params) => Object.assign(new Error(), translatable(message, params));
+
+// The text of an error or translatable message in the UI language. Errors from elsewhere (the
+// network, the AI) have no translation and show as they are.
+export const localize = (t, { message, translation }) => (translation ? t(translation.message, translation.params) : message);
+
+// The saved choice, else the browser's language if there is a translation for it
+export const loadLanguage = () => {
+  const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+  if (LANGUAGES[stored]) {
+    return stored;
+  }
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return LANGUAGES[browser] ? browser : DEFAULT_LANGUAGE;
+};
+
+export const saveLanguage = (language) => {
+  localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+};
+
+// Provided by App; components read the language and t() with useTranslation()
+export const I18nContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  t: defaultT,
+});
+
+export const useTranslation = () => useContext(I18nContext);
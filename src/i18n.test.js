@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import { LANGUAGES, translate, translatable, userError, localize, loadLanguage, saveLanguage } from './i18n';
+import { ZONE_LABELS } from './decklist';
+import { CARD_TYPES, COLOR_NAMES } from './deckStats';
+import { GROUPINGS, SORTINGS } from './deckView';
+import { statsDelta } from './deckComparison';
+import { MTG_QUOTES } from './quotes';
+import { STAGE_LABELS } from './guidePipeline';
+import { PLAYER_FIELDS } from './registrationSheet';
+import { BUILT_IN_TEMPLATES } from './guideTemplates';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('translates messages and fills in their placeholders', () => {
+  expect(translate('de', 'Import Deck')).toBe('Deck importieren');
+  expect(translate('de', 'Library: {name}', { name: 'Burn' })).toBe('Bibliothek: Burn');
+  expect(translate('en', 'Library: {name}', { name: 'Burn' })).toBe('Library: Burn');
+});
+
+test('picks the plural form by count', () => {
+  expect(translate('en', '{count} card|{count} cards', { count: 1 })).toBe('1 card');
+  expect(translate('en', '{count} card|{count} cards', { count: 0 })).toBe('0 cards');
+  expect(translate('de', '{count} card|{count} cards', { count: 2 })).toBe('2 Karten');
+});
+
+test('falls back to the English text', () => {
+  expect(translate('de', 'Not translated')).toBe('Not translated');
+  expect(translate('xx', 'Import Deck')).toBe('Import Deck');
+});
+
+test('errors and messages from outside of components are translated where they are shown', () => {
+  const t = (message, params) => translate('de', message, params);
+  const error = userError('Could not find card: "{name}".', { name: 'Bolt' });
+  expect(error.message).toBe('Could not find card: "Bolt".');
+  expect(localize(t, error)).toBe('Karte nicht gefunden: „Bolt“.');
+  expect(localize(t, translatable('not cheaper'))).toBe('nicht günstiger');
+  expect(localize(t, new Error('Service unavailable'))).toBe('Service unavailable');
+});
+
+test('remembers the chosen language, else uses the browser language', () => {
+  jest.spyOn(navigator, 'language', 'get').mockReturnValue('de-AT');
+  expect(loadLanguage()).toBe('de');
+  saveLanguage('en');
+  expect(loadLanguage()).toBe('en');
+});
+
+// Every literal passed to t(), translatable() or userError() in the app, read from the source files
+const sourceMessages = () => {
+  const files = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'locales' ? [] : files(file);
+    }
+    return file.endsWith('.js') && !file.endsWith('.test.js') ? [file] : [];
+  });
+  const literal = /\b(?:t|translatable|userError)\(\s*(?:'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")/g;
+  return files(__dirname).flatMap(file => [...fs.readFileSync(file, 'utf8').matchAll(literal)]
+    .map(match => (match[1] ?? match[2]).replace(/\\(['"])/g, '$1')));
+};
+
+// Messages translated from data: zone, color, type and group labels, statistics rows, the quotes,
+// the fields of the registration sheet and the built-in guide templates
+const dataMessages = () => {
+  const delta = statsDelta([], []);
+  return [
+    ...Object.values(ZONE_LABELS),
+    ...Object.values(COLOR_NAMES),
+    ...Object.values(GROUPINGS).flatMap(grouping => [grouping.label, ...grouping.order]),
+    ...Object.values(SORTINGS).map(sorting => sorting.label),
+    ...CARD_TYPES,
+    ...[...delta.overview, ...delta.curve, ...delta.colors].map(stat => stat.label),
+    ...MTG_QUOTES,
+    ...Object.values(STAGE_LABELS),
+    ...PLAYER_FIELDS,
+    ...BUILT_IN_TEMPLATES.flatMap(template => [template.name, ...template.sections.map(section => section.title)]),
+  ].filter(message => !/^\d+\+?$/.test(message)); // Mana values stay as they are
+};
+
+test('every UI message has a German translation', () => {
+  const messages = [...new Set([...sourceMessages(), ...dataMessages()])];
+  expect(messages.length).toBeGreaterThan(200);
+  expect(messages.filter(message => !LANGUAGES.de.messages[message])).toEqual([]);
+});
+
+test('translations keep the placeholders and plural forms of the English text', () => {
+  const placeholders = (message) => message.split('|').map(form => (form.match(/\{\w+\}/g) || []).sort().join());
+  Object.entries(LANGUAGES.de.messages).forEach(([message, translation]) => {
+    expect([message, placeholders(translation)]).toEqual([message, placeholders(message)]);
+  });
+});
@@ -0,0 +1,63 @@
+// Reading JSON out of model answers, complete or still streaming
+
+// Pull the JSON object out of a model answer, tolerating code fences and surrounding prose.
+// Returns undefined when the answer contains no object; throws a SyntaxError for broken JSON.
+export const extractJsonObject = (text) => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return undefined;
+  }
+  return JSON.parse(candidate.slice(start, end + 1));
+};
+
+// Best-effort parse of the start of a JSON object that is still streaming in: open strings,
+// arrays and objects are closed, and a trailing member that is not complete yet is dropped.
+// Returns null while nothing usable has arrived.
+export const parsePartialJson = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+  let lastComma = null; // { index, closers } at the last member separator
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      closers.pop();
+    } else if (char === ',') {
+      lastComma = { index: i, closers: [...closers] };
+    }
+  }
+
+  // A dangling backslash would escape the closing quote
+  const body = text.slice(start).replace(/\\$/, '');
+  const candidates = [`${body}${inString ? '"' : ''}${[...closers].reverse().join('')}`];
+  if (lastComma) {
+    candidates.push(`${text.slice(start, lastComma.index)}${[...lastComma.closers].reverse().join('')}`);
+  }
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next, shorter candidate
+    }
+  }
+  return null;
+};
@@ -0,0 +1,18 @@
+import { extractJsonObject, parsePartialJson } from './jsonAnswer';
+
+test('extracts the JSON object from fenced or chatty answers', () => {
+  expect(extractJsonObject('Here you go:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+  expect(extractJsonObject('Sure! {"a": {"b": 2}} Good luck.')).toEqual({ a: { b: 2 } });
+  expect(extractJsonObject('No idea.')).toBeUndefined();
+  expect(() => extractJsonObject('{"a": }')).toThrow(SyntaxError);
+});
+
+test('parses the start of a JSON object that is still streaming in', () => {
+  expect(parsePartialJson('')).toBeNull();
+  expect(parsePartialJson('{"strengths": ["Fast", "Reach th')).toEqual({ strengths: ['Fast', 'Reach th'] });
+  expect(parsePartialJson('{"a": "x", "b')).toEqual({ a: 'x' });
+  expect(parsePartialJson('{"keyCards": [{"card": "Lightning Bolt", "rea')).toEqual({ keyCards: [{ card: 'Lightning Bolt' }] });
+  expect(parsePartialJson('{"a": "x, y", "b": tr')).toEqual({ a: 'x, y' });
+  expect(parsePartialJson('{"a": "line\\')).toEqual({ a: 'line' });
+  expect(parsePartialJson('{"a":')).toBeNull();
+});
@@ -0,0 +1,279 @@
+// Pluggable LLM provider layer: our server proxy, Gemini, any OpenAI-compatible endpoint, and a deterministic mock.
+// Messages use a provider-neutral shape: [{ role: 'user' | 'assistant', content: '...' }].
+// An optional responseSchema (Gemini's OpenAPI subset, types in upper case) asks for JSON output of that shape.
+import { API_BASE_URL } from './api';
+import { readServerSentEvents } from './sse';
+
+const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+const SETTINGS_STORAGE_KEY = 'mtg-deck-guide.llmSettings';
+
+const postJson = async (url, body, headers = {}, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    // Gemini and OpenAI report { error: { message } }, our proxy { error: '...' }
+    throw new Error(result.error?.message || result.error || `LLM request failed (${response.status})`);
+  }
+  return result;
+};
+
+// POST and return the raw response of a streaming (SSE) endpoint
+const postStream = async (url, body, headers = {}, signal) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    const result = await response.json().catch(() => ({}));
+    throw new Error(result.error?.message || result.error || `LLM request failed (${response.status})`);
+  }
+  return response;
+};
+
+const toGeminiContents = (messages) => messages.map(message => ({
+  role: message.role === 'assistant' ? 'model' : 'user',
+  parts: [{ text: message.content }],
+}));
+
+const geminiRequest = (messages, responseSchema) => ({
+  contents: toGeminiContents(messages),
+  ...(responseSchema && { generationConfig: { responseMimeType: 'application/json', responseSchema } }),
+});
+
+// OpenAI-compatible servers only reliably support plain JSON mode; the prompt describes the shape
+const openAiRequest = (model, messages, stream, responseSchema) => ({
+  model,
+  messages,
+  stream,
+  ...(responseSchema && { response_format: { type: 'json_object' } }),
+});
+
+// Text of one Gemini response chunk (streamed chunks have the same shape as full responses)
+const geminiChunkText = (chunk) => (chunk.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+
+// Gemini through our server proxy (server/), which holds the API key
+const proxyProvider = {
+  id: 'proxy',
+  label: 'Server (Gemini proxy)',
+  defaultModel: 'gemini-2.0-flash',
+  generate: async ({ messages, model, responseSchema, signal }) => {
+    const result = await postJson(`${API_BASE_URL}/guide`, { messages, model, responseSchema }, {}, signal);
+    if (typeof result.text !== 'string') {
+      console.error("Unexpected proxy response structure:", result);
+      throw new Error("The server returned an unexpected response.");
+    }
+    return result.text;
+  },
+  // The proxy normalizes Gemini's stream to events of { text }
+  stream: async ({ messages, model, responseSchema, signal, onToken }) => {
+    const response = await postStream(`${API_BASE_URL}/guide/stream`, { messages, model, responseSchema }, {}, signal);
+    await readServerSentEvents(response, data => {
+      if (data === '[DONE]') {
+        return;
+      }
+      const event = JSON.parse(data);
+      if (event.error) {
+        throw new Error(event.error);
+      }
+      onToken(event.text || '');
+    });
+  },
+};
+
+// Google Gemini called directly from the browser via :generateContent with the key the user entered.
+// The app never ships a key of its own; without one, use the server proxy.
+const geminiKey = (apiKey) => {
+  if (!apiKey) {
+    throw new Error('Enter a Gemini API key in the settings, or use the server provider.');
+  }
+  return apiKey;
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.0-flash',
+  generate: async ({ messages, model, apiKey, responseSchema, signal }) => {
+    const key = geminiKey(apiKey);
+    const result = await postJson(`${GEMINI_API_BASE_URL}/models/${model}:generateContent?key=${key}`, geminiRequest(messages, responseSchema), {}, signal);
+
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string') {
+      console.error("Unexpected Gemini API response structure:", result);
+      throw new Error("Gemini API returned an unexpected response.");
+    }
+    return text;
+  },
+  stream: async ({ messages, model, apiKey, responseSchema, signal, onToken }) => {
+    const key = geminiKey(apiKey);
+    const url = `${GEMINI_API_BASE_URL}/models/${model}:streamGenerateContent?alt=sse&key=${key}`;
+    const response = await postStream(url, geminiRequest(messages, responseSchema), {}, signal);
+    await readServerSentEvents(response, data => onToken(geminiChunkText(JSON.parse(data))));
+  },
+};
+
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Ollama, llama.cpp, LM Studio, ...)
+const openAiCompatibleProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: 'llama3.1',
+  defaultBaseUrl: 'http://localhost:11434/v1', // Ollama
+  generate: async ({ messages, model, baseUrl, apiKey, responseSchema, signal }) => {
+    const url = `${(baseUrl || openAiCompatibleProvider.defaultBaseUrl).replace(/\/+$/, '')}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const result = await postJson(url, openAiRequest(model, messages, false, responseSchema), headers, signal);
+
+    const text = result.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      console.error("Unexpected OpenAI-compatible response structure:", result);
+      throw new Error("The model endpoint returned an unexpected response.");
+    }
+    return text;
+  },
+  stream: async ({ messages, model, baseUrl, apiKey, responseSchema, signal, onToken }) => {
+    const url = `${(baseUrl || openAiCompatibleProvider.defaultBaseUrl).replace(/\/+$/, '')}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const response = await postStream(url, openAiRequest(model, messages, true, responseSchema), headers, signal);
+    await readServerSentEvents(response, data => {
+      if (data !== '[DONE]') {
+        onToken(JSON.parse(data).choices?.[0]?.delta?.content || '');
+      }
+    });
+  },
+};
+
+// Placeholder value of the given schema: every string filled in, every array empty
+const mockValue = (schema) => {
+  if (schema.type === 'OBJECT') {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) => [key, mockValue(property)]));
+  }
+  if (schema.type === 'ARRAY') {
+    return [];
+  }
+  return schema.type === 'STRING' ? 'This is a mock section generated offline.' : 0;
+};
+
+// Deterministic offline provider for tests and demos: echoes the requested Markdown headings
+// from the last user message with placeholder text, so the full flow runs without network.
+// With a response schema it answers with placeholder JSON of that shape instead.
+const mockProvider = {
+  id: 'mock',
+  label: 'Mock (offline)',
+  defaultModel: 'mock',
+  generate: async ({ messages, responseSchema }) => {
+    if (responseSchema) {
+      return JSON.stringify(mockValue(responseSchema), null, 2);
+    }
+    const prompt = messages[messages.length - 1]?.content || '';
+    const headings = prompt
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => /^#{1,3}\s+\S/.test(line));
+    if (headings.length === 0) {
+      return `Mock response to: ${prompt.trim().split('\n')[0].slice(0, 200)}`;
+    }
+    return headings.map(heading => `${heading}\nThis is a mock section generated offline.`).join('\n\n');
+  },
+  // Emit the mock answer line by line to exercise progressive rendering
+  stream: async ({ messages, responseSchema, onToken, signal }) => {
+    const text = await mockProvider.generate({ messages, responseSchema });
+    for (const line of text.split(/(?<=\n)/)) {
+      if (signal?.aborted) {
+        throw new DOMException('The operation was aborted.', 'AbortError');
+      }
+      onToken(line);
+    }
+  },
+};
+
+export const PROVIDERS = {
+  [proxyProvider.id]: proxyProvider,
+  [geminiProvider.id]: geminiProvider,
+  [openAiCompatibleProvider.id]: openAiCompatibleProvider,
+  [mockProvider.id]: mockProvider,
+};
+
+// Default settings; REACT_APP_LLM_PROVIDER lets CI and offline demos start on the mock provider
+export const defaultLlmSettings = () => {
+  const provider = PROVIDERS[process.env.REACT_APP_LLM_PROVIDER] ? process.env.REACT_APP_LLM_PROVIDER : 'proxy';
+  return {
+    provider,
+    model: PROVIDERS[provider].defaultModel,
+    baseUrl: PROVIDERS[provider].defaultBaseUrl || '',
+    apiKey: '',
+  };
+};
+
+export const loadLlmSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (stored && PROVIDERS[stored.provider]) {
+      return { ...defaultLlmSettings(), ...stored };
+    }
+  } catch (error) {
+    console.error("Error reading LLM settings:", error);
+  }
+  return defaultLlmSettings();
+};
+
+export const saveLlmSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+// Run a conversation through the configured provider and return the reply text
+export const generateText = async (settings, messages, { signal, responseSchema } = {}) => {
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${settings.provider}".`);
+  }
+  return provider.generate({
+    messages,
+    model: settings.model || provider.defaultModel,
+    baseUrl: settings.baseUrl,
+    apiKey: settings.apiKey,
+    responseSchema,
+    signal,
+  });
+};
+
+// Stream a conversation through the configured provider, calling onToken with each text chunk.
+// Resolves with the full reply text. Providers without streaming deliver the reply as one chunk.
+export const streamText = async (settings, messages, { signal, responseSchema, onToken = () => {} } = {}) => {
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${settings.provider}".`);
+  }
+  const options = {
+    messages,
+    model: settings.model || provider.defaultModel,
+    baseUrl: settings.baseUrl,
+    apiKey: settings.apiKey,
+    responseSchema,
+    signal,
+  };
+  if (!provider.stream) {
+    const text = await provider.generate(options);
+    onToken(text);
+    return text;
+  }
+
+  let text = '';
+  await provider.stream({
+    ...options,
+    onToken: (chunk) => {
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    },
+  });
+  return text;
+};
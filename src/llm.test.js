@@ -0,0 +1,157 @@
+import { generateText, streamText, defaultLlmSettings, loadLlmSettings, saveLlmSettings } from './llm';
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+// Response whose body streams the given strings as separate chunks
+const streamResponse = (chunks) => {
+  const encoded = chunks.map(text => new TextEncoder().encode(text));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () => (encoded.length > 0 ? { done: false, value: encoded.shift() } : { done: true }),
+      }),
+    },
+  };
+};
+
+const messages = [
+  { role: 'user', content: 'Write a guide.\n# Strengths\n# Weaknesses' },
+];
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  localStorage.clear();
+});
+
+test('mock provider answers deterministically without network', async () => {
+  const first = await generateText({ provider: 'mock' }, messages);
+  expect(first).toBe('# Strengths\nThis is a mock section generated offline.\n\n# Weaknesses\nThis is a mock section generated offline.');
+  expect(await generateText({ provider: 'mock' }, messages)).toBe(first);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('proxy provider posts the conversation to the server', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ text: 'Server guide' }));
+
+  const text = await generateText({ provider: 'proxy', model: 'gemini-2.0-flash' }, messages);
+
+  expect(text).toBe('Server guide');
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('/api/guide');
+  expect(JSON.parse(options.body)).toEqual({ messages, model: 'gemini-2.0-flash' });
+});
+
+test('proxy errors surface the server message', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ error: 'Too many requests. Please slow down.' }, 429));
+  await expect(generateText({ provider: 'proxy' }, messages)).rejects.toThrow('Too many requests');
+});
+
+test('gemini adapter maps roles and reads the candidate text', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ candidates: [{ content: { parts: [{ text: 'Guide' }] } }] }));
+
+  const text = await generateText({ provider: 'gemini', model: 'gemini-test', apiKey: 'k' }, [
+    ...messages,
+    { role: 'assistant', content: 'Sure' },
+  ]);
+
+  expect(text).toBe('Guide');
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-test:generateContent?key=k');
+  expect(JSON.parse(options.body).contents.map(content => content.role)).toEqual(['user', 'model']);
+});
+
+test('openai-compatible adapter posts to the configured base URL', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: 'Local guide' } }] }));
+
+  const text = await generateText({ provider: 'openai', model: 'llama3.1', baseUrl: 'http://localhost:1234/v1/' }, messages);
+
+  expect(text).toBe('Local guide');
+  const [url, options] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:1234/v1/chat/completions');
+  expect(options.headers.Authorization).toBeUndefined();
+  expect(JSON.parse(options.body)).toMatchObject({ model: 'llama3.1', messages });
+});
+
+test('adapters reject HTTP errors and unexpected responses', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({ error: { message: 'quota exceeded' } }, 429));
+  await expect(generateText({ provider: 'gemini', model: 'm', apiKey: 'k' }, messages)).rejects.toThrow('quota exceeded');
+
+  global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [] }));
+  await expect(generateText({ provider: 'openai', model: 'm' }, messages)).rejects.toThrow('unexpected response');
+
+  await expect(generateText({ provider: 'nope' }, messages)).rejects.toThrow('Unknown LLM provider');
+});
+
+test('direct Gemini calls need a key entered by the user', async () => {
+  await expect(generateText({ provider: 'gemini', model: 'm', apiKey: '' }, messages)).rejects.toThrow('Enter a Gemini API key');
+  await expect(streamText({ provider: 'gemini', model: 'm' }, messages)).rejects.toThrow('Enter a Gemini API key');
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('streamText delivers proxy events as they arrive, across chunk boundaries', async () => {
+  global.fetch.mockResolvedValueOnce(streamResponse([
+    'data: {"text":"# Stren',
+    'gths\\n"}\n\ndata: {"text":"Fast."}\n\n',
+    'data: [DONE]\n\n',
+  ]));
+  const tokens = [];
+
+  const text = await streamText({ provider: 'proxy' }, messages, { onToken: token => tokens.push(token) });
+
+  expect(tokens).toEqual(['# Strengths\n', 'Fast.']);
+  expect(text).toBe('# Strengths\nFast.');
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/guide/stream');
+});
+
+test('streamText reads Gemini and OpenAI-compatible stream formats', async () => {
+  const geminiChunk = text => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\r\n\r\n`;
+  global.fetch.mockResolvedValueOnce(streamResponse([geminiChunk('Hello '), geminiChunk('world')]));
+  expect(await streamText({ provider: 'gemini', model: 'gemini-test', apiKey: 'k' }, messages)).toBe('Hello world');
+  expect(global.fetch.mock.calls[0][0]).toContain('gemini-test:streamGenerateContent?alt=sse&key=k');
+
+  const openAiChunk = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+  global.fetch.mockResolvedValueOnce(streamResponse([openAiChunk('Local '), openAiChunk('guide'), 'data: [DONE]\n\n']));
+  expect(await streamText({ provider: 'openai', model: 'llama3.1' }, messages)).toBe('Local guide');
+  expect(JSON.parse(global.fetch.mock.calls[1][1].body).stream).toBe(true);
+});
+
+test('streamText passes the abort signal and surfaces stream errors', async () => {
+  const controller = new AbortController();
+  global.fetch.mockResolvedValueOnce(streamResponse(['data: {"error":"The AI service stream was interrupted."}\n\n']));
+  await expect(streamText({ provider: 'proxy' }, messages, { signal: controller.signal })).rejects.toThrow('interrupted');
+  expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+
+  controller.abort();
+  await expect(streamText({ provider: 'mock' }, messages, { signal: controller.signal })).rejects.toThrow('aborted');
+});
+
+test('a response schema asks each provider for JSON output', async () => {
+  const responseSchema = { type: 'OBJECT', properties: { strengths: { type: 'ARRAY', items: { type: 'STRING' } }, summary: { type: 'STRING' } } };
+
+  global.fetch.mockResolvedValueOnce(jsonResponse({ candidates: [{ content: { parts: [{ text: '{}' }] } }] }));
+  await generateText({ provider: 'gemini', model: 'm', apiKey: 'k' }, messages, { responseSchema });
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).generationConfig).toEqual({ responseMimeType: 'application/json', responseSchema });
+
+  global.fetch.mockResolvedValueOnce(jsonResponse({ text: '{}' }));
+  await generateText({ provider: 'proxy' }, messages, { responseSchema });
+  expect(JSON.parse(global.fetch.mock.calls[1][1].body).responseSchema).toEqual(responseSchema);
+
+  global.fetch.mockResolvedValueOnce(jsonResponse({ choices: [{ message: { content: '{}' } }] }));
+  await generateText({ provider: 'openai', model: 'm' }, messages, { responseSchema });
+  expect(JSON.parse(global.fetch.mock.calls[2][1].body).response_format).toEqual({ type: 'json_object' });
+
+  const mock = await streamText({ provider: 'mock' }, messages, { responseSchema });
+  expect(JSON.parse(mock)).toEqual({ strengths: [], summary: 'This is a mock section generated offline.' });
+});
+
+test('settings round-trip through localStorage', () => {
+  expect(loadLlmSettings()).toEqual(defaultLlmSettings());
+  saveLlmSettings({ provider: 'openai', model: 'qwen', baseUrl: 'http://localhost:8080/v1', apiKey: '' });
+  expect(loadLlmSettings()).toMatchObject({ provider: 'openai', model: 'qwen' });
+});
@@ -0,0 +1,481 @@
+// German UI messages, keyed by the English text (see i18n.js)
+const de = {
+  // App
+  'No card data provided to generate a deck guide.': 'Es gibt keine Kartendaten, aus denen ein Deck-Guide erstellt werden kann.',
+  'Failed to communicate with the AI. Please try again.': 'Die Verbindung zur KI ist fehlgeschlagen. Bitte versuche es noch einmal.',
+  'An unexpected error occurred.': 'Ein unerwarteter Fehler ist aufgetreten.',
+  "Please enter a valid decklist. Format: 'Quantity Card Name', optionally followed by '(SET) Number'.": "Bitte gib eine gültige Deckliste ein. Format: 'Anzahl Kartenname', optional gefolgt von '(SET) Nummer'.",
+  'No cards left to generate a deck guide for.': 'Es sind keine Karten mehr übrig, für die ein Deck-Guide erstellt werden kann.',
+  'The shared link could not be opened.': 'Der geteilte Link konnte nicht geöffnet werden.',
+  'The deck could not be saved.': 'Das Deck konnte nicht gespeichert werden.',
+  'Import Deck': 'Deck importieren',
+  'Deck Guide': 'Deck-Guide',
+  'Statistics': 'Statistiken',
+  'Sideboard Guide': 'Sideboard-Guide',
+  'Compare': 'Vergleichen',
+  'Collection': 'Sammlung',
+  'Library': 'Bibliothek',
+  'Settings': 'Einstellungen',
+  'Welcome to MTG Deck Guide': 'Willkommen bei MTG Deck Guide',
+  'Analyze and optimize your Magic: The Gathering deck with AI-powered strategies.': 'Analysiere und verbessere dein Magic: The Gathering-Deck mit KI-gestützten Strategien.',
+  'Start by importing your deck or let the app generate a personalized guide for you. Happy brewing!': 'Importiere zuerst dein Deck und lass dir von der App einen persönlichen Guide erstellen. Viel Spaß beim Brauen!',
+  'Enter Your Decklist': 'Gib deine Deckliste ein',
+  'Decklist': 'Deckliste',
+  'Example:': 'Beispiel:',
+  'Format': 'Format',
+  "The deck is checked against the format's rules before the guide is generated.": 'Das Deck wird vor dem Erstellen des Guides gegen die Regeln des Formats geprüft.',
+  'No format check': 'Keine Formatprüfung',
+  'Guide Template': 'Guide-Vorlage',
+  'Sections: {sections}': 'Abschnitte: {sections}',
+  'Automatic ({name})': 'Automatisch ({name})',
+  'Edit Templates': 'Vorlagen bearbeiten',
+  'Guide Language': 'Sprache des Guides',
+  'Card names stay in English, as on the Oracle cards.': 'Kartennamen bleiben englisch, wie auf den Oracle-Karten.',
+  'Same as the app ({language})': 'Wie die App ({language})',
+  'Generating...': 'Wird erstellt...',
+  'Generate Deck Guide': 'Deck-Guide erstellen',
+  'Deck Guide Analysis': 'Deck-Guide-Analyse',
+  'Writing your guide...': 'Dein Guide wird geschrieben...',
+  'Cancel': 'Abbrechen',
+  'Library: {name}': 'Bibliothek: {name}',
+  'Save to Library': 'In Bibliothek speichern',
+  'Share': 'Teilen',
+  'Cards in Deck': 'Karten im Deck',
+  'No deck guide generated yet. Please import a deck and generate a guide first.': 'Noch kein Deck-Guide erstellt. Bitte importiere zuerst ein Deck und erstelle einen Guide.',
+  'Deck Statistics': 'Deck-Statistiken',
+  'Draw Probabilities': 'Ziehwahrscheinlichkeiten',
+  'Prices': 'Preise',
+  'No deck loaded yet. Please import a deck first.': 'Noch kein Deck geladen. Bitte importiere zuerst ein Deck.',
+  'Summoning Insights...': 'Erkenntnisse werden beschworen...',
+  'Retry': 'Erneut versuchen',
+  'Resume': 'Fortsetzen',
+  '{stage} failed: {error}': '{stage} fehlgeschlagen: {error}',
+  'Stopped at "{stage}".': 'Angehalten bei „{stage}“.',
+  'Steps that already finished are not repeated.': 'Bereits abgeschlossene Schritte werden nicht wiederholt.',
+
+  // Guide generation stages
+  'Reading the decklist': 'Deckliste lesen',
+  'Looking up cards': 'Karten nachschlagen',
+  'Checking the format': 'Format prüfen',
+  'Writing the guide': 'Guide schreiben',
+  '{done} of {total} cards': '{done} von {total} Karten',
+
+  // Loading quotes
+  "\"It's not just a game, it's Magic!\" - Probably a planeswalker": '„Es ist nicht nur ein Spiel, es ist Magic!“ - Vermutlich ein Planeswalker',
+  '"The stack is a lie." - A frustrated storm player': '„Der Stack ist eine Lüge.“ - Ein frustrierter Storm-Spieler',
+  "\"Dies to removal.\" - Every competitive player's favorite phrase": '„Stirbt an Removal.“ - Der Lieblingssatz jedes Turnierspielers',
+  '"Just one more land..." - Everyone, every game': '„Nur noch ein Land...“ - Alle, in jedem Spiel',
+  "\"Tapping lands for mana? That's so last millennium.\" - Urza, probably": '„Länder für Mana tappen? Das ist so letztes Jahrtausend.“ - Urza, vermutlich',
+  '"My deck has no bad matchups, only bad draws." - Optimistic player': '„Mein Deck hat keine schlechten Matchups, nur schlechte Draws.“ - Optimistischer Spieler',
+  '"Friendship is magic, but so is Fireball." - Chandra Nalaar, maybe': '„Freundschaft ist Magie, Fireball aber auch.“ - Chandra Nalaar, vielleicht',
+  "\"It's not a bug, it's a feature.\" - Mark Rosewater": '„Das ist kein Bug, das ist ein Feature.“ - Mark Rosewater',
+  "\"The best defense is a good offense... unless you're playing control.\" - Sun Tzu, if he played MTG": '„Angriff ist die beste Verteidigung... außer man spielt Control.“ - Sunzi, hätte er MTG gespielt',
+  '"What\'s the worst that could happen?" - Famous last words before a combo goes off': '„Was soll schon schiefgehen?“ - Berühmte letzte Worte, bevor eine Combo losgeht',
+  '"Always bolt the bird." - A timeless piece of advice': '„Immer den Vogel bolten.“ - Ein zeitloser Rat',
+  "\"No, you don't get priority there.\" - The judge's favorite line": '„Nein, da bekommst du keine Priorität.“ - Der Lieblingssatz jedes Judges',
+  '"Counterspell? I thought we were friends!" - A blue player\'s lament': '„Counterspell? Ich dachte, wir sind Freunde!“ - Die Klage eines blauen Spielers',
+  '"Infinite combos are just a matter of perspective." - A mad scientist': '„Unendliche Combos sind nur eine Frage der Perspektive.“ - Ein verrückter Wissenschaftler',
+  "\"May your draws be ever perfect, and your opponents' mana-screwed.\" - A blessing from a Planeswalker": '„Mögen deine Draws stets perfekt sein und deine Gegner ohne Mana dastehen.“ - Ein Segen eines Planeswalkers',
+  '"The graveyard is just a second hand." - A reanimator player': '„Der Friedhof ist nur eine zweite Hand.“ - Ein Reanimator-Spieler',
+  '"Why play fair when you can play Eldrazi?" - An Annihilator enthusiast': '„Warum fair spielen, wenn man Eldrazi spielen kann?“ - Ein Annihilator-Fan',
+  '"My life total is just a resource." - A black mage, probably at 1 life': '„Meine Lebenspunkte sind nur eine Ressource.“ - Ein schwarzer Magier, vermutlich auf 1 Leben',
+  "\"Yes, I'm tapping all my lands for one spell. What of it?\" - A spell-slinging wizard": '„Ja, ich tappe alle Länder für einen Zauberspruch. Na und?“ - Ein zauberwütiger Magier',
+  "\"The best way to win is to not lose.\" - A control player's motto": '„Am besten gewinnt man, indem man nicht verliert.“ - Das Motto eines Control-Spielers',
+
+  // Zones, colors, card types and groups
+  'Main Deck': 'Hauptdeck',
+  'Sideboard': 'Sideboard',
+  'Commander': 'Commander',
+  'Companion': 'Gefährte',
+  'White': 'Weiß',
+  'Blue': 'Blau',
+  'Black': 'Schwarz',
+  'Red': 'Rot',
+  'Green': 'Grün',
+  'Colorless': 'Farblos',
+  'Multicolor': 'Mehrfarbig',
+  'Land': 'Land',
+  'Creature': 'Kreatur',
+  'Planeswalker': 'Planeswalker',
+  'Battle': 'Kampf',
+  'Instant': 'Spontanzauber',
+  'Sorcery': 'Hexerei',
+  'Artifact': 'Artefakt',
+  'Enchantment': 'Verzauberung',
+  'Other': 'Sonstige',
+  'Lands': 'Länder',
+  'All Cards': 'Alle Karten',
+  'Type': 'Typ',
+  'Mana Value': 'Manabetrag',
+  'Color': 'Farbe',
+  'Zone': 'Bereich',
+  'None': 'Keine',
+  'Name': 'Name',
+  'Quantity': 'Anzahl',
+
+  // Deck comparison statistics
+  'Cards': 'Karten',
+  'Nonland cards': 'Nichtland-Karten',
+  'Average mana value': 'Durchschnittlicher Manabetrag',
+  'Mana value 0': 'Manabetrag 0',
+  'Mana value 1': 'Manabetrag 1',
+  'Mana value 2': 'Manabetrag 2',
+  'Mana value 3': 'Manabetrag 3',
+  'Mana value 4': 'Manabetrag 4',
+  'Mana value 5': 'Manabetrag 5',
+  'Mana value 6': 'Manabetrag 6',
+  'Mana value 7+': 'Manabetrag 7+',
+  'White pips': 'Weiße Manasymbole',
+  'Blue pips': 'Blaue Manasymbole',
+  'Black pips': 'Schwarze Manasymbole',
+  'Red pips': 'Rote Manasymbole',
+  'Green pips': 'Grüne Manasymbole',
+  'Colorless pips': 'Farblose Manasymbole',
+
+  // Card data settings
+  'The bulk-data file could not be imported.': 'Die Bulk-Data-Datei konnte nicht importiert werden.',
+  'The card cache could not be cleared.': 'Der Karten-Cache konnte nicht geleert werden.',
+  'Offline mode': 'Offline-Modus',
+  'Resolve cards only from the cache and imported bulk data, without contacting Scryfall.': 'Karten nur aus dem Cache und importierten Bulk-Daten auflösen, ohne Scryfall zu kontaktieren.',
+  '{count} card cached from Scryfall, {bulk} from bulk data.|{count} cards cached from Scryfall, {bulk} from bulk data.': '{count} Karte von Scryfall zwischengespeichert, {bulk} aus Bulk-Daten.|{count} Karten von Scryfall zwischengespeichert, {bulk} aus Bulk-Daten.',
+  'Import Bulk Data': 'Bulk-Daten importieren',
+  'Clear Cache': 'Cache leeren',
+  'Download "Oracle Cards" or "Default Cards" from': 'Lade „Oracle Cards“ oder „Default Cards“ herunter von',
+  'Scryfall bulk data': 'Scryfall Bulk Data',
+  'The bulk-data file is not valid JSON.': 'Die Bulk-Data-Datei ist kein gültiges JSON.',
+  'This is not a Scryfall bulk-data file (expected a JSON array of cards).': 'Das ist keine Scryfall-Bulk-Data-Datei (erwartet wird ein JSON-Array von Karten).',
+
+  // Card links
+  '{price} foil': '{price} Foil',
+  'No price data': 'Keine Preisdaten',
+  'View on Scryfall': 'Auf Scryfall ansehen',
+
+  // Collection
+  'any printing': 'beliebige Druckversion',
+  'foil': 'Foil',
+  'The collection could not be loaded.': 'Die Sammlung konnte nicht geladen werden.',
+  '"{file}" does not contain any cards.': '„{file}“ enthält keine Karten.',
+  'The collection file could not be imported.': 'Die Sammlungsdatei konnte nicht importiert werden.',
+  'The collection could not be cleared.': 'Die Sammlung konnte nicht gelöscht werden.',
+  'The needs list could not be copied to the clipboard.': 'Die Einkaufsliste konnte nicht in die Zwischenablage kopiert werden.',
+  'Loading collection...': 'Sammlung wird geladen...',
+  'No collection imported. Import a CSV export from Moxfield, ManaBox, Deckbox, Archidekt, Dragon Shield or a similar collection manager.': 'Keine Sammlung importiert. Importiere einen CSV-Export aus Moxfield, ManaBox, Deckbox, Archidekt, Dragon Shield oder einer ähnlichen Sammlungsverwaltung.',
+  '{count} card ({different} different) in your collection.|{count} cards ({different} different) in your collection.': '{count} Karte ({different} verschiedene) in deiner Sammlung.|{count} Karten ({different} verschiedene) in deiner Sammlung.',
+  'Import CSV': 'CSV importieren',
+  'Clear': 'Löschen',
+  'Skipped {count} row: {rows}|Skipped {count} rows: {rows}': '{count} Zeile übersprungen: {rows}|{count} Zeilen übersprungen: {rows}',
+  'row {row} ({reason})': 'Zeile {row} ({reason})',
+  'Enter a decklist under Import Deck to check which cards you own.': 'Gib unter „Deck importieren“ eine Deckliste ein, um zu prüfen, welche Karten du besitzt.',
+  'Filter by ownership': 'Nach Besitz filtern',
+  'All': 'Alle',
+  'Ignore basic lands': 'Standardländer ignorieren',
+  'Card': 'Karte',
+  'Needed': 'Benötigt',
+  'Owned': 'Vorhanden',
+  'Partially owned': 'Teilweise vorhanden',
+  'Missing': 'Fehlt',
+  'Status': 'Status',
+  'Needs List ({count} card)|Needs List ({count} cards)': 'Einkaufsliste ({count} Karte)|Einkaufsliste ({count} Karten)',
+  'Copy': 'Kopieren',
+  'Download': 'Herunterladen',
+  'You own every card of this deck.': 'Du besitzt alle Karten dieses Decks.',
+  'The collection file has no card name column. Export it as CSV with a "Name" column.': 'Die Sammlungsdatei hat keine Spalte für Kartennamen. Exportiere sie als CSV mit einer Spalte „Name“.',
+  'no card name': 'kein Kartenname',
+  'invalid quantity "{quantity}"': 'ungültige Anzahl „{quantity}“',
+  'no quantity': 'keine Anzahl',
+
+  // Deck comparison
+  'No change.': 'Keine Änderung.',
+  'Before': 'Vorher',
+  'After': 'Nachher',
+  'Change': 'Änderung',
+  'Use Current Deck': 'Aktuelles Deck verwenden',
+  'Compare Decks': 'Decks vergleichen',
+  'Card Changes': 'Kartenänderungen',
+  'Overview': 'Übersicht',
+  'Mana Curve': 'Manakurve',
+  'Colors': 'Farben',
+  'What Changed': 'Was sich geändert hat',
+  'Analyzing the changes...': 'Die Änderungen werden analysiert...',
+  'No card changes between these versions.': 'Keine Kartenänderungen zwischen diesen Versionen.',
+  'Please enter both decklists to compare.': 'Bitte gib beide Decklisten zum Vergleichen ein.',
+  'These cards could not be found: {cards}. Please correct them and compare again.': 'Diese Karten wurden nicht gefunden: {cards}. Bitte korrigiere sie und vergleiche erneut.',
+
+  // Deck file import
+  'The deck file could not be imported.': 'Die Deckdatei konnte nicht importiert werden.',
+  'Drop a deck file here (.txt, .dek or .json)': 'Deckdatei hier ablegen (.txt, .dek oder .json)',
+  'Choose File': 'Datei auswählen',
+  'The JSON deck file could not be read.': 'Die JSON-Deckdatei konnte nicht gelesen werden.',
+  'The JSON deck file does not contain a card list.': 'Die JSON-Deckdatei enthält keine Kartenliste.',
+  'The JSON deck file has no valid quantity for: {cards}.': 'Die JSON-Deckdatei hat keine gültige Anzahl für: {cards}.',
+
+  // Deck library
+  'The deck library could not be loaded.': 'Die Deck-Bibliothek konnte nicht geladen werden.',
+  'The revisions of this deck could not be loaded.': 'Die Versionen dieses Decks konnten nicht geladen werden.',
+  'Delete "{name}" and all of its revisions?': '„{name}“ und alle seine Versionen löschen?',
+  'The deck could not be deleted.': 'Das Deck konnte nicht gelöscht werden.',
+  'Deck Library': 'Deck-Bibliothek',
+  'No saved decks yet. Generate a guide and use "Save to Library" to keep the deck in this browser.': 'Noch keine gespeicherten Decks. Erstelle einen Guide und nutze „In Bibliothek speichern“, um das Deck in diesem Browser zu behalten.',
+  'Delete deck': 'Deck löschen',
+  'Delete {name}': '{name} löschen',
+  '{count} revision|{count} revisions': '{count} Version|{count} Versionen',
+  'updated {date}': 'aktualisiert am {date}',
+  'Revisions of {name}': 'Versionen von {name}',
+  'First version': 'Erste Version',
+  'Open': 'Öffnen',
+  'No card changes': 'Keine Kartenänderungen',
+  'no guide': 'kein Guide',
+  'Compare Revisions': 'Versionen vergleichen',
+  'From': 'Von',
+  'To': 'Bis',
+  'This deck is no longer in the library.': 'Dieses Deck ist nicht mehr in der Bibliothek.',
+  'This browser does not support local storage of decks (IndexedDB).': 'Dieser Browser kann Decks nicht lokal speichern (IndexedDB).',
+
+  // Deck statistics
+  'Mana curve': 'Manakurve',
+  'Nonlands': 'Nichtländer',
+  'Average CMC': 'Durchschn. Manabetrag',
+  'Color Pips vs. Mana Sources': 'Manasymbole und Manaquellen',
+  'No colored mana in this deck.': 'Dieses Deck hat kein farbiges Mana.',
+  '{color} pips': 'Manasymbole {color}',
+  'Sources': 'Quellen',
+  'Card Types': 'Kartentypen',
+
+  // Deck view
+  'Flip card': 'Karte umdrehen',
+  'Flip {name}': '{name} umdrehen',
+  'Group by': 'Gruppieren nach',
+  'Sort by': 'Sortieren nach',
+  'Card type': 'Kartentyp',
+  'All types': 'Alle Typen',
+  'Search cards': 'Karten suchen',
+  'Name, type or rules text': 'Name, Typ oder Regeltext',
+  'Filter by color': 'Nach Farbe filtern',
+  'Layout': 'Ansicht',
+  'Visual stacks': 'Kartenstapel',
+  'List': 'Liste',
+  '{count} card|{count} cards': '{count} Karte|{count} Karten',
+  'Showing {shown} of {count} cards': '{shown} von {count} Karten angezeigt',
+  'No cards match the filter.': 'Keine Karten passen zum Filter.',
+
+  // Export and print
+  'Export': 'Exportieren',
+  'Registration Sheet': 'Registrierungsbogen',
+  'The registration sheet could not be created.': 'Der Registrierungsbogen konnte nicht erstellt werden.',
+  'Guide Booklet': 'Guide-Heft',
+  'The guide booklet could not be created.': 'Das Guide-Heft konnte nicht erstellt werden.',
+  'Preparing...': 'Wird vorbereitet...',
+  'Print': 'Drucken',
+  'Download HTML': 'HTML herunterladen',
+  'Download PDF': 'PDF herunterladen',
+  'The print window was blocked. Please allow pop-ups for this site.': 'Das Druckfenster wurde blockiert. Bitte erlaube Pop-ups für diese Seite.',
+  'Avg. mana value': 'Durchschn. Manawert',
+  'Color Pips': 'Farbsymbole',
+  'Deck Registration Sheet': 'Deckregistrierungsbogen',
+  'Commander Deck List': 'Commander-Deckliste',
+  'Last Name': 'Nachname',
+  'First Name': 'Vorname',
+  'Wizards Account Email / ID': 'Wizards-Account E-Mail / ID',
+  'Event': 'Turnier',
+  'Date': 'Datum',
+  'Location': 'Ort',
+  'Deck': 'Deck',
+  'Part of the 100 cards': 'Teil der 100 Karten',
+  'The rest of the 100 cards': 'Der Rest der 100 Karten',
+  'Outside the 100 cards': 'Außerhalb der 100 Karten',
+  '{size} cards minimum': 'Mindestens {size} Karten',
+  'Up to {size} cards': 'Bis zu {size} Karten',
+  'Any number of cards': 'Beliebig viele Karten',
+  'Total {section}: {total}': 'Summe {section}: {total}',
+  'Total number of cards: {total}': 'Kartenanzahl insgesamt: {total}',
+  'Total number of cards in the main deck: {total}': 'Kartenanzahl im Hauptdeck: {total}',
+  '{title} (continued)': '{title} (Fortsetzung)',
+
+  // Guide chat and sections
+  'Ask About This Deck': 'Fragen zu diesem Deck',
+  'Follow-up questions use the decklist and the guide above as context.': 'Folgefragen nutzen die Deckliste und den Guide oben als Kontext.',
+  'e.g. How do I play against Mono-Red?': 'z. B. Wie spiele ich gegen Mono-Rot?',
+  'Ask': 'Fragen',
+  'Regenerate "{title}"': '„{title}“ neu erstellen',
+  'Regenerate {title}': '{title} neu erstellen',
+  'The AI returned a guide that does not match the expected structure: {errors}': 'Die KI hat einen Guide geliefert, der nicht der erwarteten Struktur entspricht: {errors}',
+
+  // Pricing
+  'Find': 'Suchen',
+  'Searching...': 'Wird gesucht...',
+  'No prices': 'Keine Preise',
+  'No suitable replacement found.': 'Kein passender Ersatz gefunden.',
+  'Skipped: {cards}': 'Übersprungen: {cards}',
+  'Lookup failed': 'Suche fehlgeschlagen',
+  'Currency': 'Währung',
+  'Paper': 'Papier',
+  'No {currency} price for: {cards}. The totals leave these cards out.': 'Kein {currency}-Preis für: {cards}. Die Summen lassen diese Karten aus.',
+  'Budget mode': 'Budget-Modus',
+  'Price threshold': 'Preisgrenze',
+  'Suggest Replacements for {count} Card|Suggest Replacements for {count} Cards': 'Ersatz für {count} Karte vorschlagen|Ersatz für {count} Karten vorschlagen',
+  'Budget Replacements': 'Günstiger Ersatz',
+  'No cards above the threshold.': 'Keine Karten über der Preisgrenze.',
+  'Qty': 'Anz.',
+  'Each': 'Stück',
+  'Total': 'Gesamt',
+  'Cheapest printing': 'Günstigste Druckversion',
+  'The AI returned budget suggestions that are not valid JSON.': 'Die KI hat Budget-Vorschläge geliefert, die kein gültiges JSON sind.',
+  'The AI did not return budget suggestions.': 'Die KI hat keine Budget-Vorschläge geliefert.',
+  "outside the deck's color identity ({colors})": 'außerhalb der Farbidentität des Decks ({colors})',
+  'already in the deck': 'schon im Deck',
+  'not legal in {format}': 'nicht legal in {format}',
+  'not cheaper': 'nicht günstiger',
+  'not found on Scryfall': 'nicht auf Scryfall gefunden',
+
+  // Draw probabilities
+  'The main deck needs at least {count} cards to simulate draws.': 'Das Hauptdeck braucht mindestens {count} Karten, um Züge zu simulieren.',
+  'Turn': 'Zug',
+  'Min. lands': 'Min. Länder',
+  'On the play': 'Beginnend',
+  'On the draw': 'Ziehend',
+  'At least {count} land by turn {turn}|At least {count} lands by turn {turn}': 'Mindestens {count} Land bis Zug {turn}|Mindestens {count} Länder bis Zug {turn}',
+  '{card} by turn {turn}': '{card} bis Zug {turn}',
+  '{card} castable on curve (lands only, colors not checked)': '{card} auf der Kurve wirkbar (nur Länder, Farben nicht geprüft)',
+  'Sample Opening Hand': 'Beispiel-Starthand',
+  'Draw Sample Hand': 'Beispielhand ziehen',
+  'Mulligan to {count}': 'Mulligan auf {count}',
+  '{count} land in {cards} cards|{count} lands in {cards} cards': '{count} Land in {cards} Karten|{count} Länder in {cards} Karten',
+  'after {count} mulligan|after {count} mulligans': 'nach {count} Mulligan|nach {count} Mulligans',
+
+  // Save dialog
+  'Deck Name': 'Deckname',
+  'Format: {format}.': 'Format: {format}.',
+  'The decklist, the resolved cards, the current guide and its follow-up chat are saved in this browser.': 'Die Deckliste, die aufgelösten Karten, der aktuelle Guide und sein Folgechat werden in diesem Browser gespeichert.',
+  'Save as New Deck': 'Als neues Deck speichern',
+  'Save Revision': 'Version speichern',
+
+  // Settings
+  'Language': 'Sprache',
+  'AI Provider': 'KI-Anbieter',
+  'Provider': 'Anbieter',
+  'Model': 'Modell',
+  'Base URL': 'Basis-URL',
+  'Ollama, llama.cpp and LM Studio expose an OpenAI-compatible /v1 endpoint.': 'Ollama, llama.cpp und LM Studio bieten einen OpenAI-kompatiblen /v1-Endpunkt.',
+  'API Key': 'API-Schlüssel',
+  'Required for direct calls; the server provider needs no key in the browser.': 'Für direkte Aufrufe erforderlich; der Server-Anbieter braucht keinen Schlüssel im Browser.',
+  'Leave empty for local servers that do not need a key.': 'Leer lassen für lokale Server, die keinen Schlüssel brauchen.',
+  'The server keeps the API key; nothing secret is stored in the browser.': 'Der Server verwaltet den API-Schlüssel; im Browser wird nichts Geheimes gespeichert.',
+  'Settings are stored in this browser only.': 'Die Einstellungen werden nur in diesem Browser gespeichert.',
+  'Card Data': 'Kartendaten',
+  'Save': 'Speichern',
+
+  // Share dialog
+  'The share link could not be created.': 'Der Link zum Teilen konnte nicht erstellt werden.',
+  'The link could not be copied. Select it and copy it by hand.': 'Der Link konnte nicht kopiert werden. Markiere ihn und kopiere ihn von Hand.',
+  'Share Deck': 'Deck teilen',
+  'Anyone who opens this link sees the same deck and guide. Everything is stored in the link itself, nothing is uploaded.': 'Wer diesen Link öffnet, sieht dasselbe Deck und denselben Guide. Alles steckt im Link selbst, nichts wird hochgeladen.',
+  'Anyone who opens this link sees the same deck. Everything is stored in the link itself, nothing is uploaded.': 'Wer diesen Link öffnet, sieht dasselbe Deck. Alles steckt im Link selbst, nichts wird hochgeladen.',
+  'Include the guide': 'Guide mitsenden',
+  'Link': 'Link',
+  'Creating link...': 'Link wird erstellt...',
+  'This link is {length} characters long and may be cut off by some chat apps.': 'Dieser Link ist {length} Zeichen lang und wird von manchen Chat-Apps eventuell abgeschnitten.',
+  'Share the deck without the guide for a shorter link.': 'Teile das Deck ohne Guide für einen kürzeren Link.',
+  'Close': 'Schließen',
+  'Copied': 'Kopiert',
+  'Copy Link': 'Link kopieren',
+  'This browser cannot create or open share links. Please update it.': 'Dieser Browser kann keine Links zum Teilen erstellen oder öffnen. Bitte aktualisiere ihn.',
+  'This link was made with a newer version of the app. Please reload the page.': 'Dieser Link wurde mit einer neueren Version der App erstellt. Bitte lade die Seite neu.',
+  'The shared link is damaged or incomplete.': 'Der geteilte Link ist beschädigt oder unvollständig.',
+  'The shared link does not contain a decklist.': 'Der geteilte Link enthält keine Deckliste.',
+
+  // Sideboard guide
+  'Opponent': 'Gegner',
+  'Hide decklist': 'Deckliste ausblenden',
+  'Add the opposing decklist': 'Gegnerische Deckliste hinzufügen',
+  'Decklist for {archetype}': 'Deckliste für {archetype}',
+  'Remove matchup': 'Matchup entfernen',
+  'Remove {archetype}': '{archetype} entfernen',
+  '{archetype} decklist (optional)': 'Deckliste {archetype} (optional)',
+  'Add Matchup': 'Matchup hinzufügen',
+  '{name} (main)': '{name} (Hauptdeck)',
+  'Nothing': 'Nichts',
+  'This deck has no sideboard. Add a "Sideboard" section to the decklist to get IN/OUT plans.': 'Dieses Deck hat kein Sideboard. Füge der Deckliste einen Abschnitt „Sideboard“ hinzu, um IN/OUT-Pläne zu erhalten.',
+  'Matchups': 'Matchups',
+  'Generate Sideboard Guide': 'Sideboard-Guide erstellen',
+  'vs. {archetype}': 'gegen {archetype}',
+  'This plan does not fit the deck: {issues}': 'Dieser Plan passt nicht zum Deck: {issues}',
+  'The AI returned a sideboard plan that is not valid JSON.': 'Die KI hat einen Sideboard-Plan geliefert, der kein gültiges JSON ist.',
+  'The AI did not return a sideboard plan.': 'Die KI hat keinen Sideboard-Plan geliefert.',
+  'The AI returned a sideboard plan without matchups.': 'Die KI hat einen Sideboard-Plan ohne Matchups geliefert.',
+
+  // Guide templates
+  'My Template': 'Meine Vorlage',
+  'Guide Templates': 'Guide-Vorlagen',
+  'Delete template': 'Vorlage löschen',
+  'Untitled': 'Ohne Titel',
+  'Needs a name and at least one section': 'Braucht einen Namen und mindestens einen Abschnitt',
+  'New Template': 'Neue Vorlage',
+  'Sections': 'Abschnitte',
+  'One "# Section Title" line per section, followed by "* instruction" lines for the AI.': 'Eine Zeile „# Abschnittstitel“ pro Abschnitt, gefolgt von Zeilen „* Anweisung“ für die KI.',
+  'Create a template to choose your own guide sections. The built-in Constructed, Commander and Limited / Cube templates are always available.': 'Erstelle eine Vorlage, um eigene Guide-Abschnitte festzulegen. Die eingebauten Vorlagen für Constructed, Commander und Limited / Cube sind immer verfügbar.',
+  'Constructed': 'Constructed',
+  'Limited / Cube': 'Limited / Cube',
+  'Deck Archetype and Core Strategy': 'Deck-Archetyp und Kernstrategie',
+  'Key Cards and Synergies': 'Schlüsselkarten und Synergien',
+  'Mana Curve Analysis': 'Analyse der Manakurve',
+  'Strengths': 'Stärken',
+  'Weaknesses': 'Schwächen',
+  'Mulligan Guide': 'Mulligan-Leitfaden',
+  'General Matchup Considerations': 'Allgemeine Matchup-Überlegungen',
+  'Commander and Core Strategy': 'Commander und Kernstrategie',
+  'Commander Synergies': 'Commander-Synergien',
+  'Win Conditions': 'Siegbedingungen',
+  'Politics and Threat Assessment': 'Politik und Bedrohungseinschätzung',
+  'Mana Base and Ramp': 'Manabasis und Ramp',
+  'Weaknesses and Common Answers': 'Schwächen und typische Antworten',
+  'Archetype and Colors': 'Archetyp und Farben',
+  'Key Cards': 'Schlüsselkarten',
+  'Curve and Creature Count': 'Kurve und Kreaturenanzahl',
+  'Combat and Tricks': 'Kampf und Tricks',
+  'Sideboarding Between Games': 'Sideboarding zwischen den Spielen',
+
+  // Unresolved cards
+  'Replace "{name}"': '„{name}“ ersetzen',
+  'This line will be dropped': 'Diese Zeile wird entfernt',
+  'Keep line': 'Zeile behalten',
+  'Drop line': 'Zeile entfernen',
+  'Keep {name}': '{name} behalten',
+  'Drop {name}': '{name} entfernen',
+  '{cards}, but {lines} could not be resolved.': '{cards}, aber {lines} konnten nicht aufgelöst werden.',
+  '{count} card found|{count} cards found': '{count} Karte gefunden|{count} Karten gefunden',
+  '{count} line|{count} lines': '{count} Zeile|{count} Zeilen',
+  'Pick a correction or drop each line to continue.': 'Wähle für jede Zeile eine Korrektur oder entferne sie, um fortzufahren.',
+  'Continue with Corrections': 'Mit Korrekturen fortfahren',
+  'Scryfall API error ({status})': 'Scryfall-API-Fehler ({status})',
+  'Scryfall API error for "{name}"': 'Scryfall-API-Fehler für „{name}“',
+  'No cards found matching "{name}" after general search.': 'Auch die allgemeine Suche hat keine Karten zu „{name}“ gefunden.',
+  'Scryfall API error for the printings of "{name}"': 'Scryfall-API-Fehler für die Drucke von „{name}“',
+  '"{name}" is not in the offline card data.': '„{name}“ ist nicht in den Offline-Kartendaten.',
+  'Could not find card: "{name}".': 'Karte nicht gefunden: „{name}“.',
+
+  // Format validation
+  'This deck is not legal in {format}: {count} problem found.|This deck is not legal in {format}: {count} problems found.': 'Dieses Deck ist in {format} nicht legal: {count} Problem gefunden.|Dieses Deck ist in {format} nicht legal: {count} Probleme gefunden.',
+  'This deck may not be legal in {format}.': 'Dieses Deck ist in {format} möglicherweise nicht legal.',
+  'Warning': 'Warnung',
+  'Fix the decklist and generate again, or continue with the deck as it is.': 'Korrigiere die Deckliste und erstelle den Guide erneut, oder fahre mit dem Deck fort, wie es ist.',
+  'Generate Guide Anyway': 'Guide trotzdem erstellen',
+  '{card} is banned in {format}.': '{card} ist in {format} gebannt.',
+  '{card} is not legal in {format}.': '{card} ist in {format} nicht legal.',
+  'Legality of {card} in {format} is unknown.': 'Ob {card} in {format} legal ist, ist unbekannt.',
+  '{card}: {count} copies, at most {limit} allowed (restricted).': '{card}: {count} Exemplare, höchstens {limit} erlaubt (restricted).',
+  '{card}: {count} copies, at most {limit} allowed.': '{card}: {count} Exemplare, höchstens {limit} erlaubt.',
+  '{format} decks must contain exactly {size} cards including the commander (found {total}).': '{format}-Decks müssen einschließlich des Commanders genau {size} Karten enthalten (gefunden: {total}).',
+  '{format} decks need at least {size} main deck cards (found {total}).': '{format}-Decks brauchen mindestens {size} Karten im Hauptdeck (gefunden: {total}).',
+  'Sideboard has {total} cards, at most {size} allowed in {format}.': 'Das Sideboard hat {total} Karten, in {format} sind höchstens {size} erlaubt.',
+  'No commander designated. Put your commander in a "Commander" section.': 'Kein Commander angegeben. Setze deinen Commander in einen Abschnitt „Commander“.',
+  'Found {count} commanders, at most two (partners) are allowed.': '{count} Commander gefunden, höchstens zwei (Partner) sind erlaubt.',
+  '{card} cannot be your commander.': '{card} kann nicht dein Commander sein.',
+  "{card} is outside the commander's color identity ({colors}).": '{card} liegt außerhalb der Farbidentität des Commanders ({colors}).',
+
+  // Labels in generated guides
+  'Archetype:': 'Archetyp:',
+  'vs. {opponent}': 'gegen {opponent}',
+  'Key cards: {cards}': 'Schlüsselkarten: {cards}',
+};
+
+export default de;
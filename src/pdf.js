@@ -0,0 +1,221 @@
+// Minimal PDF writer for the print exports: text in the standard Helvetica fonts, lines, rectangles
+// and JPEG images, on pages laid out from the top-left corner in points (1/72 inch).
+// Standard fonts need no embedding, so the files stay small and are built entirely in the browser.
+
+export const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+};
+
+// Glyph widths of ASCII 32-126 in 1/1000 of the font size (Adobe's Helvetica metrics)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const DEFAULT_WIDTH = 556; // Accented letters and symbols
+
+// Characters outside Latin-1 that WinAnsiEncoding has at other codes, and fallbacks for the rest
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+const REPLACEMENTS = { '→': '->', '←': '<-', '±': '+/-', '−': '-', '★': '*' };
+
+// Text as WinAnsi bytes (one character per byte); characters the standard fonts lack become "?"
+export const encodeWinAnsi = (text) => [...String(text)]
+  .map(char => REPLACEMENTS[char] || char)
+  .join('')
+  .split('')
+  .map(char => {
+    const code = char.charCodeAt(0);
+    if (WIN_ANSI_EXTRAS[char]) {
+      return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    }
+    if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+      return char;
+    }
+    return code === 9 ? ' ' : '?';
+  })
+  .join('');
+
+export const textWidth = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  return [...encodeWinAnsi(text)].reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH);
+  }, 0) * size / 1000;
+};
+
+// Break text into lines no wider than maxWidth; words longer than a line are split
+export const wrapText = (text, maxWidth, size, bold = false) => {
+  const lines = [];
+  String(text).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) {
+        lines.push(line);
+      }
+      line = word;
+      while (textWidth(line, size, bold) > maxWidth && line.length > 1) {
+        let cut = line.length - 1;
+        while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > maxWidth) {
+          cut--;
+        }
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+// Width, height and color components of a JPEG, read from its start-of-frame marker
+export const readJpegInfo = (bytes) => {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+    throw new Error('The image is not a JPEG.');
+  }
+  let offset = 2;
+  while (offset + 9 < bytes.length) {
+    if (bytes[offset] !== 0xFF) {
+      offset++;
+      continue;
+    }
+    const marker = bytes[offset + 1];
+    const length = (bytes[offset + 2] << 8) + bytes[offset + 3];
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+      return {
+        height: (bytes[offset + 5] << 8) + bytes[offset + 6],
+        width: (bytes[offset + 7] << 8) + bytes[offset + 8],
+        components: bytes[offset + 9],
+      };
+    }
+    offset += 2 + length;
+  }
+  throw new Error('The JPEG image has no size information.');
+};
+
+const COLOR_SPACES = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' };
+
+// "#rrggbb" as PDF color operands
+const rgb = (hex) => [1, 3, 5].map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+
+const pdfString = (text) => `(${[...encodeWinAnsi(text)].map(char => {
+  const code = char.charCodeAt(0);
+  if (char === '(' || char === ')' || char === '\\') {
+    return `\\${char}`;
+  }
+  return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : char;
+}).join('')})`;
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+const bytesToBinary = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+};
+
+// New PDF document. Coordinates are measured from the top-left corner of the page.
+export const createPdf = ({ size = 'a4', title = '' } = {}) => {
+  const [width, height] = PAGE_SIZES[size];
+  const pages = [];
+  const images = [];
+  let page = null;
+
+  const doc = {
+    width,
+    height,
+    pageCount: () => pages.length,
+    addPage: () => {
+      page = [];
+      pages.push(page);
+      return doc;
+    },
+    text: (x, y, text, { size: fontSize = 10, bold = false, color = '#000000' } = {}) => {
+      page.push(`BT ${rgb(color)} rg /${bold ? 'F2' : 'F1'} ${num(fontSize)} Tf ${num(x)} ${num(height - y)} Td ${pdfString(text)} Tj ET`);
+      return doc;
+    },
+    line: (x1, y1, x2, y2, { lineWidth = 0.5, color = '#000000' } = {}) => {
+      page.push(`${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+      return doc;
+    },
+    rect: (x, y, w, h, { fill = null, stroke = null, lineWidth = 0.5 } = {}) => {
+      const path = `${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`;
+      if (fill) {
+        page.push(`${rgb(fill)} rg ${path} f`);
+      }
+      if (stroke) {
+        page.push(`${rgb(stroke)} RG ${num(lineWidth)} w ${path} S`);
+      }
+      return doc;
+    },
+    // bytes: the JPEG file; the same bytes drawn again reuse the embedded image
+    image: (bytes, x, y, w, h) => {
+      let index = images.findIndex(image => image.bytes === bytes);
+      if (index === -1) {
+        images.push({ bytes, ...readJpegInfo(bytes) });
+        index = images.length - 1;
+      }
+      page.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(height - y - h)} cm /Im${index} Do Q`);
+      return doc;
+    },
+    // The finished file
+    toBytes: () => {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+      const catalog = add(null); // Filled in once the page tree is known
+      const pageTree = add(null);
+      const info = add(`<< /Title ${pdfString(title)} /Producer (MTG Deck Guide) >>`);
+      const fonts = ['Helvetica', 'Helvetica-Bold']
+        .map(font => add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`));
+      const imageRefs = images.map(image => add(
+        `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${COLOR_SPACES[image.components] || '/DeviceRGB'} `
+        + `/BitsPerComponent 8 /Filter /DCTDecode${image.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : ''} /Length ${image.bytes.length} >>\n`
+        + `stream\n${bytesToBinary(image.bytes)}\nendstream`,
+      ));
+      const resources = `<< /Font << /F1 ${fonts[0]} 0 R /F2 ${fonts[1]} 0 R >> /XObject << ${imageRefs.map((ref, i) => `/Im${i} ${ref} 0 R`).join(' ')} >> >>`;
+      const pageRefs = pages.map(content => {
+        const stream = content.join('\n');
+        const contentRef = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources ${resources} /Contents ${contentRef} 0 R >>`);
+      });
+      objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+      objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+      let file = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+      const offsets = objects.map((body, i) => {
+        const offset = file.length;
+        file += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = file.length;
+      file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+      file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Uint8Array.from(file, char => char.charCodeAt(0));
+    },
+  };
+  return doc;
+};
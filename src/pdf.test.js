@@ -0,0 +1,55 @@
+import { createPdf, encodeWinAnsi, readJpegInfo, textWidth, wrapText } from './pdf';
+
+const asText = (bytes) => String.fromCharCode(...bytes);
+
+// Smallest JPEG header the reader needs: SOI, an APP0 segment and a baseline frame of 30x20 pixels
+const jpeg = Uint8Array.from([
+  0xFF, 0xD8,
+  0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+  0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x14, 0x00, 0x1E, 0x03, 0x01, 0x22, 0x00,
+  0xFF, 0xD9,
+]);
+
+test('writes a PDF whose cross-reference table points at its objects', () => {
+  const file = asText(createPdf({ title: 'Test (1)' }).addPage().text(10, 20, 'Hello').addPage().toBytes());
+  expect(file.startsWith('%PDF-1.4\n')).toBe(true);
+  expect(file.endsWith('%%EOF\n')).toBe(true);
+  expect(file).toContain('/Count 2');
+  expect(file).toContain('/Title (Test \\(1\\))');
+
+  const xref = Number(file.match(/startxref\n(\d+)/)[1]);
+  expect(file.slice(xref, xref + 4)).toBe('xref');
+  const offsets = [...file.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  expect(offsets.length).toBeGreaterThan(0);
+  offsets.forEach((offset, i) => expect(file.slice(offset).startsWith(`${i + 1} 0 obj`)).toBe(true));
+});
+
+test('places text from the top-left corner', () => {
+  const file = asText(createPdf().addPage().text(40, 100, 'Bolt', { size: 12, bold: true }).toBytes());
+  expect(file).toContain('/F2 12 Tf 40 741.89 Td (Bolt) Tj');
+});
+
+test('embeds JPEG images once per file', () => {
+  expect(readJpegInfo(jpeg)).toEqual({ width: 30, height: 20, components: 3 });
+  expect(() => readJpegInfo(Uint8Array.from([0x89, 0x50]))).toThrow('not a JPEG');
+
+  const file = asText(createPdf().addPage().image(jpeg, 0, 0, 30, 20).image(jpeg, 40, 0, 30, 20).toBytes());
+  expect(file.match(/\/Subtype \/Image/g)).toHaveLength(1);
+  expect(file).toContain('/Width 30 /Height 20 /ColorSpace /DeviceRGB');
+  expect(file.match(/\/Im0 Do/g)).toHaveLength(2);
+});
+
+test('encodes text for the standard fonts', () => {
+  expect(encodeWinAnsi('Lórien – “Jötun” →')).toBe('L\xF3rien \x96 \x93J\xF6tun\x94 ->');
+  expect(encodeWinAnsi('火')).toBe('?');
+});
+
+test('measures and wraps text', () => {
+  expect(textWidth('Bolt', 10)).toBeCloseTo(17.23);
+  expect(textWidth('Bolt', 10, true)).toBeGreaterThan(textWidth('Bolt', 10));
+  const lines = wrapText('Lightning Bolt deals 3 damage to any target.', 80, 10);
+  expect(lines.length).toBeGreaterThan(1);
+  lines.forEach(line => expect(textWidth(line, 10)).toBeLessThanOrEqual(80));
+  expect(lines.join(' ')).toBe('Lightning Bolt deals 3 damage to any target.');
+  expect(wrapText('Abcdefghijklmnopqrstuvwxyz', 40, 10).every(line => textWidth(line, 10) <= 40)).toBe(true);
+});
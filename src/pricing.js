@@ -0,0 +1,56 @@
+// Card prices from Scryfall's price data: per-card and deck totals, and the cheapest printing
+import { fetchPrintings } from './scryfall';
+
+export const CURRENCIES = {
+  usd: { label: 'US Dollar', format: amount => `$${amount.toFixed(2)}` },
+  eur: { label: 'Euro', format: amount => `€${amount.toFixed(2)}` },
+  tix: { label: 'MTGO Tix', format: amount => `${amount.toFixed(2)} tix` },
+};
+
+// Currencies for paper prices; MTGO prices are always in tix
+export const PAPER_CURRENCIES = ['usd', 'eur'];
+
+// Price of one copy in the currency, falling back to the foil price for foil-only printings.
+// null when Scryfall has no price.
+export const cardPrice = (card, currency) => {
+  const price = parseFloat(card.prices?.[currency] ?? card.prices?.[`${currency}_foil`]);
+  return Number.isFinite(price) ? price : null;
+};
+
+export const formatPrice = (amount, currency) => (amount === null ? '—' : CURRENCIES[currency].format(amount));
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+
+// Price of every card line in the currency (most expensive first) with the paper total,
+// the MTGO total and the names of the cards without a price, which the totals leave out
+export const priceDeck = (cards, currency) => {
+  const lines = cards
+    .map(card => {
+      const unit = cardPrice(card, currency);
+      const tix = cardPrice(card, 'tix');
+      return {
+        card,
+        unit,
+        total: unit === null ? null : unit * card.quantity,
+        tixTotal: tix === null ? null : tix * card.quantity,
+      };
+    })
+    .sort((a, b) => (b.total ?? -1) - (a.total ?? -1) || a.card.name.localeCompare(b.card.name));
+
+  return {
+    lines,
+    total: sum(lines.map(line => line.total)),
+    tixTotal: sum(lines.map(line => line.tixTotal)),
+    unpriced: lines.filter(line => line.unit === null).map(line => line.card.name),
+  };
+};
+
+// Cheapest of the given printings in the currency: { printing, price }, or null if none has a price
+export const cheapestPrinting = (printings, currency) => printings.reduce((best, printing) => {
+  const price = cardPrice(printing, currency);
+  return price !== null && (best === null || price < best.price) ? { printing, price } : best;
+}, null);
+
+export const findCheapestPrinting = async (card, currency, options) => (
+  cheapestPrinting(await fetchPrintings(card, options), currency)
+);
@@ -0,0 +1,43 @@
+import { cardPrice, formatPrice, priceDeck, cheapestPrinting } from './pricing';
+import { burnDeck } from './__fixtures__/cards';
+
+test('prices come from Scryfall strings, with the foil price for foil-only printings', () => {
+  expect(cardPrice({ prices: { usd: '1.50' } }, 'usd')).toBe(1.5);
+  expect(cardPrice({ prices: { usd: null, usd_foil: '4.00' } }, 'usd')).toBe(4);
+  expect(cardPrice({ prices: { usd: null } }, 'usd')).toBeNull();
+  expect(cardPrice({}, 'eur')).toBeNull();
+  expect(formatPrice(3, 'eur')).toBe('€3.00');
+  expect(formatPrice(null, 'usd')).toBe('—');
+});
+
+test('prices every line and totals paper and MTGO prices', () => {
+  const deck = [...burnDeck, { name: 'Unpriced Promo', quantity: 1, prices: {} }];
+  const pricing = priceDeck(deck, 'usd');
+
+  expect(pricing.lines.map(line => [line.card.name, line.total])).toEqual([
+    ['Emrakul, the Aeons Torn', 20],
+    ['Needleverge Pathway // Pillarverge Pathway', 20],
+    ['Goblin Guide', 12],
+    ['Lightning Bolt', 6],
+    ['Mountain', 3.9000000000000004],
+    ['Manamorphose', 3],
+    ['Boros Charm', 2],
+    ['Kitesail Freebooter', 0.5],
+    ['Unpriced Promo', null],
+  ]);
+  expect(pricing.total).toBeCloseTo(67.4);
+  expect(pricing.tixTotal).toBeCloseTo(7.21);
+  expect(pricing.unpriced).toEqual(['Unpriced Promo']);
+  expect(priceDeck(burnDeck, 'eur').total).toBeCloseTo(55.15);
+});
+
+test('finds the cheapest printing that has a price', () => {
+  const printings = [
+    { set: 'm11', prices: { usd: '1.50' } },
+    { set: 'sld', prices: { usd: null, eur: '0.10' } },
+    { set: 'a25', prices: { usd: '0.90' } },
+  ];
+  expect(cheapestPrinting(printings, 'usd')).toEqual({ printing: printings[2], price: 0.9 });
+  expect(cheapestPrinting(printings, 'eur').printing.set).toBe('sld');
+  expect(cheapestPrinting(printings, 'tix')).toBeNull();
+});
@@ -0,0 +1,50 @@
+// Shared pieces of the print-optimized HTML exports (registration sheet and guide booklet)
+import { userError } from './i18n';
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const BASE_CSS = `
+  @page { size: A4; margin: 14mm; }
+  * { box-sizing: border-box; }
+  body { font-family: "Helvetica Neue", Helvetica, Arial, sans-serif; font-size: 10pt; color: #111; margin: 0; }
+  h1 { font-size: 18pt; margin: 0 0 4mm; }
+  h2 { font-size: 13pt; margin: 5mm 0 2mm; break-after: avoid; }
+  h3 { font-size: 10.5pt; margin: 3mm 0 1mm; break-after: avoid; }
+  @media screen { body { max-width: 210mm; margin: 10mm auto; padding: 0 10mm; } }
+`;
+
+// Standalone HTML document with the base print styles and the given extra CSS, in the given language
+export const printDocument = (title, css, body, language = 'en') => `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${BASE_CSS}${css}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+// Open an HTML document in a new window and show the browser's print dialog once it has loaded
+export const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw userError('The print window was blocked. Please allow pop-ups for this site.');
+  }
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  // A document without images is often complete by now, and its load event has already fired
+  if (printWindow.document.readyState === 'complete') {
+    printWindow.print();
+  } else {
+    printWindow.addEventListener('load', () => printWindow.print(), { once: true });
+  }
+};
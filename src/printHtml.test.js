@@ -0,0 +1,40 @@
+import { printDocument, printHtml } from './printHtml';
+
+// Print window whose document reaches the given ready state when it is closed
+const printWindow = (readyState) => {
+  const listeners = {};
+  const fake = {
+    document: { open: jest.fn(), write: jest.fn(), close: jest.fn(), readyState },
+    print: jest.fn(),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    load: () => listeners.load?.(),
+  };
+  jest.spyOn(window, 'open').mockReturnValue(fake);
+  return fake;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('prints a document that finished loading while it was written', () => {
+  const fake = printWindow('complete');
+  printHtml(printDocument('Guide', '', '<p>Burn</p>'));
+
+  expect(fake.document.write).toHaveBeenCalledWith(expect.stringContaining('<p>Burn</p>'));
+  expect(fake.print).toHaveBeenCalledTimes(1);
+});
+
+test('waits for the load event of a document that is still loading', () => {
+  const fake = printWindow('loading');
+  printHtml(printDocument('Guide', '', '<img src="card.jpg">'));
+
+  expect(fake.print).not.toHaveBeenCalled();
+  fake.load();
+  expect(fake.print).toHaveBeenCalledTimes(1);
+});
+
+test('reports a blocked print window', () => {
+  jest.spyOn(window, 'open').mockReturnValue(null);
+  expect(() => printHtml('<p></p>')).toThrow('The print window was blocked.');
+});
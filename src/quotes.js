@@ -0,0 +1,23 @@
+// MTG-related funny/lore quotes shown while the guide is being generated
+export const MTG_QUOTES = [
+  "\"It's not just a game, it's Magic!\" - Probably a planeswalker",
+  "\"The stack is a lie.\" - A frustrated storm player",
+  "\"Dies to removal.\" - Every competitive player's favorite phrase",
+  "\"Just one more land...\" - Everyone, every game",
+  "\"Tapping lands for mana? That's so last millennium.\" - Urza, probably",
+  "\"My deck has no bad matchups, only bad draws.\" - Optimistic player",
+  "\"Friendship is magic, but so is Fireball.\" - Chandra Nalaar, maybe",
+  "\"It's not a bug, it's a feature.\" - Mark Rosewater",
+  "\"The best defense is a good offense... unless you're playing control.\" - Sun Tzu, if he played MTG",
+  "\"What's the worst that could happen?\" - Famous last words before a combo goes off",
+  "\"Always bolt the bird.\" - A timeless piece of advice",
+  "\"No, you don't get priority there.\" - The judge's favorite line",
+  "\"Counterspell? I thought we were friends!\" - A blue player's lament",
+  "\"Infinite combos are just a matter of perspective.\" - A mad scientist",
+  "\"May your draws be ever perfect, and your opponents' mana-screwed.\" - A blessing from a Planeswalker",
+  "\"The graveyard is just a second hand.\" - A reanimator player",
+  "\"Why play fair when you can play Eldrazi?\" - An Annihilator enthusiast",
+  "\"My life total is just a resource.\" - A black mage, probably at 1 life",
+  "\"Yes, I'm tapping all my lands for one spell. What of it?\" - A spell-slinging wizard",
+  "\"The best way to win is to not lose.\" - A control player's motto",
+];
@@ -0,0 +1,23 @@
+// Random helpers shared by the quote rotation and the draw simulator
+
+// Seedable PRNG (mulberry32) returning floats in [0, 1), so simulations are reproducible
+export const createRng = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Function to shuffle an array (Fisher-Yates)
+export const shuffleArray = (array, random = Math.random) => {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
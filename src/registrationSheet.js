@@ -0,0 +1,209 @@
+// Tournament deck registration sheet of the resolved deck: the 60+15 constructed layout or a
+// Commander 100 list, grouped by card type, as print-optimized HTML and as PDF
+import { groupCards } from './deckView';
+import { FORMATS } from './validation';
+import { createPdf, textWidth } from './pdf';
+import { escapeHtml, printDocument } from './printHtml';
+import { defaultT } from './i18n';
+
+// Double-faced cards are registered under the name of their front face
+const FRONT_FACE_LAYOUTS = ['transform', 'modal_dfc', 'flip', 'meld'];
+const registrationName = (card) => (FRONT_FACE_LAYOUTS.includes(card.layout) ? card.name.split(' // ')[0] : card.name);
+
+// Blank fields the player fills in by hand, translated when the sheet is rendered
+export const PLAYER_FIELDS = ['Last Name', 'First Name', 'Wizards Account Email / ID', 'Event', 'Date', 'Location'];
+
+// One card per name, with the copies of all its printings
+const mergePrintings = (cards) => {
+  const merged = new Map();
+  cards.forEach(card => {
+    const current = merged.get(card.name);
+    merged.set(card.name, current ? { ...current, quantity: current.quantity + card.quantity } : card);
+  });
+  return [...merged.values()];
+};
+
+const buildSection = (t, title, cards, note, inDeck = true) => {
+  const groups = groupCards(mergePrintings(cards), 'type', 'name').map(group => ({
+    label: t(group.label),
+    count: group.count,
+    lines: group.cards.map(card => ({ quantity: card.quantity, name: registrationName(card) })),
+  }));
+  return { title, note, inDeck, total: groups.reduce((sum, group) => sum + group.count, 0), groups };
+};
+
+// Sheet contents: { commander, title, formatLabel, deckName, sections: [{ title, note, inDeck, total, groups }] }
+// where groups are [{ label, count, lines: [{ quantity, name }] }] and inDeck tells whether the section
+// counts towards the deck's total. Commander decks (by format or because they have a commander)
+// get the 100-card list, everything else the 60+15 layout. Titles and notes are in the language of t.
+export const buildRegistrationSheet = (cards, formatKey, { deckName = '', t = defaultT } = {}) => {
+  const format = FORMATS[formatKey];
+  const inZones = (...zones) => cards.filter(card => zones.includes(card.zone || 'main'));
+  const commander = Boolean(format?.commander) || inZones('commander').length > 0;
+  const maxSideboard = format ? format.maxSideboard : 15;
+
+  const sections = commander
+    ? [
+      buildSection(t, t('Commander'), inZones('commander'), t('Part of the 100 cards')),
+      buildSection(t, t('Deck'), inZones('main'), t('The rest of the 100 cards')),
+      buildSection(t, t('Companion'), inZones('companion'), t('Outside the 100 cards'), false),
+      buildSection(t, t('Sideboard'), inZones('side'), t('Outside the 100 cards'), false),
+    ]
+    : [
+      buildSection(t, t('Main Deck'), inZones('main'), t('{size} cards minimum', { size: format?.minMain || 60 })),
+      buildSection(t, t('Sideboard'), inZones('side', 'companion'),
+        Number.isFinite(maxSideboard) ? t('Up to {size} cards', { size: maxSideboard }) : t('Any number of cards'), false),
+    ];
+
+  return {
+    commander,
+    title: commander ? t('Commander Deck List') : t('Deck Registration Sheet'),
+    formatLabel: format?.label || '',
+    deckName,
+    // Empty sections are left out, except the main list
+    sections: sections.filter((section, i) => section.total > 0 || i === (commander ? 1 : 0)),
+  };
+};
+
+// Cards in the deck itself: the main deck, or the commanders and the rest of the 100
+export const sheetTotal = (sheet) => sheet.sections
+  .filter(section => section.inDeck)
+  .reduce((sum, section) => sum + section.total, 0);
+
+const SHEET_CSS = `
+  .fields { display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 3mm 6mm; margin-bottom: 5mm; }
+  .field { border-bottom: 1px solid #111; padding-top: 4mm; min-height: 10mm; }
+  .field span { display: block; font-size: 7pt; text-transform: uppercase; color: #555; }
+  .sections { column-count: 2; column-gap: 8mm; column-rule: 1px solid #ccc; }
+  section { break-inside: avoid-column; margin-bottom: 4mm; }
+  section h2 { border-bottom: 2px solid #111; }
+  .note { font-size: 8pt; color: #555; margin: 0 0 2mm; }
+  table { width: 100%; border-collapse: collapse; break-inside: auto; }
+  td { border-bottom: 1px solid #bbb; padding: 0.8mm 1mm; vertical-align: bottom; }
+  td.qty { width: 10mm; text-align: right; font-weight: bold; }
+  tr { break-inside: avoid; }
+  .total { font-weight: bold; margin-top: 2mm; }
+  .grand-total { border: 2px solid #111; padding: 2mm 3mm; font-weight: bold; display: inline-block; margin-top: 2mm; }
+`;
+
+// The labels of the player fields and the deck fields with their values
+const sheetFields = (sheet, t) => [
+  ...PLAYER_FIELDS.map(label => [t(label), '']),
+  [t('Deck Name'), sheet.deckName],
+  [t('Format'), sheet.formatLabel],
+];
+
+const sectionTotal = (section, t) => t('Total {section}: {total}', { section: section.title, total: section.total });
+
+const grandTotal = (sheet, t) => (sheet.commander
+  ? t('Total number of cards: {total}', { total: sheetTotal(sheet) })
+  : t('Total number of cards in the main deck: {total}', { total: sheetTotal(sheet) }));
+
+// t and language are those of the sheet, as for buildRegistrationSheet
+export const registrationSheetHtml = (sheet, { t = defaultT, language = 'en' } = {}) => {
+  const fields = sheetFields(sheet, t);
+  const sections = sheet.sections.map(section => `
+<section>
+  <h2>${escapeHtml(section.title)}</h2>
+  <p class="note">${escapeHtml(section.note)}</p>
+  ${section.groups.map(group => `
+  <h3>${escapeHtml(group.label)} (${group.count})</h3>
+  <table>${group.lines.map(line => `<tr><td class="qty">${line.quantity}</td><td>${escapeHtml(line.name)}</td></tr>`).join('')}</table>`).join('')}
+  <p class="total">${escapeHtml(sectionTotal(section, t))}</p>
+</section>`).join('');
+
+  return printDocument(sheet.title, SHEET_CSS, `
+<h1>${escapeHtml(sheet.title)}</h1>
+<div class="fields">${fields.map(([label, value]) => `<div class="field"><span>${escapeHtml(label)}</span>${escapeHtml(value)}</div>`).join('')}</div>
+<div class="sections">${sections}</div>
+<p class="grand-total">${escapeHtml(grandTotal(sheet, t))}</p>
+`, language);
+};
+
+// PDF layout in points
+const MARGIN = 40;
+const COLUMN_GAP = 20;
+const ROW_HEIGHTS = { section: 22, note: 12, group: 15, card: 13, total: 18 };
+
+// Shorten text with "..." until it fits
+const fitText = (text, maxWidth, size, bold = false) => {
+  if (textWidth(text, size, bold) <= maxWidth) {
+    return text;
+  }
+  let fitted = text;
+  while (fitted.length > 1 && textWidth(`${fitted}...`, size, bold) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+export const registrationSheetPdf = (sheet, { t = defaultT } = {}) => {
+  const pdf = createPdf({ title: sheet.title });
+  const columnWidth = (pdf.width - 2 * MARGIN - COLUMN_GAP) / 2;
+
+  // Title and the player fields on the first page
+  pdf.addPage().text(MARGIN, MARGIN + 16, sheet.title, { size: 18, bold: true });
+  const fields = sheetFields(sheet, t);
+  const fieldWidth = (pdf.width - 2 * MARGIN - 2 * COLUMN_GAP) / 3;
+  fields.forEach(([label, value], i) => {
+    const x = MARGIN + (i % 3) * (fieldWidth + COLUMN_GAP);
+    const y = MARGIN + 42 + Math.floor(i / 3) * 30;
+    pdf.text(x, y, label.toUpperCase(), { size: 6.5, color: '#555555' })
+      .text(x, y + 14, fitText(value, fieldWidth, 10), { size: 10 })
+      .line(x, y + 18, x + fieldWidth, y + 18);
+  });
+  const top = MARGIN + 42 + Math.ceil(fields.length / 3) * 30 + 10;
+
+  // Rows flow down the left column, then the right one, then onto the next page
+  const rows = sheet.sections.flatMap(section => [
+    { kind: 'section', text: section.title },
+    { kind: 'note', text: section.note },
+    ...section.groups.flatMap(group => [
+      { kind: 'group', text: `${group.label} (${group.count})` },
+      ...group.lines.map(line => ({ kind: 'card', quantity: line.quantity, text: line.name })),
+    ]),
+    { kind: 'total', text: sectionTotal(section, t) },
+  ]);
+  let column = 0;
+  let y = top;
+  let pageTop = top;
+  rows.forEach(row => {
+    const rowHeight = ROW_HEIGHTS[row.kind];
+    if (y + rowHeight > pdf.height - MARGIN) {
+      column += 1;
+      if (column === 2) {
+        column = 0;
+        pdf.addPage().text(MARGIN, MARGIN + 12, t('{title} (continued)', { title: sheet.title }), { size: 12, bold: true });
+        pageTop = MARGIN + 30;
+      }
+      y = pageTop;
+    }
+    const x = MARGIN + column * (columnWidth + COLUMN_GAP);
+    if (row.kind === 'section') {
+      pdf.text(x, y + 14, row.text, { size: 13, bold: true }).line(x, y + 18, x + columnWidth, y + 18, { lineWidth: 1.5 });
+    } else if (row.kind === 'note') {
+      pdf.text(x, y + 8, row.text, { size: 7.5, color: '#555555' });
+    } else if (row.kind === 'group') {
+      pdf.text(x, y + 11, row.text, { size: 9.5, bold: true });
+    } else if (row.kind === 'card') {
+      const quantity = String(row.quantity);
+      pdf.text(x + 20 - textWidth(quantity, 9, true), y + 10, quantity, { size: 9, bold: true })
+        .text(x + 28, y + 10, fitText(row.text, columnWidth - 30, 9), { size: 9 })
+        .line(x, y + 12.5, x + columnWidth, y + 12.5, { lineWidth: 0.3, color: '#999999' });
+    } else {
+      pdf.text(x, y + 12, row.text, { size: 9.5, bold: true });
+    }
+    y += rowHeight;
+  });
+
+  const total = grandTotal(sheet, t);
+  if (y + 30 > pdf.height - MARGIN) {
+    pdf.addPage();
+    column = 0;
+    y = MARGIN;
+  }
+  const x = MARGIN + column * (columnWidth + COLUMN_GAP);
+  pdf.rect(x, y + 6, textWidth(total, 10, true) + 12, 20, { stroke: '#000000', lineWidth: 1.5 })
+    .text(x + 6, y + 20, total, { size: 10, bold: true });
+  return pdf.toBytes();
+};
@@ -0,0 +1,66 @@
+import { buildRegistrationSheet, registrationSheetHtml, registrationSheetPdf, sheetTotal } from './registrationSheet';
+import { burnDeck, emrakul, goblinGuide, inDeck, lightningBolt, mountain } from './__fixtures__/cards';
+import { translate } from './i18n';
+
+const outline = (sheet) => sheet.sections.map(section => [
+  section.title,
+  section.total,
+  section.groups.map(group => [group.label, group.lines.map(line => `${line.quantity} ${line.name}`)]),
+]);
+
+test('lays out constructed decks as main deck and sideboard by type', () => {
+  const sheet = buildRegistrationSheet(burnDeck, 'modern', { deckName: 'Burn' });
+  expect(sheet).toMatchObject({ commander: false, title: 'Deck Registration Sheet', formatLabel: 'Modern', deckName: 'Burn' });
+  expect(outline(sheet)).toEqual([
+    ['Main Deck', 60, [
+      ['Land', ['39 Mountain', '4 Needleverge Pathway']],
+      ['Creature', ['1 Emrakul, the Aeons Torn', '4 Goblin Guide']],
+      ['Instant', ['4 Boros Charm', '4 Lightning Bolt', '4 Manamorphose']],
+    ]],
+    ['Sideboard', 2, [['Creature', ['2 Kitesail Freebooter']]]],
+  ]);
+  expect(sheet.sections[1].note).toBe('Up to 15 cards');
+  expect(sheetTotal(sheet)).toBe(60);
+});
+
+test('merges printings and leaves out an empty sideboard', () => {
+  const sheet = buildRegistrationSheet([inDeck(lightningBolt, 2), { ...inDeck(lightningBolt, 2), set: '2x2' }], 'limited');
+  expect(outline(sheet)).toEqual([['Main Deck', 4, [['Instant', ['4 Lightning Bolt']]]]]);
+});
+
+test('lays out commander decks as a 100-card list', () => {
+  const cards = [inDeck(emrakul, 1, 'commander'), inDeck(goblinGuide, 1), inDeck(mountain, 98), inDeck(lightningBolt, 1, 'side')];
+  const sheet = buildRegistrationSheet(cards, '');
+  expect(sheet.commander).toBe(true);
+  expect(sheet.title).toBe('Commander Deck List');
+  expect(outline(sheet).map(([title, total]) => [title, total])).toEqual([['Commander', 1], ['Deck', 99], ['Sideboard', 1]]);
+  expect(sheetTotal(sheet)).toBe(100);
+});
+
+test('renders print HTML with escaped values', () => {
+  const html = registrationSheetHtml(buildRegistrationSheet(burnDeck, 'modern', { deckName: '<Burn & Co>' }));
+  expect(html).toContain('&lt;Burn &amp; Co&gt;');
+  expect(html).not.toContain('<Burn');
+  expect(html).toContain('<td class="qty">39</td><td>Mountain</td>');
+  expect(html).toContain('Total number of cards in the main deck: 60');
+});
+
+test('renders the sheet in the given language', () => {
+  const t = (message, params) => translate('de', message, params);
+  const sheet = buildRegistrationSheet(burnDeck, 'modern', { t });
+  expect(sheet.title).toBe('Deckregistrierungsbogen');
+  expect(sheet.sections[1].note).toBe('Bis zu 15 Karten');
+
+  const html = registrationSheetHtml(sheet, { t, language: 'de' });
+  expect(html).toContain('<html lang="de">');
+  expect(html).toContain('Kartenanzahl im Hauptdeck: 60');
+  expect(String.fromCharCode(...registrationSheetPdf(sheet, { t }))).toContain('(Summe Hauptdeck: 60) Tj');
+});
+
+test('renders a PDF', () => {
+  const bytes = registrationSheetPdf(buildRegistrationSheet(burnDeck, 'modern'));
+  const file = String.fromCharCode(...bytes);
+  expect(file.startsWith('%PDF-')).toBe(true);
+  expect(file).toContain('(Needleverge Pathway) Tj');
+  expect(file).toContain('(Total number of cards in the main deck: 60) Tj');
+});
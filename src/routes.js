@@ -0,0 +1,23 @@
+// Client-side routes: each app section has its own path, kept in sync with the browser history
+// so the back button and deep links work. "/" shows the welcome page.
+export const SECTION_PATHS = {
+  import: '/import',
+  guide: '/guide',
+  stats: '/stats',
+  sideboard: '/sideboard',
+  compare: '/compare',
+  collection: '/collection',
+  library: '/library',
+};
+
+// The app may be served below a sub-path ("homepage" in package.json)
+const basePath = () => (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+
+// Section shown for a location path, or null for the welcome page and unknown paths
+export const sectionFromPath = (pathname) => {
+  const path = pathname.startsWith(basePath()) ? pathname.slice(basePath().length) : pathname;
+  const normalized = path.replace(/\/+$/, '') || '/';
+  return Object.keys(SECTION_PATHS).find(section => SECTION_PATHS[section] === normalized) || null;
+};
+
+export const pathForSection = (section) => `${basePath()}${SECTION_PATHS[section] || '/'}`;
@@ -0,0 +1,10 @@
+import { sectionFromPath, pathForSection } from './routes';
+
+test('maps paths to sections and back', () => {
+  expect(sectionFromPath('/')).toBe(null);
+  expect(sectionFromPath('/guide')).toBe('guide');
+  expect(sectionFromPath('/stats/')).toBe('stats');
+  expect(sectionFromPath('/unknown')).toBe(null);
+  expect(pathForSection('import')).toBe('/import');
+  expect(pathForSection(null)).toBe('/');
+});
@@ -0,0 +1,343 @@
+// Scryfall API helpers for resolving decklist entries into card objects
+import { API_BASE_URL } from './api';
+import { normalizeName, identifierKey, cardKeys } from './cardKeys';
+import { getCachedCards, putCards, searchCachedNames } from './cardCache';
+import { translatable, userError } from './i18n';
+
+export { normalizeName };
+
+// Scryfall traffic goes through our proxy (server/), which maps /api/cards/* to Scryfall's /cards/*
+export const SCRYFALL_API_BASE_URL = API_BASE_URL;
+
+// Scryfall accepts at most 75 identifiers per /cards/collection request
+export const COLLECTION_BATCH_SIZE = 75;
+const MAX_RETRIES = 3;
+const REQUEST_DELAY_MS = 100; // Scryfall asks for 50-100ms between requests
+
+// Older environments leave AbortSignal.reason undefined
+const abortError = (signal) => signal.reason || new DOMException('The operation was aborted.', 'AbortError');
+
+// Wait ms milliseconds; rejects with an AbortError as soon as signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError(signal));
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  }, { once: true });
+});
+
+// Split an array into chunks of the given size
+export const chunk = (array, size) => {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// fetch() wrapper that backs off on 429 Too Many Requests, honoring Retry-After
+export const scryfallFetch = async (url, options = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, options);
+    if (response.status !== 429 || attempt >= MAX_RETRIES) {
+      return response;
+    }
+    const retryAfter = parseFloat(response.headers?.get('Retry-After'));
+    const delay = Number.isFinite(retryAfter) ? retryAfter * 1000 : 1000 * 2 ** attempt;
+    console.warn(`Scryfall rate limit hit, retrying in ${delay}ms`);
+    await sleep(delay, options.signal);
+  }
+};
+
+// Build the /cards/collection identifier for a parsed entry, preferring the exact printing
+export const identifierFor = (item) => {
+  if (item.set && item.collectorNumber) {
+    return { set: item.set, collector_number: item.collectorNumber };
+  }
+  if (item.set) {
+    return { name: item.name, set: item.set };
+  }
+  return { name: item.name };
+};
+
+// Index a card under every name and printing key it can be looked up by
+const indexCard = (index, card) => {
+  cardKeys(card).forEach(key => index.set(key, card));
+};
+
+// Resolve a batch of identifiers via POST /cards/collection
+const fetchCollection = async (identifiers, signal) => {
+  const response = await scryfallFetch(`${SCRYFALL_API_BASE_URL}/cards/collection`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ identifiers }),
+    signal,
+  });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw errorData.details ? new Error(errorData.details) : userError('Scryfall API error ({status})', { status: response.status });
+  }
+  const result = await response.json();
+  return { cards: result.data || [], notFound: result.not_found || [] };
+};
+
+// The English card of a non-English printing, so the deck always holds Oracle cards
+const fetchOracleCard = async (card, signal) => {
+  await sleep(REQUEST_DELAY_MS, signal);
+  const response = await scryfallFetch(`${SCRYFALL_API_BASE_URL}/cards/named?exact=${encodeURIComponent(card.name)}`, { signal });
+  return response.ok ? response.json() : card;
+};
+
+// Cards whose printed name in any language (lang:any) matches the name, via a general search.
+// Resolves with { results, error }, where error is set if Scryfall found nothing or failed.
+const searchAnyLanguage = async (name, signal) => {
+  const response = await scryfallFetch(`${SCRYFALL_API_BASE_URL}/cards/search?q=${encodeURIComponent(`${name} lang:any`)}&include_multilingual=true`, { signal });
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    return { results: [], error: errorData.details ? new Error(errorData.details) : userError('Scryfall API error for "{name}"', { name }) };
+  }
+  const searchData = await response.json();
+  return { results: searchData.data || [], error: null };
+};
+
+// Fallback for a single name, by fuzzy match and by a general search that also matches the printed
+// names of other languages. A fuzzy match can turn a non-English name into an unrelated English
+// card, so names that are not plain ASCII (even without accents) are searched as printed names
+// first, and a fuzzy match that is not the card named is only taken if no printed name matches.
+const fetchSingleCard = async (name, signal) => {
+  let search;
+  const searchOnce = () => {
+    search = search || searchAnyLanguage(name, signal);
+    return search;
+  };
+  const printedNameMatch = ({ results }) => results.find(result => normalizeName(result.printed_name || '') === normalizeName(name));
+  const toOracleCard = (card) => (card.lang && card.lang !== 'en' ? fetchOracleCard(card, signal) : card);
+
+  if (/[^ -~]/.test(normalizeName(name))) {
+    const match = printedNameMatch(await searchOnce());
+    if (match) {
+      return toOracleCard(match);
+    }
+  }
+
+  const fuzzyResponse = await scryfallFetch(`${SCRYFALL_API_BASE_URL}/cards/named?fuzzy=${encodeURIComponent(name)}`, { signal });
+  if (fuzzyResponse.ok) {
+    const card = await fuzzyResponse.json();
+    if (cardKeys(card).includes(normalizeName(name))) {
+      return card;
+    }
+    const match = printedNameMatch(await searchOnce());
+    return match ? toOracleCard(match) : card;
+  }
+
+  const found = await searchOnce();
+  if (found.error) {
+    throw found.error;
+  }
+  if (found.results.length > 0) {
+    // Prefer the printing whose printed name is the one from the decklist, else take the first result
+    return toOracleCard(printedNameMatch(found) || found.results[0]);
+  }
+  throw userError('No cards found matching "{name}" after general search.', { name });
+};
+
+// Fetch name suggestions for an unresolved card, for the unresolved cards fixer.
+// Offline, suggestions come from the names in the card cache.
+export const fetchSuggestions = async (query, { offline = false } = {}) => {
+  if (!query || query.trim().length < 2) {
+    return [];
+  }
+  if (offline) {
+    return searchCachedNames(query);
+  }
+  const response = await scryfallFetch(`${SCRYFALL_API_BASE_URL}/cards/autocomplete?q=${encodeURIComponent(query.trim())}`);
+  const result = response.ok ? await response.json() : { data: [] };
+  if (result.data && result.data.length > 0) {
+    return result.data;
+  }
+  // Autocomplete only matches prefixes, so fall back to a fuzzy match for typos
+  const fuzzyResponse = await scryfallFetch(`${SCRYFALL_API_BASE_URL}/cards/named?fuzzy=${encodeURIComponent(query.trim())}`);
+  if (!fuzzyResponse.ok) {
+    return [];
+  }
+  const card = await fuzzyResponse.json();
+  return [card.name];
+};
+
+const MAX_PRINT_PAGES = 3; // 175 printings per page is plenty for price comparisons
+
+// Scryfall search URIs (prints_search_uri, next_page) point at api.scryfall.com; send them through our proxy
+const proxiedSearchUrl = (uri) => `${SCRYFALL_API_BASE_URL}/cards/search${new URL(uri).search}`;
+
+// Search URI for every printing of a card. Cards cached before the cache kept prints_search_uri
+// are searched by their Oracle id instead.
+const printsSearchUri = (card) => {
+  if (card.prints_search_uri) {
+    return card.prints_search_uri;
+  }
+  return card.oracle_id
+    ? `https://api.scryfall.com/cards/search?order=released&q=${encodeURIComponent(`oracleid:${card.oracle_id}`)}&unique=prints`
+    : null;
+};
+
+// Every printing of a card, via its prints_search_uri
+export const fetchPrintings = async (card, { signal } = {}) => {
+  let next = printsSearchUri(card);
+  if (!next) {
+    return [card];
+  }
+  const printings = [];
+  for (let page = 0; next && page < MAX_PRINT_PAGES; page++) {
+    if (page > 0) {
+      await sleep(REQUEST_DELAY_MS, signal);
+    }
+    const response = await scryfallFetch(proxiedSearchUrl(next), { signal });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw errorData.details ? new Error(errorData.details) : userError('Scryfall API error for the printings of "{name}"', { name: card.name });
+    }
+    const result = await response.json();
+    printings.push(...(result.data || []));
+    next = result.has_more ? result.next_page : null;
+  }
+  return printings;
+};
+
+// Resolve lookups through Scryfall: /cards/collection in batches, then name lookups for the rest
+const fetchMissing = async (missingLookups, index, failures, signal, settle) => {
+  const lookups = new Map(missingLookups);
+  const notFound = [];
+  const fetched = [];
+
+  const batches = chunk([...lookups.values()].map(lookup => lookup.identifier), COLLECTION_BATCH_SIZE);
+  for (let i = 0; i < batches.length; i++) {
+    const { cards, notFound: missing } = await fetchCollection(batches[i], signal);
+    cards.forEach(card => indexCard(index, card));
+    fetched.push(...cards);
+    notFound.push(...missing.map(identifierKey));
+    settle(batches[i].length - missing.length);
+    if (i < batches.length - 1) {
+      await sleep(REQUEST_DELAY_MS, signal);
+    }
+  }
+
+  // Unknown printings fall back to a lookup by name
+  for (const key of notFound) {
+    const { name } = lookups.get(key) || { name: key };
+    try {
+      await sleep(REQUEST_DELAY_MS, signal);
+      const card = await fetchSingleCard(name, signal);
+      // Remember the card under the identifier the user typed as well
+      indexCard(index, card);
+      index.set(key, card);
+      fetched.push(card);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw error;
+      }
+      console.error(`Error fetching card "${name}":`, error);
+      failures.set(key, { message: error.message, translation: error.translation });
+    }
+    settle(1);
+  }
+
+  writeCache(fetched);
+};
+
+// Cache lookups never block resolving a deck; a broken cache just means more requests
+const readCache = async (keys, options) => {
+  try {
+    return await getCachedCards(keys, options);
+  } catch (error) {
+    console.error("Error reading the card cache:", error);
+    return new Map();
+  }
+};
+
+const writeCache = (cards) => {
+  putCards(cards).catch(error => console.error("Error writing the card cache:", error));
+};
+
+// Resolve lookups from the offline card data only, falling back from a printing to the card name
+const resolveOffline = async (lookups, index, failures) => {
+  const keys = [...lookups.keys()];
+  const cached = await readCache([...keys, ...[...lookups.values()].map(({ name }) => normalizeName(name))], { includeStale: true });
+  keys.forEach(key => {
+    const card = cached.get(key) || cached.get(normalizeName(lookups.get(key).name));
+    if (card) {
+      index.set(key, card);
+    } else {
+      failures.set(key, translatable('"{name}" is not in the offline card data.', { name: lookups.get(key).name }));
+    }
+  });
+};
+
+// Fetch card data for a parsed deck, batching lookups through /cards/collection.
+// Entries that name a printing (set + collector number) resolve to that exact printing.
+// Returns the resolved cards and the parsed entries that could not be resolved, each with the
+// reason as a translatable message, so one typo does not throw away the rest of the deck.
+// Cards come from the IndexedDB cache while it is fresh; with offline set, only from the
+// cache and imported bulk data, without any network request.
+// Pass an AbortSignal to cancel; the promise then rejects with an AbortError.
+// onProgress({ done, total }) is called as the distinct cards of the deck are looked up.
+export const fetchCardData = async (parsedDeck, { signal, offline = false, onProgress = () => {} } = {}) => {
+  const index = new Map();
+  const failures = new Map(); // identifier key -> reason, a message as from translatable
+
+  // Only look up each distinct identifier once
+  const lookups = new Map(); // identifier key -> { identifier, name }
+  parsedDeck.forEach(item => {
+    const identifier = identifierFor(item);
+    lookups.set(identifierKey(identifier), { identifier, name: item.name });
+  });
+
+  let done = 0;
+  const settle = (count) => {
+    done += count;
+    onProgress({ done, total: lookups.size });
+  };
+
+  if (offline) {
+    await resolveOffline(lookups, index, failures);
+    settle(lookups.size);
+  } else {
+    const cached = await readCache([...lookups.keys()]);
+    cached.forEach((card, key) => index.set(key, card));
+    settle(cached.size);
+    await fetchMissing([...lookups.entries()].filter(([key]) => !cached.has(key)), index, failures, signal, settle);
+  }
+
+  // Attach the original quantity, zone and uniqueId to the fetched card data
+  const cards = [];
+  const unresolved = [];
+  for (const item of parsedDeck) {
+    const key = identifierKey(identifierFor(item));
+    const card = index.get(key);
+    if (card) {
+      cards.push({ ...card, quantity: item.quantity, zone: item.zone || 'main', uniqueDisplayId: item.uniqueId });
+    } else {
+      unresolved.push({ ...item, reason: failures.get(key) || translatable('Could not find card: "{name}".', { name: item.name }) });
+    }
+  }
+  return { cards, unresolved };
+};
+
+// Image URI for a card, falling back to the face images of double-faced cards
+export const getCardImage = (card, size = 'small', face = 0) => {
+  const faces = card.card_faces || [];
+  return faces[face]?.image_uris?.[size] || card.image_uris?.[size] || faces[0]?.image_uris?.[size] || null;
+};
+
+// Images of every face of a card: one per face for double-faced cards, whose faces carry the images,
+// otherwise the single card image (also for split and adventure cards)
+export const getCardImages = (card, size = 'normal') => {
+  const faceImages = (card.card_faces || []).map(face => face.image_uris?.[size]).filter(Boolean);
+  if (faceImages.length > 0) {
+    return faceImages;
+  }
+  return card.image_uris?.[size] ? [card.image_uris[size]] : [];
+};
@@ -0,0 +1,290 @@
+import { fetchCardData, fetchSuggestions, fetchPrintings, getCardImages, chunk, COLLECTION_BATCH_SIZE } from './scryfall';
+import { mockCardCache } from './cardCache';
+import { lightningBolt, needlevergePathway } from './__fixtures__/cards';
+
+// In-memory stand-in for the IndexedDB card cache (jsdom has no IndexedDB)
+jest.mock('./cardCache', () => {
+  const cache = new Map();
+  return {
+    mockCardCache: cache,
+    getCachedCards: async (keys) => new Map(keys.filter(key => cache.has(key)).map(key => [key, cache.get(key)])),
+    putCards: async () => {},
+    searchCachedNames: async (query) => [...cache.values()]
+      .map(card => card.name)
+      .filter(name => name.toLowerCase().startsWith(query.toLowerCase())),
+  };
+});
+
+const jsonResponse = (body, status = 200, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (key) => headers[key] },
+  json: async () => body,
+});
+
+const card = (name, extra = {}) => ({ object: 'card', name, ...extra });
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  mockCardCache.clear();
+});
+
+test('chunk splits arrays into batches', () => {
+  expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+});
+
+test('resolves a deck with one /cards/collection request', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({
+    data: [card('Lightning Bolt'), card('Mountain')],
+    not_found: [],
+  }));
+
+  const { cards } = await fetchCardData([
+    { uniqueId: 'a', quantity: 4, name: 'Lightning Bolt' },
+    { uniqueId: 'b', quantity: 18, name: 'mountain' },
+  ]);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][0]).toBe('/api/cards/collection');
+  expect(cards.map(c => [c.name, c.quantity, c.uniqueDisplayId])).toEqual([
+    ['Lightning Bolt', 4, 'a'],
+    ['Mountain', 18, 'b'],
+  ]);
+});
+
+test('splits large decks into batches of 75 identifiers', async () => {
+  const deck = Array.from({ length: COLLECTION_BATCH_SIZE + 5 }, (_, i) => ({ uniqueId: `${i}`, quantity: 1, name: `Card ${i}` }));
+  global.fetch.mockImplementation(async (url, options) => {
+    const { identifiers } = JSON.parse(options.body);
+    return jsonResponse({ data: identifiers.map(({ name }) => card(name)), not_found: [] });
+  });
+
+  const { cards } = await fetchCardData(deck);
+
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).identifiers).toHaveLength(COLLECTION_BATCH_SIZE);
+  expect(cards).toHaveLength(deck.length);
+});
+
+test('matches double-faced cards by front face name', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({
+    data: [card('Delver of Secrets // Insectile Aberration')],
+    not_found: [],
+  }));
+
+  const { cards } = await fetchCardData([{ uniqueId: 'a', quantity: 4, name: 'Delver of Secrets' }]);
+
+  expect(cards[0].name).toBe('Delver of Secrets // Insectile Aberration');
+});
+
+test('falls back to a fuzzy lookup only for not_found identifiers', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Mountain')], not_found: [{ name: 'Lightnig Bolt' }] }))
+    .mockResolvedValueOnce(jsonResponse(card('Lightning Bolt')))
+    .mockResolvedValueOnce(jsonResponse({ details: 'no results' }, 404));
+
+  const { cards } = await fetchCardData([
+    { uniqueId: 'a', quantity: 4, name: 'Lightnig Bolt' },
+    { uniqueId: 'b', quantity: 18, name: 'Mountain' },
+  ]);
+
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(global.fetch.mock.calls[1][0]).toContain('/cards/named?fuzzy=Lightnig%20Bolt');
+  // A loose match is only taken when no card has that printed name in another language
+  expect(global.fetch.mock.calls[2][0]).toContain(`/cards/search?q=${encodeURIComponent('Lightnig Bolt lang:any')}`);
+  expect(cards[0].name).toBe('Lightning Bolt');
+});
+
+test('reports progress over the distinct cards of the deck', async () => {
+  mockCardCache.set('shock', card('Shock'));
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Mountain')], not_found: [{ name: 'Lightnig Bolt' }] }))
+    .mockResolvedValueOnce(jsonResponse(card('Lightning Bolt')))
+    .mockResolvedValueOnce(jsonResponse({ details: 'no results' }, 404));
+  const onProgress = jest.fn();
+
+  await fetchCardData([
+    { uniqueId: 'a', quantity: 4, name: 'Lightnig Bolt' },
+    { uniqueId: 'b', quantity: 9, name: 'Mountain' },
+    { uniqueId: 'c', quantity: 9, name: 'Mountain' },
+    { uniqueId: 'd', quantity: 4, name: 'Shock' },
+  ], { onProgress });
+
+  expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([
+    { done: 1, total: 3 },
+    { done: 2, total: 3 },
+    { done: 3, total: 3 },
+  ]);
+});
+
+test('retries after a 429 using Retry-After', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({}, 429, { 'Retry-After': '0' }))
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Mountain')], not_found: [] }));
+
+  const { cards } = await fetchCardData([{ uniqueId: 'a', quantity: 1, name: 'Mountain' }]);
+
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+  expect(cards[0].name).toBe('Mountain');
+});
+
+test('returns unresolved entries alongside the cards that resolved', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Mountain')], not_found: [{ name: 'Nonsense' }] }))
+    .mockResolvedValueOnce(jsonResponse({ details: 'not found' }, 404))
+    .mockResolvedValueOnce(jsonResponse({ details: 'no results' }, 404));
+
+  const { cards, unresolved } = await fetchCardData([
+    { uniqueId: 'a', quantity: 1, name: 'Nonsense' },
+    { uniqueId: 'b', quantity: 18, name: 'Mountain' },
+  ]);
+
+  expect(cards.map(c => c.name)).toEqual(['Mountain']);
+  expect(unresolved).toEqual([{ uniqueId: 'a', quantity: 1, name: 'Nonsense', reason: { message: 'no results' } }]);
+});
+
+test('resolves non-English names to the English Oracle card', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [], not_found: [{ name: 'Blitzschlag' }] }))
+    .mockResolvedValueOnce(jsonResponse({ details: 'not found' }, 404))
+    .mockResolvedValueOnce(jsonResponse({
+      data: [
+        card('Lightning Axe', { lang: 'de', printed_name: 'Blitzaxt' }),
+        card('Lightning Bolt', { lang: 'de', printed_name: 'Blitzschlag' }),
+      ],
+    }))
+    .mockResolvedValueOnce(jsonResponse(card('Lightning Bolt', { lang: 'en' })));
+
+  const { cards } = await fetchCardData([{ uniqueId: 'a', quantity: 4, name: 'Blitzschlag' }]);
+
+  expect(global.fetch.mock.calls[2][0]).toContain(`/cards/search?q=${encodeURIComponent('Blitzschlag lang:any')}&include_multilingual=true`);
+  expect(global.fetch.mock.calls[3][0]).toContain('/cards/named?exact=Lightning%20Bolt');
+  expect(cards).toEqual([expect.objectContaining({ name: 'Lightning Bolt', lang: 'en', quantity: 4 })]);
+});
+
+test('prefers a printed name over a fuzzy match of an unrelated English card', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [], not_found: [{ name: 'Gedankenwirbel' }] }))
+    .mockResolvedValueOnce(jsonResponse(card('Gedanken Thief')))
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Brainstorm', { lang: 'de', printed_name: 'Gedankenwirbel' })] }))
+    .mockResolvedValueOnce(jsonResponse(card('Brainstorm', { lang: 'en' })));
+
+  const { cards } = await fetchCardData([{ uniqueId: 'a', quantity: 4, name: 'Gedankenwirbel' }]);
+
+  expect(cards).toEqual([expect.objectContaining({ name: 'Brainstorm', lang: 'en', quantity: 4 })]);
+});
+
+test('searches names in other scripts as printed names before any fuzzy match', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [], not_found: [{ name: '稲妻' }] }))
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Lightning Bolt', { lang: 'ja', printed_name: '稲妻' })] }))
+    .mockResolvedValueOnce(jsonResponse(card('Lightning Bolt', { lang: 'en' })));
+
+  const { cards } = await fetchCardData([{ uniqueId: 'a', quantity: 4, name: '稲妻' }]);
+
+  expect(global.fetch.mock.calls.map(([url]) => url).some(url => url.includes('fuzzy'))).toBe(false);
+  expect(cards).toEqual([expect.objectContaining({ name: 'Lightning Bolt', lang: 'en' })]);
+});
+
+test('suggests names via autocomplete, then fuzzy match', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [] }))
+    .mockResolvedValueOnce(jsonResponse(card('Lightning Bolt')));
+
+  await expect(fetchSuggestions('Lightnig Bolt')).resolves.toEqual(['Lightning Bolt']);
+  expect(global.fetch.mock.calls[0][0]).toContain('/cards/autocomplete?q=Lightnig%20Bolt');
+});
+
+test('requests the exact printing when set and collector number are given', async () => {
+  global.fetch.mockResolvedValueOnce(jsonResponse({
+    data: [card('Lightning Bolt', { set: 'm11', collector_number: '146' })],
+    not_found: [],
+  }));
+
+  const { cards } = await fetchCardData([
+    { uniqueId: 'a', quantity: 4, name: 'Lightning Bolt', zone: 'side', set: 'm11', collectorNumber: '146' },
+  ]);
+
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).identifiers).toEqual([{ set: 'm11', collector_number: '146' }]);
+  expect(cards[0]).toMatchObject({ name: 'Lightning Bolt', set: 'm11', zone: 'side', quantity: 4 });
+});
+
+test('stops resolving when the signal is aborted', async () => {
+  const controller = new AbortController();
+  global.fetch.mockImplementationOnce(async () => {
+    controller.abort();
+    return jsonResponse({ data: [], not_found: [{ name: 'Lightnig Bolt' }] });
+  });
+
+  await expect(fetchCardData([{ uniqueId: 'a', quantity: 4, name: 'Lightnig Bolt' }], { signal: controller.signal }))
+    .rejects.toHaveProperty('name', 'AbortError');
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(global.fetch.mock.calls[0][1].signal).toBe(controller.signal);
+});
+
+test('serves cached cards and only fetches the rest', async () => {
+  mockCardCache.set('lightning bolt', card('Lightning Bolt'));
+  global.fetch.mockResolvedValueOnce(jsonResponse({ data: [card('Mountain')], not_found: [] }));
+
+  const { cards } = await fetchCardData([
+    { uniqueId: 'a', quantity: 4, name: 'Lightning Bolt' },
+    { uniqueId: 'b', quantity: 18, name: 'Mountain' },
+  ]);
+
+  expect(cards.map(c => c.name)).toEqual(['Lightning Bolt', 'Mountain']);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).identifiers).toEqual([{ name: 'Mountain' }]);
+});
+
+test('offline mode resolves from the card cache without network', async () => {
+  mockCardCache.set('lightning bolt', card('Lightning Bolt'));
+
+  const { cards, unresolved } = await fetchCardData([
+    { uniqueId: 'a', quantity: 4, name: 'Lightning Bolt', set: 'M11', collectorNumber: '146' },
+    { uniqueId: 'b', quantity: 1, name: 'Made Up Card' },
+  ], { offline: true });
+
+  expect(global.fetch).not.toHaveBeenCalled();
+  expect(cards.map(c => c.name)).toEqual(['Lightning Bolt']);
+  expect(unresolved[0].reason.message).toContain('not in the offline card data');
+  expect(await fetchSuggestions('light', { offline: true })).toEqual(['Lightning Bolt']);
+});
+
+test('images come from the card faces for double-faced cards', () => {
+  expect(getCardImages(needlevergePathway)).toEqual(['front-normal', 'back-normal']);
+  expect(getCardImages(needlevergePathway, 'small')).toEqual(['front-small', 'back-small']);
+  expect(getCardImages({ ...lightningBolt, image_uris: { normal: 'bolt' } })).toEqual(['bolt']);
+  expect(getCardImages({ name: 'Unknown' })).toEqual([]);
+});
+
+test('fetches all printings through the proxy, following result pages', async () => {
+  const printsUri = 'https://api.scryfall.com/cards/search?order=released&q=oracleid%3Abolt&unique=prints';
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Lightning Bolt', { set: 'm11' })], has_more: true, next_page: `${printsUri}&page=2` }))
+    .mockResolvedValueOnce(jsonResponse({ data: [card('Lightning Bolt', { set: 'a25' })], has_more: false }));
+
+  const printings = await fetchPrintings(card('Lightning Bolt', { prints_search_uri: printsUri }));
+
+  expect(printings.map(printing => printing.set)).toEqual(['m11', 'a25']);
+  expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+    '/api/cards/search?order=released&q=oracleid%3Abolt&unique=prints',
+    '/api/cards/search?order=released&q=oracleid%3Abolt&unique=prints&page=2',
+  ]);
+  expect(await fetchPrintings(card('Offline Card'))).toEqual([card('Offline Card')]);
+});
+
+test('finds the printings of a card from the cache', async () => {
+  const { slimCard } = jest.requireActual('./cardCache');
+  const printsUri = 'https://api.scryfall.com/cards/search?order=released&q=oracleid%3Abolt&unique=prints';
+  global.fetch.mockResolvedValue(jsonResponse({ data: [card('Lightning Bolt', { set: 'm11' }), card('Lightning Bolt', { set: 'a25' })] }));
+
+  const cached = slimCard({ ...lightningBolt, oracle_id: 'bolt', prints_search_uri: printsUri });
+  expect(await fetchPrintings(cached)).toHaveLength(2);
+
+  // Cached before the cache kept prints_search_uri
+  const { prints_search_uri: dropped, ...older } = cached;
+  expect(await fetchPrintings(older)).toHaveLength(2);
+  expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+    '/api/cards/search?order=released&q=oracleid%3Abolt&unique=prints',
+    '/api/cards/search?order=released&q=oracleid%3Abolt&unique=prints',
+  ]);
+});
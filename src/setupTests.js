@@ -3,3 +3,21 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom does not provide the Web Crypto API that parseDecklist uses for unique ids
+if (!global.crypto) {
+  global.crypto = require('crypto').webcrypto;
+}
+
+// Nor TextEncoder/TextDecoder, which the streaming (SSE) reader uses
+if (!global.TextDecoder) {
+  const { TextDecoder, TextEncoder } = require('util');
+  global.TextDecoder = TextDecoder;
+  global.TextEncoder = TextEncoder;
+}
+
+// Nor structuredClone, which fake-indexeddb uses to copy the records of the deck library tests
+if (!global.structuredClone) {
+  const { serialize, deserialize } = require('v8');
+  global.structuredClone = value => deserialize(serialize(value));
+}
@@ -0,0 +1,104 @@
+// Shareable links: the decklist, its format and optionally the guide travel in the URL fragment
+// ("#deck=<token>"), so opening a link needs no server storage and the fragment never reaches a server.
+// The token is "<version>.<data>", where data is the deflated JSON payload in base64url.
+import { pathForSection } from './routes';
+import { userError } from './i18n';
+
+export const SHARE_VERSION = 1;
+export const SHARE_PARAM = 'deck';
+
+// Links longer than this may be cut off by chat apps and mail clients
+export const LONG_SHARE_URL_LENGTH = 8000;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// Run bytes through a CompressionStream or DecompressionStream
+const transform = async (bytes, stream) => {
+  const writer = stream.writable.getWriter();
+  // Errors surface on the reading side
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  const chunks = [];
+  const reader = stream.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+  }
+  const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    result.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return result;
+};
+
+const checkCompressionSupport = () => {
+  if (typeof CompressionStream === 'undefined') {
+    throw userError('This browser cannot create or open share links. Please update it.');
+  }
+};
+
+// Token for { decklist, format, guide }; leave guide empty to share the deck only
+export const encodeShareToken = async ({ decklist, format, guide }) => {
+  checkCompressionSupport();
+  const payload = { d: decklist.trim() };
+  if (format) {
+    payload.f = format;
+  }
+  if (guide) {
+    payload.g = guide;
+  }
+  const bytes = await transform(new TextEncoder().encode(JSON.stringify(payload)), new CompressionStream('deflate-raw'));
+  return `${SHARE_VERSION}.${toBase64Url(bytes)}`;
+};
+
+// Read a token back into { decklist, format, guide }
+export const decodeShareToken = async (token) => {
+  checkCompressionSupport();
+  const [version, data] = token.split('.');
+  if (Number(version) > SHARE_VERSION) {
+    throw userError('This link was made with a newer version of the app. Please reload the page.');
+  }
+  let payload;
+  try {
+    if (Number(version) !== SHARE_VERSION || !data) {
+      throw new Error(`Unknown share link version "${version}"`);
+    }
+    const bytes = await transform(fromBase64Url(data), new DecompressionStream('deflate-raw'));
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    console.error("Error reading the shared link:", error);
+    throw userError('The shared link is damaged or incomplete.');
+  }
+  if (typeof payload?.d !== 'string' || !payload.d.trim()) {
+    throw userError('The shared link does not contain a decklist.');
+  }
+  return {
+    decklist: payload.d,
+    format: typeof payload.f === 'string' ? payload.f : '',
+    guide: typeof payload.g === 'string' ? payload.g : '',
+  };
+};
+
+// Token in a location hash ("#deck=..."), or null
+export const readShareToken = (hash) => new URLSearchParams(hash.replace(/^#/, '')).get(SHARE_PARAM);
+
+// Full link that opens the shared deck on the guide page, or on the import page without a guide
+export const buildShareUrl = async (payload, origin = window.location.origin) => {
+  const token = await encodeShareToken(payload);
+  return `${origin}${pathForSection(payload.guide ? 'guide' : 'import')}#${SHARE_PARAM}=${token}`;
+};
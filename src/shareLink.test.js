@@ -0,0 +1,40 @@
+import { CompressionStream, DecompressionStream } from 'stream/web';
+import { encodeShareToken, decodeShareToken, readShareToken, buildShareUrl, SHARE_VERSION } from './shareLink';
+
+// jsdom lacks the browsers' compression streams; Node's implement the same web API
+beforeAll(() => {
+  Object.assign(global, { CompressionStream, DecompressionStream });
+});
+
+const deck = {
+  decklist: '4 Lightning Bolt (M11) 146\n4 Goblin Guide\n20 Mountain\n\nSideboard\n2 Smash to Smithereens',
+  format: 'modern',
+  guide: '# Archetype\n**Archetype:** Burn — äöü\n\n# Key Cards\n- **Lightning Bolt**: 3 damage for one mana',
+};
+
+test('round-trips a deck with its guide through a versioned token', async () => {
+  const token = await encodeShareToken(deck);
+  expect(token).toMatch(new RegExp(`^${SHARE_VERSION}\\.[A-Za-z0-9_-]+$`));
+  expect(await decodeShareToken(token)).toEqual(deck);
+});
+
+test('shares the deck without a guide', async () => {
+  const url = await buildShareUrl({ ...deck, guide: '' }, 'https://example.org');
+  expect(url).toMatch(/^https:\/\/example\.org\/import#deck=1\./);
+  expect(await decodeShareToken(readShareToken(new URL(url).hash))).toEqual({ ...deck, guide: '' });
+  expect(await buildShareUrl(deck, 'https://example.org')).toMatch(/\/guide#deck=/);
+});
+
+test('compresses long decklists', async () => {
+  const decklist = Array.from({ length: 60 }, (_, i) => `1 Card Number ${i}`).join('\n');
+  const token = await encodeShareToken({ decklist });
+  expect(token.length).toBeLessThan(decklist.length / 2);
+});
+
+test('rejects damaged links and links from newer versions', async () => {
+  const token = await encodeShareToken(deck);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await expect(decodeShareToken(token.slice(0, 20))).rejects.toThrow('damaged or incomplete');
+  await expect(decodeShareToken(`${SHARE_VERSION + 1}.abc`)).rejects.toThrow('newer version');
+  expect(readShareToken('#other=1')).toBe(null);
+});
@@ -0,0 +1,203 @@
+// Sideboard guide: per-matchup IN/OUT plans generated as JSON and checked against the actual deck
+import { cardKeys, normalizeName } from './cardKeys';
+import { EXPERT_INTRO, formatLineFor, languageLineFor, deckContext } from './guidePrompt';
+import { extractJsonObject } from './jsonAnswer';
+import { userError } from './i18n';
+
+const MATCHUPS_STORAGE_KEY = 'mtg-deck-guide.matchups';
+const MAX_OPPONENT_DECKLIST_LENGTH = 4000; // Keep opposing lists from crowding out the prompt
+
+export const DEFAULT_MATCHUPS = ['Aggro', 'Midrange', 'Control', 'Combo'].map(archetype => ({
+  id: archetype.toLowerCase(),
+  archetype,
+  decklist: '',
+}));
+
+export const loadMatchups = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MATCHUPS_STORAGE_KEY));
+    return Array.isArray(stored) && stored.length > 0 ? stored : DEFAULT_MATCHUPS;
+  } catch (error) {
+    console.error("Error reading matchups:", error);
+    return DEFAULT_MATCHUPS;
+  }
+};
+
+export const saveMatchups = (matchups) => {
+  localStorage.setItem(MATCHUPS_STORAGE_KEY, JSON.stringify(matchups));
+};
+
+const opponentSection = ({ archetype, decklist }) => {
+  const list = decklist.trim().slice(0, MAX_OPPONENT_DECKLIST_LENGTH);
+  return list ? `- ${archetype}, playing this list:\n${list}` : `- ${archetype}`;
+};
+
+export const buildSideboardPrompt = (cards, formatKey, matchups, language = 'en') => `
+  ${EXPERT_INTRO}
+  ${formatLineFor(formatKey)}
+  ${languageLineFor(language)}
+  Write a sideboard guide for the deck below against each of these opponents:
+${matchups.map(opponentSection).join('\n')}
+
+  For each opponent, decide which sideboard cards come IN and which main deck cards go OUT.
+  Rules:
+  - Cards coming IN must be in the sideboard, cards going OUT must be in the main deck.
+  - Never use more copies of a card than the deck contains.
+  - The number of cards IN must equal the number of cards OUT, so the deck size stays the same.
+  - Use exact card names from the decklist. An empty plan is fine if no changes are needed.
+
+  Respond with JSON only, without any other text, in exactly this shape:
+  {"matchups": [{"archetype": "<opponent name as given>", "in": [{"card": "<card name>", "count": 2}], "out": [{"card": "<card name>", "count": 2}], "notes": "<how to play the matchup, 1-3 sentences>"}]}
+${deckContext(cards)}`;
+
+// Follow-up asking the model to fix the problems found in its previous answer
+export const buildSideboardCorrection = (plan) => `
+  Your sideboard plan has these problems:
+${plan.matchups.flatMap(matchup => matchup.issues.map(issue => `  - ${matchup.archetype}: ${issue}`)).join('\n')}
+
+  Answer again with the complete corrected JSON, in the same shape, without any other text.
+`;
+
+// Parse the model's answer into a plan that still has to be checked against the deck
+export const parseSideboardJson = (text) => {
+  let data;
+  try {
+    data = extractJsonObject(text);
+  } catch (error) {
+    throw userError('The AI returned a sideboard plan that is not valid JSON.');
+  }
+  if (data === undefined) {
+    throw userError('The AI did not return a sideboard plan.');
+  }
+  if (!Array.isArray(data.matchups)) {
+    throw userError('The AI returned a sideboard plan without matchups.');
+  }
+  return data;
+};
+
+// Copies of each card per zone, under every key the card can be named by
+const deckIndex = (cards) => {
+  const index = new Map();
+  cards.forEach(card => {
+    const zone = card.zone || 'main';
+    cardKeys(card).forEach(key => {
+      const entry = index.get(key) || { name: card.name, main: 0, side: 0 };
+      if (zone === 'main' || zone === 'side') {
+        entry[zone] += card.quantity;
+      }
+      index.set(key, entry);
+    });
+  });
+  return index;
+};
+
+// Merge the lines of one side of a plan by card, keeping the first spelling
+const mergeLines = (lines) => {
+  const merged = new Map();
+  (Array.isArray(lines) ? lines : []).forEach(line => {
+    const name = String(line?.card || '').trim();
+    const count = Number(line?.count);
+    const key = normalizeName(name);
+    const current = merged.get(key);
+    merged.set(key, { card: current?.card || name, count: (current?.count || 0) + count });
+  });
+  return [...merged.values()];
+};
+
+// Check one side of a matchup plan against a zone of the deck
+const checkLines = (lines, index, zone, zoneLabel) => {
+  const issues = [];
+  const checked = lines.map(line => {
+    const entry = index.get(normalizeName(line.card));
+    if (!Number.isInteger(line.count) || line.count <= 0) {
+      issues.push(`"${line.card}" has an invalid count.`);
+    } else if (!entry || entry[zone] === 0) {
+      issues.push(`"${line.card}" is not in the ${zoneLabel}.`);
+    } else if (line.count > entry[zone]) {
+      issues.push(`${line.count} ${entry.name} listed, but the ${zoneLabel} only has ${entry[zone]}.`);
+    }
+    return entry ? { ...line, card: entry.name } : line;
+  });
+  return { lines: checked, issues };
+};
+
+const totalCount = (lines) => lines.reduce((sum, line) => sum + (Number.isInteger(line.count) ? line.count : 0), 0);
+
+// Check a parsed plan against the deck. Returns { matchups } where every matchup has
+// in/out lines with the deck's card names and a list of issues (empty when the plan is sound).
+export const validateSideboardPlan = (data, cards, requestedMatchups = []) => {
+  const index = deckIndex(cards);
+  const matchups = data.matchups.map(matchup => {
+    const cardsIn = checkLines(mergeLines(matchup?.in), index, 'side', 'sideboard');
+    const cardsOut = checkLines(mergeLines(matchup?.out), index, 'main', 'main deck');
+    const issues = [...cardsIn.issues, ...cardsOut.issues];
+    const inCount = totalCount(cardsIn.lines);
+    const outCount = totalCount(cardsOut.lines);
+    if (inCount !== outCount) {
+      issues.push(`${inCount} card${inCount === 1 ? '' : 's'} in but ${outCount} out.`);
+    }
+    return {
+      archetype: String(matchup?.archetype || 'Unknown opponent'),
+      in: cardsIn.lines,
+      out: cardsOut.lines,
+      notes: typeof matchup?.notes === 'string' ? matchup.notes : '',
+      issues,
+    };
+  });
+
+  const planned = new Set(matchups.map(matchup => normalizeName(matchup.archetype)));
+  requestedMatchups
+    .filter(({ archetype }) => !planned.has(normalizeName(archetype)))
+    .forEach(({ archetype }) => matchups.push({ archetype, in: [], out: [], notes: '', issues: ['No plan was generated for this matchup.'] }));
+
+  return { matchups };
+};
+
+export const planHasIssues = (plan) => plan.matchups.some(matchup => matchup.issues.length > 0);
+
+// Rows of the matchup matrix: every card moved in any matchup with its change per matchup
+// ({ name, zone, changes: [+n | -n | 0 per matchup] }), sideboard cards first
+export const matchupMatrix = (plan) => {
+  const rows = new Map();
+  plan.matchups.forEach((matchup, column) => {
+    [['side', matchup.in, 1], ['main', matchup.out, -1]].forEach(([zone, lines, sign]) => {
+      lines.forEach(line => {
+        const key = `${zone}|${normalizeName(line.card)}`;
+        const row = rows.get(key) || { name: line.card, zone, changes: plan.matchups.map(() => 0) };
+        row.changes[column] += sign * (Number.isInteger(line.count) ? line.count : 0);
+        rows.set(key, row);
+      });
+    });
+  });
+  return [...rows.values()].sort((a, b) => (a.zone === b.zone ? a.name.localeCompare(b.name) : a.zone === 'side' ? -1 : 1));
+};
+
+export const MAX_CORRECTIONS = 1;
+
+// Generate a validated plan. generate(messages) returns the model's answer text.
+// Answers that are not valid JSON or do not fit the deck are sent back for correction
+// up to MAX_CORRECTIONS times; remaining issues stay on the plan for display.
+export const generateSideboardPlan = async (generate, cards, formatKey, matchups, language = 'en') => {
+  const messages = [{ role: 'user', content: buildSideboardPrompt(cards, formatKey, matchups, language) }];
+  for (let attempt = 0; ; attempt++) {
+    const answer = await generate(messages);
+    let plan;
+    let correction;
+    try {
+      plan = validateSideboardPlan(parseSideboardJson(answer), cards, matchups);
+      if (!planHasIssues(plan)) {
+        return plan;
+      }
+      correction = buildSideboardCorrection(plan);
+    } catch (error) {
+      if (attempt >= MAX_CORRECTIONS) {
+        throw error;
+      }
+      correction = `${error.message} Answer with the complete JSON only, in the shape requested above.`;
+    }
+    if (attempt >= MAX_CORRECTIONS) {
+      return plan;
+    }
+    messages.push({ role: 'assistant', content: answer }, { role: 'user', content: correction });
+  }
+};
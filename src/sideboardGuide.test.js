@@ -0,0 +1,102 @@
+import {
+  buildSideboardPrompt,
+  parseSideboardJson,
+  validateSideboardPlan,
+  planHasIssues,
+  matchupMatrix,
+  generateSideboardPlan,
+  DEFAULT_MATCHUPS,
+} from './sideboardGuide';
+import { burnDeck } from './__fixtures__/cards';
+
+const plan = (matchups) => ({ matchups });
+
+test('the prompt names every opponent and includes their decklists', () => {
+  const prompt = buildSideboardPrompt(burnDeck, 'modern', [
+    { archetype: 'Mono-Red', decklist: '4 Monastery Swiftspear' },
+    { archetype: 'Control', decklist: '' },
+  ]);
+  expect(prompt).toContain('- Mono-Red, playing this list:\n4 Monastery Swiftspear');
+  expect(prompt).toContain('- Control\n');
+  expect(prompt).toContain('2 Kitesail Freebooter');
+});
+
+test('extracts JSON from fenced or chatty answers', () => {
+  const json = '{"matchups": [{"archetype": "Control", "in": [], "out": []}]}';
+  expect(parseSideboardJson(`Here you go:\n\`\`\`json\n${json}\n\`\`\``).matchups).toHaveLength(1);
+  expect(parseSideboardJson(`Sure! ${json} Good luck.`).matchups[0].archetype).toBe('Control');
+  expect(() => parseSideboardJson('No idea.')).toThrow('did not return');
+  expect(() => parseSideboardJson('{"plans": []}')).toThrow('without matchups');
+});
+
+test('accepts a plan whose counts match the deck', () => {
+  const result = validateSideboardPlan(plan([{
+    archetype: 'Control',
+    in: [{ card: 'kitesail freebooter', count: 2 }],
+    out: [{ card: 'Lightning Bolt', count: 1 }, { card: 'Boros Charm', count: 1 }],
+    notes: 'Take their answers.',
+  }]), burnDeck);
+
+  expect(planHasIssues(result)).toBe(false);
+  expect(result.matchups[0].in).toEqual([{ card: 'Kitesail Freebooter', count: 2 }]);
+});
+
+test('reports cards that are not in the zone, too many copies and unequal totals', () => {
+  const result = validateSideboardPlan(plan([{
+    archetype: 'Aggro',
+    in: [{ card: 'Kitesail Freebooter', count: 3 }, { card: 'Lightning Bolt', count: 1 }],
+    out: [{ card: 'Kitesail Freebooter', count: 1 }, { card: 'Goblin Guide', count: 1 }],
+  }]), burnDeck, DEFAULT_MATCHUPS);
+
+  const [aggro] = result.matchups;
+  expect(aggro.issues).toEqual([
+    '3 Kitesail Freebooter listed, but the sideboard only has 2.',
+    '"Lightning Bolt" is not in the sideboard.',
+    '"Kitesail Freebooter" is not in the main deck.',
+    '4 cards in but 2 out.',
+  ]);
+  // Requested matchups without a plan are flagged too
+  expect(result.matchups.map(matchup => matchup.archetype)).toEqual(['Aggro', 'Midrange', 'Control', 'Combo']);
+  expect(result.matchups[3].issues).toEqual(['No plan was generated for this matchup.']);
+});
+
+test('builds the matchup matrix with sideboard cards first', () => {
+  const result = validateSideboardPlan(plan([
+    { archetype: 'Control', in: [{ card: 'Kitesail Freebooter', count: 2 }], out: [{ card: 'Lightning Bolt', count: 2 }] },
+    { archetype: 'Aggro', in: [], out: [] },
+  ]), burnDeck);
+
+  expect(matchupMatrix(result)).toEqual([
+    { name: 'Kitesail Freebooter', zone: 'side', changes: [2, 0] },
+    { name: 'Lightning Bolt', zone: 'main', changes: [-2, 0] },
+  ]);
+});
+
+test('sends a plan that does not fit the deck back for one correction', async () => {
+  const bad = JSON.stringify(plan([{ archetype: 'Control', in: [{ card: 'Kitesail Freebooter', count: 2 }], out: [] }]));
+  const good = JSON.stringify(plan([{
+    archetype: 'Control',
+    in: [{ card: 'Kitesail Freebooter', count: 2 }],
+    out: [{ card: 'Lightning Bolt', count: 2 }],
+  }]));
+  const generate = jest.fn()
+    .mockResolvedValueOnce(bad)
+    .mockResolvedValueOnce(good);
+
+  const result = await generateSideboardPlan(generate, burnDeck, 'modern', [{ archetype: 'Control', decklist: '' }]);
+
+  expect(planHasIssues(result)).toBe(false);
+  const correction = generate.mock.calls[1][0];
+  expect(correction.map(message => message.role)).toEqual(['user', 'assistant', 'user']);
+  expect(correction[2].content).toContain('Control: 2 cards in but 0 out.');
+});
+
+test('gives up after one correction and keeps the remaining issues', async () => {
+  const generate = jest.fn().mockResolvedValue('not json');
+  await expect(generateSideboardPlan(generate, burnDeck, 'modern', DEFAULT_MATCHUPS)).rejects.toThrow('did not return');
+  expect(generate).toHaveBeenCalledTimes(2);
+
+  const unequal = JSON.stringify(plan([{ archetype: 'Aggro', in: [{ card: 'Kitesail Freebooter', count: 1 }], out: [] }]));
+  const result = await generateSideboardPlan(jest.fn().mockResolvedValue(unequal), burnDeck, '', [{ archetype: 'Aggro', decklist: '' }]);
+  expect(result.matchups[0].issues).toEqual(['1 card in but 0 out.']);
+});
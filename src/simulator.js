@@ -0,0 +1,128 @@
+// Opening-hand and draw probabilities: exact hypergeometric odds plus Monte Carlo "goldfish" draws
+import { shuffleArray } from './random';
+import { isLand } from './deckStats';
+import { normalizeName } from './scryfall';
+
+export const HAND_SIZE = 7;
+
+// Number of cards seen by the given turn (on the play you skip the first draw)
+export const cardsSeen = (turn, onPlay = true) => HAND_SIZE + turn - (onPlay ? 1 : 0);
+
+// log(n!) via a cached table, so large binomials do not overflow
+const logFactorials = [0];
+const logFactorial = (n) => {
+  for (let i = logFactorials.length; i <= n; i++) {
+    logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+  }
+  return logFactorials[n];
+};
+
+const logBinomial = (n, k) => (k < 0 || k > n ? -Infinity : logFactorial(n) - logFactorial(k) - logFactorial(n - k));
+
+// P(exactly k successes) drawing n cards from a population of N containing K successes
+export const hypergeometric = (N, K, n, k) => {
+  if (n > N) {
+    return hypergeometric(N, K, N, k);
+  }
+  return Math.exp(logBinomial(K, k) + logBinomial(N - K, n - k) - logBinomial(N, n));
+};
+
+// P(at least min successes)
+export const atLeast = (N, K, n, min) => {
+  let probability = 0;
+  for (let k = Math.max(0, min); k <= Math.min(K, n); k++) {
+    probability += hypergeometric(N, K, n, k);
+  }
+  return Math.min(1, probability);
+};
+
+// Cards that start in the library; commanders and the sideboard do not
+export const libraryCards = (cards) => cards.filter(card => (card.zone || 'main') === 'main');
+
+const countCards = (cards, predicate = () => true) => cards
+  .filter(predicate)
+  .reduce((sum, card) => sum + card.quantity, 0);
+
+const copiesOf = (cards, name) => countCards(cards, card => normalizeName(card.name) === normalizeName(name));
+
+// P(at least minLands lands by the given turn)
+export const landsByTurnProbability = (cards, minLands, turn, onPlay = true) => {
+  const library = libraryCards(cards);
+  return atLeast(countCards(library), countCards(library, isLand), cardsSeen(turn, onPlay), minLands);
+};
+
+// P(at least one copy of the named card by the given turn)
+export const cardByTurnProbability = (cards, name, turn, onPlay = true) => {
+  const library = libraryCards(cards);
+  return atLeast(countCards(library), copiesOf(library, name), cardsSeen(turn, onPlay), 1);
+};
+
+// P(the named card can be cast on curve): at least one copy and at least cmc lands
+// among the cards seen by turn cmc (multivariate hypergeometric; colors are not checked)
+export const castableOnCurveProbability = (cards, name, onPlay = true) => {
+  const library = libraryCards(cards);
+  const card = library.find(candidate => normalizeName(candidate.name) === normalizeName(name));
+  if (!card) {
+    return 0;
+  }
+  const turn = Math.max(1, Math.ceil(card.cmc || 0));
+  const total = countCards(library);
+  const copies = copiesOf(library, name);
+  const lands = isLand(card) ? 0 : countCards(library, isLand);
+  const others = total - copies - lands;
+  const seen = Math.min(cardsSeen(turn, onPlay), total);
+  const neededLands = isLand(card) ? 0 : Math.ceil(card.cmc || 0);
+
+  const logTotal = logBinomial(total, seen);
+  let probability = 0;
+  for (let k = 1; k <= Math.min(copies, seen); k++) {
+    for (let l = neededLands; l <= Math.min(lands, seen - k); l++) {
+      probability += Math.exp(logBinomial(copies, k) + logBinomial(lands, l) + logBinomial(others, seen - k - l) - logTotal);
+    }
+  }
+  return Math.min(1, probability);
+};
+
+// Expand the library into one entry per physical card
+export const buildLibrary = (cards) => libraryCards(cards).flatMap(card => Array.from({ length: card.quantity }, () => card));
+
+// Choose which cards to put on the bottom after a London mulligan:
+// keep the land count close to the deck's land ratio, bottom the most expensive spells first
+export const chooseBottomCards = (hand, count, landRatio) => {
+  const lands = hand.filter(isLand);
+  const spells = hand.filter(card => !isLand(card)).sort((a, b) => (b.cmc || 0) - (a.cmc || 0));
+  const targetLands = Math.round((hand.length - count) * landRatio);
+  const bottom = [];
+  while (bottom.length < count) {
+    if ((lands.length > targetLands && lands.length > 0) || spells.length === 0) {
+      bottom.push(lands.pop());
+    } else {
+      bottom.push(spells.shift());
+    }
+  }
+  return bottom;
+};
+
+// Draw an opening hand with the London mulligan: always draw seven, then bottom one card per mulligan
+export const drawOpeningHand = (library, { mulligans = 0, rng = Math.random } = {}) => {
+  const shuffled = shuffleArray(library, rng);
+  const drawn = shuffled.slice(0, HAND_SIZE);
+  const landRatio = library.length > 0 ? library.filter(isLand).length / library.length : 0;
+  const bottomed = chooseBottomCards(drawn, Math.min(mulligans, HAND_SIZE), landRatio);
+  const hand = [...drawn];
+  bottomed.forEach(card => hand.splice(hand.indexOf(card), 1));
+  return { hand, bottomed, library: [...shuffled.slice(HAND_SIZE), ...bottomed] };
+};
+
+// Monte Carlo estimate of P(predicate(seenCards)) over the cards seen by the given turn
+export const goldfish = (cards, predicate, { turn = 1, onPlay = true, trials = 10000, rng = Math.random } = {}) => {
+  const library = buildLibrary(cards);
+  const seen = Math.min(cardsSeen(turn, onPlay), library.length);
+  let hits = 0;
+  for (let i = 0; i < trials; i++) {
+    if (predicate(shuffleArray(library, rng).slice(0, seen))) {
+      hits++;
+    }
+  }
+  return trials > 0 ? hits / trials : 0;
+};
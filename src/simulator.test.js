@@ -0,0 +1,72 @@
+import {
+  cardsSeen,
+  hypergeometric,
+  atLeast,
+  landsByTurnProbability,
+  cardByTurnProbability,
+  castableOnCurveProbability,
+  buildLibrary,
+  drawOpeningHand,
+  goldfish,
+} from './simulator';
+import { createRng, shuffleArray } from './random';
+import { isLand } from './deckStats';
+import { burnDeck, lightningBolt, mountain, inDeck } from './__fixtures__/cards';
+
+test('createRng is reproducible for the same seed', () => {
+  const first = createRng(42);
+  const second = createRng(42);
+  const values = Array.from({ length: 5 }, () => first());
+  expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+  values.forEach(value => {
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+  });
+  expect(shuffleArray([1, 2, 3, 4, 5], createRng(7))).toEqual(shuffleArray([1, 2, 3, 4, 5], createRng(7)));
+});
+
+test('cardsSeen accounts for the draw step', () => {
+  expect(cardsSeen(1, true)).toBe(7);
+  expect(cardsSeen(1, false)).toBe(8);
+  expect(cardsSeen(3, true)).toBe(9);
+});
+
+test('hypergeometric matches known values', () => {
+  // 4 copies in 60 cards, at least one in the opening seven
+  expect(atLeast(60, 4, 7, 1)).toBeCloseTo(0.3995, 4);
+  // Exactly 3 lands in 7 from 24 lands in 60
+  expect(hypergeometric(60, 24, 7, 3)).toBeCloseTo(0.3087, 4);
+  const total = Array.from({ length: 8 }, (_, k) => hypergeometric(60, 24, 7, k)).reduce((a, b) => a + b, 0);
+  expect(total).toBeCloseTo(1, 10);
+});
+
+test('computes land, card and on-curve odds from the deck', () => {
+  const deck = [inDeck(lightningBolt, 4), inDeck(mountain, 20), inDeck({ ...mountain, id: 'x', name: 'Filler', type_line: 'Sorcery', cmc: 3 }, 36)];
+
+  expect(landsByTurnProbability(deck, 2, 1, true)).toBeCloseTo(atLeast(60, 20, 7, 2), 10);
+  expect(cardByTurnProbability(deck, 'lightning bolt', 1, false)).toBeCloseTo(atLeast(60, 4, 8, 1), 10);
+  // Bolt on turn one: a copy and a land among the first seven cards
+  const expected = goldfish(deck, seen => seen.some(card => card.name === 'Lightning Bolt') && seen.some(isLand), { trials: 20000, rng: createRng(1) });
+  expect(castableOnCurveProbability(deck, 'Lightning Bolt', true)).toBeCloseTo(expected, 1);
+  expect(castableOnCurveProbability(deck, 'Unknown Card')).toBe(0);
+});
+
+test('ignores the sideboard when building the library', () => {
+  expect(buildLibrary(burnDeck)).toHaveLength(60);
+});
+
+test('London mulligan draws seven and bottoms one card per mulligan', () => {
+  const library = buildLibrary(burnDeck);
+  const { hand, bottomed, library: remaining } = drawOpeningHand(library, { mulligans: 2, rng: createRng(3) });
+
+  expect(hand).toHaveLength(5);
+  expect(bottomed).toHaveLength(2);
+  expect(remaining).toHaveLength(55);
+  expect(remaining.slice(-2)).toEqual(bottomed);
+  expect(drawOpeningHand(library, { mulligans: 2, rng: createRng(3) }).hand).toEqual(hand);
+});
+
+test('goldfish estimates agree with the exact odds', () => {
+  const estimate = goldfish(burnDeck, seen => seen.filter(isLand).length >= 3, { turn: 3, trials: 20000, rng: createRng(99) });
+  expect(estimate).toBeCloseTo(landsByTurnProbability(burnDeck, 3, 3), 1);
+});
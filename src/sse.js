@@ -0,0 +1,40 @@
+// Minimal reader for text/event-stream (Server-Sent Events) responses. server/sse.js is the same
+// reader for the proxy; src/sse.test.js runs the same cases against both, so change them together.
+
+// Data payload of a single event block, or null for comments and keep-alives
+const eventData = (block) => {
+  const lines = block
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''));
+  return lines.length > 0 ? lines.join('\n') : null;
+};
+
+// Read a fetch Response as SSE and call onData with each event's data string
+export const readServerSentEvents = async (response, onData) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop(); // The last block may be incomplete
+    blocks.forEach(block => {
+      const data = eventData(block);
+      if (data !== null) {
+        onData(data);
+      }
+    });
+  }
+
+  buffer += decoder.decode();
+  const data = eventData(buffer);
+  if (data !== null) {
+    onData(data);
+  }
+};
@@ -0,0 +1,51 @@
+// The browser (src/sse.js) and the proxy (server/sse.js) each have an SSE reader in their own
+// module system; both run the same cases
+import { readServerSentEvents } from './sse';
+import { readServerSentEvents as readServerSentEventsOnServer } from '../server/sse';
+
+// Chunks are strings or raw bytes
+const encode = (chunks) => chunks.map(chunk => (typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk));
+
+// Both readers take the stream as fetch returns it: the browser one the Response, reading it
+// with getReader(), the proxy one the body, iterating over it
+const readers = [
+  ['browser', (chunks, onData) => {
+    const encoded = encode(chunks);
+    return readServerSentEvents({
+      body: {
+        getReader: () => ({
+          read: async () => (encoded.length > 0 ? { done: false, value: encoded.shift() } : { done: true }),
+        }),
+      },
+    }, onData);
+  }],
+  ['server', (chunks, onData) => readServerSentEventsOnServer((async function* body() {
+    yield* encode(chunks);
+  })(), onData)],
+];
+
+describe.each(readers)('%s SSE reader', (side, read) => {
+  const events = async (chunks) => {
+    const data = [];
+    await read(chunks, value => data.push(value));
+    return data;
+  };
+
+  test('passes the data of each event and joins multi-line data', async () => {
+    expect(await events(['data: one\n\ndata: two\ndata:three\n\n'])).toEqual(['one', 'two\nthree']);
+  });
+
+  test('skips comments, keep-alives and other fields', async () => {
+    expect(await events([': keep-alive\n\nevent: message\nid: 1\ndata: {}\n\n'])).toEqual(['{}']);
+  });
+
+  test('joins events and characters split across chunks', async () => {
+    expect(await events(['da', 'ta: Bo', 'lt\n', '\ndata: x\n\n'])).toEqual(['Bolt', 'x']);
+    const bytes = new TextEncoder().encode('data: Æther\n\n');
+    expect(await events([bytes.slice(0, 7), bytes.slice(7)])).toEqual(['Æther']); // Æ is two bytes
+  });
+
+  test('reads CRLF line endings and a last event without a blank line', async () => {
+    expect(await events(['data: one\r\n\r\ndata: two'])).toEqual(['one', 'two']);
+  });
+});
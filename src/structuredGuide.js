@@ -0,0 +1,297 @@
+// Structured deck guide: requested as JSON of a schema built from the guide template,
+// checked against that schema and the deck, and rendered to Markdown for display
+import { cardKeys, normalizeName } from './cardKeys';
+import { EXPERT_INTRO, formatLineFor, languageLineFor, deckContext } from './guidePrompt';
+import { BUILT_IN_TEMPLATES, defaultTemplateFor, findTemplateSection } from './guideTemplates';
+import { extractJsonObject } from './jsonAnswer';
+import { defaultT, userError } from './i18n';
+
+// Schema builders for Gemini's OpenAPI subset
+const text = (description) => ({ type: 'STRING', description });
+const list = (items) => ({ type: 'ARRAY', items });
+const object = (properties) => ({ type: 'OBJECT', properties, required: Object.keys(properties) });
+
+const CARD_NAME = 'Exact card name from the decklist';
+
+// Rendering tolerates incomplete values, so a guide can be shown while it streams in
+const asList = (value) => (Array.isArray(value) ? value : []);
+const asText = (value) => (typeof value === 'string' ? value : '');
+const bullets = (items) => asList(items).filter(item => asText(item)).map(item => `- ${item}`).join('\n');
+
+// Keep the entries whose card is in the deck, spelled as in the deck; report the others
+const checkCardNames = (names, lookup, path, errors) => names.flatMap((name, i) => {
+  const deckName = lookup(name);
+  if (!deckName) {
+    errors.push(`${path}[${i}]: "${name}" is not in the decklist.`);
+    return [];
+  }
+  return [deckName];
+});
+
+// Structured fields a template section can be generated as: the field's schema,
+// how it renders (with t for the labels), and for fields that name cards, how they are checked against the deck.
+// Only those card fields are checked: card names in free text (strategies, bullet points and the
+// free Markdown sections) cannot be told apart from other words reliably and are left as written.
+export const GUIDE_FIELDS = {
+  archetype: {
+    schema: object({
+      name: text('The archetype, e.g. Aggro, Control, Midrange, Combo'),
+      strategy: text('How the deck aims to win and its game plan'),
+    }),
+    render: (value, t) => [asText(value?.name) && `**${t('Archetype:')}** ${value.name}`, asText(value?.strategy)].filter(Boolean).join('\n\n'),
+  },
+  keyCards: {
+    schema: list(object({ card: text(CARD_NAME), reason: text('Why the card matters for the deck') })),
+    render: (value) => asList(value)
+      .filter(entry => asText(entry?.card))
+      .map(entry => `- **${entry.card}**${asText(entry.reason) ? `: ${entry.reason}` : ''}`)
+      .join('\n'),
+    checkCards: (value, lookup, path, errors) => value.flatMap((entry, i) => {
+      const deckName = lookup(entry.card);
+      if (!deckName) {
+        errors.push(`${path}[${i}].card: "${entry.card}" is not in the decklist.`);
+        return [];
+      }
+      return [{ ...entry, card: deckName }];
+    }),
+  },
+  strengths: {
+    schema: list(text('One strength of the deck')),
+    render: bullets,
+  },
+  weaknesses: {
+    schema: list(text('One weakness of the deck')),
+    render: bullets,
+  },
+  mulligan: {
+    schema: list(text('One rule for keeping or mulliganing an opening hand')),
+    render: bullets,
+  },
+  matchups: {
+    schema: list(object({
+      opponent: text('Opposing archetype or deck'),
+      plan: text('How to approach the matchup'),
+      cards: list(text(CARD_NAME)),
+    })),
+    render: (value, t) => asList(value)
+      .filter(entry => asText(entry?.opponent))
+      .map(entry => {
+        const cards = asList(entry.cards).filter(card => asText(card));
+        const keyCards = cards.length > 0 ? ` (${t('Key cards: {cards}', { cards: cards.join(', ') })})` : '';
+        return `- **${t('vs. {opponent}', { opponent: entry.opponent })}**${asText(entry.plan) ? `: ${entry.plan}` : ''}${keyCards}`;
+      })
+      .join('\n'),
+    checkCards: (value, lookup, path, errors) => value.map((entry, i) => ({
+      ...entry,
+      cards: checkCardNames(entry.cards, lookup, `${path}[${i}].cards`, errors),
+    })),
+  },
+};
+
+// Sections of the template with the field each one is generated as; sections without one
+// (and repeats of a field) are free Markdown texts under "sections", keyed by title.
+// Custom templates have no fields, so their sections are matched to the built-ins by title.
+export const guideLayout = (template) => {
+  const used = new Set();
+  return template.sections.map(section => {
+    const field = section.field || findTemplateSection(section.title, BUILT_IN_TEMPLATES).field;
+    if (GUIDE_FIELDS[field] && !used.has(field)) {
+      used.add(field);
+      return { ...section, field };
+    }
+    return { ...section, field: null };
+  });
+};
+
+// Response schema for a guide generated with the given template
+export const guideSchemaFor = (template) => {
+  const layout = guideLayout(template);
+  const properties = {};
+  layout.filter(section => section.field).forEach(section => {
+    properties[section.field] = GUIDE_FIELDS[section.field].schema;
+  });
+  const free = layout.filter(section => !section.field);
+  if (free.length > 0) {
+    properties.sections = object(Object.fromEntries(free.map(section => [section.title, text(`Markdown text of the "${section.title}" section`)])));
+  }
+  return object(properties);
+};
+
+// Example JSON of a schema, with the descriptions as placeholders, to show the shape in the prompt
+const exampleFor = (schema) => {
+  if (schema.type === 'OBJECT') {
+    return Object.fromEntries(Object.entries(schema.properties).map(([key, property]) => [key, exampleFor(property)]));
+  }
+  if (schema.type === 'ARRAY') {
+    return [exampleFor(schema.items)];
+  }
+  return `<${schema.description || 'text'}>`;
+};
+
+const fieldLabel = (section) => (section.field ? `"${section.field}"` : `"sections" > "${section.title}"`);
+
+// The JSON shape of the template and what each of its fields must contain
+const jsonInstructions = (template) => `
+  Respond with JSON only, without any other text, in exactly this shape:
+  ${JSON.stringify(exampleFor(guideSchemaFor(template)))}
+
+  What each field must contain:
+${guideLayout(template).map(section => `  - ${fieldLabel(section)} (${section.title}): ${section.instructions.join(' ')}`).join('\n')}
+
+  Text values may use Markdown. Only name cards that are in the decklist, spelled exactly as there.
+  Keep the JSON keys and the section titles exactly as given.`;
+
+// Prompt for a complete guide as JSON, with the sections of the given template
+export const buildStructuredGuidePrompt = (cards, formatKey, template = defaultTemplateFor(formatKey), language = 'en') => `
+  ${EXPERT_INTRO}
+  Based on the following decklist, generate a comprehensive deck guide.
+  ${formatLineFor(formatKey)}
+  ${languageLineFor(language)}
+  The guide should be detailed, insightful, and helpful for a player looking to understand and improve their deck.
+${jsonInstructions(template)}
+${deckContext(cards)}`;
+
+// A template with just the given section, for rewriting that section of a guide
+export const sectionTemplate = (section) => ({ sections: [section] });
+
+// Prompt for one section of the guide as JSON, quoting the current guide
+export const buildStructuredSectionPrompt = (cards, formatKey, section, guide, language = 'en') => `
+  ${EXPERT_INTRO}
+  ${formatLineFor(formatKey)}
+  ${languageLineFor(language)}
+  Rewrite the "${section.title}" section of the deck guide below for this deck, without repeating what the other sections already cover.
+${jsonInstructions(sectionTemplate(section))}
+
+  ---
+  **Current Deck Guide (quoted):**
+${guide.split('\n').map(line => `> ${line}`).join('\n')}
+${deckContext(cards)}`;
+
+// Follow-up asking the model to fix the problems found in its previous answer
+export const buildGuideCorrection = (errors) => `
+  Your guide does not match the requested JSON:
+${errors.map(error => `  - ${error}`).join('\n')}
+
+  Answer again with the complete corrected JSON, in the same shape, without any other text.
+`;
+
+const joinPath = (path, key) => {
+  if (!/^[A-Za-z_]\w*$/.test(key)) {
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+  return path ? `${path}.${key}` : key;
+};
+
+// Collect the places where value does not match the schema
+const checkSchema = (value, schema, path, errors) => {
+  const where = path || 'The guide';
+  if (schema.type === 'OBJECT') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      if (value[key] === undefined) {
+        errors.push(`${joinPath(path, key)} is missing.`);
+      } else {
+        checkSchema(value[key], property, joinPath(path, key), errors);
+      }
+    });
+  } else if (schema.type === 'ARRAY') {
+    if (!Array.isArray(value)) {
+      errors.push(`${where} must be a list.`);
+      return;
+    }
+    value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+  } else if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${where} must be a non-empty text.`);
+  }
+};
+
+// Look up a card name in the deck, by any name the card can be named by
+const deckLookup = (cards) => {
+  const names = new Map();
+  cards.forEach(card => cardKeys(card).forEach(key => names.set(key, card.name)));
+  return (name) => names.get(normalizeName(name));
+};
+
+// Check parsed JSON against the template's schema and the deck. Returns { guide, errors }:
+// guide is null if the JSON does not match the schema; otherwise card names are spelled
+// as in the deck, and entries naming cards outside the deck are dropped (and listed in errors).
+export const validateStructuredGuide = (data, template, cards) => {
+  const errors = [];
+  checkSchema(data, guideSchemaFor(template), '', errors);
+  if (errors.length > 0) {
+    return { guide: null, errors };
+  }
+  const lookup = deckLookup(cards);
+  const guide = { ...data };
+  guideLayout(template)
+    .filter(section => section.field && GUIDE_FIELDS[section.field].checkCards)
+    .forEach(({ field }) => {
+      guide[field] = GUIDE_FIELDS[field].checkCards(data[field], lookup, field, errors);
+    });
+  return { guide, errors };
+};
+
+// Markdown of a (possibly still incomplete) structured guide, one heading per template section.
+// t translates the headings and labels, into the language the guide is written in; custom
+// section titles without a translation stay as written.
+export const structuredGuideToMarkdown = (guide, template, t = defaultT) => guideLayout(template)
+  .map(section => {
+    const value = section.field ? guide[section.field] : guide.sections?.[section.title];
+    if (value === undefined) {
+      return null; // Not generated (yet)
+    }
+    const body = section.field ? GUIDE_FIELDS[section.field].render(value, t) : asText(value);
+    return `# ${t(section.title)}\n${body}`;
+  })
+  .filter(Boolean)
+  .join('\n\n');
+
+const readGuideAnswer = (answer, template, cards) => {
+  let data;
+  try {
+    data = extractJsonObject(answer);
+  } catch (error) {
+    return { guide: null, errors: ['The answer is not valid JSON.'] };
+  }
+  if (data === undefined) {
+    return { guide: null, errors: ['The answer contains no JSON object.'] };
+  }
+  return validateStructuredGuide(data, template, cards);
+};
+
+export const MAX_GUIDE_RETRIES = 2;
+
+// Ask with the prompt until the answer matches the template: see generateStructuredGuide
+const generateValidGuide = async (generate, prompt, template, cards) => {
+  const schema = guideSchemaFor(template);
+  const messages = [{ role: 'user', content: prompt }];
+  for (let attempt = 0; ; attempt++) {
+    const answer = await generate(messages, schema);
+    const { guide, errors } = readGuideAnswer(answer, template, cards);
+    if (errors.length === 0) {
+      return guide;
+    }
+    if (attempt >= MAX_GUIDE_RETRIES) {
+      if (guide) {
+        console.warn("Dropped guide entries naming cards outside the deck:", errors);
+        return guide;
+      }
+      throw userError('The AI returned a guide that does not match the expected structure: {errors}', { errors: errors.slice(0, 3).join(' ') });
+    }
+    messages.push({ role: 'assistant', content: answer }, { role: 'user', content: buildGuideCorrection(errors) });
+  }
+};
+
+// Generate a validated guide. generate(messages, responseSchema) returns the model's answer text.
+// Invalid answers are sent back with the errors up to MAX_GUIDE_RETRIES times. After that, a guide
+// that only names cards outside the deck is used without those entries; any other error throws.
+export const generateStructuredGuide = (generate, cards, formatKey, template = defaultTemplateFor(formatKey), language = 'en') =>
+  generateValidGuide(generate, buildStructuredGuidePrompt(cards, formatKey, template, language), template, cards);
+
+// Rewrite one section of a guide, checked like a whole guide. Resolves with the structured section;
+// render it with structuredGuideToMarkdown and sectionTemplate(section).
+export const generateStructuredSection = (generate, cards, formatKey, section, guide, language = 'en') =>
+  generateValidGuide(generate, buildStructuredSectionPrompt(cards, formatKey, section, guide, language), sectionTemplate(section), cards);
@@ -0,0 +1,144 @@
+import {
+  guideLayout,
+  guideSchemaFor,
+  buildStructuredGuidePrompt,
+  validateStructuredGuide,
+  structuredGuideToMarkdown,
+  generateStructuredGuide,
+  generateStructuredSection,
+  sectionTemplate,
+  MAX_GUIDE_RETRIES,
+} from './structuredGuide';
+import { BUILT_IN_TEMPLATES, findTemplateSection } from './guideTemplates';
+import { burnDeck } from './__fixtures__/cards';
+import { translate } from './i18n';
+
+const template = {
+  id: 'custom',
+  name: 'Short',
+  sections: [
+    { title: 'Key Cards', instructions: ['Name the best cards.'] },
+    { title: 'Strengths', instructions: ['What does it do well?'] },
+    { title: 'Sideboard Ideas', instructions: ['What to bring in.'] },
+  ],
+};
+
+const validGuide = {
+  keyCards: [{ card: 'lightning bolt', reason: 'Cheap reach.' }],
+  strengths: ['Fast clock'],
+  sections: { 'Sideboard Ideas': 'Bring in **Kitesail Freebooter**.' },
+};
+
+test('custom template sections map to the built-in fields by title', () => {
+  expect(guideLayout(template).map(section => section.field)).toEqual(['keyCards', 'strengths', null]);
+  const schema = guideSchemaFor(template);
+  expect(Object.keys(schema.properties)).toEqual(['keyCards', 'strengths', 'sections']);
+  expect(schema.properties.sections.required).toEqual(['Sideboard Ideas']);
+
+  const constructed = guideLayout(BUILT_IN_TEMPLATES[0]).map(section => section.field);
+  expect(constructed).toEqual(['archetype', 'keyCards', null, 'strengths', 'weaknesses', 'mulligan', 'matchups']);
+});
+
+test('the prompt shows the JSON shape and what each field must contain', () => {
+  const prompt = buildStructuredGuidePrompt(burnDeck, 'modern', template);
+  expect(prompt).toContain('"keyCards":[{"card":"<Exact card name from the decklist>"');
+  expect(prompt).toContain('- "sections" > "Sideboard Ideas" (Sideboard Ideas): What to bring in.');
+  expect(prompt).toContain('4 Lightning Bolt');
+});
+
+test('validation reports schema errors with their path', () => {
+  const { guide, errors } = validateStructuredGuide({ keyCards: [{ card: 'Lightning Bolt' }], strengths: 'Fast' }, template, burnDeck);
+  expect(guide).toBeNull();
+  expect(errors).toEqual([
+    'keyCards[0].reason is missing.',
+    'strengths must be a list.',
+    'sections is missing.',
+  ]);
+  expect(validateStructuredGuide([], template, burnDeck).errors).toEqual(['The guide must be an object.']);
+});
+
+test('validation checks card names against the deck and drops invented cards', () => {
+  const { guide, errors } = validateStructuredGuide({
+    ...validGuide,
+    keyCards: [...validGuide.keyCards, { card: 'Black Lotus', reason: 'Power.' }],
+  }, template, burnDeck);
+  expect(errors).toEqual(['keyCards[1].card: "Black Lotus" is not in the decklist.']);
+  expect(guide.keyCards).toEqual([{ card: 'Lightning Bolt', reason: 'Cheap reach.' }]);
+
+  const matchups = validateStructuredGuide({
+    archetype: { name: 'Burn', strategy: 'Go face.' },
+    keyCards: [],
+    strengths: [],
+    weaknesses: [],
+    mulligan: [],
+    matchups: [{ opponent: 'Control', plan: 'Be fast.', cards: ['Needleverge Pathway', 'Counterspell'] }],
+    sections: { 'Mana Curve Analysis': 'Low.' },
+  }, BUILT_IN_TEMPLATES[0], burnDeck);
+  expect(matchups.errors).toEqual(['matchups[0].cards[1]: "Counterspell" is not in the decklist.']);
+  expect(matchups.guide.matchups[0].cards).toEqual(['Needleverge Pathway // Pillarverge Pathway']);
+});
+
+test('renders the guide as Markdown in template order, also while incomplete', () => {
+  const { guide } = validateStructuredGuide(validGuide, template, burnDeck);
+  expect(structuredGuideToMarkdown(guide, template)).toBe([
+    '# Key Cards\n- **Lightning Bolt**: Cheap reach.',
+    '# Strengths\n- Fast clock',
+    '# Sideboard Ideas\nBring in **Kitesail Freebooter**.',
+  ].join('\n\n'));
+  expect(structuredGuideToMarkdown({ keyCards: [{ card: 'Goblin Guide' }, {}] }, template)).toBe('# Key Cards\n- **Goblin Guide**');
+});
+
+test('renders the headings and labels in the language of the guide', () => {
+  const layout = { sections: [{ title: 'Deck Archetype and Core Strategy', field: 'archetype', instructions: [] }, { title: 'Matchups', field: 'matchups', instructions: [] }] };
+  const guide = { archetype: { name: 'Aggro', strategy: '' }, matchups: [{ opponent: 'Control', plan: 'Schnell sein.', cards: ['Lightning Bolt'] }] };
+  expect(structuredGuideToMarkdown(guide, layout, (message, params) => translate('de', message, params))).toBe([
+    '# Deck-Archetyp und Kernstrategie\n**Archetyp:** Aggro',
+    '# Matchups\n- **gegen Control**: Schnell sein. (Schlüsselkarten: Lightning Bolt)',
+  ].join('\n\n'));
+});
+
+test('invalid answers are retried with the errors until the guide is valid', async () => {
+  const answers = ['Here is your guide: # Burn', JSON.stringify({ ...validGuide, strengths: [], sections: {} }), JSON.stringify(validGuide)];
+  const generate = jest.fn(async () => answers.shift());
+
+  const guide = await generateStructuredGuide(generate, burnDeck, 'modern', template);
+
+  expect(guide.keyCards[0].card).toBe('Lightning Bolt');
+  expect(generate).toHaveBeenCalledTimes(3);
+  const [messages, schema] = generate.mock.calls[2];
+  expect(schema).toEqual(guideSchemaFor(template));
+  expect(messages.map(message => message.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+  expect(messages[2].content).toContain('The answer contains no JSON object.');
+  expect(messages[4].content).toContain('sections["Sideboard Ideas"] is missing.');
+});
+
+test('gives up on broken answers but keeps a guide whose only problem is invented cards', async () => {
+  const broken = jest.fn(async () => '{"keyCards": }');
+  await expect(generateStructuredGuide(broken, burnDeck, 'modern', template)).rejects.toThrow('not valid JSON');
+  expect(broken).toHaveBeenCalledTimes(MAX_GUIDE_RETRIES + 1);
+
+  const inventive = JSON.stringify({ ...validGuide, keyCards: [{ card: 'Black Lotus', reason: 'Power.' }] });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const guide = await generateStructuredGuide(async () => inventive, burnDeck, 'modern', template);
+  expect(guide.keyCards).toEqual([]);
+});
+
+test('a regenerated section is checked against its schema and the deck', async () => {
+  const section = findTemplateSection('key cards', BUILT_IN_TEMPLATES);
+  const answers = [
+    JSON.stringify({ keyCards: 'Lightning Bolt' }),
+    JSON.stringify({ keyCards: [{ card: 'lightning bolt', reason: 'Reach.' }, { card: 'Black Lotus', reason: 'Power.' }] }),
+    JSON.stringify({ keyCards: [{ card: 'lightning bolt', reason: 'Reach.' }] }),
+  ];
+  const generate = jest.fn(async () => answers.shift());
+
+  const rewritten = await generateStructuredSection(generate, burnDeck, 'modern', section, '# Strengths\nFast.');
+
+  const [messages, schema] = generate.mock.calls[2];
+  expect(messages[0].content).toContain('Rewrite the "Key Cards" section');
+  expect(messages[0].content).toContain('> # Strengths');
+  expect(schema).toEqual(guideSchemaFor(sectionTemplate(section)));
+  expect(messages[2].content).toContain('keyCards must be a list.');
+  expect(messages[4].content).toContain('keyCards[1].card: "Black Lotus" is not in the decklist.');
+  expect(structuredGuideToMarkdown(rewritten, sectionTemplate(section))).toBe('# Key Cards\n- **Lightning Bolt**: Reach.');
+});
@@ -0,0 +1,146 @@
+// Format legality and deck-construction validation based on Scryfall's legalities
+import { normalizeName } from './scryfall';
+import { translatable } from './i18n';
+
+// Deck construction rules per format. Limited has no card pool legality and no copy limit.
+export const FORMATS = {
+  standard: { label: 'Standard', minMain: 60, maxCopies: 4, maxSideboard: 15 },
+  pioneer: { label: 'Pioneer', minMain: 60, maxCopies: 4, maxSideboard: 15 },
+  modern: { label: 'Modern', minMain: 60, maxCopies: 4, maxSideboard: 15 },
+  legacy: { label: 'Legacy', minMain: 60, maxCopies: 4, maxSideboard: 15 },
+  pauper: { label: 'Pauper', minMain: 60, maxCopies: 4, maxSideboard: 15 },
+  commander: { label: 'Commander', exactMain: 100, maxCopies: 1, maxSideboard: 0, commander: true },
+  limited: { label: 'Limited', minMain: 40, maxCopies: Infinity, maxSideboard: Infinity, skipLegality: true },
+};
+
+// Cards that say "A deck can have any number of cards named ..." (or a fixed higher limit)
+const ANY_NUMBER = /A deck can have any number of cards named/i;
+const UP_TO_N = /A deck can have up to (\w+) cards named/i;
+const NUMBER_WORDS = { two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+export const isBasicLand = (card) => /\bBasic\b/.test(card.type_line || '') && /\bLand\b/.test(card.type_line || '');
+
+// Maximum copies of a card allowed by its own rules text, or undefined for the format default
+const copyLimitOverride = (card) => {
+  const text = card.oracle_text || card.card_faces?.map(face => face.oracle_text).join('\n') || '';
+  if (isBasicLand(card) || ANY_NUMBER.test(text)) {
+    return Infinity;
+  }
+  const upTo = text.match(UP_TO_N);
+  if (upTo) {
+    return NUMBER_WORDS[upTo[1].toLowerCase()] || parseInt(upTo[1], 10) || undefined;
+  }
+  return undefined;
+};
+
+const countZone = (cards, zone) => cards
+  .filter(card => (card.zone || 'main') === zone)
+  .reduce((sum, card) => sum + card.quantity, 0);
+
+const isLegendaryCreatureOrCommander = (card) => {
+  const typeLine = card.card_faces?.[0]?.type_line || card.type_line || '';
+  const text = card.oracle_text || card.card_faces?.map(face => face.oracle_text).join('\n') || '';
+  return (/\bLegendary\b/.test(typeLine) && /\bCreature\b/.test(typeLine)) || /can be your commander/i.test(text);
+};
+
+// Validate resolved cards against a format. Returns a list of { severity, message, translation, cardName? }
+// violations (see translatable); an empty list means the deck is legal as far as we can tell.
+export const validateDeck = (cards, formatKey) => {
+  const format = FORMATS[formatKey];
+  if (!format) {
+    throw new Error(`Unknown format "${formatKey}".`);
+  }
+  const violations = [];
+  const add = (message, cardName, severity = 'error') => violations.push({ severity, ...message, cardName });
+
+  // Per-card legality (Scryfall reports "legal", "not_legal", "restricted" or "banned")
+  const seenNames = new Set();
+  cards.forEach(card => {
+    const key = normalizeName(card.name);
+    if (format.skipLegality || seenNames.has(key)) {
+      return;
+    }
+    seenNames.add(key);
+    const legality = card.legalities?.[formatKey];
+    if (legality === 'banned') {
+      add(translatable('{card} is banned in {format}.', { card: card.name, format: format.label }), card.name);
+    } else if (legality === 'not_legal') {
+      add(translatable('{card} is not legal in {format}.', { card: card.name, format: format.label }), card.name);
+    } else if (!legality) {
+      add(translatable('Legality of {card} in {format} is unknown.', { card: card.name, format: format.label }), card.name, 'warning');
+    }
+  });
+
+  // Copy limits count the main deck and sideboard together
+  const copies = new Map();
+  cards.forEach(card => {
+    const key = normalizeName(card.name);
+    const entry = copies.get(key) || { card, count: 0 };
+    entry.count += card.quantity;
+    copies.set(key, entry);
+  });
+  copies.forEach(({ card, count }) => {
+    const limit = card.legalities?.[formatKey] === 'restricted' ? 1 : (copyLimitOverride(card) ?? format.maxCopies);
+    if (count > limit) {
+      const params = { card: card.name, count, limit };
+      add(card.legalities?.[formatKey] === 'restricted'
+        ? translatable('{card}: {count} copies, at most {limit} allowed (restricted).', params)
+        : translatable('{card}: {count} copies, at most {limit} allowed.', params), card.name);
+    }
+  });
+
+  // Deck size
+  const mainCount = countZone(cards, 'main');
+  const sideCount = countZone(cards, 'side');
+  if (format.commander) {
+    const commanderCount = countZone(cards, 'commander');
+    const total = mainCount + commanderCount;
+    if (total !== format.exactMain) {
+      add(translatable('{format} decks must contain exactly {size} cards including the commander (found {total}).',
+        { format: format.label, size: format.exactMain, total }));
+    }
+  } else if (mainCount < format.minMain) {
+    add(translatable('{format} decks need at least {size} main deck cards (found {total}).',
+      { format: format.label, size: format.minMain, total: mainCount }));
+  }
+  if (sideCount > format.maxSideboard) {
+    add(translatable('Sideboard has {total} cards, at most {size} allowed in {format}.',
+      { total: sideCount, size: format.maxSideboard, format: format.label }));
+  }
+
+  if (format.commander) {
+    violations.push(...validateCommander(cards));
+  }
+  return violations;
+};
+
+// Commander: one or two commanders, and every card within their combined color identity
+export const validateCommander = (cards) => {
+  const violations = [];
+  const commanders = cards.filter(card => card.zone === 'commander');
+  if (commanders.length === 0) {
+    return [{ severity: 'error', ...translatable('No commander designated. Put your commander in a "Commander" section.') }];
+  }
+  if (commanders.length > 2) {
+    violations.push({
+      severity: 'error',
+      ...translatable('Found {count} commanders, at most two (partners) are allowed.', { count: commanders.length }),
+    });
+  }
+  commanders.filter(card => !isLegendaryCreatureOrCommander(card)).forEach(card => {
+    violations.push({ severity: 'error', ...translatable('{card} cannot be your commander.', { card: card.name }), cardName: card.name });
+  });
+
+  const identity = new Set(commanders.flatMap(card => card.color_identity || []));
+  cards.filter(card => card.zone !== 'commander').forEach(card => {
+    const outside = (card.color_identity || []).filter(color => !identity.has(color));
+    if (outside.length > 0) {
+      violations.push({
+        severity: 'error',
+        ...translatable("{card} is outside the commander's color identity ({colors}).", { card: card.name, colors: outside.join('') }),
+        cardName: card.name,
+      });
+    }
+  });
+  return violations;
+};
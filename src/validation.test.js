@@ -0,0 +1,78 @@
+import { validateDeck } from './validation';
+import { localize, translate } from './i18n';
+import { burnDeck, emrakul, goblinGuide, lightningBolt, mountain, kitesailFreebooter, inDeck } from './__fixtures__/cards';
+
+const messages = (violations) => violations.map(violation => violation.message);
+
+const krenko = {
+  id: 'krenko',
+  name: 'Krenko, Mob Boss',
+  type_line: 'Legendary Creature — Goblin Warrior',
+  color_identity: ['R'],
+  legalities: { commander: 'legal' },
+};
+
+const relentlessRats = {
+  id: 'rats',
+  name: 'Relentless Rats',
+  type_line: 'Creature — Rat',
+  oracle_text: 'Relentless Rats gets +1/+1 for each other creature on the battlefield named Relentless Rats.\nA deck can have any number of cards named Relentless Rats.',
+  color_identity: ['B'],
+  legalities: { modern: 'legal' },
+};
+
+test('reports banned and not legal cards', () => {
+  expect(messages(validateDeck(burnDeck, 'modern'))).toEqual(['Emrakul, the Aeons Torn is banned in Modern.']);
+  expect(messages(validateDeck(burnDeck, 'pauper'))).toEqual(expect.arrayContaining([
+    'Goblin Guide is not legal in Pauper.',
+    'Emrakul, the Aeons Torn is not legal in Pauper.',
+  ]));
+});
+
+test('enforces the 4-of limit across main deck and sideboard, except basics and "any number" cards', () => {
+  const deck = [
+    inDeck(lightningBolt, 4),
+    inDeck(lightningBolt, 1, 'side'),
+    inDeck(mountain, 31),
+    inDeck(relentlessRats, 25),
+  ];
+  expect(messages(validateDeck(deck, 'modern'))).toEqual(['Lightning Bolt: 5 copies, at most 4 allowed.']);
+});
+
+test('checks minimum deck size and sideboard size', () => {
+  const deck = [inDeck(lightningBolt, 4), inDeck(mountain, 50), inDeck(kitesailFreebooter, 16, 'side')];
+  expect(messages(validateDeck(deck, 'pioneer'))).toEqual(expect.arrayContaining([
+    'Lightning Bolt is not legal in Pioneer.',
+    'Kitesail Freebooter: 16 copies, at most 4 allowed.',
+    'Pioneer decks need at least 60 main deck cards (found 54).',
+    'Sideboard has 16 cards, at most 15 allowed in Pioneer.',
+  ]));
+  expect(validateDeck([inDeck(mountain, 40)], 'limited')).toEqual([]);
+});
+
+test('applies Commander singleton, deck size and color identity rules', () => {
+  const deck = [
+    inDeck(krenko, 1, 'commander'),
+    inDeck(goblinGuide, 2),
+    inDeck(kitesailFreebooter, 1),
+    inDeck(emrakul, 1),
+    inDeck(mountain, 95),
+  ];
+  expect(messages(validateDeck(deck, 'commander'))).toEqual([
+    'Emrakul, the Aeons Torn is banned in Commander.',
+    'Goblin Guide: 2 copies, at most 1 allowed.',
+    'Kitesail Freebooter is outside the commander\'s color identity (B).',
+  ]);
+});
+
+test('violations can be shown in the UI language', () => {
+  const t = (message, params) => translate('de', message, params);
+  expect(validateDeck(burnDeck, 'modern').map(violation => localize(t, violation)))
+    .toEqual(['Emrakul, the Aeons Torn ist in Modern gebannt.']);
+});
+
+test('requires a designated commander', () => {
+  expect(messages(validateDeck([inDeck(mountain, 100)], 'commander'))).toEqual([
+    'No commander designated. Put your commander in a "Commander" section.',
+  ]);
+});